@@ -0,0 +1,194 @@
+// tools/build-precache-manifest.js が生成するファイル。手で編集しない
+self.PRECACHE_MANIFEST = {
+  "version": "5f08e2a6ae",
+  "assets": [
+    {
+      "url": "/index.html",
+      "revision": "6678a5202e"
+    },
+    {
+      "url": "/styles.css",
+      "revision": "d21faa7d6c"
+    },
+    {
+      "url": "/script.js",
+      "revision": "65ee8f15f7"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "c42dd64144"
+    },
+    {
+      "url": "/img/arrow.svg",
+      "revision": "a6630fece3"
+    },
+    {
+      "url": "/img/copy_off.svg",
+      "revision": "afd1038e94"
+    },
+    {
+      "url": "/img/copy_on.svg",
+      "revision": "a35e416b6a"
+    },
+    {
+      "url": "/img/delete.svg",
+      "revision": "84650d4e72"
+    },
+    {
+      "url": "/img/edit.svg",
+      "revision": "7287eada00"
+    },
+    {
+      "url": "/img/graph_off.svg",
+      "revision": "87535f0fc6"
+    },
+    {
+      "url": "/img/graph_on.svg",
+      "revision": "ec6c5f7f3a"
+    },
+    {
+      "url": "/img/hart_off.svg",
+      "revision": "07941d8e09"
+    },
+    {
+      "url": "/img/hart_on.svg",
+      "revision": "d44473670f"
+    },
+    {
+      "url": "/img/hart_on02.svg",
+      "revision": "fda5006a89"
+    },
+    {
+      "url": "/img/home_off.svg",
+      "revision": "b286f50889"
+    },
+    {
+      "url": "/img/home_on.svg",
+      "revision": "1fb37dac91"
+    },
+    {
+      "url": "/img/icon-192.png",
+      "revision": "7a0fb9c5d6"
+    },
+    {
+      "url": "/img/icon-512.png",
+      "revision": "a2cf928b58"
+    },
+    {
+      "url": "/img/icon_friend.png",
+      "revision": "73fd9e2b03"
+    },
+    {
+      "url": "/img/icon_me.png",
+      "revision": "0e04378411"
+    },
+    {
+      "url": "/img/icon_none.png",
+      "revision": "15715ff577"
+    },
+    {
+      "url": "/img/icon_other.png",
+      "revision": "4a8fb0a7d6"
+    },
+    {
+      "url": "/img/icon_staff.png",
+      "revision": "afaf30a361"
+    },
+    {
+      "url": "/img/img_off.svg",
+      "revision": "c33cd88fa9"
+    },
+    {
+      "url": "/img/img_on.svg",
+      "revision": "6f71d5141d"
+    },
+    {
+      "url": "/img/import_off.svg",
+      "revision": "7382d03963"
+    },
+    {
+      "url": "/img/import_on.svg",
+      "revision": "a22b000ea3"
+    },
+    {
+      "url": "/img/light_bg.svg",
+      "revision": "4b51c30d2a"
+    },
+    {
+      "url": "/img/light_off.svg",
+      "revision": "2a3f9fc2e9"
+    },
+    {
+      "url": "/img/light_on.svg",
+      "revision": "8e5bbff7d2"
+    },
+    {
+      "url": "/img/link.svg",
+      "revision": "bc60901656"
+    },
+    {
+      "url": "/img/pin_off.svg",
+      "revision": "c3c3dad720"
+    },
+    {
+      "url": "/img/pin_on.svg",
+      "revision": "a98e8932a3"
+    },
+    {
+      "url": "/img/puzzle_off.svg",
+      "revision": "747a09ee1b"
+    },
+    {
+      "url": "/img/puzzle_on.svg",
+      "revision": "4dc63ea8c1"
+    },
+    {
+      "url": "/img/reply.svg",
+      "revision": "1085b2e8ad"
+    },
+    {
+      "url": "/img/repost.svg",
+      "revision": "16017874d2"
+    },
+    {
+      "url": "/img/search_off.svg",
+      "revision": "d4bb63cbce"
+    },
+    {
+      "url": "/img/search_on.svg",
+      "revision": "db6cfe5c0f"
+    },
+    {
+      "url": "/img/tag.svg",
+      "revision": "f7eb2f2ce1"
+    },
+    {
+      "url": "/img/vol.svg",
+      "revision": "af96fd5163"
+    },
+    {
+      "url": "/vendor/chart.umd.min.js",
+      "revision": "48444a82d4"
+    },
+    {
+      "url": "/vendor/jszip.min.js",
+      "revision": "acc7e41455"
+    },
+    {
+      "url": "/vendor/opencc/t2cn.js",
+      "revision": "5009384a6b"
+    },
+    {
+      "url": "/vendor/qrcode.js",
+      "revision": "79ec86f828"
+    },
+    {
+      "url": "/vendor/tesseract/tesseract.min.js",
+      "revision": "a8e29918d0"
+    },
+    {
+      "url": "/vendor/tesseract/worker.min.js",
+      "revision": "aca1229639"
+    }
+  ]
+};
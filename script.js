@@ -1,20 +1,137 @@
-const STORAGE_KEY = 'lang-sns-data';
-const LAST_TAB_KEY = 'lang-last-tab';
-const DATA_VERSION = 3;
-const STORAGE_LIMIT = 5 * 1024 * 1024; // 5MB approximate
+// ?profile=名前 を付けて開くと保存先を分けて、同じブラウザの中で別の端末として動く（tools/sync-harness.html で使う）
+const STORAGE_PROFILE = (new URLSearchParams(location.search).get('profile') || '').replace(/[^\w-]/g, '');
+const withStorageProfile = (key) => (STORAGE_PROFILE ? `${key}:${STORAGE_PROFILE}` : key);
+const STORAGE_KEY = withStorageProfile('lang-sns-data');
+const LAST_TAB_KEY = withStorageProfile('lang-last-tab');
+const DATA_VERSION = 5;
+const STORAGE_LIMIT = 5 * 1024 * 1024; // 5MB approximate (localStorage fallback only)
+const DB_NAME = withStorageProfile('lang-sns-db');
+const DB_VERSION = 3;
+const DB_COLLECTIONS = ['posts', 'replies', 'puzzles', 'cards', 'trash'];
+const DB_IMAGE_STORE = 'images';
+const DB_META_STORE = 'meta';
+const DB_META_KEY = 'root';
+const DB_LOCK_KEY = 'lock';
+// パスフレーズ保護。暗号化したファイルと localStorage の値は kind で見分ける
+const LOCK_KIND = 'uni-encrypted';
+const LOCK_VERSION = 1;
+const LOCK_KDF_ITERATIONS = 600000;
+const LOCK_MIN_PASSPHRASE_LENGTH = 8;
+const LOCK_CHECK_TEXT = 'uni-lock-check';
+const LOCK_IV_BYTES = 12;
+const LOCK_TAG_BYTES = 16;
+const ENCRYPT_EXPORTS_KEY = withStorageProfile('lang-encrypt-exports');
 const IMAGE_RESIZE_THRESHOLD = 1024 * 1024; // 1MB
+const POST_IMAGE_LIMIT = 6;
+// 文字認識は使うときだけ読み込む（認識そのものは端末内の WASM で行う）。エンジンも言語データも vendor/ のものだけを使う
+const OCR_SCRIPT_URL = 'vendor/tesseract/tesseract.min.js';
+const OCR_WORKER_PATH = 'vendor/tesseract/worker.min.js';
+const OCR_CORE_PATH = 'vendor/tesseract/';
+const OCR_LANG_PATH = 'vendor/tessdata/';
+const OCR_LANGUAGE_CODES = {
+  ja: 'jpn',
+  en: 'eng',
+  ko: 'kor',
+  'zh-TW': 'chi_tra',
+  'zh-HK': 'chi_tra',
+  zh: 'chi_sim',
+  fr: 'fra',
+  de: 'deu',
+  es: 'spa',
+  it: 'ita',
+  pt: 'por',
+  vi: 'vie',
+  th: 'tha',
+};
+const IMAGE_VIEWER_MAX_SCALE = 4;
+const IMAGE_SWIPE_DISTANCE = 50;
 
 const DAY_MS = 24 * 60 * 60 * 1000;
-const REVIEW_OFFSETS = [0, 2, 6, 13, 29];
+const UNDO_LIMIT = 50;
+const TOAST_DURATION = 5000;
+const PERSIST_ERROR_TOAST_DURATION = 15000;
+const TRASH_RETENTION_DAYS = 30;
+
+const GOAL_PERIODS = { daily: '今日', weekly: '今週' };
+const GOAL_METRIC_LABELS = { reviews: '復習', puzzles: '解いた謎' };
+const GOAL_COLORS = { texts: '#57a8ff', reviews: '#2F6FE4', puzzles: '#f0a23b' };
+const GOAL_TARGET_MAX = 999;
+const STREAK_FREEZE_MAX = 5;
+const DEFAULT_STREAK_FREEZES = 2;
+const GOAL_RING_RADIUS = 26;
+const GOAL_RING_WIDTH = 6;
+
+// 復習スケジュールは FSRS v4.5 のモデルに準拠（難易度と記憶の安定度をカードごとに持つ）
+const REVIEW_ALGORITHM_VERSION = 2;
+const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+const REVIEW_GRADE_LABELS = {
+  again: 'もう一度',
+  hard: '難しい',
+  good: '分かった！',
+  easy: '簡単',
+};
+const STUDY_CARD_TYPES = ['cloze', 'listening', 'reverse'];
+const STUDY_CARD_LABELS = {
+  cloze: '穴埋め',
+  listening: 'リスニング',
+  reverse: '逆方向',
+};
+const DEFAULT_TARGET_RETENTION = 0.9;
+const TARGET_RETENTION_OPTIONS = [0.8, 0.85, 0.9, 0.95];
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const MAX_REVIEW_INTERVAL_DAYS = 36500;
+
+const defaultReview = () => ({
+  algorithm: REVIEW_ALGORITHM_VERSION,
+  stability: null,
+  difficulty: null,
+  reps: 0,
+  lapses: 0,
+  lastReviewedAt: null,
+  nextReviewDate: null,
+  history: [],
+  lastResult: null,
+});
+
+// native は母語（読み上げ・集計の対象外）、target は学習中の言語
+const LANGUAGE_ROLES = { native: '母語', target: '学習言語' };
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const DEFAULT_LANGUAGES = [
+  { value: 'ja', label: '日本語', color: '#FFC8D6', voice: '', role: 'native' },
+  { value: 'en-US', label: '英語', color: '#2F6FE4', voice: 'Samantha', role: 'target' },
+  { value: 'ko-KR', label: '韓国語', color: '#7AB7FF', voice: 'Yuna', role: 'target' },
+  { value: 'zh-TW', label: '台湾華語', color: '#C5E0FF', voice: 'Meijia', role: 'target' },
+];
 
-const defaultReview = () => ({ intervalIndex: 0, nextReviewDate: null, history: [], lastResult: null });
+const SPEECH_RATE_PRESETS = [0.5, 0.75, 1, 1.25, 1.5];
+
+const defaultSettings = () => ({
+  review: { targetRetention: DEFAULT_TARGET_RETENTION },
+  languages: DEFAULT_LANGUAGES.map((lang) => ({ ...lang })),
+  speech: { rate: 1, pitch: 1, speakerVoices: {} },
+  ocrLanguages: [],
+  goals: {
+    daily: { texts: {}, reviews: 10, puzzles: 0 },
+    weekly: { texts: {}, reviews: 0, puzzles: 0 },
+    streakFreezes: DEFAULT_STREAK_FREEZES,
+  },
+});
 
 const defaultData = () => ({
   version: DATA_VERSION,
   posts: [],
   puzzles: [],
   replies: [],
+  cards: [],
   images: {},
+  trash: [],
+  savedSearches: [],
+  settings: defaultSettings(),
   lastId: 0,
 });
 
@@ -42,21 +159,38 @@ const state = {
   dashboardChart: null,
   hasPlayedDashboardAnimation: false,
   lastReviewRefreshKey: null,
+  reviewSession: null,
+  undoStack: [],
+  redoStack: [],
+  toastTimer: null,
+  practiceRecognizerId: null,
+  speech: { queue: [], current: null, currentEntry: null, paused: false },
+  searchIndex: { docs: new Map(), postings: new Map(), wordsByLength: new Map(), wordsByGram: new Map(), repliesByPost: new Map(), built: false },
+  chineseScript: null,
+  linkIndex: null,
+  savedSearchCounts: { key: null, counts: new Map() },
+  dataRevision: 0,
+  mutationSnapshot: null,
+  knowledgeGraph: null,
+  collapsedReplyIds: new Set(),
+  activeAudioClip: null,
+  modalCleanups: [],
+  imageViewer: null,
+  ocrEngine: null,
+  serviceWorker: { registration: null, updateAccepted: false, syncHandlers: new Map() },
+  sync: null,
+  syncStateError: null,
+  syncConnection: null,
+  lock: null,
+  lockKey: null,
+  remoteSyncTimer: null,
+  remoteSyncRunning: false,
+  remoteSyncJobs: new Set(),
+  db: null,
+  persistedSnapshot: null,
+  persistQueue: Promise.resolve(),
 };
 
-const dashboardLanguages = [
-  { value: 'en-US', label: '英語', color: '#2F6FE4' },
-  { value: 'ko-KR', label: '韓国語', color: '#7AB7FF' },
-  { value: 'zh-TW', label: '中国語', color: '#C5E0FF' },
-];
-
-const langOptions = [
-  { value: 'ja', label: '日本語', speakable: false },
-  { value: 'en-US', label: '英語', voiceHint: 'Samantha', speakable: true },
-  { value: 'ko-KR', label: '韓国語', voiceHint: 'Yuna', speakable: true },
-  { value: 'zh-TW', label: '台湾華語', voiceHint: 'Meijia', speakable: true },
-];
-
 const speakerOptions = [
   { value: 'me', label: 'わたし', icon: 'img/icon_me.png' },
   { value: 'friend', label: '友だち', icon: 'img/icon_friend.png' },
@@ -83,27 +217,783 @@ function createSpeakerIcon({ icon, label }) {
   return wrapper;
 }
 
-const getLanguageLabel = (value) => langOptions.find((opt) => opt.value === value)?.label || value;
+const getLanguageOptions = () => state.data.settings?.languages || DEFAULT_LANGUAGES;
+const getLanguageOption = (value) => getLanguageOptions().find((opt) => opt.value === value) || null;
+const getLanguageLabel = (value) => getLanguageOption(value)?.label || value;
+const getTargetLanguages = () => getLanguageOptions().filter((opt) => opt.role === 'target');
+const isSpeakableLanguage = (value) => Boolean(getLanguageOption(value));
+const getDefaultLanguage = () => (getLanguageOptions().find((opt) => opt.role === 'native') || getLanguageOptions()[0]).value;
+
+// DATA_MIGRATIONS[n] は v(n) のデータを v(n+1) に変換する
+const DATA_MIGRATIONS = {
+  1: (data) => {
+    // いいね（liked）をピン留めに置き換え
+    (Array.isArray(data.posts) ? data.posts : []).forEach((post) => {
+      if (!post) return;
+      if (post.pinned === undefined && post.liked !== undefined) {
+        post.pinned = Boolean(post.liked);
+        post.pinnedAt = post.pinned ? post.likedAt ?? post.updatedAt ?? null : null;
+      }
+      delete post.liked;
+      delete post.likedAt;
+    });
+    return data;
+  },
+  2: (data) => {
+    // 話者は speaker_type から speaker に統一
+    [...(Array.isArray(data.posts) ? data.posts : []), ...(Array.isArray(data.replies) ? data.replies : [])]
+      .forEach((item) => {
+        (Array.isArray(item?.texts) ? item.texts : []).forEach((text) => {
+          if (text && !text.speaker) text.speaker = text.speaker_type || 'me';
+        });
+      });
+    return data;
+  },
+  3: (data) => {
+    // 削除済みとして残していたポストはリプライごとゴミ箱へ移す
+    if (!Array.isArray(data.posts)) return data;
+    const deleted = data.posts.filter((post) => post?.isDeleted);
+    if (!deleted.length) return data;
+    const replies = Array.isArray(data.replies) ? data.replies : [];
+    data.trash = Array.isArray(data.trash) ? data.trash : [];
+    deleted.forEach((post) => {
+      data.trash.push({
+        id: generateStableId('trash'),
+        type: 'post',
+        item: { ...post, isDeleted: false },
+        replies: replies.filter((reply) => reply?.postId === post.id),
+        cards: [],
+        links: [],
+        deletedAt: Date.now(),
+      });
+    });
+    data.posts = data.posts.filter((post) => !post?.isDeleted);
+    data.replies = replies.filter((reply) => !deleted.some((post) => post.id === reply?.postId));
+    return data;
+  },
+  4: (data) => {
+    // 1枚だけの imageId を、キャプション付きの images 配列に置き換え
+    const convert = (item) => {
+      if (!item || typeof item !== 'object') return;
+      if (!Array.isArray(item.images)) item.images = item.imageId ? [{ id: item.imageId, caption: '' }] : [];
+      delete item.imageId;
+    };
+    (Array.isArray(data.posts) ? data.posts : []).forEach(convert);
+    (Array.isArray(data.replies) ? data.replies : []).forEach(convert);
+    (Array.isArray(data.trash) ? data.trash : []).forEach((entry) => {
+      if (entry?.type !== 'puzzle') convert(entry?.item);
+      (Array.isArray(entry?.replies) ? entry.replies : []).forEach(convert);
+    });
+    return data;
+  },
+};
+
+function getDataVersion(data) {
+  const version = Number(data?.version);
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+function migrateData(data) {
+  let migrated = data;
+  for (let version = getDataVersion(data); version < DATA_VERSION; version += 1) {
+    migrated = DATA_MIGRATIONS[version](migrated);
+    migrated.version = version + 1;
+  }
+  return migrated;
+}
+
+const optional = (spec) => ({ $optional: spec });
+
+const PRACTICE_SCHEMA = optional([{ at: 'number', transcript: 'string', score: 'number' }]);
+const AUDIO_CLIP_SCHEMA = optional({ id: 'string', duration: 'number?', peaks: optional(['number']), start: 'number?', end: 'number?' });
+const TEXT_BLOCK_SCHEMA = {
+  content: 'string',
+  language: 'string',
+  pronunciation: 'string?',
+  speaker: 'string?',
+  practice: PRACTICE_SCHEMA,
+  audio: AUDIO_CLIP_SCHEMA,
+};
+const IMAGE_LIST_SCHEMA = optional([{ id: 'string', caption: 'string?' }]);
+const POST_REF_SCHEMA = {
+  postId: 'number|string?',
+  refId: 'string?',
+  replyId: 'number?',
+  textIndex: 'number?',
+};
+const DATA_SCHEMA = {
+  version: 'number',
+  lastId: 'number?',
+  posts: optional([{
+    id: 'number',
+    refId: 'string?',
+    texts: [TEXT_BLOCK_SCHEMA],
+    tags: optional(['string']),
+    createdAt: 'number',
+    updatedAt: 'number?',
+    images: IMAGE_LIST_SCHEMA,
+    audio: AUDIO_CLIP_SCHEMA,
+    pinned: 'boolean?',
+    sourceUrl: 'string?',
+    linkedPuzzleIds: optional(['string']),
+    thread: optional({ location: 'string?', occurredAt: 'string?', participants: optional(['string']) }),
+  }]),
+  replies: optional([{
+    id: 'number',
+    postId: 'number',
+    parentReplyId: 'number?',
+    refId: 'string?',
+    texts: [TEXT_BLOCK_SCHEMA],
+    createdAt: 'number',
+    updatedAt: 'number?',
+    images: IMAGE_LIST_SCHEMA,
+    audio: AUDIO_CLIP_SCHEMA,
+  }]),
+  puzzles: optional([{
+    id: 'string',
+    refId: 'string?',
+    text: 'string',
+    language: 'string?',
+    solution: optional({ content: 'string?', language: 'string?' }),
+    post: optional([POST_REF_SCHEMA]),
+    relatedPuzzleIds: optional(['string']),
+    notes: optional([{ text: 'string?' }]),
+    isSolved: 'boolean?',
+    tags: optional(['string']),
+    practice: PRACTICE_SCHEMA,
+    createdAt: 'number?',
+    updatedAt: 'number?',
+  }]),
+  cards: optional([{
+    id: 'string',
+    type: 'string',
+    source: POST_REF_SCHEMA,
+    createdAt: 'number',
+  }]),
+  trash: optional([{
+    id: 'string',
+    type: 'string',
+    item: {},
+    deletedAt: 'number',
+  }]),
+  savedSearches: optional([{
+    id: 'string',
+    name: 'string?',
+    query: 'string',
+    type: 'string?',
+    language: 'string?',
+    pinnedTo: optional(['string']),
+  }]),
+  settings: optional({}),
+  images: optional({}),
+};
+const SCHEMA_TYPE_LABELS = {
+  string: '文字列',
+  number: '数値',
+  boolean: '真偽値',
+};
+
+function validateSchemaValue(value, spec, path, errors) {
+  if (spec?.$optional) {
+    if (value === undefined || value === null) return;
+    validateSchemaValue(value, spec.$optional, path, errors);
+    return;
+  }
+  if (typeof spec === 'string') {
+    if (value === undefined || value === null) {
+      if (!spec.endsWith('?')) errors.push({ path, message: '必須項目です' });
+      return;
+    }
+    const types = spec.replace('?', '').split('|');
+    if (!types.includes(typeof value)) {
+      errors.push({ path, message: `${types.map((type) => SCHEMA_TYPE_LABELS[type]).join('または')}である必要があります` });
+    }
+    return;
+  }
+  if (Array.isArray(spec)) {
+    if (!Array.isArray(value)) {
+      errors.push({ path, message: '配列である必要があります' });
+      return;
+    }
+    value.forEach((item, index) => validateSchemaValue(item, spec[0], `${path}[${index}]`, errors));
+    return;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push({ path: path || '(root)', message: 'オブジェクトである必要があります' });
+    return;
+  }
+  Object.entries(spec).forEach(([key, fieldSpec]) => {
+    validateSchemaValue(value[key], fieldSpec, path ? `${path}.${key}` : key, errors);
+  });
+}
+
+function validateData(data) {
+  const errors = [];
+  validateSchemaValue(data, DATA_SCHEMA, '', errors);
+  if (errors.length) return errors;
 
-function loadData() {
+  ['posts', 'replies', 'puzzles', 'cards'].forEach((key) => {
+    const seen = new Set();
+    (data[key] || []).forEach((item, index) => {
+      if (seen.has(item.id)) errors.push({ path: `${key}[${index}].id`, message: `ID ${item.id} が重複しています` });
+      seen.add(item.id);
+    });
+  });
+  Object.entries(data.images || {}).forEach(([id, dataUrl]) => {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+      errors.push({ path: `images.${id}`, message: 'data URL である必要があります' });
+    }
+  });
+  return errors;
+}
+
+function normalizeLoadedData(parsed) {
+  return { ...defaultData(), ...migrateData(parsed) };
+}
+
+async function readLegacyData() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return null;
+  const parsed = JSON.parse(raw);
+  const envelope = getLockEnvelope(parsed);
+  if (!envelope) return normalizeLoadedData(parsed);
+  if (!state.lockKey) await unlockData(envelope);
+  return normalizeLoadedData(JSON.parse(await decryptText(state.lockKey, envelope)));
+}
+
+async function loadData() {
+  let migrated = false;
+  let storedSnapshot = null;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (parsed.version !== DATA_VERSION) {
-      state.data = { ...defaultData(), ...parsed, version: DATA_VERSION };
+    state.db = await openDatabase();
+    const lock = await readLockHeader(state.db);
+    if (lock) await unlockData(lock);
+    const stored = await readDatabase(state.db, state.lockKey);
+    if (stored) {
+      // スキーマ変換で変わった分を書き戻せるよう、変換前の内容を控えておく
+      storedSnapshot = createPersistedSnapshot(stored);
+      state.data = normalizeLoadedData(stored);
     } else {
-      state.data = parsed;
+      const legacy = await readLegacyData();
+      if (legacy) {
+        state.data = legacy;
+        migrated = true;
+      }
     }
   } catch (e) {
-    console.error('Failed to load data', e);
-    state.data = defaultData();
+    console.error('Failed to load data from IndexedDB, falling back to localStorage', e);
+    state.db = null;
+    try {
+      state.data = (await readLegacyData()) || defaultData();
+    } catch (err) {
+      console.error('Failed to load data', err);
+      state.data = defaultData();
+    }
+  }
+
+  ensureDataFields(state.data);
+
+  if (!state.db) return;
+  if (migrated) {
+    // 旧 localStorage データは IndexedDB への書き込みが完了してから削除する
+    persistData();
+    try {
+      await state.persistQueue;
+      if (state.persistedSnapshot) localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error('Failed to migrate localStorage data', e);
+    }
+  } else {
+    state.persistedSnapshot = storedSnapshot;
+    persistData();
+  }
+  requestPersistentStorage();
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (!('indexedDB' in window)) return Promise.reject(new Error('IndexedDB is not supported'));
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    DB_COLLECTIONS.forEach((name) => {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+    });
+    if (!db.objectStoreNames.contains(DB_IMAGE_STORE)) db.createObjectStore(DB_IMAGE_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(DB_META_STORE)) db.createObjectStore(DB_META_STORE);
+  };
+  return requestToPromise(request);
+}
+
+async function readDatabase(db, key = null) {
+  const tx = db.transaction([...DB_COLLECTIONS, DB_IMAGE_STORE, DB_META_STORE], 'readonly');
+  const [meta, imageRecords, ...collections] = await Promise.all([
+    requestToPromise(tx.objectStore(DB_META_STORE).get(DB_META_KEY)),
+    requestToPromise(tx.objectStore(DB_IMAGE_STORE).getAll()),
+    ...DB_COLLECTIONS.map((name) => requestToPromise(tx.objectStore(name).getAll())),
+  ]);
+  if (!meta && collections.every((items) => !items.length)) return null;
+
+  const images = {};
+  await Promise.all(imageRecords.map(async (record) => {
+    try {
+      const blob = record.sealed ? new Blob([await decryptBytes(key, record.sealed)], { type: record.type }) : record.blob;
+      images[record.id] = await readFileAsDataUrl(blob);
+    } catch (e) {
+      console.error('Failed to read stored image', record.id, e);
+    }
+  }));
+
+  const data = { ...((await openSealedRecord(meta, key)) || {}), images };
+  await Promise.all(DB_COLLECTIONS.map(async (name, index) => {
+    data[name] = await Promise.all(collections[index].map((record) => openSealedRecord(record, key)));
+  }));
+  return data;
+}
+
+function getMetaRecord(data) {
+  const meta = { ...data };
+  DB_COLLECTIONS.forEach((name) => delete meta[name]);
+  delete meta.images;
+  return meta;
+}
+
+function createPersistedSnapshot(data) {
+  const snapshot = { meta: JSON.stringify(getMetaRecord(data)), images: new Set(Object.keys(data.images || {})) };
+  DB_COLLECTIONS.forEach((name) => {
+    snapshot[name] = new Map((data[name] || []).map((item) => [item.id, JSON.stringify(item)]));
+  });
+  return snapshot;
+}
+
+function collectPendingChanges(data, snapshot, next = createPersistedSnapshot(data)) {
+  const changes = {
+    snapshot: next,
+    replaceAll: !snapshot,
+    meta: null,
+    puts: {},
+    deletes: {},
+    imagePuts: [],
+    imageDeletes: [],
+  };
+  let count = changes.replaceAll ? 1 : 0;
+
+  DB_COLLECTIONS.forEach((name) => {
+    const previous = snapshot?.[name] || new Map();
+    changes.puts[name] = [];
+    changes.deletes[name] = [];
+    next[name].forEach((serialized, id) => {
+      if (previous.get(id) !== serialized) changes.puts[name].push(JSON.parse(serialized));
+    });
+    previous.forEach((_, id) => {
+      if (!next[name].has(id)) changes.deletes[name].push(id);
+    });
+    count += changes.puts[name].length + changes.deletes[name].length;
+  });
+
+  next.images.forEach((id) => {
+    if (!snapshot?.images.has(id)) changes.imagePuts.push(id);
+  });
+  (snapshot?.images || new Set()).forEach((id) => {
+    if (!next.images.has(id)) changes.imageDeletes.push(id);
+  });
+  count += changes.imagePuts.length + changes.imageDeletes.length;
+
+  if (snapshot?.meta !== next.meta) {
+    changes.meta = JSON.parse(next.meta);
+    count += 1;
+  }
+
+  changes.count = count;
+  return changes;
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, body = ''] = dataUrl.split(',');
+  const mime = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  if (!/;base64$/i.test(header)) return new Blob([decodeURIComponent(body)], { type: mime });
+  const binary = atob(body);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mime });
+}
+
+async function writePendingChanges(db, changes, images, lock = null) {
+  // 暗号化は await を挟むので、トランザクションを開く前に済ませておく
+  const records = lock ? await sealPendingChanges(changes, images, lock.key) : {
+    puts: changes.puts,
+    imagePuts: changes.imagePuts.filter((id) => images[id]).map((id) => ({ id, blob: dataUrlToBlob(images[id]) })),
+    meta: changes.meta,
+  };
+  const tx = db.transaction([...DB_COLLECTIONS, DB_IMAGE_STORE, DB_META_STORE], 'readwrite');
+  const metaStore = tx.objectStore(DB_META_STORE);
+  if (changes.replaceAll) {
+    [...DB_COLLECTIONS, DB_IMAGE_STORE].forEach((name) => tx.objectStore(name).clear());
+    if (lock) metaStore.put(lock.header, DB_LOCK_KEY);
+    else metaStore.delete(DB_LOCK_KEY);
+  }
+  DB_COLLECTIONS.forEach((name) => {
+    const store = tx.objectStore(name);
+    records.puts[name].forEach((item) => store.put(item));
+    changes.deletes[name].forEach((id) => store.delete(id));
+  });
+  const imageStore = tx.objectStore(DB_IMAGE_STORE);
+  records.imagePuts.forEach((record) => imageStore.put(record));
+  changes.imageDeletes.forEach((id) => imageStore.delete(id));
+  if (records.meta) metaStore.put(records.meta, DB_META_KEY);
+  return transactionDone(tx);
+}
+
+function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return;
+  navigator.storage.persisted()
+    .then((persisted) => (persisted ? true : navigator.storage.persist()))
+    .catch((err) => console.warn('Persistent storage request failed', err));
+}
+
+// パスフレーズでの保護。鍵はパスフレーズから PBKDF2 で作り、データは1件ずつ AES-GCM で暗号化する。
+// 鍵そのものはどこにも保存せず、起動のたびにパスフレーズから作り直す
+function createLockHeader() {
+  return {
+    kind: LOCK_KIND,
+    version: LOCK_VERSION,
+    cipher: 'AES-GCM',
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: LOCK_KDF_ITERATIONS,
+      salt: bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+    },
+  };
+}
+
+// ファイルやパスフレーズの確認に使うのは暗号方式の情報だけ（check などは含めない）
+function getLockHeaderFields({ kind, version, cipher, kdf }) {
+  return { kind, version, cipher, kdf };
+}
+
+function getLockEnvelope(value) {
+  return value?.kind === LOCK_KIND && value.kdf && value.iv ? value : null;
+}
+
+function getLockContext() {
+  return state.lock && state.lockKey ? { header: state.lock, key: state.lockKey } : null;
+}
+
+async function deriveLockKey(passphrase, kdf) {
+  if (kdf?.name !== 'PBKDF2') throw new Error(`対応していない鍵の導出方式です: ${kdf?.name}`);
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, salt: base64UrlToBytes(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(LOCK_IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: bytesToBase64Url(iv), data };
+}
+
+async function decryptBytes(key, sealed) {
+  const data = typeof sealed.data === 'string' ? base64UrlToBytes(sealed.data) : sealed.data;
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(sealed.iv) }, key, data));
+}
+
+// 文字列は JSON にそのまま入れられるよう、暗号文も base64url の文字列にする
+async function encryptText(key, text) {
+  const sealed = await encryptBytes(key, new TextEncoder().encode(text));
+  return { iv: sealed.iv, data: bytesToBase64Url(new Uint8Array(sealed.data)) };
+}
+
+async function decryptText(key, sealed) {
+  return new TextDecoder().decode(await decryptBytes(key, sealed));
+}
+
+// 違うパスフレーズから作った鍵では AES-GCM の復号が失敗するので、それで確かめる
+async function verifyLockPassphrase(passphrase, header) {
+  const key = await deriveLockKey(passphrase, header.kdf);
+  await decryptText(key, header.check || header);
+  return key;
+}
+
+async function sealPendingChanges(changes, images, key) {
+  const puts = {};
+  await Promise.all(DB_COLLECTIONS.map(async (name) => {
+    puts[name] = await Promise.all(changes.puts[name].map(async (item) => ({
+      id: item.id,
+      sealed: await encryptText(key, JSON.stringify(item)),
+    })));
+  }));
+  const imagePuts = await Promise.all(changes.imagePuts.filter((id) => images[id]).map(async (id) => {
+    const blob = dataUrlToBlob(images[id]);
+    return { id, type: blob.type, sealed: await encryptBytes(key, await blob.arrayBuffer()) };
+  }));
+  const meta = changes.meta ? { sealed: await encryptText(key, JSON.stringify(changes.meta)) } : null;
+  return { puts, imagePuts, meta };
+}
+
+async function openSealedRecord(record, key) {
+  if (!record?.sealed) return record;
+  if (!key) throw new Error('ロックが解除されていません');
+  return JSON.parse(await decryptText(key, record.sealed));
+}
+
+function readLockHeader(db) {
+  const tx = db.transaction(DB_META_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(DB_META_STORE).get(DB_LOCK_KEY));
+}
+
+// 起動時は何も描画しないうちにこの画面を出し、パスフレーズが合うまで先に進まない
+async function unlockData(header) {
+  const key = await requestPassphrase({
+    title: 'ロックを解除',
+    message: 'データはパスフレーズで保護されています。',
+    submitLabel: '解除',
+    cancellable: false,
+    verify: (passphrase) => verifyLockPassphrase(passphrase, header),
+  });
+  const { iv, data, ...lock } = header;
+  state.lock = lock;
+  state.lockKey = key;
+  // ファイルの見出しから復元したときは確認用の暗号文がないので作っておく
+  if (!state.lock.check) state.lock.check = await encryptText(key, LOCK_CHECK_TEXT);
+  await unsealSyncState(key);
+}
+
+function requestPassphrase({ title, message, submitLabel = '開く', cancellable = true, verify }) {
+  const screen = document.getElementById('lock-screen');
+  return new Promise((resolve) => {
+    screen.innerHTML = '';
+    const form = document.createElement('form');
+    form.className = 'lock-form';
+    const heading = document.createElement('h2');
+    heading.className = 'lock-title';
+    heading.textContent = title;
+    const description = document.createElement('p');
+    description.className = 'helper';
+    description.textContent = message;
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'tag-input';
+    input.autocomplete = 'current-password';
+    input.placeholder = 'パスフレーズ';
+    input.required = true;
+    const error = document.createElement('p');
+    error.className = 'lock-error';
+    error.setAttribute('role', 'alert');
+    const actions = document.createElement('div');
+    actions.className = 'lock-actions';
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'import-button';
+    submitBtn.textContent = submitLabel;
+
+    const finish = (value) => {
+      screen.classList.add('hidden');
+      screen.innerHTML = '';
+      resolve(value);
+    };
+    if (cancellable) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'text-action-button';
+      cancelBtn.textContent = 'キャンセル';
+      cancelBtn.addEventListener('click', () => finish(null));
+      actions.appendChild(cancelBtn);
+    }
+    actions.appendChild(submitBtn);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submitBtn.disabled = true;
+      error.textContent = '';
+      try {
+        finish(await verify(input.value));
+      } catch (err) {
+        console.warn('Passphrase rejected', err);
+        error.textContent = 'パスフレーズが違います';
+        input.select();
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+    form.append(heading, description, input, error, actions);
+    screen.appendChild(form);
+    screen.classList.remove('hidden');
+    input.focus();
+  });
+}
+
+// 暗号化されたファイルなら、パスフレーズを聞いて中身の文字列を返す。やめたときは null
+async function openEncryptedText(text) {
+  if (!/"kind"\s*:\s*"uni-encrypted"/.test(text.slice(0, 200))) return text;
+  const envelope = getLockEnvelope(JSON.parse(text));
+  if (!envelope) return text;
+  // 今のパスフレーズで書き出したファイルなら聞かずに開く
+  const lock = getLockContext();
+  if (lock && lock.header.kdf.salt === envelope.kdf.salt) return decryptText(lock.key, envelope);
+  return requestPassphrase({
+    title: '暗号化されたファイル',
+    message: 'このファイルを書き出したときのパスフレーズを入力してください。',
+    verify: async (passphrase) => decryptText(await deriveLockKey(passphrase, envelope.kdf), envelope),
+  });
+}
+
+// 全件を今の鍵（保護を外したときは平文）で書き直す。IndexedDB ではロックの見出しも同じトランザクションで書く
+async function rewriteLockedData() {
+  state.persistedSnapshot = null;
+  persistData();
+  saveSyncState();
+  await state.persistQueue;
+  if (state.db && !state.persistedSnapshot) throw new Error('データの書き直しに失敗しました');
+}
+
+async function enableDataLock(passphrase) {
+  const header = createLockHeader();
+  const key = await deriveLockKey(passphrase, header.kdf);
+  header.check = await encryptText(key, LOCK_CHECK_TEXT);
+  state.lock = header;
+  state.lockKey = key;
+  await rewriteLockedData();
+}
+
+async function disableDataLock() {
+  state.lock = null;
+  state.lockKey = null;
+  await rewriteLockedData();
+}
+
+function validateNewPassphrase(passphrase, confirmation) {
+  if (passphrase.length < LOCK_MIN_PASSPHRASE_LENGTH) return `パスフレーズは${LOCK_MIN_PASSPHRASE_LENGTH}文字以上にしてください`;
+  if (passphrase !== confirmation) return '確認用のパスフレーズが一致しません';
+  return null;
+}
+
+function openLockSettingsModal() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section lock-settings';
+  const createPassphraseField = (label, autocomplete) => {
+    const section = document.createElement('div');
+    section.className = 'modal-tag-section';
+    const labelNode = document.createElement('label');
+    labelNode.className = 'tag-label';
+    labelNode.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'tag-input';
+    input.autocomplete = autocomplete;
+    input.setAttribute('aria-label', label);
+    section.append(labelNode, input);
+    return { section, input };
+  };
+  const status = document.createElement('p');
+  status.className = 'helper';
+  status.setAttribute('role', 'status');
+  const runAction = async (button, action, doneMessage) => {
+    button.disabled = true;
+    status.textContent = '暗号化し直しています…';
+    try {
+      await action();
+      openLockSettingsModal();
+      showToast(doneMessage);
+    } catch (err) {
+      console.error('Failed to update lock', err);
+      status.textContent = err.message;
+      button.disabled = false;
+    }
+  };
+
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = state.lock
+    ? 'この端末のデータはパスフレーズで暗号化されています。パスフレーズを忘れると元に戻せません。'
+    : '端末に保存するデータをパスフレーズで暗号化し、起動時に入力を求めます。パスフレーズを忘れると元に戻せません。';
+  // 同期の相手は別のパスフレーズを使うことがあるので、サーバーや他の端末へ送る差分は暗号化しない
+  const remoteNote = document.createElement('p');
+  remoteNote.className = 'helper lock-remote-note';
+  remoteNote.textContent = '暗号化されるのはこの端末に保存するデータだけです。サーバー同期（REST・WebDAV）や端末間の同期で送る内容は暗号化されず、同期先にはそのまま保存されます。';
+  container.append(helper, remoteNote);
+
+  const current = state.lock ? createPassphraseField('今のパスフレーズ', 'current-password') : null;
+  const next = createPassphraseField(state.lock ? '新しいパスフレーズ' : 'パスフレーズ', 'new-password');
+  const confirmation = createPassphraseField('もう一度入力', 'new-password');
+  const actions = document.createElement('div');
+  actions.className = 'header-actions';
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'import-button';
+  submitBtn.textContent = state.lock ? 'パスフレーズを変更' : '保護を有効にする';
+  submitBtn.addEventListener('click', () => {
+    const problem = validateNewPassphrase(next.input.value, confirmation.input.value);
+    if (problem) {
+      status.textContent = problem;
+      return;
+    }
+    runAction(submitBtn, async () => {
+      if (state.lock) await verifyLockPassphrase(current.input.value, state.lock).catch(() => {
+        throw new Error('今のパスフレーズが違います');
+      });
+      await enableDataLock(next.input.value);
+    }, state.lock ? 'パスフレーズを変更しました' : 'パスフレーズでの保護を有効にしました');
+  });
+  actions.appendChild(submitBtn);
+
+  if (state.lock) {
+    const disableBtn = document.createElement('button');
+    disableBtn.type = 'button';
+    disableBtn.className = 'text-action-button';
+    disableBtn.textContent = '保護を解除';
+    disableBtn.addEventListener('click', () => {
+      if (!confirm('暗号化をやめて、データを平文で保存し直しますか？')) return;
+      runAction(disableBtn, async () => {
+        await verifyLockPassphrase(current.input.value, state.lock).catch(() => {
+          throw new Error('今のパスフレーズが違います');
+        });
+        await disableDataLock();
+      }, 'パスフレーズでの保護を解除しました');
+    });
+    const lockNowBtn = document.createElement('button');
+    lockNowBtn.type = 'button';
+    lockNowBtn.className = 'text-action-button';
+    lockNowBtn.textContent = '今すぐロック';
+    lockNowBtn.addEventListener('click', async () => {
+      await state.persistQueue.catch(() => {});
+      location.reload();
+    });
+    actions.append(disableBtn, lockNowBtn);
   }
 
-  ensureSpeakerFields(state.data);
-  ensureReplyFields(state.data);
-  ensurePostFields(state.data);
-  ensurePuzzleFields(state.data);
+  const exportLabel = document.createElement('label');
+  exportLabel.className = 'helper';
+  const exportInput = document.createElement('input');
+  exportInput.type = 'checkbox';
+  exportInput.checked = localStorage.getItem(ENCRYPT_EXPORTS_KEY) !== 'off';
+  exportInput.addEventListener('change', () => localStorage.setItem(ENCRYPT_EXPORTS_KEY, exportInput.checked ? 'on' : 'off'));
+  exportLabel.append(exportInput, ' 保護中はエクスポートするファイルも暗号化する');
+
+  if (current) container.appendChild(current.section);
+  container.append(next.section, confirmation.section, exportLabel, actions, status);
+  openModal(container, 'パスフレーズで保護');
 }
 
 function findPuzzleByIdentifier(identifier) {
@@ -111,9 +1001,249 @@ function findPuzzleByIdentifier(identifier) {
   return state.data.puzzles.find((puzzle) => puzzle.id === identifier || puzzle.refId === identifier) || null;
 }
 
-function persistData() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state.data));
-  enforceStorageLimit();
+// runMutation で作ったばかりの snapshot があれば受け取り、同じ内容をもう一度 JSON にしない
+function persistData(nextSnapshot = null) {
+  // データから作る索引やグラフは dataRevision が変わったら作り直す
+  state.dataRevision += 1;
+  state.linkIndex = null;
+  scheduleRemoteSync();
+  // 鍵は呼ばれた時点のものを使う（書き込み待ちのあいだにパスフレーズが変わっても、順に書けば最後は新しい鍵にそろう）
+  const lock = getLockContext();
+  if (!state.db) {
+    const { serialized, trimmed } = enforceStorageLimit(lock ? (text) => estimateSealedLength(text, lock.header) : undefined);
+    // 容量に収めるために画像を外したときは、渡されたスナップショットがもう古い
+    updateSearchIndex(nextSnapshot && !trimmed ? nextSnapshot : createPersistedSnapshot(state.data));
+    if (!lock) {
+      try {
+        localStorage.setItem(STORAGE_KEY, serialized);
+      } catch (err) {
+        // runMutation の「〜しました」より後に出すため、書き込み待ちの列に並べる
+        state.persistQueue = state.persistQueue.then(() => reportPersistError(err));
+      }
+      return state.persistQueue;
+    }
+    state.persistQueue = state.persistQueue
+      .then(() => encryptText(lock.key, serialized))
+      .then((sealed) => localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...lock.header, ...sealed })))
+      .catch(reportPersistError);
+    return state.persistQueue;
+  }
+
+  // 前回書き込んだ内容との差分だけを IndexedDB に書き込む
+  const changes = collectPendingChanges(state.data, state.persistedSnapshot, nextSnapshot || undefined);
+  if (!changes.count) return state.persistQueue;
+  state.persistedSnapshot = changes.snapshot;
+  updateSearchIndex(changes.snapshot);
+  const images = { ...state.data.images };
+  state.persistQueue = state.persistQueue
+    .then(() => writePendingChanges(state.db, changes, images, lock))
+    .catch((err) => {
+      reportPersistError(err);
+      // 次回の保存で全件を書き直す
+      state.persistedSnapshot = null;
+    });
+  return state.persistQueue;
+}
+
+// タグは「travel/seoul」のように / で階層にできる。親タグで検索すると子タグも当たる
+const TAG_CHARS = '[\\p{L}\\p{N}_-]+';
+const TAG_PATTERN = new RegExp(`#(${TAG_CHARS}(?:/${TAG_CHARS})*)`, 'gu');
+
+function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '_')
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/+|\/+$/g, '');
+}
+
+const isTagWithin = (tag, parent) => tag === parent || tag.startsWith(`${parent}/`);
+
+function getTagParents(tag) {
+  const parts = tag.split('/');
+  return parts.slice(1).map((_, index) => parts.slice(0, index + 1).join('/'));
+}
+
+function collectTagUsage() {
+  const usage = new Map();
+  const count = (tags, key) => {
+    new Set(tags || []).forEach((tag) => {
+      if (!usage.has(tag)) usage.set(tag, { posts: 0, puzzles: 0 });
+      usage.get(tag)[key] += 1;
+    });
+  };
+  state.data.posts.forEach((post) => count(post.tags, 'posts'));
+  state.data.replies.forEach((reply) => count(reply.tags, 'posts'));
+  state.data.puzzles.forEach((puzzle) => count(puzzle.tags, 'puzzles'));
+  return usage;
+}
+
+function renameTagValue(tag, from, to) {
+  return isTagWithin(tag, from) ? `${to}${tag.slice(from.length)}` : tag;
+}
+
+// 本文中の #from と #from/子タグ を書き換える（#fromage のような別のタグは対象外）
+function rewriteInlineTags(text, from, to) {
+  if (!text) return text;
+  const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`#${escaped}(?![\\p{L}\\p{N}_-])`, 'gu'), `#${to}`);
+}
+
+function renameTag(from, to) {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+  if (!source || !target || source === target) return;
+  if (isTagWithin(target, source)) {
+    showToast('タグを自分の子タグには移動できません');
+    return;
+  }
+  const merging = collectTagUsage().has(target);
+  const now = Date.now();
+  const renameTags = (tags) => Array.from(new Set((tags || []).map((tag) => renameTagValue(tag, source, target))));
+  const rewriteTexts = (texts) => (texts || []).forEach((text) => {
+    text.content = rewriteInlineTags(text.content, source, target);
+  });
+  const touches = (item) => (item.tags || []).some((tag) => isTagWithin(tag, source));
+  const renamePostTags = (item) => {
+    if (!touches(item)) return;
+    item.tags = renameTags(item.tags);
+    rewriteTexts(item.texts);
+    item.updatedAt = now;
+  };
+  const renamePuzzleTags = (puzzle) => {
+    if (!touches(puzzle)) return;
+    puzzle.tags = renameTags(puzzle.tags);
+    puzzle.text = rewriteInlineTags(puzzle.text, source, target);
+    (puzzle.notes || []).forEach((note) => {
+      note.text = rewriteInlineTags(note.text, source, target);
+    });
+    puzzle.updatedAt = now;
+  };
+
+  runMutation(merging ? `#${source} を #${target} に統合` : `#${source} を #${target} に変更`, () => {
+    [...state.data.posts, ...state.data.replies].forEach(renamePostTags);
+    state.data.puzzles.forEach(renamePuzzleTags);
+    // ゴミ箱から戻したときに古いタグが復活しないよう、削除済みの項目も書き換える
+    state.data.trash.forEach((entry) => {
+      if (entry.type === 'puzzle') renamePuzzleTags(entry.item);
+      else renamePostTags(entry.item);
+      (entry.replies || []).forEach(renamePostTags);
+    });
+    state.data.savedSearches.forEach((saved) => {
+      const query = rewriteInlineTags(saved.query, source, target);
+      if (query === saved.query) return;
+      saved.query = query;
+      saved.updatedAt = now;
+    });
+  });
+}
+
+function searchByTag(tag) {
+  document.querySelector('.tabs button[data-tab="search"]').click();
+  document.getElementById('search-input').value = `#${tag}`;
+  runSearch();
+}
+
+function buildTagBrowser() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section tag-browser';
+  const usage = collectTagUsage();
+  if (!usage.size) {
+    container.innerHTML = '<div class="empty-state">タグがありません。</div>';
+    return container;
+  }
+
+  // 子タグだけが使われている親も、ツリーの節として表示する
+  const allTags = new Set(usage.keys());
+  usage.forEach((_, tag) => getTagParents(tag).forEach((parent) => allTags.add(parent)));
+  const sortedTags = Array.from(allTags).sort((a, b) => a.localeCompare(b));
+
+  const filterInput = document.createElement('input');
+  filterInput.className = 'tag-input';
+  filterInput.placeholder = 'タグを絞り込む';
+  const datalist = document.createElement('datalist');
+  datalist.id = 'tag-browser-options';
+  sortedTags.forEach((tag) => {
+    const option = document.createElement('option');
+    option.value = tag;
+    datalist.appendChild(option);
+  });
+  const list = document.createElement('div');
+  list.className = 'tag-browser-list';
+  container.append(filterInput, datalist, list);
+
+  const renderRows = () => {
+    const keyword = normalizeSearchText(filterInput.value.replace(/^#/, ''));
+    list.innerHTML = '';
+    sortedTags
+      .filter((tag) => !keyword || normalizeSearchText(tag).includes(keyword))
+      .forEach((tag) => {
+        const direct = usage.get(tag) || { posts: 0, puzzles: 0 };
+        const descendants = sortedTags.filter((other) => other !== tag && isTagWithin(other, tag));
+        const row = document.createElement('div');
+        row.className = 'tag-browser-item';
+        row.style.paddingLeft = `${(tag.split('/').length - 1) * 16}px`;
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'tag';
+        name.textContent = `#${tag.split('/').pop()}`;
+        name.title = `#${tag}`;
+        name.addEventListener('click', () => {
+          closeModal();
+          searchByTag(tag);
+        });
+
+        const counts = document.createElement('span');
+        counts.className = 'helper tag-browser-counts';
+        counts.textContent = `ポスト ${direct.posts} / 謎 ${direct.puzzles}`;
+        if (descendants.length) counts.textContent += `（子タグ ${descendants.length}）`;
+
+        const renameBtn = document.createElement('button');
+        renameBtn.type = 'button';
+        renameBtn.className = 'card-action-button';
+        renameBtn.innerHTML = '<img src="img/edit.svg" alt="名前を変更・統合" width="20" class="icon-inline">';
+
+        const editor = document.createElement('div');
+        editor.className = 'tag-browser-editor hidden';
+        const renameInput = document.createElement('input');
+        renameInput.className = 'tag-input';
+        renameInput.value = tag;
+        renameInput.setAttribute('list', datalist.id);
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.className = 'primary-button tag-browser-apply';
+        const updateApplyLabel = () => {
+          const target = normalizeTag(renameInput.value);
+          applyBtn.textContent = target !== tag && usage.has(target) ? '統合' : '変更';
+        };
+        updateApplyLabel();
+        renameInput.addEventListener('input', updateApplyLabel);
+        applyBtn.addEventListener('click', () => {
+          const target = normalizeTag(renameInput.value);
+          if (!target || target === tag) return;
+          if (usage.has(target) && !confirm(`#${tag} を #${target} に統合しますか？本文中の #${tag} も書き換えます。`)) return;
+          renameTag(tag, target);
+          openTagBrowserModal();
+        });
+        editor.append(renameInput, applyBtn);
+        renameBtn.addEventListener('click', () => {
+          editor.classList.toggle('hidden');
+          renameInput.focus();
+        });
+
+        row.append(name, counts, renameBtn, editor);
+        list.appendChild(row);
+      });
+  };
+  filterInput.addEventListener('input', renderRows);
+  renderRows();
+  return container;
+}
+
+function openTagBrowserModal() {
+  openModal(buildTagBrowser(), 'タグ');
 }
 
 function nextId() {
@@ -123,12 +1253,8 @@ function nextId() {
 
 function extractTags(texts) {
   const tagSet = new Set();
-  const regex = /#([\p{L}\p{N}_-]+)/gu;
   texts.forEach((t) => {
-    let m;
-    while ((m = regex.exec(t.content))) {
-      tagSet.add(m[1]);
-    }
+    Array.from(t.content?.matchAll(TAG_PATTERN) || []).forEach((m) => tagSet.add(m[1]));
   });
   return Array.from(tagSet);
 }
@@ -173,24 +1299,249 @@ async function resizeIfNeeded(dataUrl) {
   });
 }
 
-function ensureImageId(dataUrl) {
+function ensureImageId(dataUrl, prefix = 'img') {
   // deduplicate identical images
   for (const [id, stored] of Object.entries(state.data.images)) {
     if (stored === dataUrl) return id;
   }
-  const id = `img-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const id = `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
   state.data.images[id] = dataUrl;
   return id;
 }
 
-function ensureRefIds(items = [], prefix) {
-  items.forEach((item) => {
-    if (!item.refId) item.refId = generateStableId(prefix);
-  });
-}
+// フォーム用の画像リスト。並べ替え・キャプション・文字の読み取りができる
+function createImageListEditor(images = [], { onRecognize = null } = {}) {
+  const wrap = document.createElement('div');
+  wrap.className = 'image-list-editor';
+  let entries = images
+    .filter((image) => state.data.images[image.id])
+    .map((image) => ({ id: image.id, src: state.data.images[image.id], caption: image.caption || '' }));
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= entries.length) return;
+    [entries[index], entries[target]] = [entries[target], entries[index]];
+    render();
+  };
 
-function ensureSpeakerFields(data) {
-  const sync = (items = []) => {
+  const createOcrLanguageRow = () => {
+    const row = document.createElement('div');
+    row.className = 'image-ocr-languages';
+    const label = document.createElement('span');
+    label.className = 'helper';
+    label.textContent = '読み取る言語';
+    row.appendChild(label);
+    const current = getOcrLanguages();
+    const inputs = getOcrLanguageOptions().map((opt) => {
+      const wrapper = document.createElement('label');
+      wrapper.className = 'helper';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = opt.value;
+      checkbox.checked = current.includes(opt.value);
+      checkbox.addEventListener('change', () => setOcrLanguages(inputs.filter((input) => input.checked).map((input) => input.value)));
+      wrapper.append(checkbox, ` ${opt.label}`);
+      row.appendChild(wrapper);
+      return checkbox;
+    });
+    return row;
+  };
+
+  const render = () => {
+    wrap.replaceChildren();
+    if (onRecognize && entries.length && getOcrLanguageOptions().length) wrap.appendChild(createOcrLanguageRow());
+    entries.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'image-list-item';
+      const preview = document.createElement('div');
+      preview.className = 'image-preview';
+      const img = document.createElement('img');
+      img.src = entry.src;
+      img.alt = `選択中の画像 ${index + 1}`;
+      img.className = 'image-preview-img';
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-image-btn';
+      removeBtn.innerHTML = '<img src="img/delete.svg" alt="画像を削除" width="30" class="remove-image-icon icon-inline">';
+      removeBtn.addEventListener('click', () => {
+        entries.splice(index, 1);
+        render();
+      });
+      preview.append(img, removeBtn);
+
+      const fields = document.createElement('div');
+      fields.className = 'image-list-fields';
+      const captionInput = document.createElement('input');
+      captionInput.type = 'text';
+      captionInput.className = 'tag-input';
+      captionInput.placeholder = 'キャプション';
+      captionInput.value = entry.caption;
+      captionInput.addEventListener('input', () => {
+        entry.caption = captionInput.value;
+      });
+      const controls = document.createElement('div');
+      controls.className = 'image-list-controls';
+      const createControl = (label, ariaLabel, onClick, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'text-action-button';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', ariaLabel);
+        btn.disabled = disabled;
+        btn.addEventListener('click', () => onClick(btn));
+        return btn;
+      };
+      controls.append(
+        createControl('←', '前へ移動', () => move(index, -1), index === 0),
+        createControl('→', '後ろへ移動', () => move(index, 1), index === entries.length - 1),
+      );
+      if (onRecognize) {
+        controls.appendChild(createControl('文字を読む', '画像の文字をテキストにする', async (btn) => {
+          btn.disabled = true;
+          btn.textContent = '読み取り中…';
+          try {
+            await onRecognize(entry.src);
+          } catch (err) {
+            console.error('Failed to recognize text', err);
+            alert(err.message || '文字を読み取れませんでした。');
+          } finally {
+            btn.disabled = false;
+            btn.textContent = '文字を読む';
+          }
+        }));
+      }
+      fields.append(captionInput, controls);
+      item.append(preview, fields);
+      wrap.appendChild(item);
+    });
+    wrap.classList.toggle('hidden', !entries.length);
+  };
+
+  const addFiles = async (files) => {
+    const room = POST_IMAGE_LIMIT - entries.length;
+    const accepted = Array.from(files).slice(0, Math.max(0, room));
+    if (files.length > accepted.length) alert(`画像は${POST_IMAGE_LIMIT}枚までです。`);
+    for (const file of accepted) {
+      const dataUrl = await resizeIfNeeded(await readFileAsDataUrl(file));
+      entries.push({ id: null, src: dataUrl, caption: '' });
+    }
+    render();
+  };
+
+  render();
+  return {
+    element: wrap,
+    addFiles,
+    getValue: () => entries.map((entry) => ({ id: entry.id, src: entry.src, caption: entry.caption.trim() })),
+  };
+}
+
+function storeImageList(entries) {
+  return entries.map((entry) => ({ id: entry.id || ensureImageId(entry.src), caption: entry.caption }));
+}
+
+function loadOcrEngine() {
+  if (window.Tesseract) return Promise.resolve(window.Tesseract);
+  if (!state.ocrEngine) {
+    state.ocrEngine = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = OCR_SCRIPT_URL;
+      script.onload = () => (window.Tesseract ? resolve(window.Tesseract) : reject(new Error('文字認識を読み込めませんでした。')));
+      script.onerror = () => {
+        state.ocrEngine = null;
+        reject(new Error('文字認識を読み込めませんでした。'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return state.ocrEngine;
+}
+
+function getOcrLanguageCode(value = '') {
+  return OCR_LANGUAGE_CODES[value] || OCR_LANGUAGE_CODES[value.split('-')[0]] || null;
+}
+
+// 文字の種類から、設定済みの言語のどれかを推定する
+function detectTextLanguage(text) {
+  const options = getLanguageOptions();
+  const findBase = (...bases) => options.find((opt) => bases.includes(opt.value.split('-')[0]))?.value;
+  if (/\p{Script=Hangul}/u.test(text)) return findBase('ko') || getDefaultLanguage();
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return findBase('ja') || getDefaultLanguage();
+  if (/\p{Script=Han}/u.test(text)) return findBase('zh', 'ja') || getDefaultLanguage();
+  if (/\p{Script=Cyrillic}/u.test(text)) return findBase('ru') || getDefaultLanguage();
+  if (/\p{Script=Thai}/u.test(text)) return findBase('th') || getDefaultLanguage();
+  if (/\p{Script=Latin}/u.test(text)) {
+    return options.find((opt) => !['ja', 'ko', 'zh', 'ru', 'th'].includes(opt.value.split('-')[0]))?.value || getDefaultLanguage();
+  }
+  return getDefaultLanguage();
+}
+
+// 段落ごと、さらに言語が切り替わる行ごとに下書きのテキストに分ける
+function splitRecognizedText(text = '') {
+  const blocks = [];
+  text.split(/\n\s*\n/).forEach((paragraph) => {
+    let current = null;
+    paragraph.split('\n').forEach((rawLine) => {
+      // 日本語・中国語の文字間に入る余計な空白を詰める
+      const line = rawLine
+        .replace(/([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー])\s+(?=[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー])/gu, '$1')
+        .trim();
+      if (!/\p{L}/u.test(line)) return;
+      const language = detectTextLanguage(line);
+      if (current?.language === language) {
+        current.content += `\n${line}`;
+      } else {
+        current = { content: line, language };
+        blocks.push(current);
+      }
+    });
+  });
+  return blocks;
+}
+
+const getOcrLanguageOptions = () => getLanguageOptions().filter((opt) => getOcrLanguageCode(opt.value));
+
+// 読み取りに使う言語。選んだ言語のデータだけを読み込む。選んでいなければ母語と最初の学習言語
+function getOcrLanguages() {
+  const options = getOcrLanguageOptions();
+  const selected = options.filter((opt) => (state.data.settings?.ocrLanguages || []).includes(opt.value));
+  if (selected.length) return selected.map((opt) => opt.value);
+  return options.filter((opt) => opt.value === getDefaultLanguage() || opt === options.find((item) => item.role === 'target'))
+    .map((opt) => opt.value);
+}
+
+function setOcrLanguages(values) {
+  state.data.settings.ocrLanguages = values;
+  persistData();
+}
+
+async function recognizeImageText(src) {
+  const Tesseract = await loadOcrEngine();
+  const codes = Array.from(new Set(getOcrLanguages().map(getOcrLanguageCode)));
+  // worker の中で読むファイルもあるので、ページからの相対ではなく絶対 URL で渡す
+  const resolvePath = (path) => new URL(path, document.baseURI).href;
+  const worker = await Tesseract.createWorker(codes.length ? codes : ['eng'], 1, {
+    workerPath: resolvePath(OCR_WORKER_PATH),
+    corePath: resolvePath(OCR_CORE_PATH),
+    langPath: resolvePath(OCR_LANG_PATH),
+    workerBlobURL: false,
+  });
+  try {
+    const { data } = await worker.recognize(src);
+    return splitRecognizedText(data?.text || '');
+  } finally {
+    await worker.terminate();
+  }
+}
+
+function ensureRefIds(items = [], prefix) {
+  items.forEach((item) => {
+    if (!item.refId) item.refId = generateStableId(prefix);
+  });
+}
+
+function ensureSpeakerFields(data) {
+  const sync = (items = []) => {
     items.forEach((item) => {
       (item.texts || []).forEach((text) => {
         const speaker = text.speaker || text.speaker_type || 'me';
@@ -215,13 +1566,105 @@ function ensurePostFields(data) {
     delete post.liked;
     delete post.likedAt;
 
+    if (!Array.isArray(post.tags)) post.tags = extractTags(post.texts || []);
     if (post.sourceUrl === undefined) post.sourceUrl = null;
     if (!Array.isArray(post.linkedPuzzleIds)) post.linkedPuzzleIds = [];
+    post.images = normalizeItemImages(post.images);
+    post.thread = normalizeThreadMeta(post.thread);
   });
 }
 
+function normalizeItemImages(images) {
+  return (Array.isArray(images) ? images : [])
+    .filter((image) => typeof image?.id === 'string')
+    .map((image) => ({ id: image.id, caption: String(image.caption || '') }));
+}
+
+// 会話の場所・実際の日付・参加者。何も入っていなければ null にしておく
+function normalizeThreadMeta(meta) {
+  if (!meta || typeof meta !== 'object') return null;
+  const location = String(meta.location || '').trim();
+  const occurredAt = /^\d{4}-\d{2}-\d{2}$/.test(meta.occurredAt) ? meta.occurredAt : '';
+  const participants = Array.isArray(meta.participants)
+    ? Array.from(new Set(meta.participants.map((name) => String(name).trim()).filter(Boolean)))
+    : [];
+  if (!location && !occurredAt && !participants.length) return null;
+  return { location, occurredAt, participants };
+}
+
+function ensureTrashFields(data) {
+  if (!data) return;
+  data.trash = (Array.isArray(data.trash) ? data.trash : [])
+    .filter((entry) => entry?.id && entry.item && ['post', 'reply', 'puzzle'].includes(entry.type))
+    .map((entry) => ({
+      ...entry,
+      replies: Array.isArray(entry.replies) ? entry.replies : [],
+      cards: Array.isArray(entry.cards) ? entry.cards : [],
+      links: Array.isArray(entry.links) ? entry.links : [],
+      deletedAt: entry.deletedAt || Date.now(),
+    }));
+}
+
+function ensureDataFields(data) {
+  ensureSettings(data);
+  ensureSavedSearchFields(data);
+  ensureTrashFields(data);
+  ensureSpeakerFields(data);
+  ensureReplyFields(data);
+  ensurePostFields(data);
+  ensurePuzzleFields(data);
+  ensureStudyCardFields(data);
+}
+
+function ensureSavedSearchFields(data) {
+  if (!data) return;
+  data.savedSearches = (Array.isArray(data.savedSearches) ? data.savedSearches : [])
+    .filter((saved) => saved?.id && typeof saved.query === 'string')
+    .map((saved) => ({
+      ...saved,
+      name: String(saved.name || saved.query),
+      type: ['all', 'clue', 'puzzle'].includes(saved.type) ? saved.type : 'all',
+      language: saved.language || 'all',
+      pinnedTo: (Array.isArray(saved.pinnedTo) ? saved.pinnedTo : []).filter((place) => SAVED_SEARCH_PLACES[place]),
+      updatedAt: saved.updatedAt || saved.createdAt || 0,
+    }));
+}
+
 function ensureReplyFields(data) {
   ensureRefIds(data?.replies, 'reply');
+  (data?.replies || []).forEach((reply) => {
+    if (!Number.isInteger(reply.parentReplyId)) reply.parentReplyId = null;
+    reply.images = normalizeItemImages(reply.images);
+  });
+}
+
+// 返信の木。親が見つからない（ゴミ箱にある）返信や、親より前に書かれた返信は最上位に並べる
+function getReplyTree(postId) {
+  const replies = state.data.replies
+    .filter((reply) => reply.postId === postId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const nodes = new Map(replies.map((reply, order) => [reply.id, { reply, order, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = nodes.get(node.reply.parentReplyId);
+    if (parent && parent.order < node.order) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+}
+
+function countReplyDescendants(node) {
+  return node.children.reduce((sum, child) => sum + 1 + countReplyDescendants(child), 0);
+}
+
+function expandReplyAncestors(reply) {
+  let current = reply;
+  const seen = new Set();
+  while (current?.parentReplyId !== null && current?.parentReplyId !== undefined && !seen.has(current.id)) {
+    seen.add(current.id);
+    state.collapsedReplyIds.delete(current.parentReplyId);
+    current = state.data.replies.find((item) => item.id === current.parentReplyId);
+  }
 }
 
 function getStartOfDay(ts = Date.now()) {
@@ -230,47 +1673,206 @@ function getStartOfDay(ts = Date.now()) {
   return d.getTime();
 }
 
-function ensurePuzzleReview(puzzle) {
-  const now = Date.now();
-  const baseReview = { ...defaultReview(), ...(puzzle.review || {}) };
-  const solvedAt = puzzle.solvedAt || puzzle.updatedAt || puzzle.createdAt || now;
-  if (puzzle.isSolved && !baseReview.nextReviewDate) {
-    baseReview.nextReviewDate = getStartOfDay(solvedAt);
+function addDays(ts, days) {
+  const d = new Date(getStartOfDay(ts));
+  d.setDate(d.getDate() + days);
+  return d.getTime();
+}
+
+function ensureSettings(data) {
+  if (!data) return;
+  const defaults = defaultSettings();
+  const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+  settings.review = { ...defaults.review, ...(settings.review || {}) };
+  const retention = Number(settings.review.targetRetention);
+  settings.review.targetRetention = retention > 0 && retention < 1 ? retention : DEFAULT_TARGET_RETENTION;
+  settings.languages = normalizeLanguages(settings.languages);
+  settings.speech = normalizeSpeechSettings(settings.speech);
+  settings.ocrLanguages = (Array.isArray(settings.ocrLanguages) ? settings.ocrLanguages : [])
+    .filter((value) => settings.languages.some((lang) => lang.value === value));
+  settings.goals = normalizeGoalSettings(settings.goals);
+  data.settings = settings;
+}
+
+function normalizeSpeechSettings(speech) {
+  const source = speech && typeof speech === 'object' ? speech : {};
+  const rate = Number(source.rate);
+  const pitch = Number(source.pitch);
+  const speakerVoices = {};
+  Object.entries(source.speakerVoices || {}).forEach(([speaker, voices]) => {
+    const entries = Object.entries(voices || {}).filter(([, name]) => typeof name === 'string' && name);
+    if (entries.length) speakerVoices[speaker] = Object.fromEntries(entries);
+  });
+  return {
+    rate: SPEECH_RATE_PRESETS.includes(rate) ? rate : 1,
+    pitch: pitch >= 0.5 && pitch <= 2 ? pitch : 1,
+    speakerVoices,
+  };
+}
+
+function normalizeLanguages(languages) {
+  if (!Array.isArray(languages) || !languages.length) return defaultSettings().languages;
+  const seen = new Set();
+  const normalized = languages
+    .filter((lang) => typeof lang?.value === 'string' && LANGUAGE_CODE_PATTERN.test(lang.value))
+    .filter((lang) => !seen.has(lang.value) && seen.add(lang.value))
+    .map((lang) => ({
+      value: lang.value,
+      label: String(lang.label || lang.value).trim() || lang.value,
+      color: /^#[0-9a-f]{6}$/i.test(lang.color) ? lang.color : '#57A8FF',
+      voice: typeof lang.voice === 'string' ? lang.voice : '',
+      role: lang.role === 'native' ? 'native' : 'target',
+    }));
+  return normalized.length ? normalized : defaultSettings().languages;
+}
+
+function getTargetRetention() {
+  return state.data.settings?.review?.targetRetention || DEFAULT_TARGET_RETENTION;
+}
+
+function normalizeReviewGrade(value) {
+  if (value === 'known') return 'good';
+  if (value === 'unknown') return 'again';
+  return REVIEW_GRADES.includes(value) ? value : null;
+}
+
+function normalizeReviewHistory(history = []) {
+  return (Array.isArray(history) ? history : [])
+    .map((entry) => {
+      const grade = normalizeReviewGrade(entry?.grade ?? entry?.result);
+      const reviewedAt = Number(entry?.reviewedAt ?? entry?.date);
+      if (!grade || !Number.isFinite(reviewedAt)) return null;
+      return { date: getStartOfDay(reviewedAt), reviewedAt, grade };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.reviewedAt - b.reviewedAt);
+}
+
+function clampNumber(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function getInitialDifficulty(gradeValue) {
+  return clampNumber(FSRS_WEIGHTS[4] - (gradeValue - 3) * FSRS_WEIGHTS[5], 1, 10);
+}
+
+function getRetrievability(elapsedDays, stability) {
+  return (1 + FSRS_FACTOR * (elapsedDays / stability)) ** FSRS_DECAY;
+}
+
+function getReviewIntervalDays(stability, retention) {
+  const days = (stability / FSRS_FACTOR) * (retention ** (1 / FSRS_DECAY) - 1);
+  return clampNumber(Math.round(days), 1, MAX_REVIEW_INTERVAL_DAYS);
+}
+
+function applyReviewGrade(review, grade, reviewedAt, retention = getTargetRetention()) {
+  const w = FSRS_WEIGHTS;
+  const gradeValue = REVIEW_GRADES.indexOf(grade) + 1;
+  let { stability, difficulty } = review;
+
+  if (stability == null || difficulty == null) {
+    stability = w[gradeValue - 1];
+    difficulty = getInitialDifficulty(gradeValue);
+  } else {
+    const elapsedDays = Math.max(0, Math.round((getStartOfDay(reviewedAt) - getStartOfDay(review.lastReviewedAt)) / DAY_MS));
+    const retrievability = getRetrievability(elapsedDays, stability);
+    const nextDifficulty = difficulty - w[6] * (gradeValue - 3);
+    difficulty = clampNumber(w[7] * getInitialDifficulty(3) + (1 - w[7]) * nextDifficulty, 1, 10);
+    if (grade === 'again') {
+      stability = w[11] * (difficulty ** -w[12]) * (((stability + 1) ** w[13]) - 1) * Math.exp(w[14] * (1 - retrievability));
+    } else {
+      const hardPenalty = grade === 'hard' ? w[15] : 1;
+      const easyBonus = grade === 'easy' ? w[16] : 1;
+      stability *= 1 + Math.exp(w[8]) * (11 - difficulty) * (stability ** -w[9])
+        * (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus;
+    }
   }
-  baseReview.history = Array.isArray(baseReview.history) ? baseReview.history : [];
-  puzzle.review = baseReview;
+
+  // 「もう一度」のカードは当日中の復習対象に残す
+  const intervalDays = grade === 'again' ? 0 : getReviewIntervalDays(stability, retention);
+  return {
+    ...review,
+    algorithm: REVIEW_ALGORITHM_VERSION,
+    stability,
+    difficulty,
+    reps: (review.reps || 0) + 1,
+    lapses: (review.lapses || 0) + (grade === 'again' && review.reps ? 1 : 0),
+    lastReviewedAt: reviewedAt,
+    nextReviewDate: addDays(reviewedAt, intervalDays),
+    lastResult: grade,
+  };
+}
+
+const isStudyCard = (item) => STUDY_CARD_TYPES.includes(item?.type);
+
+// 謎カードは解決した日、学習カードは作成した日から出題する
+function getInitialReviewDate(item) {
+  if (isStudyCard(item)) return getStartOfDay(item.createdAt || Date.now());
+  if (!item.isSolved) return null;
+  return getStartOfDay(item.solvedAt || item.updatedAt || item.createdAt || Date.now());
+}
+
+function replayReviewHistory(item, retention = getTargetRetention()) {
+  const history = normalizeReviewHistory(item.review?.history);
+  let review = { ...defaultReview(), nextReviewDate: getInitialReviewDate(item) };
+  history.forEach((entry) => {
+    review = applyReviewGrade(review, entry.grade, entry.reviewedAt, retention);
+  });
+  item.review = { ...review, history };
 }
 
-function getReviewBaseDate(puzzle) {
-  return getStartOfDay(puzzle.solvedAt || puzzle.updatedAt || puzzle.createdAt || Date.now());
+function rescheduleAllReviews(retention = getTargetRetention()) {
+  [...(state.data.puzzles || []), ...(state.data.cards || [])].forEach((item) => replayReviewHistory(item, retention));
 }
 
-function calcNextReviewDate(puzzle, intervalIndex) {
-  const baseDate = getReviewBaseDate(puzzle);
-  if (intervalIndex < REVIEW_OFFSETS.length) {
-    return baseDate + REVIEW_OFFSETS[intervalIndex] * DAY_MS;
+function ensureReviewState(item) {
+  if (item.review?.algorithm !== REVIEW_ALGORITHM_VERSION) {
+    // 旧アルゴリズムのカードは保存済みの履歴から再計算する
+    replayReviewHistory(item);
+    return;
   }
-  const prevReviewDate = puzzle.review.nextReviewDate ?? (baseDate + REVIEW_OFFSETS[REVIEW_OFFSETS.length - 1] * DAY_MS);
-  return getStartOfDay(prevReviewDate + 30 * DAY_MS);
+  const baseReview = { ...defaultReview(), ...item.review };
+  if (!baseReview.nextReviewDate) {
+    baseReview.nextReviewDate = getInitialReviewDate(item);
+  }
+  baseReview.history = normalizeReviewHistory(baseReview.history);
+  item.review = baseReview;
 }
 
-function updateReviewProgress(puzzle, result, now = Date.now()) {
-  ensurePuzzleReview(puzzle);
-  const current = puzzle.review;
-  const nextIndex = result === 'known' ? current.intervalIndex + 1 : 0;
-  const nextReviewDate = calcNextReviewDate(puzzle, nextIndex);
-  const today = getStartOfDay(now);
-  const history = Array.isArray(current.history) ? current.history.slice(-9) : [];
-  history.push({ date: today, result });
-  puzzle.review = {
-    ...current,
-    intervalIndex: nextIndex,
-    nextReviewDate,
-    lastResult: result,
-    history,
+function updateReviewProgress(item, result, now = Date.now()) {
+  ensureReviewState(item);
+  const grade = normalizeReviewGrade(result);
+  if (!grade) return;
+  const current = item.review;
+  const next = applyReviewGrade(current, grade, now);
+  item.review = {
+    ...next,
+    history: [...current.history, { date: getStartOfDay(now), reviewedAt: now, grade }],
   };
 }
 
+function getTodayReviewEntry(item, now = Date.now()) {
+  const history = item.review?.history || [];
+  const last = history[history.length - 1];
+  return last?.date === getStartOfDay(now) ? last : null;
+}
+
+// 今日すでに評価したカードは最後の履歴を付け直す。同じ評価をもう一度選ぶと取り消す
+function regradeReview(item, result, now = Date.now()) {
+  ensureReviewState(item);
+  const grade = normalizeReviewGrade(result);
+  if (!grade) return;
+  const last = getTodayReviewEntry(item, now);
+  if (!last) {
+    updateReviewProgress(item, grade, now);
+    return;
+  }
+  const history = item.review.history.slice(0, -1);
+  if (last.grade !== grade) history.push({ date: getStartOfDay(now), reviewedAt: now, grade });
+  item.review = { ...item.review, history };
+  replayReviewHistory(item);
+}
+
 function ensurePuzzleFields(data) {
   ensureRefIds(data?.puzzles, 'puzzle');
   const defaultTextBlock = () => ({
@@ -307,7 +1909,7 @@ function ensurePuzzleFields(data) {
     puzzle.alternatives = Array.isArray(puzzle.alternatives) ? puzzle.alternatives : [];
     puzzle.examples = Array.isArray(puzzle.examples) ? puzzle.examples : [];
     puzzle.tags = Array.isArray(puzzle.tags) ? puzzle.tags : [];
-    ensurePuzzleReview(puzzle);
+    ensureReviewState(puzzle);
     puzzle.createdAt = puzzle.createdAt || Date.now();
     puzzle.updatedAt = puzzle.updatedAt || puzzle.createdAt;
     puzzle.pinned = Boolean(puzzle.pinned);
@@ -315,30 +1917,63 @@ function ensurePuzzleFields(data) {
   });
 }
 
+function ensureStudyCardFields(data) {
+  data.cards = (Array.isArray(data?.cards) ? data.cards : [])
+    .filter((card) => card?.id && isStudyCard(card) && card.source);
+  data.cards.forEach((card) => {
+    card.cloze = card.cloze || '';
+    card.pairIndex = Number.isInteger(card.pairIndex) ? card.pairIndex : null;
+    card.createdAt = card.createdAt || Date.now();
+    card.updatedAt = card.updatedAt || card.createdAt;
+    ensureReviewState(card);
+  });
+}
+
 function removeImageIfUnused(imageId) {
   if (!imageId) return;
-  const used = state.data.posts.some((p) => p.imageId === imageId) ||
-    state.data.replies.some((r) => r.imageId === imageId);
+  // ゴミ箱にある投稿の画像は完全に削除されるまで残す
+  const used = state.data.posts.some((p) => getItemMediaIds(p).includes(imageId)) ||
+    state.data.replies.some((r) => getItemMediaIds(r).includes(imageId)) ||
+    (state.data.trash || []).some((entry) => getTrashEntryImageIds(entry).includes(imageId));
   if (!used) {
     delete state.data.images[imageId];
   }
 }
 
-function enforceStorageLimit() {
+// 保存に失敗したら必ず画面に出す。気づかないまま使い続けて変更を失わないように
+function reportPersistError(err) {
+  console.error('Failed to persist data', err);
+  const message = err?.name === 'QuotaExceededError'
+    ? '保存できませんでした。端末の保存容量が足りません。画像を減らすか、データをエクスポートしてください'
+    : '保存できませんでした。データをエクスポートしてから再読み込みしてください';
+  showToast(message, { duration: PERSIST_ERROR_TOAST_DURATION });
+}
+
+// 暗号化した保存データの長さ。UTF-8 のバイト列に認証タグを足して base64 にするので、日本語は1文字が約4文字になる
+function estimateSealedLength(serialized, header) {
+  const bytes = new TextEncoder().encode(serialized).length + LOCK_TAG_BYTES;
+  const envelope = JSON.stringify({ ...header, iv: 'x'.repeat(Math.ceil((LOCK_IV_BYTES * 4) / 3)), data: '' }).length;
+  return envelope + Math.ceil((bytes * 4) / 3);
+}
+
+function enforceStorageLimit(measure = (text) => text.length) {
   let serialized = JSON.stringify(state.data);
-  while (serialized.length > STORAGE_LIMIT) {
+  let trimmed = false;
+  while (measure(serialized) > STORAGE_LIMIT) {
     // remove images from oldest posts first
     const candidates = [...state.data.posts]
-      .filter((p) => p.imageId)
+      .filter((p) => p.images.length)
       .sort((a, b) => a.createdAt - b.createdAt);
     if (!candidates.length) break;
     const target = candidates[0];
-    removeImageIfUnused(target.imageId);
-    target.imageId = null;
+    const removedIds = target.images.map((image) => image.id);
+    target.images = [];
     target.imageRemoved = true;
+    removedIds.forEach(removeImageIfUnused);
     serialized = JSON.stringify(state.data);
+    trimmed = true;
   }
-  localStorage.setItem(STORAGE_KEY, serialized);
+  return { serialized, trimmed };
 }
 
 function updateScrollLock() {
@@ -370,7 +2005,23 @@ function hideModalElement(modal) {
   setTimeout(complete, 320);
 }
 
+// モーダルを閉じたとき（別の内容に切り替えたときも）の後片付け。マイクなどを使い始めたところで登録する
+function onModalClose(cleanup) {
+  state.modalCleanups.push(cleanup);
+}
+
+function runModalCleanups() {
+  state.modalCleanups.splice(0).forEach((cleanup) => {
+    try {
+      cleanup();
+    } catch (err) {
+      console.error('Failed to clean up modal', err);
+    }
+  });
+}
+
 function openModal(content, title = '投稿') {
+  runModalCleanups();
   const modal = document.getElementById('modal');
   const body = document.getElementById('modal-body');
   const titleEl = document.getElementById('modal-title');
@@ -381,6 +2032,7 @@ function openModal(content, title = '投稿') {
 }
 
 function closeModal() {
+  runModalCleanups();
   hideModalElement(document.getElementById('modal'));
 }
 
@@ -460,6 +2112,21 @@ function readTextBlockValues(container) {
   };
 }
 
+// 設定から削除された言語のテキストも値を保ったまま選べるようにする
+function appendLanguageOptions(select, selected) {
+  const languages = getLanguageOptions();
+  const options = languages.some((opt) => opt.value === selected) || !selected
+    ? languages
+    : [...languages, { value: selected, label: selected }];
+  options.forEach((opt) => {
+    const option = document.createElement('option');
+    option.value = opt.value;
+    option.textContent = opt.label;
+    if (opt.value === selected) option.selected = true;
+    select.appendChild(option);
+  });
+}
+
 function createTextBlockDisplay({ id = '', content = '', language = 'ja', pronunciation = '', speaker = 'none' }) {
   const textGroup = document.createElement('div');
   textGroup.className = 'text-block-group';
@@ -474,13 +2141,12 @@ function createTextBlockDisplay({ id = '', content = '', language = 'ja', pronun
   const label = document.createElement('div');
   label.className = 'text-label';
   const langLabel = getLanguageLabel(language);
-  const option = langOptions.find((opt) => opt.value === language);
-  if (option?.speakable) {
+  if (isSpeakableLanguage(language)) {
     const speakBtn = document.createElement('button');
     speakBtn.type = 'button';
     speakBtn.className = 'text-action-button text-label-button';
     speakBtn.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${langLabel}`;
-    speakBtn.addEventListener('click', () => playSpeech(content, language));
+    speakBtn.addEventListener('click', () => playSpeech(content, language, speaker));
     label.append(speakBtn);
   } else {
     const langText = document.createElement('span');
@@ -508,7 +2174,7 @@ function createTextBlockDisplay({ id = '', content = '', language = 'ja', pronun
   return textGroup;
 }
 
-function createTextBlockInput(value = '', lang = 'ja', pronunciation = '', speakerType = 'me', removable = true, onRemove = null) {
+function createTextBlockInput(value = '', lang = getDefaultLanguage(), pronunciation = '', speakerType = 'me', removable = true, onRemove = null) {
   const wrapper = document.createElement('div');
   wrapper.className = 'text-area-wrapper';
 
@@ -535,13 +2201,7 @@ function createTextBlockInput(value = '', lang = 'ja', pronunciation = '', speak
 
   const select = document.createElement('select');
   select.className = 'language-select-input';
-  langOptions.forEach((opt) => {
-    const option = document.createElement('option');
-    option.value = opt.value;
-    option.textContent = opt.label;
-    if (opt.value === lang) option.selected = true;
-    select.appendChild(option);
-  });
+  appendLanguageOptions(select, lang);
   langRow.appendChild(select);
 
   const speakBtn = document.createElement('button');
@@ -569,7 +2229,7 @@ function createTextBlockInput(value = '', lang = 'ja', pronunciation = '', speak
   return wrapper;
 }
 
-function buildPostForm({ mode = 'create', targetPost = null, parentId = null }) {
+function buildPostForm({ mode = 'create', targetPost = null, parentId = null, parentReplyId = null }) {
   const fragment = document.createDocumentFragment();
   const isReplyContext = mode === 'reply' || Boolean(targetPost?.postId);
   const container = document.createElement('div');
@@ -580,14 +2240,8 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
   const tagLabel = document.createElement('label');
   tagLabel.className = 'tag-label';
   tagLabel.textContent = 'タグ';
-  const tagInput = document.createElement('input');
-  tagInput.type = 'text';
-  tagInput.placeholder = '#タグ をスペースまたはカンマ区切りで入力';
-  tagInput.className = 'tag-input';
-  if (targetPost?.tags?.length) {
-    tagInput.value = targetPost.tags.map((t) => `#${t}`).join(' ');
-  }
-  tagSection.append(tagLabel, tagInput);
+  const tagPicker = createTagPicker(targetPost?.tags || []);
+  tagSection.append(tagLabel, tagPicker.element);
   const textAreaContainer = document.createElement('div');
   textAreaContainer.id = 'text-block-container';
   textAreaContainer.classList.add('text-block-container');
@@ -610,12 +2264,39 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
   const puzzleLabel = document.createElement('label');
   puzzleLabel.className = 'tag-label';
   puzzleLabel.textContent = '紐づく謎';
-  const puzzleInput = document.createElement('input');
-  puzzleInput.type = 'text';
-  puzzleInput.placeholder = 'puzzle-xxxx';
-  puzzleInput.className = 'tag-input';
-  if (targetPost?.linkedPuzzleIds?.length) puzzleInput.value = targetPost.linkedPuzzleIds.join(', ');
-  puzzleSection.append(puzzleLabel, puzzleInput);
+  const puzzlePicker = createPuzzlePicker(targetPost?.linkedPuzzleIds || []);
+  puzzleSection.append(puzzleLabel, puzzlePicker.element);
+
+  const threadSection = document.createElement('div');
+  threadSection.className = 'modal-tag-section thread-meta-section';
+  const threadLabel = document.createElement('label');
+  threadLabel.className = 'tag-label';
+  threadLabel.textContent = '会話の情報';
+  const threadRow = document.createElement('div');
+  threadRow.className = 'thread-meta-row';
+  const locationInput = document.createElement('input');
+  locationInput.type = 'text';
+  locationInput.placeholder = '場所';
+  locationInput.className = 'tag-input';
+  locationInput.value = targetPost?.thread?.location || '';
+  const occurredInput = document.createElement('input');
+  occurredInput.type = 'date';
+  occurredInput.className = 'tag-input';
+  occurredInput.setAttribute('aria-label', '会話した日');
+  occurredInput.value = targetPost?.thread?.occurredAt || '';
+  threadRow.append(locationInput, occurredInput);
+  const participantPicker = createChipPicker({
+    values: targetPost?.thread?.participants || [],
+    placeholder: '参加者',
+    getSuggestions: getParticipantSuggestions,
+    separator: /[,、]+/,
+  });
+  threadSection.append(threadLabel, threadRow, participantPicker.element);
+  const readThreadMeta = () => normalizeThreadMeta({
+    location: locationInput.value,
+    occurredAt: occurredInput.value,
+    participants: participantPicker.getValues(),
+  });
 
   const updateTextControls = () => {
     const count = textAreaContainer.children.length;
@@ -628,16 +2309,26 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
 
   const handleTextBlockChange = () => updateTextControls();
 
-  const addTextBlock = (content = '', language = 'ja', pronunciation = '', speakerType = 'me') => {
+  const addTextBlock = (content = '', language = getDefaultLanguage(), pronunciation = '', speakerType = 'me', audio = null) => {
     const block = createTextBlockInput(content, language, pronunciation, speakerType, true, handleTextBlockChange);
+    // テキストごとの音声は「音声」ボタンで開く
+    block.audioEditor = createAudioClipEditor(audio);
+    block.audioEditor.element.classList.toggle('hidden', !audio);
+    const audioToggle = document.createElement('button');
+    audioToggle.type = 'button';
+    audioToggle.className = 'text-action-button language-select-button';
+    audioToggle.textContent = '音声';
+    audioToggle.addEventListener('click', () => block.audioEditor.element.classList.toggle('hidden'));
+    block.querySelector('.language-select').appendChild(audioToggle);
+    block.querySelector('.text-area-fields').appendChild(block.audioEditor.element);
     textAreaContainer.appendChild(block);
     handleTextBlockChange();
   };
 
   if (targetPost) {
     textAreaContainer.innerHTML = '';
-    const texts = targetPost.texts || [{ content: '', language: 'ja' }];
-    texts.forEach((t) => addTextBlock(t.content, t.language, t.pronunciation || '', t.speaker_type || t.speaker || 'me'));
+    const texts = targetPost.texts || [{ content: '', language: getDefaultLanguage() }];
+    texts.forEach((t) => addTextBlock(t.content, t.language, t.pronunciation || '', t.speaker_type || t.speaker || 'me', t.audio || null));
   } else {
     addTextBlock();
   }
@@ -653,64 +2344,65 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
 
   updateTextControls();
 
+  const audioSection = document.createElement('div');
+  audioSection.className = 'modal-tag-section';
+  const audioLabel = document.createElement('label');
+  audioLabel.className = 'tag-label';
+  audioLabel.textContent = '音声';
+  const postAudioEditor = createAudioClipEditor(targetPost?.audio || null);
+  audioSection.append(audioLabel, postAudioEditor.element);
+
+  // 読み取った文字は空いているテキスト欄から順に入れ、入りきらない分は最後の欄にまとめる
+  const applyRecognizedText = (blocks) => {
+    if (!blocks.length) {
+      alert('文字が見つかりませんでした。');
+      return;
+    }
+    const emptyBlocks = Array.from(textAreaContainer.children).filter((el) => !el.querySelector('.text-area').value.trim());
+    const room = emptyBlocks.length + 4 - textAreaContainer.children.length;
+    if (room <= 0) {
+      alert('テキスト欄に空きがありません。');
+      return;
+    }
+    const drafts = blocks.slice(0, room);
+    if (blocks.length > room) {
+      drafts[room - 1] = { ...drafts[room - 1], content: blocks.slice(room - 1).map((block) => block.content).join('\n') };
+    }
+    drafts.forEach((draft) => {
+      const el = emptyBlocks.shift();
+      if (!el) {
+        addTextBlock(draft.content, draft.language);
+        return;
+      }
+      const textarea = el.querySelector('.text-area');
+      const select = el.querySelector('.language-select-input');
+      textarea.value = draft.content;
+      select.value = draft.language;
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  };
+
   const imageRow = document.createElement('div');
   imageRow.className = 'form-row';
+  const imageEditor = createImageListEditor(targetPost?.images || [], {
+    onRecognize: async (src) => applyRecognizedText(await recognizeImageText(src)),
+  });
+  imageRow.appendChild(imageEditor.element);
   const fileLabel = document.createElement('label');
   fileLabel.className = 'modal-file-button';
   fileLabel.innerHTML = '<img src="img/img_off.svg" alt="画像" width="25" class="icon-inline">'
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
   fileInput.accept = 'image/*';
+  fileInput.multiple = true;
   fileInput.className = 'file-input';
   fileLabel.appendChild(fileInput);
 
-  const removeImageBtn = document.createElement('button');
-  removeImageBtn.type = 'button';
-  removeImageBtn.innerHTML = '<img src="img/delete.svg" alt="画像を削除" width="30" class="remove-image-icon icon-inline">';
-  removeImageBtn.className = 'remove-image-btn';
-
-  const imagePreview = document.createElement('div');
-  imagePreview.className = 'image-preview';
-  imageRow.appendChild(imagePreview);
-
-  const originalImageId = targetPost?.imageId || null;
-  const existingImageUrl = originalImageId ? state.data.images[originalImageId] : null;
-  let imageDataUrl = null;
-  let removeImage = false;
-
-  const renderPreview = () => {
-    imagePreview.innerHTML = '';
-    const currentUrl = imageDataUrl || (!removeImage ? existingImageUrl : null);
-    if (currentUrl) {
-      const img = document.createElement('img');
-      img.src = currentUrl;
-      img.alt = '選択中の画像';
-      img.className = 'image-preview-img';
-      imagePreview.appendChild(img);
-    }
-    removeImageBtn.hidden = !currentUrl;
-    if (currentUrl) {
-      imagePreview.appendChild(removeImageBtn);
-    }
-    imageRow.style.display = imagePreview.childElementCount ? '' : 'none';
-  };
-
-  renderPreview();
-
   fileInput.addEventListener('change', async (e) => {
-    const [file] = e.target.files;
-    if (!file) return;
-    const dataUrl = await readFileAsDataUrl(file);
-    imageDataUrl = await resizeIfNeeded(dataUrl);
-    removeImage = false;
-    renderPreview();
-  });
-
-  removeImageBtn.addEventListener('click', () => {
-    imageDataUrl = null;
-    removeImage = true;
+    const files = Array.from(e.target.files);
     fileInput.value = '';
-    renderPreview();
+    if (files.length) await imageEditor.addFiles(files);
   });
 
   const actions = document.createElement('div');
@@ -742,73 +2434,99 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
       return;
     }
     const tagsFromText = extractTags(textBlocks);
-    const manualTags = tagInput.value
-      .split(/[\s,、]+/)
-      .map((t) => t.replace(/^#/, '').trim())
-      .filter((t) => t.length > 0);
-    const tags = Array.from(new Set([...tagsFromText, ...manualTags]));
-    let imageId = targetPost ? targetPost.imageId : null;
-
-    if (imageDataUrl) {
-      imageId = ensureImageId(imageDataUrl);
-    } else if (removeImage) {
-      imageId = null;
+    const manualTags = tagPicker.getValues();
+    if (!isReplyContext && !confirmInvalidPickerValues([puzzlePicker])) return;
+    const audioEditors = [postAudioEditor, ...Array.from(textAreaContainer.children).map((el) => el.audioEditor)];
+    if (audioEditors.some((editor) => editor.isRecording())) {
+      alert('録音を停止してから保存してください。');
+      return;
     }
+    // 切り取った録音の圧縮し直しは録音の長さぶん時間がかかるので、そのあいだはボタンを止めておく
+    const submitLabel = submitBtn.textContent;
+    submitBtn.disabled = true;
+    cancelBtn.disabled = true;
+    submitBtn.textContent = '処理中…';
+    let postAudio;
+    let textAudio;
+    try {
+      [postAudio, ...textAudio] = await Promise.all(audioEditors.map((editor) => prepareAudioClip(editor.getValue())));
+    } catch (err) {
+      console.error('Failed to prepare audio', err);
+      alert(`音声を保存できませんでした（${err.message || err}）`);
+      return;
+    } finally {
+      submitBtn.disabled = false;
+      cancelBtn.disabled = false;
+      submitBtn.textContent = submitLabel;
+    }
+    const tags = Array.from(new Set([...tagsFromText, ...manualTags]));
+    const mutationLabel = mode === 'reply' ? '返信を投稿' : mode === 'edit' ? '投稿を編集' : 'ポストを投稿';
+    runMutation(mutationLabel, () => {
+      const images = storeImageList(imageEditor.getValue());
+      const previousMediaIds = targetPost ? getItemMediaIds(targetPost) : [];
+      const audio = storeAudioClip(postAudio);
+      textBlocks.forEach((text, index) => {
+        const textClip = storeAudioClip(textAudio[index]);
+        if (textClip) text.audio = textClip;
+      });
 
-    if (mode === 'reply') {
-      const reply = {
-        id: nextId(),
-        refId: generateStableId('reply'),
-        postId: parentId,
-        texts: textBlocks,
-        tags,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        imageId: imageId || null,
-        isDeleted: false,
-      };
-      state.data.replies.push(reply);
-    } else if (mode === 'edit' && targetPost) {
-      targetPost.texts = textBlocks;
-      targetPost.tags = tags;
-      if (!isReplyContext) {
-        targetPost.sourceUrl = sourceInput.value.trim() || null;
-        targetPost.linkedPuzzleIds = parsePuzzleIdentifiers(puzzleInput.value);
-      }
-      targetPost.updatedAt = Date.now();
-      if (imageDataUrl !== null) {
-        targetPost.imageId = imageId;
-        targetPost.imageRemoved = false;
-        if (originalImageId && originalImageId !== imageId) {
-          removeImageIfUnused(originalImageId);
+      if (mode === 'reply') {
+        const reply = {
+          id: nextId(),
+          refId: generateStableId('reply'),
+          postId: parentId,
+          parentReplyId,
+          texts: textBlocks,
+          tags,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+          images,
+          audio,
+          isDeleted: false,
+        };
+        state.data.replies.push(reply);
+      } else if (mode === 'edit' && targetPost) {
+        // 本文が変わっていないテキストは発音練習の記録を引き継ぐ
+        targetPost.texts = textBlocks.map((text) => {
+          const previous = targetPost.texts.find((old) => old.content === text.content && old.practice?.length);
+          return previous ? { ...text, practice: previous.practice } : text;
+        });
+        targetPost.tags = tags;
+        if (!isReplyContext) {
+          targetPost.sourceUrl = sourceInput.value.trim() || null;
+          const previousLinkedIds = targetPost.linkedPuzzleIds || [];
+          targetPost.linkedPuzzleIds = puzzlePicker.getValues();
+          syncPostLinks(targetPost, previousLinkedIds);
+          targetPost.thread = readThreadMeta();
         }
-      } else if (removeImage) {
-        removeImageIfUnused(originalImageId);
-        targetPost.imageId = null;
-        targetPost.imageRemoved = false;
+        targetPost.updatedAt = Date.now();
+        targetPost.images = images;
+        if (images.length) targetPost.imageRemoved = false;
+        targetPost.audio = audio;
+        previousMediaIds.forEach(removeImageIfUnused);
+      } else {
+        const post = {
+          id: nextId(),
+          refId: generateStableId('post'),
+          texts: textBlocks,
+          tags,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+          images,
+          imageRemoved: false,
+          audio,
+          isDeleted: false,
+          pinned: false,
+          pinnedAt: null,
+          sourceUrl: sourceInput.value.trim() || null,
+          linkedPuzzleIds: puzzlePicker.getValues(),
+          thread: readThreadMeta(),
+        };
+        state.data.posts.push(post);
+        syncPostLinks(post);
       }
-    } else {
-      const post = {
-        id: nextId(),
-        refId: generateStableId('post'),
-        texts: textBlocks,
-        tags,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        imageId: imageId || null,
-        imageRemoved: false,
-        isDeleted: false,
-        pinned: false,
-        pinnedAt: null,
-        sourceUrl: sourceInput.value.trim() || null,
-        linkedPuzzleIds: parsePuzzleIdentifiers(puzzleInput.value),
-      };
-      state.data.posts.push(post);
-    }
-
-    persistData();
+    });
     closeModal();
-    render();
   });
 
   actions.append(cancelBtn, fileLabel, submitBtn);
@@ -816,10 +2534,12 @@ function buildPostForm({ mode = 'create', targetPost = null, parentId = null })
   container.appendChild(textAreaContainer);
   container.appendChild(addBtn);
   container.appendChild(imageRow);
+  fragment.appendChild(audioSection);
   fragment.appendChild(tagSection);
   if (!isReplyContext) {
     fragment.appendChild(sourceSection);
     fragment.appendChild(puzzleSection);
+    fragment.appendChild(threadSection);
   }
   fragment.appendChild(actions);
   return fragment;
@@ -835,36 +2555,288 @@ function createAccordion(title, content, { open = false } = {}) {
   return details;
 }
 
-function parseTagInput(value) {
-  return value
-    .split(/[\s,、]+/)
-    .map((t) => t.replace(/^#/, '').trim())
-    .filter((t) => t.length > 0);
+// 入力補完つきのチップ入力。値は文字列のまま持ち、保存時に各フォームが解釈する
+const PICKER_SUGGESTION_LIMIT = 8;
+
+function createChipPicker({
+  values = [],
+  placeholder = '',
+  getSuggestions,
+  normalize = (value) => value.trim(),
+  format = (value) => value,
+  isValid = () => true,
+  describe = () => '',
+  separator = /[\s,、]+/,
+}) {
+  const wrap = document.createElement('div');
+  wrap.className = 'chip-picker';
+  const chipList = document.createElement('div');
+  chipList.className = 'chip-picker-chips';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'chip-picker-input';
+  input.placeholder = placeholder;
+  const suggestionList = document.createElement('div');
+  suggestionList.className = 'chip-picker-suggestions hidden';
+  suggestionList.setAttribute('role', 'listbox');
+  chipList.appendChild(input);
+  wrap.append(chipList, suggestionList);
+
+  let current = [];
+  let suggestions = [];
+  let activeIndex = -1;
+
+  const renderChips = () => {
+    chipList.querySelectorAll('.chip-picker-chip').forEach((chip) => chip.remove());
+    current.forEach((value) => {
+      const valid = isValid(value);
+      const chip = document.createElement('span');
+      chip.className = `chip-picker-chip${valid ? '' : ' chip-picker-chip-invalid'}`;
+      chip.title = valid ? describe(value) : '見つかりません';
+      const label = document.createElement('span');
+      label.textContent = format(value);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'chip-picker-remove';
+      remove.setAttribute('aria-label', `${format(value)} を外す`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        current = current.filter((item) => item !== value);
+        renderChips();
+      });
+      chip.append(label, remove);
+      chipList.insertBefore(chip, input);
+    });
+  };
+
+  const hideSuggestions = () => {
+    suggestions = [];
+    activeIndex = -1;
+    suggestionList.classList.add('hidden');
+    suggestionList.innerHTML = '';
+  };
+
+  const addValues = (raw) => {
+    raw.split(separator).map(normalize).filter(Boolean).forEach((value) => {
+      if (!current.includes(value)) current.push(value);
+    });
+    input.value = '';
+    renderChips();
+    hideSuggestions();
+  };
+
+  // 入力途中の文字も保存時には値になるので、値を読むときは先に確定させる
+  const flushInput = () => {
+    if (input.value.trim()) addValues(input.value);
+  };
+
+  const renderSuggestions = () => {
+    suggestionList.innerHTML = '';
+    suggestions.forEach((item, index) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = `chip-picker-option${index === activeIndex ? ' active' : ''}`;
+      option.setAttribute('role', 'option');
+      const value = document.createElement('span');
+      value.className = 'chip-picker-option-value';
+      value.textContent = format(item.value);
+      const preview = document.createElement('span');
+      preview.className = 'chip-picker-option-preview';
+      preview.textContent = item.preview || '';
+      option.append(value, preview);
+      // blur で入力中の文字がチップになる前に選択させる
+      option.addEventListener('mousedown', (event) => event.preventDefault());
+      option.addEventListener('click', () => {
+        addValues(item.value);
+        input.focus();
+      });
+      suggestionList.appendChild(option);
+    });
+    suggestionList.classList.toggle('hidden', !suggestions.length);
+  };
+
+  const showSuggestions = () => {
+    suggestions = getSuggestions(input.value.trim())
+      .filter((item) => !current.includes(item.value))
+      .slice(0, PICKER_SUGGESTION_LIMIT);
+    activeIndex = suggestions.length && input.value.trim() ? 0 : -1;
+    renderSuggestions();
+  };
+
+  input.addEventListener('input', () => {
+    if (new RegExp(`(?:${separator.source})$`).test(input.value)) {
+      addValues(input.value);
+      return;
+    }
+    showSuggestions();
+  });
+  input.addEventListener('focus', showSuggestions);
+  input.addEventListener('blur', () => {
+    // 検索語のまま離れたときは入力欄に残し、解決できる参照だけチップにする
+    const pending = input.value.split(separator).map(normalize).filter(Boolean);
+    if (pending.length && pending.every(isValid)) addValues(input.value);
+    hideSuggestions();
+  });
+  input.addEventListener('keydown', (event) => {
+    if (event.isComposing) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (!suggestions.length) return;
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+      renderSuggestions();
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (activeIndex >= 0 && suggestions[activeIndex]) addValues(suggestions[activeIndex].value);
+      else if (input.value.trim()) addValues(input.value);
+    } else if (event.key === 'Escape') {
+      hideSuggestions();
+    } else if (event.key === 'Backspace' && !input.value && current.length) {
+      current = current.slice(0, -1);
+      renderChips();
+    }
+  });
+  chipList.addEventListener('click', (event) => {
+    if (event.target === chipList) input.focus();
+  });
+
+  addValues(values.join(','));
+
+  return {
+    element: wrap,
+    input,
+    getValues: () => {
+      flushInput();
+      return [...current];
+    },
+    getInvalidValues: () => {
+      flushInput();
+      return current.filter((value) => !isValid(value));
+    },
+  };
 }
 
-function parsePuzzleIdentifiers(value) {
-  return Array.from(new Set(
-    value
-      .split(/[\s,、]+/)
-      .map((t) => t.replace(/^#/, '').trim())
-      .filter((id) => id.length > 0),
-  ));
+function matchesPickerQuery(query, ...texts) {
+  if (!query) return true;
+  const normalizedQuery = normalizeSearchText(query);
+  return texts.some((text) => text && normalizeSearchText(text).includes(normalizedQuery));
 }
 
-function findPostByIdentifiers({ postId, refId } = {}) {
-  if (refId) {
-    const byRef = state.data.posts.find((p) => p.refId === refId);
-    if (byRef) return byRef;
+function getPostRefSuggestions(query) {
+  const results = [];
+  const posts = state.data.posts
+    .filter((post) => !post.isDeleted)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  for (const post of posts) {
+    for (const block of getThreadTextBlocks(post)) {
+      if (!block.text.content) continue;
+      const value = formatPostRef({
+        postId: post.id,
+        refId: block.reply?.refId || post.refId,
+        replyId: block.reply?.id ?? null,
+        textIndex: block.textIndex,
+      });
+      if (!matchesPickerQuery(query, value, block.text.content, block.text.pronunciation)) continue;
+      results.push({ value, preview: block.text.content });
+      if (results.length >= PICKER_SUGGESTION_LIMIT * 2) return results;
+    }
   }
+  return results;
+}
 
-  const numericId = Number(postId);
-  if (Number.isFinite(numericId)) {
-    return state.data.posts.find((p) => p.id === numericId) || null;
-  }
-  return null;
+function describePostRef(value) {
+  return resolvePostRefTextBlock(parsePostRefInput(value))?.text.content || '';
 }
 
-function findReplyByIdentifiers({ replyId, replyRefId } = {}) {
+function getPuzzleSuggestions(query, excludeId = null) {
+  return state.data.puzzles
+    .filter((puzzle) => puzzle.id !== excludeId)
+    .filter((puzzle) => matchesPickerQuery(query, puzzle.refId, puzzle.id, puzzle.text, puzzle.meaning, puzzle.solution?.content))
+    .sort((a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0))
+    .slice(0, PICKER_SUGGESTION_LIMIT * 2)
+    .map((puzzle) => ({ value: puzzle.refId || puzzle.id, preview: puzzle.text }));
+}
+
+function getParticipantSuggestions(query) {
+  const counts = new Map();
+  state.data.posts.forEach((post) => (post.thread?.participants || []).forEach((name) => {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }));
+  return Array.from(counts)
+    .filter(([name]) => matchesPickerQuery(query, name))
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ value: name, preview: `${count}件の会話` }));
+}
+
+function getTagSuggestions(query) {
+  const normalizedQuery = normalizeTag(query);
+  return Array.from(collectTagUsage())
+    .filter(([tag]) => !normalizedQuery || tag.toLowerCase().includes(normalizedQuery.toLowerCase()))
+    .sort((a, b) => {
+      // 前方一致を先に、次に使われている数の多い順
+      const prefix = Number(b[0].startsWith(normalizedQuery)) - Number(a[0].startsWith(normalizedQuery));
+      return prefix || (b[1].posts + b[1].puzzles) - (a[1].posts + a[1].puzzles);
+    })
+    .map(([tag, counts]) => ({ value: tag, preview: `ポスト ${counts.posts} / 謎 ${counts.puzzles}` }));
+}
+
+function createTagPicker(tags = []) {
+  return createChipPicker({
+    values: tags,
+    placeholder: '#タグ を入力',
+    getSuggestions: getTagSuggestions,
+    normalize: normalizeTag,
+    format: (tag) => `#${tag}`,
+  });
+}
+
+function createPuzzlePicker(identifiers = [], { excludeId = null, placeholder = '謎カードを検索' } = {}) {
+  const findOther = (identifier) => {
+    const puzzle = findPuzzleByIdentifier(identifier);
+    return puzzle && puzzle.id !== excludeId ? puzzle : null;
+  };
+  return createChipPicker({
+    values: identifiers,
+    placeholder,
+    getSuggestions: (query) => getPuzzleSuggestions(query, excludeId),
+    normalize: (value) => value.trim().replace(/^#/, ''),
+    separator: /[,、]+/,
+    isValid: (identifier) => Boolean(findOther(identifier)),
+    describe: (identifier) => findOther(identifier)?.text || '',
+  });
+}
+
+function createPostRefPicker(refs = []) {
+  return createChipPicker({
+    values: refs.map(formatPostRef).filter(Boolean),
+    placeholder: 'ポストや返信の本文で検索',
+    getSuggestions: getPostRefSuggestions,
+    separator: /[,、]+/,
+    isValid: (value) => Boolean(describePostRef(value)),
+    describe: describePostRef,
+  });
+}
+
+function confirmInvalidPickerValues(pickers) {
+  const invalid = pickers.flatMap((picker) => picker.getInvalidValues());
+  if (!invalid.length) return true;
+  return confirm(`見つからない参照があります: ${invalid.join(', ')}\nこのまま保存しますか？`);
+}
+
+function findPostByIdentifiers({ postId, refId } = {}) {
+  if (refId) {
+    const byRef = state.data.posts.find((p) => p.refId === refId);
+    if (byRef) return byRef;
+  }
+
+  const numericId = Number(postId);
+  if (Number.isFinite(numericId)) {
+    return state.data.posts.find((p) => p.id === numericId) || null;
+  }
+  return null;
+}
+
+function findReplyByIdentifiers({ replyId, replyRefId } = {}) {
   if (replyRefId) {
     const byRef = state.data.replies.find((r) => r.refId === replyRefId);
     if (byRef) return byRef;
@@ -962,13 +2934,16 @@ function activateTab(tabName) {
 }
 
 function navigateToPost(postRef, textIndex = null) {
-  activateTab('timeline');
-  renderTimeline({ forceRenderAll: true });
   const normalized = normalizePostRef(
     typeof postRef === 'object' && postRef !== null
       ? { ...postRef, textIndex: postRef.textIndex ?? textIndex }
       : { postId: postRef, textIndex },
   );
+  // 折りたたまれた返信の中なら開いてから移動する
+  const targetReply = normalized ? resolvePostRefTextBlock(normalized)?.reply : null;
+  if (targetReply) expandReplyAncestors(targetReply);
+  activateTab('timeline');
+  renderTimeline({ forceRenderAll: true });
   const targetPost = normalized ? findPostByIdentifiers(normalized) : null;
   const targetPostId = targetPost?.id ?? normalized?.postId;
   requestAnimationFrame(() => {
@@ -982,6 +2957,7 @@ function navigateToPost(postRef, textIndex = null) {
 }
 
 function navigateToReply(postId, replyId) {
+  expandReplyAncestors(state.data.replies.find((reply) => reply.id === replyId));
   activateTab('timeline');
   renderTimeline({ forceRenderAll: true });
   requestAnimationFrame(() => {
@@ -1010,10 +2986,10 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
   const base = targetPuzzle || {
     id: '',
     text: '',
-    language: 'ja',
+    language: getDefaultLanguage(),
     speaker: 'me',
     pronunciation: '',
-    solution: { content: '', language: 'ja', pronunciation: '', speaker: 'me' },
+    solution: { content: '', language: getDefaultLanguage(), pronunciation: '', speaker: 'me' },
     post: [{ postId: '', refId: '', textIndex: 0 }],
     relatedPuzzleIds: [],
     notes: [{ id: `note_${Date.now()}`, text: '', createdAt: Date.now() }],
@@ -1050,68 +3026,24 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
   const tagsLabel = document.createElement('label');
   tagsLabel.className = 'tag-label';
   tagsLabel.textContent = 'タグ';
-  const tagsInput = document.createElement('input');
-  tagsInput.type = 'text';
-  tagsInput.className = 'tag-input';
-  tagsInput.placeholder = '#タグ をスペースまたはカンマ区切りで入力';
-  tagsInput.value = (base.tags || []).map((t) => `#${t}`).join(' ');
-  tagsSection.append(tagsLabel, tagsInput);
+  const tagPicker = createTagPicker(base.tags || []);
+  tagsSection.append(tagsLabel, tagPicker.element);
 
   const postContainer = document.createElement('div');
   postContainer.className = 'puzzle-multi-list';
   const postLabel = document.createElement('div');
   postLabel.className = 'tag-label';
   postLabel.textContent = '手がかり';
-  const postList = document.createElement('div');
-  postList.className = 'puzzle-field-list';
-  const addPostBtn = document.createElement('button');
-  addPostBtn.type = 'button';
-  addPostBtn.className = 'add-text-button';
-  addPostBtn.textContent = '＋';
-
-  const refreshPostRemoveState = () => updateRemoveButtons(postList);
-
-  const createPostRow = (ref = { postId: '', refId: '', textIndex: 0 }) => {
-    const row = document.createElement('div');
-    row.className = 'puzzle-ref-row';
-    const postInput = document.createElement('input');
-    postInput.type = 'text';
-    postInput.placeholder = 'post-xxxx.0';
-    postInput.className = 'tag-input';
-    postInput.value = formatPostRef(ref);
-    const remove = document.createElement('button');
-    remove.type = 'button';
-    remove.className = 'remove-text-btn';
-    remove.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
-    remove.addEventListener('click', () => {
-      if (postList.children.length > 1) {
-        row.remove();
-        refreshPostRemoveState();
-      }
-    });
-    row.append(postInput, remove);
-    return row;
-  };
-
-  (base.post.length ? base.post : [{ postId: '', textIndex: 0 }]).forEach((ref) => postList.appendChild(createPostRow(ref)));
-  refreshPostRemoveState();
-  addPostBtn.addEventListener('click', () => {
-    postList.appendChild(createPostRow());
-    refreshPostRemoveState();
-  });
-  postContainer.append(postLabel, postList, addPostBtn);
+  const postRefPicker = createPostRefPicker(base.post || []);
+  postContainer.append(postLabel, postRefPicker.element);
 
   const relatedRow = document.createElement('div');
   relatedRow.className = 'form-row';
   const relatedLabel = document.createElement('label');
   relatedLabel.className = 'tag-label';
   relatedLabel.textContent = '関連する謎';
-  const relatedInput = document.createElement('input');
-  relatedInput.type = 'text';
-  relatedInput.className = 'tag-input';
-  relatedInput.placeholder = 'puzzle_0002, puzzle_0101';
-  relatedInput.value = (base.relatedPuzzleIds || []).join(', ');
-  relatedRow.append(relatedLabel, relatedInput);
+  const relatedPicker = createPuzzlePicker(base.relatedPuzzleIds || [], { excludeId: targetPuzzle?.id || null });
+  relatedRow.append(relatedLabel, relatedPicker.element);
 
   const notesContainer = document.createElement('div');
   notesContainer.className = 'puzzle-multi-list';
@@ -1159,7 +3091,7 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
   secondaryTextContainer.className = 'text-block-container';
   const secondaryTextBlock = createTextBlockInput(
     base.solution?.content || '',
-    base.solution?.language || 'ja',
+    base.solution?.language || getDefaultLanguage(),
     base.solution?.pronunciation || '',
     base.solution?.speaker || 'me',
     false,
@@ -1265,11 +3197,10 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
       return;
     }
     const now = Date.now();
-    const tagValues = parseTagInput(tagsInput.value);
+    if (!confirmInvalidPickerValues([postRefPicker, relatedPicker])) return;
+    const tagValues = tagPicker.getValues();
 
-    const postRefs = Array.from(postList.children)
-      .map((row) => parsePostRefInput(row.querySelector('input[type="text"]')?.value || ''))
-      .filter(Boolean);
+    const postRefs = postRefPicker.getValues().map(parsePostRefInput).filter(Boolean);
 
     const noteTexts = Array.from(notesList.children).map((row, idx) => {
       const text = row.querySelector('textarea')?.value.trim() || '';
@@ -1280,62 +3211,64 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
       };
     }).filter((note) => note.text.length > 0);
 
-    const relatedIds = Array.from(new Set(parseTagInput(relatedInput.value)));
+    const relatedIds = relatedPicker.getValues();
     const collectList = (wrap) => Array.from(wrap.querySelectorAll('textarea')).map((el) => el.value.trim()).filter((v) => v.length);
     const alternatives = collectList(alternativesWrap);
     const examples = collectList(examplesWrap);
     const meaning = meaningArea.value.trim();
     const normalizedSolution = solutionText || { content: '', language: 'ja', pronunciation: '', speaker: 'me' };
-    if (mode === 'edit' && targetPuzzle) {
-      targetPuzzle.text = trimmedText;
-      targetPuzzle.language = primaryText?.language || 'ja';
-      targetPuzzle.speaker = primaryText?.speaker || 'me';
-      targetPuzzle.speaker_type = targetPuzzle.speaker;
-      targetPuzzle.pronunciation = primaryText?.pronunciation || '';
-      targetPuzzle.solution = normalizedSolution;
-      targetPuzzle.post = postRefs;
-      targetPuzzle.relatedPuzzleIds = relatedIds;
-      targetPuzzle.notes = noteTexts;
-      targetPuzzle.meaning = meaning;
-      targetPuzzle.alternatives = alternatives;
-      targetPuzzle.examples = examples;
-      targetPuzzle.tags = tagValues;
-      targetPuzzle.isSolved = solvedActive;
-      targetPuzzle.solvedAt = solvedActive ? targetPuzzle.solvedAt || now : null;
-      ensurePuzzleReview(targetPuzzle);
-      targetPuzzle.updatedAt = now;
-    } else {
-      const puzzle = {
-        id: `puzzle_${nextId()}`,
-        refId: generateStableId('puzzle'),
-        text: trimmedText,
-        language: primaryText?.language || 'ja',
-        speaker: primaryText?.speaker || 'me',
-        speaker_type: primaryText?.speaker || 'me',
-        pronunciation: primaryText?.pronunciation || '',
-        solution: normalizedSolution,
-        post: postRefs,
-        relatedPuzzleIds: relatedIds,
-        notes: noteTexts,
-        isSolved: solvedActive,
-        solvedAt: solvedActive ? now : null,
-        meaning,
-        alternatives,
-        examples,
-        tags: tagValues,
-        review: defaultReview(),
-        createdAt: now,
-        updatedAt: now,
-        pinned: false,
-        pinnedAt: null,
-      };
-      ensurePuzzleReview(puzzle);
-      state.data.puzzles.push(puzzle);
-    }
-
-    persistData();
+    runMutation(mode === 'edit' ? '謎カードを編集' : '謎カードを作成', () => {
+      if (mode === 'edit' && targetPuzzle) {
+        targetPuzzle.text = trimmedText;
+        targetPuzzle.language = primaryText?.language || 'ja';
+        targetPuzzle.speaker = primaryText?.speaker || 'me';
+        targetPuzzle.speaker_type = targetPuzzle.speaker;
+        targetPuzzle.pronunciation = primaryText?.pronunciation || '';
+        targetPuzzle.solution = normalizedSolution;
+        const previousLinks = { post: targetPuzzle.post, relatedPuzzleIds: targetPuzzle.relatedPuzzleIds };
+        targetPuzzle.post = postRefs;
+        targetPuzzle.relatedPuzzleIds = relatedIds;
+        syncPuzzleLinks(targetPuzzle, previousLinks);
+        targetPuzzle.notes = noteTexts;
+        targetPuzzle.meaning = meaning;
+        targetPuzzle.alternatives = alternatives;
+        targetPuzzle.examples = examples;
+        targetPuzzle.tags = tagValues;
+        targetPuzzle.isSolved = solvedActive;
+        targetPuzzle.solvedAt = solvedActive ? targetPuzzle.solvedAt || now : null;
+        ensureReviewState(targetPuzzle);
+        targetPuzzle.updatedAt = now;
+      } else {
+        const puzzle = {
+          id: `puzzle_${nextId()}`,
+          refId: generateStableId('puzzle'),
+          text: trimmedText,
+          language: primaryText?.language || 'ja',
+          speaker: primaryText?.speaker || 'me',
+          speaker_type: primaryText?.speaker || 'me',
+          pronunciation: primaryText?.pronunciation || '',
+          solution: normalizedSolution,
+          post: postRefs,
+          relatedPuzzleIds: relatedIds,
+          notes: noteTexts,
+          isSolved: solvedActive,
+          solvedAt: solvedActive ? now : null,
+          meaning,
+          alternatives,
+          examples,
+          tags: tagValues,
+          review: defaultReview(),
+          createdAt: now,
+          updatedAt: now,
+          pinned: false,
+          pinnedAt: null,
+        };
+        ensureReviewState(puzzle);
+        state.data.puzzles.push(puzzle);
+        syncPuzzleLinks(puzzle);
+      }
+    });
     closeModal();
-    render();
   });
 
   actions.append(cancelBtn, submitBtn);
@@ -1343,1586 +3276,7531 @@ function buildPuzzleForm({ mode = 'create', targetPuzzle = null } = {}) {
   return fragment;
 }
 
-function playSpeech(text, lang) {
-  if (!text || lang === 'ja') return;
-  const utter = new SpeechSynthesisUtterance(text);
-  utter.lang = lang;
-  const voices = window.speechSynthesis.getVoices();
-  const hint = langOptions.find((l) => l.value === lang)?.voiceHint;
-  if (hint) {
-    const voice = voices.find((v) => v.name.includes(hint));
-    if (voice) utter.voice = voice;
+// 音声クリップ: 画像と同じメディア置き場（images）に、録音・読み込んだ圧縮済みの音声を data URL で保存する。
+// トリミングは音声を切らずに再生範囲（start・end 秒）で表す。大きいファイルだけ範囲を Opus に圧縮し直す
+const AUDIO_SAMPLE_RATE = 16000;
+const AUDIO_MAX_SECONDS = 30;
+const AUDIO_BITS_PER_SECOND = 32000;
+const AUDIO_KEEP_SOURCE_BYTES = 512 * 1024;
+const AUDIO_RECORDER_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const AUDIO_PEAK_COUNT = 80;
+const AUDIO_SILENCE_THRESHOLD = 0.02;
+const AUDIO_SILENCE_PADDING = 0.15;
+
+async function decodeAudioBlob(blob) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || typeof OfflineAudioContext === 'undefined') {
+    throw new Error('この環境では音声を読み込めません');
+  }
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    // 波形と無音の検出に使うだけなので、モノラル・16kHz にまとめる
+    const offline = new OfflineAudioContext(1, Math.max(1, Math.ceil(buffer.duration * AUDIO_SAMPLE_RATE)), AUDIO_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = buffer;
+    source.connect(offline.destination);
+    source.start();
+    const rendered = await offline.startRendering();
+    return rendered.getChannelData(0);
+  } finally {
+    context.close();
   }
-  window.speechSynthesis.speak(utter);
 }
 
-function collectTextEntries() {
-  const entries = [];
-  const pushEntries = (items) => {
-    items.forEach((item) => {
-      const createdAt = item.createdAt;
-      (item.texts || []).forEach((text) => {
-        const content = text.content?.trim() || '';
-        if (!content.length) return;
-        entries.push({
-          language: text.language,
-          createdAt,
-        });
-      });
-    });
-  };
-  pushEntries(state.data.posts);
-  pushEntries(state.data.replies);
-  pushEntries((state.data.puzzles || []).map((puzzle) => ({
-    createdAt: puzzle.createdAt,
-    texts: [{ content: puzzle.text, language: puzzle.language }],
-  })));
-  return entries;
+// 前後の無音を落とした範囲（秒）。長すぎる場合は先頭から AUDIO_MAX_SECONDS まで
+function findAudioBounds(samples) {
+  let first = samples.findIndex((value) => Math.abs(value) > AUDIO_SILENCE_THRESHOLD);
+  let last = samples.length - 1;
+  while (last > first && Math.abs(samples[last]) <= AUDIO_SILENCE_THRESHOLD) last -= 1;
+  if (first < 0) {
+    first = 0;
+    last = samples.length - 1;
+  }
+  const start = Math.max(0, first / AUDIO_SAMPLE_RATE - AUDIO_SILENCE_PADDING);
+  const end = Math.min(samples.length / AUDIO_SAMPLE_RATE, last / AUDIO_SAMPLE_RATE + AUDIO_SILENCE_PADDING);
+  return { start, end: Math.min(end, start + AUDIO_MAX_SECONDS) };
 }
 
-function renderDashboardCard(dashboardPanel = document.getElementById('dashboard-panel')) {
-  if (!dashboardPanel) return;
+function getAudioPeaks(samples, count = AUDIO_PEAK_COUNT) {
+  const size = Math.max(1, Math.floor(samples.length / count));
+  return Array.from({ length: count }, (_, index) => {
+    let peak = 0;
+    const end = Math.min(samples.length, (index + 1) * size);
+    for (let i = index * size; i < end; i += 1) peak = Math.max(peak, Math.abs(samples[i]));
+    return Math.round(Math.min(1, peak) * 100) / 100;
+  });
+}
 
-  let cardArea = document.getElementById('dashboard-card-area');
-  if (!cardArea) {
-    cardArea = document.createElement('div');
-    cardArea.id = 'dashboard-card-area';
-    cardArea.className = 'dashboard-card-area';
+function encodeWav(samples, sampleRate = AUDIO_SAMPLE_RATE) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => Array.from(text).forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((value, i) => {
+    const clamped = Math.max(-1, Math.min(1, value));
+    view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function sliceAudioSamples(samples, { start, end }) {
+  return samples.subarray(Math.floor(start * AUDIO_SAMPLE_RATE), Math.ceil(end * AUDIO_SAMPLE_RATE));
+}
+
+function getAudioRecorderOptions() {
+  const mimeType = AUDIO_RECORDER_TYPES.find((type) => MediaRecorder.isTypeSupported?.(type));
+  return { ...(mimeType ? { mimeType } : {}), audioBitsPerSecond: AUDIO_BITS_PER_SECOND };
+}
+
+function recordMediaStream(stream, options = getAudioRecorderOptions()) {
+  const recorder = new MediaRecorder(stream, options);
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (event) => {
+    if (event.data.size) chunks.push(event.data);
+  });
+  const stopped = new Promise((resolve) => {
+    recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' })));
+  });
+  recorder.start();
+  return { recorder, stopped };
+}
+
+// トリミングした範囲だけを再生しながら録り直して圧縮する。範囲の長さだけ時間がかかる
+async function reencodeAudioRange(blob, { start, end }) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || typeof MediaRecorder === 'undefined') return null;
+  const context = new AudioContextClass();
+  try {
+    await context.resume();
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const destination = context.createMediaStreamDestination();
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(destination);
+    const { recorder, stopped } = recordMediaStream(destination.stream);
+    source.addEventListener('ended', () => recorder.stop());
+    source.start(0, start, end - start);
+    const encoded = await stopped;
+    return encoded.size ? encoded : null;
+  } finally {
+    context.close();
   }
+}
 
-  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
-  if (heatmapContainer && dashboardPanel.contains(heatmapContainer)) {
-    if (heatmapContainer.nextElementSibling !== cardArea) {
-      dashboardPanel.insertBefore(cardArea, heatmapContainer.nextElementSibling);
-    }
-  } else if (cardArea.parentElement !== dashboardPanel) {
-    dashboardPanel.appendChild(cardArea);
+async function startAudioRecording() {
+  if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+    throw new Error('この環境では録音できません');
   }
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const { recorder, stopped: recorded } = recordMediaStream(stream);
+  const stopped = recorded.then((blob) => {
+    stream.getTracks().forEach((track) => track.stop());
+    return blob;
+  });
+  const stop = () => {
+    if (recorder.state !== 'inactive') recorder.stop();
+  };
+  const timer = setTimeout(stop, AUDIO_MAX_SECONDS * 1000);
+  stopped.then(() => clearTimeout(timer));
+  return { stop, stopped };
+}
 
-  cardArea.innerHTML = '';
+function formatClipTime(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
 
-  const solvedPuzzles = (state.data.puzzles || []).filter((puzzle) => puzzle.isSolved);
-  if (!solvedPuzzles.length) {
-    const helper = document.createElement('div');
-    helper.className = 'empty-state';
-    helper.textContent = '解決済みの謎カードを解決オンにするとここに表示されます。';
-    cardArea.appendChild(helper);
-    return;
-  }
+function drawAudioWaveform(canvas, peaks, { progress = 0, range = null } = {}) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx || !peaks?.length) return;
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  const barWidth = width / peaks.length;
+  peaks.forEach((peak, index) => {
+    const position = (index + 0.5) / peaks.length;
+    const outside = range && (position < range[0] || position > range[1]);
+    const barHeight = Math.max(2, peak * height);
+    ctx.fillStyle = outside ? '#d9e2ec' : position <= progress ? '#57a8ff' : '#9fb3c8';
+    ctx.fillRect(index * barWidth + 0.5, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+  });
+}
 
-  const fragment = document.createDocumentFragment();
+function stopActiveAudioClip() {
+  state.activeAudioClip?.pause();
+  state.activeAudioClip = null;
+}
 
-  solvedPuzzles.forEach((puzzle, index) => {
-    const card = document.createElement('div');
-    card.className = 'dashboard-flashcard';
-    card.dataset.puzzleId = puzzle.id;
+// start〜end 秒だけを再生する。timeupdate は間隔が粗いので、終わりは毎フレーム確かめる
+function playAudioRange(audio, { start = 0, end = null, onFrame = null } = {}) {
+  if (audio.currentTime < start || (end != null && audio.currentTime >= end)) audio.currentTime = start;
+  const watch = () => {
+    if (audio.paused) return;
+    if (end != null && audio.currentTime >= end) {
+      audio.pause();
+      audio.currentTime = start;
+    }
+    onFrame?.();
+    requestAnimationFrame(watch);
+  };
+  // 録音した本物の声を合成音声より優先する
+  stopSpeech();
+  stopActiveAudioClip();
+  state.activeAudioClip = audio;
+  audio.play()
+    .then(() => requestAnimationFrame(watch))
+    .catch((err) => console.warn('Audio playback failed', err));
+}
+
+function createAudioClipPlayer(clip) {
+  const wrap = document.createElement('div');
+  wrap.className = 'audio-clip-player';
+  const src = state.data.images[clip?.id];
+  if (!src) return wrap;
+
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'text-action-button audio-clip-play';
+  playBtn.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> 音声';
+  const canvas = document.createElement('canvas');
+  canvas.className = 'audio-clip-wave';
+  canvas.width = 160;
+  canvas.height = 28;
+  canvas.setAttribute('aria-label', '再生位置');
+  const time = document.createElement('span');
+  time.className = 'audio-clip-time';
+  time.textContent = formatClipTime(clip.duration || 0);
+  wrap.append(playBtn, canvas, time);
+
+  const start = clip.start || 0;
+  const end = clip.end ?? null;
+  // Audio は再生・シークしたときに作る（一覧の描画のたびに全クリップ分を読み込まない）
+  let audio = null;
+  const getDuration = () => (end != null ? end - start : audio?.duration || clip.duration || 0);
+  const update = () => {
+    const duration = getDuration();
+    const position = audio ? Math.max(0, audio.currentTime - start) : 0;
+    drawAudioWaveform(canvas, clip.peaks, { progress: duration ? position / duration : 0 });
+    time.textContent = position ? `${formatClipTime(position)} / ${formatClipTime(duration)}` : formatClipTime(duration);
+  };
+  const getAudio = () => {
+    if (audio) return audio;
+    audio = new Audio(src);
+    audio.addEventListener('timeupdate', update);
+    audio.addEventListener('play', () => wrap.classList.add('playing'));
+    audio.addEventListener('pause', () => {
+      wrap.classList.remove('playing');
+      update();
+    });
+    audio.addEventListener('ended', () => {
+      audio.currentTime = start;
+      update();
+    });
+    return audio;
+  };
+  playBtn.addEventListener('click', () => {
+    const player = getAudio();
+    if (!player.paused) {
+      player.pause();
+      return;
+    }
+    playAudioRange(player, { start, end, onFrame: update });
+  });
 
-    const frontData = puzzle.solution || { content: '', language: 'ja', pronunciation: '', speaker: 'me' };
+  const seek = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    const ratio = rect.width ? Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)) : 0;
+    getAudio().currentTime = start + ratio * getDuration();
+    update();
+  };
+  canvas.addEventListener('pointerdown', (event) => {
+    canvas.setPointerCapture?.(event.pointerId);
+    seek(event);
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    if (event.buttons) seek(event);
+  });
+  requestAnimationFrame(update);
+  return wrap;
+}
 
-    const backData = {
-      content: puzzle.text,
-      language: puzzle.language,
-      pronunciation: puzzle.pronunciation,
-      speaker: puzzle.speaker_type || puzzle.speaker || 'none',
+// フォーム用の録音・読み込み・トリミング。getValue() は既存のクリップか、保存前の新しい音声を返す
+function createAudioClipEditor(clip = null) {
+  const wrap = document.createElement('div');
+  wrap.className = 'audio-clip-editor';
+  const controls = document.createElement('div');
+  controls.className = 'audio-clip-controls';
+  const recordBtn = document.createElement('button');
+  recordBtn.type = 'button';
+  recordBtn.className = 'text-action-button audio-record-button';
+  recordBtn.textContent = '録音';
+  const fileLabel = document.createElement('label');
+  fileLabel.className = 'text-action-button audio-file-button';
+  fileLabel.textContent = 'ファイル';
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'audio/*';
+  fileInput.className = 'file-input';
+  fileLabel.appendChild(fileInput);
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'text-action-button audio-remove-button';
+  removeBtn.textContent = '外す';
+  const status = document.createElement('span');
+  status.className = 'helper audio-clip-status';
+  controls.append(recordBtn, fileLabel, removeBtn, status);
+  const preview = document.createElement('div');
+  preview.className = 'audio-clip-preview';
+  wrap.append(controls, preview);
+
+  let current = clip;
+  let draft = null;
+  let recording = null;
+
+  const renderDraft = () => {
+    const duration = draft.samples.length / AUDIO_SAMPLE_RATE;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'audio-clip-wave audio-clip-trim-wave';
+    canvas.width = 240;
+    canvas.height = 36;
+    const redraw = () => drawAudioWaveform(canvas, draft.peaks, { range: [draft.start / duration, draft.end / duration] });
+    const createRange = (label, key) => {
+      const row = document.createElement('label');
+      row.className = 'audio-trim-row';
+      const text = document.createElement('span');
+      text.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = String(duration);
+      input.step = '0.05';
+      input.value = String(draft[key]);
+      input.addEventListener('input', () => {
+        const value = Number(input.value);
+        if (key === 'start') draft.start = Math.min(value, draft.end - 0.1);
+        else draft.end = Math.min(Math.max(value, draft.start + 0.1), draft.start + AUDIO_MAX_SECONDS);
+        input.value = String(draft[key]);
+        status.textContent = `${formatClipTime(draft.end - draft.start)}（トリミング後）`;
+        redraw();
+      });
+      row.append(text, input);
+      return row;
     };
+    const listenBtn = document.createElement('button');
+    listenBtn.type = 'button';
+    listenBtn.className = 'text-action-button';
+    listenBtn.textContent = '試聴';
+    listenBtn.addEventListener('click', () => {
+      if (!draft.url) draft.url = URL.createObjectURL(draft.blob);
+      playAudioRange(new Audio(draft.url), draft);
+    });
+    preview.replaceChildren(canvas, createRange('開始', 'start'), createRange('終了', 'end'), listenBtn);
+    status.textContent = `${formatClipTime(draft.end - draft.start)}（トリミング後）`;
+    redraw();
+  };
 
-    const frontFace = document.createElement('div');
-    frontFace.className = 'flashcard-face flashcard-front active';
-    if (frontData?.content) {
-      frontFace.appendChild(createTextBlockDisplay({ ...frontData, id: `dashboard-card-front-${index}` }));
-    } else {
-      const helper = document.createElement('div');
-      helper.className = 'helper';
-      helper.textContent = '表面のテキストがありません。';
-      frontFace.appendChild(helper);
+  const render = () => {
+    removeBtn.hidden = !current && !draft;
+    if (draft) renderDraft();
+    else preview.replaceChildren(current ? createAudioClipPlayer(current) : '');
+  };
+
+  const loadBlob = async (blob) => {
+    status.textContent = '読み込み中…';
+    try {
+      const samples = await decodeAudioBlob(blob);
+      if (draft?.url) URL.revokeObjectURL(draft.url);
+      draft = { blob, samples, peaks: getAudioPeaks(samples), ...findAudioBounds(samples) };
+      render();
+    } catch (err) {
+      console.error('Failed to load audio', err);
+      status.textContent = err.message || '音声を読み込めませんでした';
     }
+  };
 
-    const backFace = document.createElement('div');
-    backFace.className = 'flashcard-face flashcard-back';
-    if (backData?.content) {
-      backFace.appendChild(createTextBlockDisplay({ ...backData, id: `dashboard-card-back-${index}` }));
-    } else {
-      const helper = document.createElement('div');
-      helper.className = 'helper';
-      helper.textContent = '裏面のテキストがありません。';
-      backFace.appendChild(helper);
+  // 録音中にモーダルを閉じたら録音をやめてマイクを離す。許可を待っているあいだに閉じた場合も、届いたらすぐ止める
+  let closed = false;
+  let watchingClose = false;
+  recordBtn.addEventListener('click', async () => {
+    if (recording) {
+      recording.stop();
+      return;
+    }
+    if (!watchingClose) {
+      watchingClose = true;
+      onModalClose(() => {
+        closed = true;
+        recording?.stop();
+      });
+    }
+    try {
+      recording = await startAudioRecording();
+    } catch (err) {
+      status.textContent = err.message || 'マイクを使えませんでした';
+      return;
+    }
+    if (closed) {
+      recording.stop();
+      recording = null;
+      return;
     }
+    recordBtn.textContent = '停止';
+    recordBtn.classList.add('recording');
+    status.textContent = `録音中（最長${AUDIO_MAX_SECONDS}秒）`;
+    const blob = await recording.stopped;
+    recording = null;
+    recordBtn.textContent = '録音';
+    recordBtn.classList.remove('recording');
+    if (!closed) await loadBlob(blob);
+  });
+  fileInput.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (file) loadBlob(file);
+  });
+  removeBtn.addEventListener('click', () => {
+    current = null;
+    draft = null;
+    status.textContent = '';
+    render();
+  });
+  render();
 
-    const backActions = document.createElement('div');
-    backActions.className = 'flashcard-back-actions';
-    const knownBtn = document.createElement('button');
-    knownBtn.type = 'button';
-    knownBtn.className = 'flashcard-action-button known-button';
-    knownBtn.textContent = '分かった！';
-    const unknownBtn = document.createElement('button');
-    unknownBtn.type = 'button';
-    unknownBtn.className = 'flashcard-action-button unknown-button';
-    unknownBtn.textContent = '分からなかった';
-    const toggleBtn = document.createElement('button');
-    toggleBtn.type = 'button';
-    toggleBtn.className = 'flashcard-toggle';
+  return {
+    element: wrap,
+    isRecording: () => Boolean(recording),
+    getValue: () => {
+      if (!draft) return current;
+      const samples = sliceAudioSamples(draft.samples, draft);
+      return {
+        blob: draft.blob,
+        start: draft.start,
+        end: draft.end,
+        samples,
+        duration: Math.round((samples.length / AUDIO_SAMPLE_RATE) * 100) / 100,
+        peaks: getAudioPeaks(samples),
+      };
+    },
+  };
+}
 
-    const setFlipped = (flipped) => {
-      card.classList.toggle('flipped', flipped);
-      frontFace.classList.toggle('active', !flipped);
-      backFace.classList.toggle('active', flipped);
-      toggleBtn.textContent = flipped ? '表面へ' : '裏面へ';
-    };
+// エディタの値を保存できる形にする。録音や小さいファイルはそのまま範囲を付けて、大きいファイルは範囲だけを圧縮し直して置く。
+// 圧縮し直せない環境では、範囲を WAV にする
+async function prepareAudioClip(value) {
+  if (!value?.blob) return value || null;
+  const round = (seconds) => Math.round(seconds * 100) / 100;
+  const clip = { duration: value.duration, peaks: value.peaks };
+  if (value.blob.size <= AUDIO_KEEP_SOURCE_BYTES) {
+    return { ...clip, dataUrl: await readFileAsDataUrl(value.blob), start: round(value.start), end: round(value.end) };
+  }
+  const encoded = await reencodeAudioRange(value.blob, value).catch((err) => {
+    console.warn('Failed to re-encode audio', err);
+    return null;
+  });
+  return { ...clip, dataUrl: await readFileAsDataUrl(encoded || encodeWav(value.samples)) };
+}
 
-    toggleBtn.addEventListener('click', () => setFlipped(!card.classList.contains('flipped')));
-    setFlipped(false);
+function storeAudioClip(prepared) {
+  if (!prepared) return null;
+  if (!prepared.dataUrl) return prepared;
+  const { dataUrl, ...clip } = prepared;
+  return { id: ensureImageId(dataUrl, 'aud'), ...clip };
+}
 
-    const applySelectionState = () => {
-      knownBtn.classList.toggle('selected', puzzle.review?.lastResult === 'known');
-      unknownBtn.classList.toggle('selected', puzzle.review?.lastResult === 'unknown');
-    };
+function getItemMediaIds(item) {
+  return [
+    item?.imageId,
+    ...(item?.images || []).map((image) => image.id),
+    item?.audio?.id,
+    ...(item?.texts || []).map((text) => text.audio?.id),
+  ].filter(Boolean);
+}
+
+// 読み上げは文ごとのキューで再生し、停止・一時停止できるようにする
+function splitSentences(text = '') {
+  return (text.match(/[^。．！？!?.\n]+[。．！？!?.]*/g) || [])
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
 
-    const handleReviewSelection = (result) => {
-      const targetBtn = result === 'known' ? knownBtn : unknownBtn;
-      const wasSelected = targetBtn.classList.contains('selected');
-      knownBtn.classList.remove('selected');
-      unknownBtn.classList.remove('selected');
-      if (wasSelected) {
-        puzzle.review.lastResult = null;
-        persistData();
-        renderPuzzles();
+function findVoiceByName(voices, name) {
+  if (!name) return null;
+  return voices.find((voice) => voice.name === name) || voices.find((voice) => voice.name.includes(name)) || null;
+}
+
+function pickSpeechVoice(lang, speaker) {
+  const voices = window.speechSynthesis.getVoices();
+  return findVoiceByName(voices, getSpeechSettings().speakerVoices[speaker]?.[lang])
+    || findVoiceByName(voices, getLanguageOption(lang)?.voice)
+    || null;
+}
+
+function getSpeechSettings() {
+  return state.data.settings.speech;
+}
+
+function highlightSpeakingBlock(elementId, { scroll = true } = {}) {
+  document.querySelectorAll('.text-block-group.speaking').forEach((el) => el.classList.remove('speaking'));
+  const target = elementId ? document.getElementById(elementId) : null;
+  if (!target) return;
+  target.classList.add('speaking');
+  if (scroll) target.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function speakNextInQueue() {
+  const speech = state.speech;
+  const entry = speech.queue.shift();
+  if (!entry) {
+    speech.current = null;
+    highlightSpeakingBlock(null);
+    renderSpeechPlayer();
+    return;
+  }
+  const { rate, pitch } = getSpeechSettings();
+  if (entry.audio?.id && state.data.images[entry.audio.id]) {
+    const audio = new Audio(state.data.images[entry.audio.id]);
+    const { start = 0, end = null } = entry.audio;
+    audio.playbackRate = rate;
+    if (start) audio.currentTime = start;
+    const advanceClip = () => {
+      if (speech.current !== audio) return;
+      speakNextInQueue();
+    };
+    // トリミングした終わりで次へ進む。一時停止から戻ったときも playing が来るので見張り直す
+    const watchEnd = () => {
+      if (speech.current !== audio || audio.paused) return;
+      if (audio.currentTime >= end) {
+        audio.pause();
+        advanceClip();
         return;
       }
-      updateReviewProgress(puzzle, result);
-      targetBtn.classList.add('selected');
-      persistData();
-      renderPuzzles();
+      requestAnimationFrame(watchEnd);
     };
+    audio.addEventListener('play', () => highlightSpeakingBlock(entry.elementId));
+    if (end != null) audio.addEventListener('playing', () => requestAnimationFrame(watchEnd));
+    audio.addEventListener('ended', advanceClip);
+    audio.addEventListener('error', advanceClip);
+    speech.current = audio;
+    speech.currentEntry = entry;
+    renderSpeechPlayer();
+    audio.play().catch(advanceClip);
+    return;
+  }
+  const utter = new SpeechSynthesisUtterance(entry.text);
+  utter.lang = entry.lang;
+  utter.rate = rate;
+  utter.pitch = pitch;
+  const voice = pickSpeechVoice(entry.lang, entry.speaker);
+  if (voice) utter.voice = voice;
+  utter.onstart = () => highlightSpeakingBlock(entry.elementId);
+  // cancel() でも onend は呼ばれるので、現在の発話か確かめてから次へ進む
+  const advance = () => {
+    if (speech.current !== utter) return;
+    speakNextInQueue();
+  };
+  utter.onend = advance;
+  utter.onerror = advance;
+  speech.current = utter;
+  speech.currentEntry = entry;
+  renderSpeechPlayer();
+  window.speechSynthesis.speak(utter);
+}
 
-    knownBtn.addEventListener('click', () => handleReviewSelection('known'));
-    unknownBtn.addEventListener('click', () => handleReviewSelection('unknown'));
-    applySelectionState();
-
-    backActions.append(knownBtn, unknownBtn, toggleBtn);
+function queueSpeech(blocks, { replace = true } = {}) {
+  const hasClip = (block) => Boolean(block.audio?.id && state.data.images[block.audio.id]);
+  // 録音のあるテキストは合成音声の代わりにクリップを丸ごと流す
+  const entries = blocks
+    .filter((block) => hasClip(block) || (block.text && isSpeakableLanguage(block.lang)))
+    .flatMap((block) => (hasClip(block)
+      ? [block]
+      : splitSentences(block.text).map((sentence) => ({ ...block, text: sentence, audio: null }))));
+  if (!entries.length) return;
+  if (replace) stopSpeech();
+  state.speech.queue.push(...entries);
+  state.speech.paused = false;
+  if (!state.speech.current) speakNextInQueue();
+}
 
-    card.append(frontFace, backFace, backActions);
-    fragment.appendChild(card);
-  });
+function playSpeech(text, lang, speaker = 'none', audio = null) {
+  queueSpeech([{ text, lang, speaker, audio }]);
+}
 
-  cardArea.appendChild(fragment);
+function playConversation(post) {
+  queueSpeech(getThreadTextBlocks(post).map(({ text, textIndex }) => ({
+    text: text.content,
+    lang: text.language,
+    speaker: text.speaker || 'none',
+    audio: text.audio || null,
+    elementId: `post-text-${post.id}-${textIndex}`,
+  })));
 }
 
-function getDateKey(ts) {
-  const d = new Date(ts);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// 再生中の発話かクリップを止める。止めた側の onend では次へ進まない
+function cancelSpeechOutput() {
+  const { current } = state.speech;
+  state.speech.current = null;
+  if (current instanceof HTMLMediaElement) current.pause();
+  else window.speechSynthesis.cancel();
 }
 
-function getHeatmapColor(count) {
-  if (count === 0) return 'rgba(255, 255, 255, .5)';
-  if (count <= 2) return '#C5E0FF';
-  if (count <= 4) return '#7AB7FF';
-  return '#2F6FE4';
+function stopSpeech() {
+  const speech = state.speech;
+  speech.queue = [];
+  cancelSpeechOutput();
+  speech.currentEntry = null;
+  speech.paused = false;
+  stopActiveAudioClip();
+  highlightSpeakingBlock(null);
+  renderSpeechPlayer();
 }
 
-function render() {
-  renderTimeline();
-  renderPuzzles();
-  renderPuzzleReviewSummary();
-  runSearch();
-  if (state.currentTab === 'dashboard') {
-    renderDashboard();
+function toggleSpeechPause() {
+  const speech = state.speech;
+  if (!speech.current) return;
+  if (speech.current instanceof HTMLMediaElement) {
+    if (speech.paused) speech.current.play();
+    else speech.current.pause();
+  } else if (speech.paused) {
+    window.speechSynthesis.resume();
+  } else {
+    window.speechSynthesis.pause();
   }
+  speech.paused = !speech.paused;
+  renderSpeechPlayer();
 }
 
-function renderDashboard() {
-  const dashboardPanel = document.getElementById('dashboard-panel');
-  const chartContainer = document.getElementById('dashboard-chart-container');
-  const countsContainer = document.getElementById('dashboard-text-counts');
-  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
-  if (!dashboardPanel || !chartContainer || !countsContainer || !heatmapContainer) return;
+function setSpeechRate(rate) {
+  getSpeechSettings().rate = rate;
+  if (state.speech.current instanceof HTMLMediaElement) state.speech.current.playbackRate = rate;
+  persistData();
+  renderSpeechPlayer();
+}
 
-  const entries = collectTextEntries();
-  const counts = { 'en-US': 0, 'ko-KR': 0, 'zh-TW': 0 };
-  entries.forEach((entry) => {
-    if (entry.language === 'ja') return;
-    if (Object.prototype.hasOwnProperty.call(counts, entry.language)) counts[entry.language] += 1;
+function createSpeechRateSelect() {
+  const select = document.createElement('select');
+  select.className = 'language-select-input speech-rate-select';
+  select.setAttribute('aria-label', '読み上げ速度');
+  SPEECH_RATE_PRESETS.forEach((rate) => {
+    const option = document.createElement('option');
+    option.value = String(rate);
+    option.textContent = `${rate}x`;
+    if (rate === getSpeechSettings().rate) option.selected = true;
+    select.appendChild(option);
   });
-  const total = Object.values(counts).reduce((sum, val) => sum + val, 0);
+  return select;
+}
 
-  chartContainer.innerHTML = '';
-  const canvas = document.createElement('canvas');
-  canvas.id = 'dashboard-chart-canvas';
-  chartContainer.appendChild(canvas);
+function renderSpeechPlayer() {
+  const player = document.getElementById('speech-player');
+  if (!player) return;
+  const { current, currentEntry, queue, paused } = state.speech;
+  player.classList.toggle('hidden', !current);
+  player.innerHTML = '';
+  if (!current) return;
 
-  const centerTotal = document.createElement('div');
-  centerTotal.className = 'dashboard-count-total dashboard-chart-total';
-  centerTotal.textContent = total;
-  chartContainer.appendChild(centerTotal);
+  const info = document.createElement('div');
+  info.className = 'speech-player-info';
+  const text = document.createElement('span');
+  text.className = 'speech-player-text';
+  text.textContent = currentEntry?.text || '';
+  const remaining = document.createElement('span');
+  remaining.className = 'helper';
+  remaining.textContent = queue.length ? `残り${queue.length}文` : '';
+  info.append(text, remaining);
+
+  const pauseBtn = document.createElement('button');
+  pauseBtn.type = 'button';
+  pauseBtn.className = 'text-action-button speech-player-button';
+  pauseBtn.textContent = paused ? '再開' : '一時停止';
+  pauseBtn.addEventListener('click', toggleSpeechPause);
+
+  const skipBtn = document.createElement('button');
+  skipBtn.type = 'button';
+  skipBtn.className = 'text-action-button speech-player-button';
+  skipBtn.textContent = '次へ';
+  skipBtn.disabled = !queue.length;
+  skipBtn.addEventListener('click', () => {
+    cancelSpeechOutput();
+    speakNextInQueue();
+  });
 
-  const chartData = {
-    labels: dashboardLanguages.map((l) => l.label),
-    datasets: [
-      {
-        data: dashboardLanguages.map((l) => counts[l.value]),
-        backgroundColor: dashboardLanguages.map((l) => l.color),
-        borderWidth: 0,
-      },
-    ],
-  };
+  const stopBtn = document.createElement('button');
+  stopBtn.type = 'button';
+  stopBtn.className = 'text-action-button speech-player-button';
+  stopBtn.textContent = '停止';
+  stopBtn.addEventListener('click', stopSpeech);
 
-  // 👇 Chart.js はまだ描画しない（ここが重要）
-  if (state.dashboardChart) {
-    state.dashboardChart.destroy();
-    state.dashboardChart = null;
-  }
+  const rateSelect = createSpeechRateSelect();
+  rateSelect.addEventListener('change', () => setSpeechRate(Number(rateSelect.value)));
 
-  // ✅ レイアウト確定後（1フレーム後）に描画
-  requestAnimationFrame(() => {
-    // ① Canvasサイズ確定
-    const w = 113;
-    const h = 113; // 好きな高さ
-    canvas.width = w;
-    canvas.height = h;
+  player.append(info, pauseBtn, skipBtn, stopBtn, rateSelect);
+}
 
-    // ② Chart生成 (ここで初めてOK)
-    state.dashboardChart = new Chart(canvas.getContext('2d'), {
-      type: 'doughnut',
-      data: chartData,
-      options: {
-        responsive: false,   // ← Canvas拡大で0に戻されるのを防止
-        rotation: -90 * (Math.PI / 180),
-        cutout: '70%',
-        animation: {
-          animateRotate: true,
-          animateScale: false,
-          duration: 1200
-        },
-        plugins: {
-          legend: { display: false },
-          tooltip: {
-            callbacks: {
-              label: (context) => `${context.label}: ${context.raw} texts`,
-            },
-          },
-        },
-      },
-    });
+function createVoiceSelect(lang, selected) {
+  const select = document.createElement('select');
+  select.className = 'language-select-input';
+  const voiceNames = getVoicesForLanguage(lang).map((voice) => voice.name);
+  if (selected && !voiceNames.includes(selected)) voiceNames.unshift(selected);
+  ['', ...voiceNames].forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || '言語の既定';
+    if (name === (selected || '')) option.selected = true;
+    select.appendChild(option);
   });
+  return select;
+}
 
-  // ===== ここより下はそのままでOK ↓ =====
+function buildSpeechSettingsView() {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section speech-settings';
+  fragment.appendChild(container);
 
-  state.hasPlayedDashboardAnimation = true;
+  const draft = {
+    rate: getSpeechSettings().rate,
+    pitch: getSpeechSettings().pitch,
+    speakerVoices: JSON.parse(JSON.stringify(getSpeechSettings().speakerVoices)),
+  };
 
-  countsContainer.innerHTML = '';
-  dashboardLanguages.forEach((lang) => {
-    const row = document.createElement('div');
-    row.className = 'dashboard-count-item';
-    const swatch = document.createElement('span');
-    swatch.className = 'dashboard-count-swatch';
-    swatch.style.backgroundColor = lang.color;
-    const label = document.createElement('span');
-    label.textContent = `${lang.label}: ${counts[lang.value]}`;
-    row.append(swatch, label);
-    countsContainer.appendChild(row);
+  const rateRow = document.createElement('div');
+  rateRow.className = 'form-row';
+  const rateLabel = document.createElement('label');
+  rateLabel.className = 'tag-label';
+  rateLabel.textContent = '速度';
+  const rateSelect = createSpeechRateSelect();
+  rateSelect.addEventListener('change', () => { draft.rate = Number(rateSelect.value); });
+  rateRow.append(rateLabel, rateSelect);
+
+  const pitchRow = document.createElement('div');
+  pitchRow.className = 'form-row';
+  const pitchLabel = document.createElement('label');
+  pitchLabel.className = 'tag-label';
+  pitchLabel.textContent = '高さ';
+  const pitchInput = document.createElement('input');
+  pitchInput.type = 'range';
+  pitchInput.min = '0.5';
+  pitchInput.max = '2';
+  pitchInput.step = '0.1';
+  pitchInput.value = String(draft.pitch);
+  const pitchValue = document.createElement('span');
+  pitchValue.className = 'helper';
+  pitchValue.textContent = draft.pitch.toFixed(1);
+  pitchInput.addEventListener('input', () => {
+    draft.pitch = Number(pitchInput.value);
+    pitchValue.textContent = draft.pitch.toFixed(1);
   });
-
-  const filteredEntries = entries.filter((entry) => Object.prototype.hasOwnProperty.call(counts, entry.language));
-  const dateCounts = new Map();
-  filteredEntries.forEach((entry) => {
-    const key = getDateKey(entry.createdAt);
-    dateCounts.set(key, (dateCounts.get(key) || 0) + 1);
+  pitchRow.append(pitchLabel, pitchInput, pitchValue);
+  container.append(rateRow, pitchRow);
+
+  const description = document.createElement('p');
+  description.className = 'modal-description';
+  description.textContent = '話者ごとに声を選べます。「言語の既定」は言語設定の音声を使います。';
+  container.appendChild(description);
+
+  const languages = getLanguageOptions();
+  speakerOptions.forEach((speaker) => {
+    const section = document.createElement('div');
+    section.className = 'speech-speaker-section';
+    section.appendChild(createSpeakerIcon(speaker));
+    const list = document.createElement('div');
+    list.className = 'speech-speaker-voices';
+    languages.forEach((lang) => {
+      const row = document.createElement('label');
+      row.className = 'speech-voice-row';
+      const name = document.createElement('span');
+      name.className = 'helper';
+      name.textContent = lang.label;
+      const select = createVoiceSelect(lang.value, draft.speakerVoices[speaker.value]?.[lang.value]);
+      select.addEventListener('change', () => {
+        draft.speakerVoices[speaker.value] = { ...(draft.speakerVoices[speaker.value] || {}), [lang.value]: select.value };
+      });
+      row.append(name, select);
+      list.appendChild(row);
+    });
+    section.appendChild(list);
+    container.appendChild(section);
   });
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const days = [];
-  for (let i = 364; i >= 0; i -= 1) {
-    const date = new Date(today);
-    date.setDate(today.getDate() - i);
-    const key = getDateKey(date);
-    days.push({ date, key, count: dateCounts.get(key) || 0 });
-  }
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
 
-  const startOffset = days[0].date.getDay();
-  const columns = [];
-  let column = [];
-  for (let i = 0; i < startOffset; i += 1) {
-    column.push(null);
-  }
-  days.forEach((day) => {
-    column.push(day);
-    if (column.length === 7) {
-      columns.push(column);
-      column = [];
-    }
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = 'Save';
+  submitBtn.addEventListener('click', () => {
+    runMutation('読み上げ設定を変更', () => {
+      state.data.settings.speech = normalizeSpeechSettings(draft);
+    });
+    closeModal();
   });
-  if (column.length) columns.push(column);
+  actions.append(cancelBtn, submitBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
 
-  heatmapContainer.innerHTML = '';
-  const scrollArea = document.createElement('div');
-  scrollArea.className = 'heatmap-scroll-area';
+function openSpeechSettingsModal() {
+  openModal(buildSpeechSettingsView(), '読み上げ設定');
+}
 
-  const monthsRow = document.createElement('div');
-  monthsRow.className = 'heatmap-months';
+const PRACTICE_ATTEMPT_LIMIT = 20;
+// 単語の区切りに空白を使わない言語は文字単位で比べる
+const CHARACTER_TOKEN_LANGUAGES = ['ja', 'zh', 'th'];
 
-  const grid = document.createElement('div');
-  grid.className = 'heatmap-grid';
-  const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  let lastMonth = null;
-  columns.forEach((col) => {
-    const firstDay = col.find((cell) => cell);
-    const currentMonth = firstDay ? firstDay.date.getMonth() : lastMonth;
-    const monthLabel = currentMonth !== null && currentMonth !== lastMonth ? monthLabels[currentMonth] : '';
+// 音声認識エンジンは registerSpeechRecognizer() で追加できる（後から登録したものを優先）
+// start() は { stop, abort } を返す。stop() は聞き取った分を onEnd に渡して終わり、abort() は結果を捨てて止める。どちらもマイクを離すこと
+const speechRecognizers = [];
 
-    const monthEl = document.createElement('div');
-    monthEl.className = 'heatmap-month';
-    monthEl.textContent = monthLabel;
-    monthsRow.appendChild(monthEl);
+function registerSpeechRecognizer(recognizer) {
+  speechRecognizers.unshift(recognizer);
+}
 
-    const colEl = document.createElement('div');
-    colEl.className = 'heatmap-column';
-    col.forEach((cell) => {
-      const cellEl = document.createElement('div');
-      cellEl.className = 'heatmap-cell';
-      if (cell) {
-        cellEl.style.backgroundColor = getHeatmapColor(cell.count);
-        cellEl.title = `${cell.key}: ${cell.count} texts`;
-      }
-      colEl.appendChild(cellEl);
-    });
-    grid.appendChild(colEl);
+function getAvailableSpeechRecognizers() {
+  return speechRecognizers.filter((recognizer) => recognizer.isAvailable());
+}
 
-    if (firstDay) {
-      lastMonth = firstDay.date.getMonth();
+registerSpeechRecognizer({
+  id: 'web-speech',
+  label: 'ブラウザの音声認識',
+  isAvailable: () => Boolean(window.SpeechRecognition || window.webkitSpeechRecognition),
+  start({ lang, onResult, onEnd, onError }) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.interimResults = true;
+    recognition.continuous = true;
+    let finalText = '';
+    recognition.onresult = (event) => {
+      let interim = '';
+      finalText = '';
+      Array.from(event.results).forEach((result) => {
+        if (result.isFinal) finalText += result[0].transcript;
+        else interim += result[0].transcript;
+      });
+      onResult?.(`${finalText}${interim}`);
+    };
+    recognition.onerror = (event) => onError?.(event.error);
+    recognition.onend = () => onEnd?.(finalText);
+    recognition.start();
+    return { stop: () => recognition.stop(), abort: () => recognition.abort() };
+  },
+});
+
+function tokenizeForPractice(text = '', language = '') {
+  const normalized = text.normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}]/gu, ' ');
+  if (CHARACTER_TOKEN_LANGUAGES.includes(language.split('-')[0])) {
+    return Array.from(normalized.replace(/\s+/g, ''));
+  }
+  return normalized.split(/\s+/).filter(Boolean);
+}
+
+// 最長共通部分列で、お手本と認識結果を単語ごとに対応づける
+function diffPracticeTokens(reference, spoken) {
+  const table = Array.from({ length: reference.length + 1 }, () => new Array(spoken.length + 1).fill(0));
+  for (let i = reference.length - 1; i >= 0; i -= 1) {
+    for (let j = spoken.length - 1; j >= 0; j -= 1) {
+      table[i][j] = reference[i] === spoken[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
     }
-  });
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < reference.length || j < spoken.length) {
+    if (i < reference.length && j < spoken.length && reference[i] === spoken[j]) {
+      ops.push({ type: 'match', token: reference[i] });
+      i += 1;
+      j += 1;
+    } else if (j < spoken.length && (i >= reference.length || table[i][j + 1] >= table[i + 1][j])) {
+      ops.push({ type: 'extra', token: spoken[j] });
+      j += 1;
+    } else {
+      ops.push({ type: 'missing', token: reference[i] });
+      i += 1;
+    }
+  }
+  return ops;
+}
 
-  scrollArea.append(monthsRow, grid);
+function scorePracticeAttempt(referenceText, transcript, language) {
+  const reference = tokenizeForPractice(referenceText, language);
+  const spoken = tokenizeForPractice(transcript, language);
+  const ops = diffPracticeTokens(reference, spoken);
+  const matches = ops.filter((op) => op.type === 'match').length;
+  const total = reference.length + spoken.length;
+  return { ops, score: total ? Math.round((2 * matches / total) * 100) : 0 };
+}
 
-  const legend = document.createElement('div');
-  legend.className = 'heatmap-legend';
-  const legendItems = [
-    { label: '0', count: 0 },
-    { label: '1-2', count: 1 },
-    { label: '3-4', count: 3 },
-    { label: '5+', count: 5 },
-  ];
-  legendItems.forEach(({ label, count }) => {
-    const item = document.createElement('span');
-    item.className = 'heatmap-legend-item';
-    const sample = document.createElement('div');
-    sample.className = 'heatmap-cell';
-    sample.style.backgroundColor = getHeatmapColor(count);
-    item.append(sample);
-    legend.appendChild(item);
-  });
+// 練習の記録はテキストブロック（またはカード）自体に持たせる。owner は updatedAt を更新する投稿・リプライ・謎カード
+function resolvePracticeTarget(target) {
+  if (target.type === 'puzzle') {
+    const puzzle = findPuzzleByIdentifier(target.id);
+    if (!puzzle) return null;
+    return {
+      holder: puzzle,
+      owner: puzzle,
+      block: { content: puzzle.text, language: puzzle.language, pronunciation: puzzle.pronunciation },
+    };
+  }
+  const source = resolvePostRefTextBlock(target.ref);
+  return source ? { holder: source.text, owner: source.reply || source.post, block: source.text } : null;
+}
 
-  heatmapContainer.append(scrollArea, legend);
+function getBestPracticeScore(holder) {
+  const attempts = holder?.practice || [];
+  return attempts.length ? Math.max(...attempts.map((attempt) => attempt.score)) : null;
+}
 
-  renderDashboardCard(dashboardPanel);
+function recordPracticeAttempt(target, transcript, recognizerId) {
+  const resolved = resolvePracticeTarget(target);
+  if (!resolved) return null;
+  const { score } = scorePracticeAttempt(resolved.block.content, transcript, resolved.block.language);
+  runMutation('発音練習を記録', () => {
+    const attempts = [...(resolved.holder.practice || []), { at: Date.now(), transcript, score, recognizer: recognizerId }];
+    resolved.holder.practice = attempts.slice(-PRACTICE_ATTEMPT_LIMIT);
+    resolved.owner.updatedAt = Date.now();
+  });
+  return score;
+}
 
-  // 最新が右端なので、右端から表示
-  requestAnimationFrame(() => {
-    scrollArea.scrollLeft = scrollArea.scrollWidth;
+function createPracticeButton(target, holder) {
+  const best = getBestPracticeScore(holder);
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'text-action-button practice-button';
+  btn.textContent = best === null ? '発音練習' : `発音 ${best}点`;
+  btn.addEventListener('click', () => openPracticeModal(target));
+  return btn;
+}
+
+function renderPracticeDiff(container, ops, language) {
+  container.innerHTML = '';
+  const joiner = CHARACTER_TOKEN_LANGUAGES.includes(language.split('-')[0]) ? '' : ' ';
+  ops.forEach((op, index) => {
+    const word = document.createElement('span');
+    word.className = `practice-word practice-word-${op.type}`;
+    word.textContent = op.token;
+    container.appendChild(word);
+    if (joiner && index < ops.length - 1) container.appendChild(document.createTextNode(joiner));
   });
 }
 
+function buildPracticeView(target) {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section practice-panel';
+  const resolved = resolvePracticeTarget(target);
+  if (!resolved?.block.content) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'テキストが見つかりません。';
+    container.appendChild(empty);
+    return container;
+  }
+  const { block } = resolved;
 
-function renderCardList(container, items, {
-  emptyMessage,
-  highlightImage = false,
-  forceRenderAll = false,
-  renderer = (item, options) => renderPostCard(item, options),
-} = {}) {
-  if (container._infiniteObserver) {
-    container._infiniteObserver.disconnect();
+  const reference = document.createElement('div');
+  reference.className = 'text-block practice-reference';
+  const content = document.createElement('div');
+  content.className = 'text-content';
+  content.textContent = block.content;
+  reference.appendChild(content);
+  if (block.pronunciation) {
+    const pron = document.createElement('div');
+    pron.className = 'pronunciation';
+    pron.textContent = block.pronunciation;
+    reference.appendChild(pron);
   }
-  container.innerHTML = '';
-  if (!items.length) {
-    container.innerHTML = `<div class="empty-state">${emptyMessage}</div>`;
-    return;
+  if (isSpeakableLanguage(block.language)) {
+    const listenBtn = document.createElement('button');
+    listenBtn.type = 'button';
+    listenBtn.className = 'text-action-button text-label-button';
+    listenBtn.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> お手本を聞く';
+    listenBtn.addEventListener('click', () => playSpeech(block.content, block.language, block.speaker, block.audio));
+    reference.appendChild(listenBtn);
   }
+  container.appendChild(reference);
+
+  const recognizers = getAvailableSpeechRecognizers();
+  if (!recognizers.length) {
+    const unsupported = document.createElement('p');
+    unsupported.className = 'helper';
+    unsupported.textContent = 'このブラウザは音声認識に対応していません。';
+    container.appendChild(unsupported);
+  } else {
+    let recognizer = recognizers.find((entry) => entry.id === state.practiceRecognizerId) || recognizers[0];
+    if (recognizers.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'language-select-input';
+      recognizers.forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label;
+        if (entry === recognizer) option.selected = true;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        recognizer = recognizers.find((entry) => entry.id === select.value);
+        state.practiceRecognizerId = recognizer.id;
+      });
+      container.appendChild(select);
+    }
 
-  const initialCount = forceRenderAll ? items.length : 50;
-  const batchSize = forceRenderAll ? items.length : 20;
-  let index = 0;
-  let observer = null;
+    const recordBtn = document.createElement('button');
+    recordBtn.type = 'button';
+    recordBtn.className = 'primary-button practice-record-button';
+    recordBtn.textContent = '録音する';
+    const transcriptEl = document.createElement('div');
+    transcriptEl.className = 'practice-transcript helper';
+    const resultEl = document.createElement('div');
+    resultEl.className = 'practice-result';
+    const diffEl = document.createElement('div');
+    diffEl.className = 'practice-diff';
+
+    // 聞き取り中にモーダルを閉じたら、結果を記録せずに止めてマイクを離す
+    let session = null;
+    let closed = false;
+    let watchingClose = false;
+    recordBtn.addEventListener('click', () => {
+      if (session) {
+        session.stop();
+        return;
+      }
+      resultEl.textContent = '';
+      diffEl.innerHTML = '';
+      transcriptEl.textContent = '聞き取っています…';
+      recordBtn.textContent = '停止';
+      recordBtn.classList.add('recording');
+      const finish = () => {
+        session = null;
+        recordBtn.textContent = '録音する';
+        recordBtn.classList.remove('recording');
+      };
+      try {
+        session = recognizer.start({
+          lang: block.language,
+          onResult: (text) => { transcriptEl.textContent = text; },
+          onError: (error) => {
+            transcriptEl.textContent = error === 'not-allowed' ? 'マイクの使用が許可されていません。' : `音声認識に失敗しました（${error}）`;
+          },
+          onEnd: (transcript) => {
+            finish();
+            if (closed) return;
+            const text = (transcript || '').trim();
+            if (!text) {
+              if (transcriptEl.textContent === '聞き取っています…') transcriptEl.textContent = '音声を聞き取れませんでした。';
+              return;
+            }
+            transcriptEl.textContent = text;
+            const { ops, score } = scorePracticeAttempt(block.content, text, block.language);
+            recordPracticeAttempt(target, text, recognizer.id);
+            resultEl.textContent = `スコア ${score}点`;
+            renderPracticeDiff(diffEl, ops, block.language);
+            renderHistory();
+          },
+        });
+      } catch (err) {
+        // 認識エンジンの準備に失敗したときは start がその場で例外を投げる
+        console.error('Failed to start speech recognition', err);
+        finish();
+        transcriptEl.textContent = `音声認識を始められませんでした（${err.message || err}）`;
+        return;
+      }
+      if (watchingClose) return;
+      watchingClose = true;
+      onModalClose(() => {
+        closed = true;
+        if (!session) return;
+        if (session.abort) session.abort();
+        else session.stop();
+        session = null;
+      });
+    });
+    container.append(recordBtn, transcriptEl, resultEl, diffEl);
+  }
 
-  const addSentinel = () => {
-    if (forceRenderAll) return;
-    const sentinel = document.createElement('div');
-    sentinel.className = 'load-sentinel';
-    container.appendChild(sentinel);
-    if (observer) observer.observe(sentinel);
+  const history = document.createElement('div');
+  history.className = 'practice-history';
+  const renderHistory = () => {
+    history.innerHTML = '';
+    const attempts = [...(resolvePracticeTarget(target)?.holder.practice || [])].reverse();
+    if (!attempts.length) return;
+    const title = document.createElement('div');
+    title.className = 'tag-label';
+    title.textContent = 'これまでの練習';
+    history.appendChild(title);
+    attempts.forEach((attempt) => {
+      const row = document.createElement('div');
+      row.className = 'practice-history-item';
+      const score = document.createElement('span');
+      score.className = 'practice-history-score';
+      score.textContent = `${attempt.score}点`;
+      const text = document.createElement('span');
+      text.className = 'practice-history-text';
+      text.textContent = attempt.transcript;
+      const date = document.createElement('span');
+      date.className = 'helper';
+      date.textContent = formatDate(attempt.at);
+      row.append(score, text, date);
+      history.appendChild(row);
+    });
   };
+  renderHistory();
+  container.appendChild(history);
+  return container;
+}
 
-  const renderBatch = (count) => {
-    const slice = items.slice(index, index + count);
-    slice.forEach((item) => container.appendChild(renderer(item, { highlightImage })));
-    index += count;
-    if (index < items.length) addSentinel();
-  };
+function openPracticeModal(target) {
+  openModal(buildPracticeView(target), '発音練習');
+}
 
-  observer = forceRenderAll
-    ? null
-    : new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          observer.unobserve(entry.target);
-          entry.target.remove();
-          renderBatch(batchSize);
-        }
+function collectTextEntries({ posts, replies, puzzles } = state.data) {
+  const entries = [];
+  const pushEntries = (items) => {
+    items.forEach((item) => {
+      const createdAt = item.createdAt;
+      (item.texts || []).forEach((text) => {
+        const content = text.content?.trim() || '';
+        if (!content.length) return;
+        entries.push({
+          language: text.language,
+          createdAt,
+        });
       });
-    }, { root: null, rootMargin: '200px' });
+    });
+  };
+  pushEntries(posts);
+  pushEntries(replies);
+  pushEntries((puzzles || []).map((puzzle) => ({
+    createdAt: puzzle.createdAt,
+    texts: [{ content: puzzle.text, language: puzzle.language }],
+  })));
+  return entries;
+}
 
-  renderBatch(initialCount);
-  container._infiniteObserver = observer;
+function createFlashcardFace(data, id, className, emptyText) {
+  const face = document.createElement('div');
+  face.className = className;
+  if (data?.content) {
+    face.appendChild(createTextBlockDisplay({ ...data, id }));
+  } else {
+    const helper = document.createElement('div');
+    helper.className = 'helper';
+    helper.textContent = emptyText;
+    face.appendChild(helper);
+  }
+  return face;
 }
 
-function renderTimeline(options = {}) {
-  const { forceRenderAll = false } = options;
-  const container = document.getElementById('timeline-list');
-  const sorted = [...state.data.posts].sort((a, b) => b.createdAt - a.createdAt);
-  renderCardList(container, sorted, { emptyMessage: '投稿がありません。', forceRenderAll });
+function createFlashcardFaces(item, idPrefix) {
+  if (isStudyCard(item)) return createStudyCardFaces(item, idPrefix);
+  const frontData = item.solution || { content: '', language: 'ja', pronunciation: '', speaker: 'me' };
+  const backData = {
+    content: item.text,
+    language: item.language,
+    pronunciation: item.pronunciation,
+    speaker: item.speaker_type || item.speaker || 'none',
+  };
+  return {
+    frontFace: createFlashcardFace(frontData, `${idPrefix}-front`, 'flashcard-face flashcard-front active', '表面のテキストがありません。'),
+    backFace: createFlashcardFace(backData, `${idPrefix}-back`, 'flashcard-face flashcard-back', '裏面のテキストがありません。'),
+  };
 }
 
-function renderPuzzleTagList(tags = []) {
-  const wrap = document.createElement('div');
-  wrap.className = 'tag-list';
-  tags.forEach((tag) => {
-    const chip = document.createElement('span');
-    chip.className = 'tag';
-    chip.textContent = `#${tag}`;
-    wrap.appendChild(chip);
-  });
-  return wrap;
+// ポストとリプライのテキストをスレッド順に並べる（post-xxxx.N の N と同じ並び）
+function getThreadTextBlocks(post, replies = state.data.replies.filter((reply) => reply.postId === post.id)) {
+  const blocks = (post.texts || []).map((text, index) => ({ text, reply: null, textIndex: index }));
+  replies
+    .slice()
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach((reply) => {
+      (reply.texts || []).forEach((text) => blocks.push({ text, reply, textIndex: blocks.length }));
+    });
+  return blocks;
 }
 
-function renderPuzzleCard(puzzle) {
-  const card = document.createElement('article');
-  card.className = 'card puzzle-card';
-  card.id = `puzzle-card-${puzzle.id}`;
+function resolvePostRefTextBlock(ref) {
+  const normalized = normalizePostRef(ref);
+  const post = normalized ? findPostByIdentifiers(normalized) : null;
+  if (!post) return null;
+  const blocks = getThreadTextBlocks(post);
+  const block = blocks.find((entry) => entry.textIndex === normalized.textIndex);
+  return block ? { ...block, post, blocks } : null;
+}
 
-  const meta = document.createElement('div');
-  meta.className = 'card-meta';
-  const created = document.createElement('span');
-  created.className = 'card-meta-item';
-  created.textContent = formatDate(puzzle.updatedAt || puzzle.createdAt);
+function resolveStudyCardSource(card) {
+  const source = resolvePostRefTextBlock(card.source);
+  if (!source?.text.content) return null;
+  if (card.type === 'cloze' && !source.text.content.includes(card.cloze)) return null;
+  return source;
+}
 
-  const body = document.createElement('div');
-  body.className = 'card-body puzzle-body';
+function getStudyCardPair(card, source) {
+  return source?.blocks.find((entry) => entry.textIndex === card.pairIndex && entry.text.content) || null;
+}
 
-  const textGroup = document.createElement('div');
-  textGroup.className = 'text-block-group';
-  textGroup.id = `puzzle-text-${puzzle.id}`;
-  const speakerBadge = createSpeakerBadge(puzzle.speaker_type || puzzle.speaker || 'none');
-  textGroup.appendChild(speakerBadge);
+function getStudyCardsForRef(ref) {
+  const key = formatPostRef(ref);
+  return (state.data.cards || []).filter((card) => formatPostRef(card.source) === key);
+}
 
-  const textBlock = document.createElement('div');
-  textBlock.className = 'text-block';
+function toFaceData(text) {
+  return { ...text, speaker: text.speaker_type || text.speaker || 'none' };
+}
 
-  const label = document.createElement('div');
-  label.className = 'text-label';
-  const langLabel = getLanguageLabel(puzzle.language);
-  const option = langOptions.find((opt) => opt.value === puzzle.language);
-  if (option?.speakable) {
-    const speakBtn = document.createElement('button');
-    speakBtn.type = 'button';
-    speakBtn.className = 'text-action-button text-label-button';
-    speakBtn.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${langLabel}`;
-    speakBtn.addEventListener('click', () => playSpeech(puzzle.text, puzzle.language));
-    label.append(speakBtn);
+function maskClozeText(content, phrase) {
+  return phrase ? content.split(phrase).join('＿＿＿') : content;
+}
+
+function createListeningFace(data, className) {
+  const face = document.createElement('div');
+  face.className = className;
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'text-action-button listening-play-button';
+  playBtn.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> 音声を再生';
+  playBtn.addEventListener('click', () => playSpeech(data.content, data.language, data.speaker, data.audio));
+  const helper = document.createElement('div');
+  helper.className = 'helper';
+  helper.textContent = '音声を聞いて内容を思い出しましょう。';
+  face.append(playBtn, helper);
+  return face;
+}
+
+function createStudyCardFaces(card, idPrefix) {
+  const source = resolveStudyCardSource(card);
+  const sourceData = source ? toFaceData(source.text) : null;
+  const frontClass = 'flashcard-face flashcard-front active';
+  const backClass = 'flashcard-face flashcard-back';
+  let frontFace;
+  if (card.type === 'listening' && sourceData) {
+    frontFace = createListeningFace(sourceData, frontClass);
   } else {
-    const langText = document.createElement('span');
-    langText.textContent = langLabel;
-    label.append(langText);
+    let frontData = null;
+    if (card.type === 'cloze' && sourceData) {
+      frontData = { ...sourceData, content: maskClozeText(sourceData.content, card.cloze), pronunciation: '' };
+    } else if (card.type === 'reverse') {
+      const pair = getStudyCardPair(card, source);
+      frontData = pair ? toFaceData(pair.text) : null;
+    }
+    frontFace = createFlashcardFace(frontData, `${idPrefix}-front`, frontClass, '表面のテキストがありません。');
+  }
+  const typeLabel = document.createElement('div');
+  typeLabel.className = 'study-card-type';
+  typeLabel.textContent = `${STUDY_CARD_LABELS[card.type]}カード`;
+  frontFace.prepend(typeLabel);
+
+  const backFace = createFlashcardFace(sourceData, `${idPrefix}-back`, backClass, '元のテキストが見つかりません。');
+  if (card.type === 'cloze' && sourceData) {
+    const answer = document.createElement('div');
+    answer.className = 'cloze-answer';
+    answer.textContent = `答え: ${card.cloze}`;
+    backFace.appendChild(answer);
   }
+  return { frontFace, backFace };
+}
 
-  const content = document.createElement('div');
-  content.className = 'text-content';
-  content.textContent = puzzle.text;
+function createStudyCardButton(ref) {
+  const count = getStudyCardsForRef(ref).length;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'text-action-button study-card-button';
+  btn.textContent = count ? `カード ${count}` : 'カード化';
+  btn.addEventListener('click', () => openStudyCardModal(ref));
+  return btn;
+}
 
-  textBlock.append(label, content);
-  if (puzzle.pronunciation) {
-    const pron = document.createElement('div');
-    pron.className = 'pronunciation';
-    pron.textContent = puzzle.pronunciation;
-    textBlock.appendChild(pron);
+function openStudyCardModal(ref) {
+  openModal(buildStudyCardForm(ref), '学習カード');
+}
+
+function buildStudyCardForm(ref) {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section study-card-form';
+  fragment.appendChild(container);
+
+  const source = resolvePostRefTextBlock(ref);
+  if (!source?.text.content) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = '元のテキストが見つかりません。';
+    container.appendChild(empty);
+    return fragment;
   }
+  const sourceRef = normalizePostRef(ref);
+  container.appendChild(createTextBlockDisplay(toFaceData(source.text)));
 
-  const referenceRow = document.createElement('div');
-  referenceRow.className = 'post-ref-row timeline-ref-row';
-  const refValue = puzzle.refId || puzzle.id;
-  const refText = document.createElement('span');
-  refText.className = 'post-ref-text';
-  refText.textContent = refValue;
+  const existing = getStudyCardsForRef(sourceRef);
+  if (existing.length) {
+    const list = document.createElement('div');
+    list.className = 'study-card-list';
+    existing.forEach((card) => {
+      const row = document.createElement('div');
+      row.className = 'study-card-item';
+      const text = document.createElement('span');
+      text.className = 'study-card-item-text';
+      const detail = card.type === 'cloze' ? `「${card.cloze}」` : '';
+      const nextDate = card.review?.nextReviewDate;
+      text.textContent = `${STUDY_CARD_LABELS[card.type]}${detail} ・ 次回 ${nextDate ? formatDateOnly(nextDate) : '未設定'}`;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-text-btn';
+      removeBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
+      removeBtn.addEventListener('click', () => {
+        runMutation('学習カードを削除', () => {
+          state.data.cards = state.data.cards.filter((entry) => entry.id !== card.id);
+        });
+        openStudyCardModal(sourceRef);
+      });
+      row.append(text, removeBtn);
+      list.appendChild(row);
+    });
+    container.appendChild(list);
+  }
 
-  const copyBtn = document.createElement('button');
-  copyBtn.type = 'button';
-  copyBtn.className = 'copy-ref-button';
-  copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
-  copyBtn.addEventListener('click', async () => {
-    try {
-      await navigator.clipboard.writeText(refValue);
-      copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
-      setTimeout(() => { copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">'; }, 1500);
-    } catch (error) {
-      alert('コピーに失敗しました');
-    }
+  const typeRow = document.createElement('div');
+  typeRow.className = 'form-row';
+  const typeLabel = document.createElement('label');
+  typeLabel.className = 'tag-label';
+  typeLabel.textContent = 'カードの種類';
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'language-select-input';
+  const speakable = isSpeakableLanguage(source.text.language);
+  STUDY_CARD_TYPES.forEach((type) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = STUDY_CARD_LABELS[type];
+    if (type === 'listening' && !speakable) option.disabled = true;
+    typeSelect.appendChild(option);
   });
+  typeRow.append(typeLabel, typeSelect);
+
+  const clozeRow = document.createElement('div');
+  clozeRow.className = 'form-row';
+  const clozeLabel = document.createElement('label');
+  clozeLabel.className = 'tag-label';
+  clozeLabel.textContent = '隠す語句（テキストを選択すると入力されます）';
+  const clozeSource = document.createElement('textarea');
+  clozeSource.className = 'text-area';
+  clozeSource.readOnly = true;
+  clozeSource.value = source.text.content;
+  const clozeInput = document.createElement('input');
+  clozeInput.className = 'tag-input';
+  const syncSelection = () => {
+    const selected = clozeSource.value.slice(clozeSource.selectionStart, clozeSource.selectionEnd).trim();
+    if (selected) clozeInput.value = selected;
+  };
+  clozeSource.addEventListener('select', syncSelection);
+  clozeSource.addEventListener('mouseup', syncSelection);
+  clozeSource.addEventListener('keyup', syncSelection);
+  clozeRow.append(clozeLabel, clozeSource, clozeInput);
+
+  const pairRow = document.createElement('div');
+  pairRow.className = 'form-row';
+  const pairLabel = document.createElement('label');
+  pairLabel.className = 'tag-label';
+  pairLabel.textContent = '表面にするテキスト';
+  const pairSelect = document.createElement('select');
+  pairSelect.className = 'language-select-input';
+  const pairCandidates = source.blocks.filter((entry) => entry.textIndex !== source.textIndex && entry.text.content);
+  pairCandidates.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = String(entry.textIndex);
+    option.textContent = `${entry.textIndex}: [${getLanguageLabel(entry.text.language)}] ${entry.text.content}`;
+    pairSelect.appendChild(option);
+  });
+  // 言語の違うテキストを優先して対にする
+  const defaultPair = pairCandidates.find((entry) => entry.text.language !== source.text.language) || pairCandidates[0];
+  if (defaultPair) pairSelect.value = String(defaultPair.textIndex);
+  pairRow.append(pairLabel, pairSelect);
+
+  const updateVisibility = () => {
+    clozeRow.classList.toggle('hidden', typeSelect.value !== 'cloze');
+    pairRow.classList.toggle('hidden', typeSelect.value !== 'reverse');
+  };
+  typeSelect.addEventListener('change', updateVisibility);
+  updateVisibility();
 
-  referenceRow.append(refText, copyBtn);
-  textBlock.appendChild(referenceRow);
-  textGroup.appendChild(textBlock);
-  body.appendChild(textGroup);
+  container.append(typeRow, clozeRow, pairRow);
 
-  const clueContent = document.createElement('div');
-  clueContent.className = 'puzzle-section-content';
-  const extra = document.createElement('div');
-  extra.className = 'post-extra';
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
 
-  const hasNotes = puzzle.notes?.length;
-  if (hasNotes) {
-    const notesWrap = document.createElement('div');
-    notesWrap.className = 'puzzle-note-list';
-    puzzle.notes.forEach((note) => {
-      const noteEl = document.createElement('div');
-      noteEl.className = 'puzzle-note';
-      noteEl.textContent = note.text;
-      notesWrap.appendChild(noteEl);
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = 'Create';
+  submitBtn.addEventListener('click', () => {
+    const type = typeSelect.value;
+    const cloze = clozeInput.value.trim();
+    if (type === 'cloze' && (!cloze || !source.text.content.includes(cloze))) {
+      alert('隠す語句をテキストから選んでください');
+      return;
+    }
+    if (type === 'reverse' && !pairCandidates.length) {
+      alert('対になるテキストがスレッドにありません');
+      return;
+    }
+    const now = Date.now();
+    runMutation('学習カードを作成', () => {
+      const card = {
+        id: `card_${nextId()}`,
+        type,
+        source: sourceRef,
+        cloze: type === 'cloze' ? cloze : '',
+        pairIndex: type === 'reverse' ? Number(pairSelect.value) : null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      ensureReviewState(card);
+      state.data.cards.push(card);
     });
-    extra.appendChild(notesWrap);
+    closeModal();
+  });
+  actions.append(cancelBtn, submitBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function createReviewGradeButtons(onSelect) {
+  return REVIEW_GRADES.map((grade) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `flashcard-action-button grade-${grade}-button`;
+    btn.dataset.grade = grade;
+    btn.textContent = REVIEW_GRADE_LABELS[grade];
+    btn.addEventListener('click', () => onSelect(grade));
+    return btn;
+  });
+}
+
+function renderDashboardCard(dashboardPanel = document.getElementById('dashboard-panel')) {
+  if (!dashboardPanel) return;
+
+  let cardArea = document.getElementById('dashboard-card-area');
+  if (!cardArea) {
+    cardArea = document.createElement('div');
+    cardArea.id = 'dashboard-card-area';
+    cardArea.className = 'dashboard-card-area';
   }
 
-  if (puzzle.tags?.length) {
-    const tagRow = document.createElement('div');
-    tagRow.className = 'post-extra-row';
-    const tagLabel = document.createElement('span');
-    tagLabel.className = 'post-extra-label';
-    tagLabel.innerHTML = '<img src="img/tag.svg" alt="" width="20" class="icon-inline">';
-    const tagList = renderPuzzleTagList(puzzle.tags);
-    tagRow.append(tagLabel, tagList);
-    extra.appendChild(tagRow);
+  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
+  if (heatmapContainer && dashboardPanel.contains(heatmapContainer)) {
+    if (heatmapContainer.nextElementSibling !== cardArea) {
+      dashboardPanel.insertBefore(cardArea, heatmapContainer.nextElementSibling);
+    }
+  } else if (cardArea.parentElement !== dashboardPanel) {
+    dashboardPanel.appendChild(cardArea);
   }
 
-  const hasPostRefs = puzzle.post?.length;
-  if (hasPostRefs) {
-    const clueRow = document.createElement('div');
-    clueRow.className = 'post-extra-row puzzle-clue-row';
-    const clueLabel = document.createElement('span');
-    clueLabel.className = 'post-extra-label';
-    clueLabel.innerHTML = '<img src="img/link.svg" alt="" width="20" class="icon-inline">';
+  cardArea.innerHTML = '';
 
-    const clueWrap = document.createElement('div');
-    clueWrap.className = 'puzzle-clue-list';
+  const dueItems = getTodayReviewItems();
+  if (!dueItems.length) {
+    const helper = document.createElement('div');
+    helper.className = 'empty-state';
+    const hasReviewItems = getReviewItems().length > 0;
+    const nextDate = getNextScheduledReviewDate(getStartOfDay() + DAY_MS);
+    if (!hasReviewItems) {
+      helper.textContent = '謎カードを解決オンにするか、ポストのテキストから学習カードを作るとここに表示されます。';
+    } else {
+      helper.textContent = nextDate !== null
+        ? `今日の復習はありません。次回の出題日: ${formatDateOnly(nextDate)}`
+        : '今日の復習はありません。';
+    }
+    cardArea.appendChild(helper);
+    return;
+  }
 
-    const list = document.createElement('div');
-    list.className = 'puzzle-ref-list';
-    puzzle.post.forEach((ref) => {
-      const normalized = normalizePostRef(ref);
-      const label = formatPostRef(normalized) || `Post #${ref.postId} / textIndex ${ref.textIndex}`;
-      if (normalized) {
-        const link = document.createElement('button');
-        link.type = 'button';
-        link.className = 'puzzle-ref-link';
-        link.textContent = label;
-        link.addEventListener('click', () => navigateToPost(normalized));
-        list.appendChild(link);
-      } else {
-        const text = document.createElement('span');
-        text.textContent = label;
-        list.appendChild(text);
-      }
-    });
-    clueWrap.appendChild(list);
+  const fragment = document.createDocumentFragment();
 
-    clueRow.append(clueLabel, clueWrap);
-    extra.appendChild(clueRow);
-  }
+  dueItems.forEach((item, index) => {
+    const card = document.createElement('div');
+    card.className = 'dashboard-flashcard';
+    card.dataset.reviewId = item.id;
 
-  if (puzzle.relatedPuzzleIds?.length) {
-    const relatedRow = document.createElement('div');
-    relatedRow.className = 'post-extra-row';
-    const relatedLabel = document.createElement('span');
-    relatedLabel.className = 'post-extra-label';
-    relatedLabel.innerHTML = '<img src="img/puzzle_off.svg" alt="" width="20" class="icon-inline">';
-    const relatedList = document.createElement('div');
-    relatedList.className = 'puzzle-chip-list';
-    puzzle.relatedPuzzleIds.forEach((id) => {
-      const puzzle = findPuzzleByIdentifier(id);
-      const displayId = puzzle?.refId || puzzle?.id || id;
-      const targetId = puzzle?.id || id;
-      const chip = document.createElement('button');
-      chip.type = 'button';
-      chip.className = 'puzzle-chip puzzle-chip-link';
-      chip.textContent = `#${displayId}`;
-      chip.addEventListener('click', () => navigateToPuzzle(targetId));
-      relatedList.appendChild(chip);
-    });
-    relatedRow.append(relatedLabel, relatedList);
-    extra.appendChild(relatedRow);
-  }
-
-  if (!extra.children.length) {
-    const helper = document.createElement('div');
-    helper.className = 'helper';
-    helper.textContent = '手がかりがまだ登録されていません。';
-    clueContent.appendChild(helper);
-  } else {
-    clueContent.appendChild(extra);
-  }
-  body.appendChild(createAccordion('手がかり', clueContent));
+    const { frontFace, backFace } = createFlashcardFaces(item, `dashboard-card-${index}`);
 
-  if (puzzle.isSolved) {
-    const solvedContent = document.createElement('div');
-    solvedContent.className = 'puzzle-section-content';
-
-    const meaning = document.createElement('div');
-    meaning.className = 'puzzle-meaning';
-    meaning.textContent = puzzle.meaning || '未入力';
-    solvedContent.appendChild(meaning);
+    const backActions = document.createElement('div');
+    backActions.className = 'flashcard-back-actions';
+    const toggleBtn = document.createElement('button');
+    toggleBtn.type = 'button';
+    toggleBtn.className = 'flashcard-toggle';
 
-    const renderList = (title, values = []) => {
-      if (!values.length) return;
-      const wrap = document.createElement('div');
-      wrap.className = 'puzzle-list-block';
-      const label = document.createElement('div');
-      label.className = 'puzzle-list-label';
-      label.textContent = title;
-      const list = document.createElement('ul');
-      list.className = 'puzzle-solved-list';
-      values.forEach((val) => {
-        const item = document.createElement('li');
-        item.className = 'puzzle-solved-item';
-        item.textContent = val;
-        list.appendChild(item);
-      });
-      wrap.append(label, list);
-      solvedContent.appendChild(wrap);
+    const setFlipped = (flipped) => {
+      card.classList.toggle('flipped', flipped);
+      frontFace.classList.toggle('active', !flipped);
+      backFace.classList.toggle('active', flipped);
+      toggleBtn.textContent = flipped ? '表面へ' : '裏面へ';
     };
-    renderList('言い換え', puzzle.alternatives || []);
-    renderList('例文', puzzle.examples || []);
 
-    const nextReviewBlock = document.createElement('div');
-    nextReviewBlock.className = 'puzzle-list-block';
-    const nextReviewLabel = document.createElement('div');
-    nextReviewLabel.className = 'puzzle-list-label';
-    nextReviewLabel.textContent = '次回の出題日';
-    const nextReviewValue = document.createElement('p');
-    nextReviewValue.className = 'next_review_date';
-    nextReviewValue.textContent =
-      puzzle.review?.nextReviewDate != null ? formatDateOnly(puzzle.review.nextReviewDate) : '未設定';
-    nextReviewBlock.append(nextReviewLabel, nextReviewValue);
+    toggleBtn.addEventListener('click', () => setFlipped(!card.classList.contains('flipped')));
+    setFlipped(false);
 
-    solvedContent.appendChild(nextReviewBlock);
+    const gradeButtons = createReviewGradeButtons((grade) => handleReviewSelection(grade));
 
-    body.appendChild(createAccordion('解決', solvedContent));
-  }
+    const applySelectionState = () => {
+      const entry = getTodayReviewEntry(item);
+      gradeButtons.forEach((btn) => btn.classList.toggle('selected', entry?.grade === btn.dataset.grade));
+    };
 
-  const actions = document.createElement('div');
-  actions.className = 'card-actions';
-  const deleteBtn = document.createElement('button');
-  deleteBtn.className = 'card-action-button danger-action-button';
-  deleteBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
-  deleteBtn.addEventListener('click', () => deletePuzzle(puzzle.id));
+    const handleReviewSelection = (grade) => {
+      runMutation('復習を記録', () => {
+        regradeReview(item, grade);
+        item.updatedAt = Date.now();
+      });
+    };
 
-  const solvedBtn = document.createElement('button');
-  solvedBtn.className = 'card-action-button';
-  solvedBtn.innerHTML = puzzle.isSolved ? '<img src="img/light_on.svg" alt="未解決に戻す" width="22" class="icon-inline">' : '<img src="img/light_off.svg" alt="解決" width="22" class="icon-inline">';
-  solvedBtn.addEventListener('click', () => togglePuzzleSolved(puzzle.id));
+    applySelectionState();
 
-  const editBtn = document.createElement('button');
-  editBtn.className = 'card-action-button';
-  editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
-  editBtn.addEventListener('click', () => openModal(buildPuzzleForm({ mode: 'edit', targetPuzzle: puzzle }), '謎カードを編集'));
+    backActions.append(...gradeButtons, toggleBtn);
 
-  const pinBtn = document.createElement('button');
-  pinBtn.className = 'card-action-button';
-  pinBtn.innerHTML = puzzle.pinned
-    ? '<img src="img/pin_on.svg" alt="ピン留め中" width="20" class="icon-inline">'
-    : '<img src="img/pin_off.svg" alt="ピン留め" width="20" class="icon-inline">';
-  if (puzzle.pinned) pinBtn.classList.add('liked');
-  pinBtn.addEventListener('click', () => togglePuzzlePinned(puzzle.id));
+    card.append(frontFace, backFace, backActions);
+    fragment.appendChild(card);
+  });
 
-  actions.append(deleteBtn, solvedBtn, editBtn, pinBtn);
+  cardArea.appendChild(fragment);
+}
 
-  card.append(meta, body, actions);
-  return card;
+function getDateKey(ts) {
+  const d = new Date(ts);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
 }
 
-function getTodayReviewPuzzles(todayStart = getStartOfDay(Date.now())) {
-  return (state.data.puzzles || [])
-    .filter((puzzle) => puzzle.isSolved && puzzle.review?.nextReviewDate !== null)
-    .filter((puzzle) => puzzle.review.nextReviewDate <= todayStart);
+// 文と復習を合わせた数は、復習の多い日と少ない日で桁が変わる。色の段階は、表示する期間で学習した日の分布の 1/3・2/3 で区切る
+function getHeatmapThresholds(counts) {
+  const active = counts.filter((count) => count > 0).sort((a, b) => a - b);
+  const at = (ratio) => active[Math.floor((active.length - 1) * ratio)] || 1;
+  const low = at(1 / 3);
+  return [low, Math.max(low + 1, at(2 / 3))];
 }
 
-function getNextScheduledReviewDate(todayStart = getStartOfDay(Date.now())) {
-  const sortedDates = (state.data.puzzles || [])
-    .filter((puzzle) => puzzle.isSolved && puzzle.review?.nextReviewDate)
-    .map((puzzle) => puzzle.review.nextReviewDate)
-    .sort((a, b) => a - b);
-  return sortedDates.find((date) => date >= todayStart) ?? sortedDates[0] ?? null;
+function getHeatmapColor(count, [low, high]) {
+  if (count === 0) return 'rgba(255, 255, 255, .5)';
+  if (count <= low) return '#C5E0FF';
+  if (count <= high) return '#7AB7FF';
+  return '#2F6FE4';
 }
 
-function renderPuzzles() {
-  const container = document.getElementById('puzzle-list');
-  if (!container) return;
-  container.innerHTML = '';
-  const puzzles = [...(state.data.puzzles || [])]
-    .sort((a, b) => (b.pinned === a.pinned ? (b.updatedAt || 0) - (a.updatedAt || 0) : Number(b.pinned) - Number(a.pinned)));
-  if (!puzzles.length) {
-    container.innerHTML = '<div class="empty-state">謎の投稿がありません。</div>';
-    return;
+function render() {
+  renderTimeline();
+  renderPuzzles();
+  renderPuzzleReviewSummary();
+  renderSearchLanguageOptions();
+  runSearch();
+  // 再描画で消えた読み上げ中のハイライトを戻す
+  highlightSpeakingBlock(state.speech.currentEntry?.elementId, { scroll: false });
+  if (state.currentTab === 'dashboard') {
+    renderDashboard();
   }
-  puzzles.forEach((puzzle) => container.appendChild(renderPuzzleCard(puzzle)));
 }
 
-function renderImages() {
-  const container = document.getElementById('images-list');
-  const posts = state.data.posts.filter((p) => p.imageId && state.data.images[p.imageId]);
-  posts.sort((a, b) => b.createdAt - a.createdAt);
-  renderCardList(container, posts, { emptyMessage: '画像付きポストはありません。', highlightImage: true });
+function getVoicesForLanguage(value) {
+  const prefix = value.split('-')[0].toLowerCase();
+  return (window.speechSynthesis?.getVoices() || [])
+    .filter((voice) => voice.lang?.toLowerCase().replace('_', '-').startsWith(prefix));
 }
 
-function renderPostCard(post, options = {}) {
-  const template = document.getElementById('post-template');
-  const node = template.content.firstElementChild.cloneNode(true);
-  node.id = `post-card-${post.id}`;
-  const meta = node.querySelector('.card-meta');
-  const body = node.querySelector('.card-body');
-  const tagsEl = node.querySelector('.tag-list');
-  const actions = node.querySelector('.card-actions');
-  const repliesWrap = node.querySelector('.replies');
-
-  meta.innerHTML = '';
-  const metaText = document.createElement('span');
-  metaText.className = 'card-meta-item';
-  metaText.textContent = `${formatDate(post.createdAt)}${post.updatedAt && post.updatedAt !== post.createdAt ? '（Edited）' : ''}`;
-  meta.appendChild(metaText);
-
-  body.innerHTML = '';
-  if (post.isDeleted) {
-    body.innerHTML = '<div class="text-block">このポストは削除されました</div>';
-  } else {
-    post.texts.forEach((t, textIndex) => {
-      const blockGroup = document.createElement('div');
-      blockGroup.className = 'text-block-group';
-      blockGroup.id = `post-text-${post.id}-${textIndex}`;
-      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
-      blockGroup.appendChild(speakerBadge);
+function countTextsByLanguage() {
+  const counts = {};
+  collectTextEntries().forEach((entry) => {
+    counts[entry.language] = (counts[entry.language] || 0) + 1;
+  });
+  return counts;
+}
 
-      const block = document.createElement('div');
-      block.className = 'text-block';
-      const label = document.createElement('div');
-      label.className = 'text-label';
-      const languageLabel = getLanguageLabel(t.language);
-      const option = langOptions.find((opt) => opt.value === t.language);
-      if (option?.speakable) {
-        const play = document.createElement('button');
-        play.type = 'button';
-        play.className = 'text-action-button text-label-button';
-        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
-        play.addEventListener('click', () => playSpeech(t.content, t.language));
-        label.appendChild(play);
-      } else {
-        const langText = document.createElement('span');
-        langText.textContent = languageLabel;
-        label.appendChild(langText);
-      }
-      const content = document.createElement('div');
-      content.className = 'text-content';
-      content.textContent = t.content;
-      block.append(label, content);
+function buildLanguageSettingsView() {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section language-settings';
+  fragment.appendChild(container);
 
-      if (t.pronunciation) {
-        const pronunciation = document.createElement('div');
-        pronunciation.className = 'pronunciation';
-        pronunciation.textContent = t.pronunciation;
-        block.appendChild(pronunciation);
-      }
+  const description = document.createElement('p');
+  description.className = 'modal-description';
+  description.textContent = '学習言語はダッシュボードの集計の対象になります。削除した言語のテキストはそのまま残ります。';
+  container.appendChild(description);
 
-      const referenceRow = document.createElement('div');
-      referenceRow.className = 'post-ref-row timeline-ref-row';
-      const refValue = formatPostRef({ postId: post.id, refId: post.refId, textIndex });
-      const refText = document.createElement('span');
-      refText.className = 'post-ref-text';
-      refText.textContent = refValue;
+  const draft = getLanguageOptions().map((lang) => ({ ...lang }));
+  const usage = countTextsByLanguage();
+  const list = document.createElement('div');
+  list.className = 'language-settings-list';
 
-      const copyBtn = document.createElement('button');
-      copyBtn.type = 'button';
-      copyBtn.className = 'copy-ref-button';
-      copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
-      copyBtn.addEventListener('click', async () => {
-        try {
-          await navigator.clipboard.writeText(refValue);
-          const original = copyBtn.textContent;
-          copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
-          setTimeout(() => { copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">'; }, 1500);
-        } catch (error) {
-          alert('コピーに失敗しました');
-        }
+  const renderRows = () => {
+    list.innerHTML = '';
+    draft.forEach((lang, index) => {
+      const row = document.createElement('div');
+      row.className = 'language-settings-item';
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.className = 'language-color-input';
+      colorInput.value = lang.color;
+      colorInput.addEventListener('input', () => { lang.color = colorInput.value; });
+
+      const labelInput = document.createElement('input');
+      labelInput.className = 'tag-input';
+      labelInput.value = lang.label;
+      labelInput.addEventListener('input', () => { lang.label = labelInput.value; });
+
+      const code = document.createElement('span');
+      code.className = 'post-ref-text';
+      code.textContent = lang.value;
+
+      const roleSelect = document.createElement('select');
+      roleSelect.className = 'language-select-input';
+      Object.entries(LANGUAGE_ROLES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        if (value === lang.role) option.selected = true;
+        roleSelect.appendChild(option);
+      });
+      roleSelect.addEventListener('change', () => { lang.role = roleSelect.value; });
+
+      const voiceSelect = document.createElement('select');
+      voiceSelect.className = 'language-select-input';
+      const voiceNames = getVoicesForLanguage(lang.value).map((voice) => voice.name);
+      if (lang.voice && !voiceNames.some((name) => name.includes(lang.voice))) voiceNames.unshift(lang.voice);
+      ['', ...voiceNames].forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name || '音声: 自動';
+        if (name && (name === lang.voice || (lang.voice && name.includes(lang.voice)))) option.selected = true;
+        voiceSelect.appendChild(option);
+      });
+      voiceSelect.addEventListener('change', () => { lang.voice = voiceSelect.value; });
+
+      const usageText = document.createElement('span');
+      usageText.className = 'helper';
+      usageText.textContent = `${usage[lang.value] || 0}件`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-text-btn';
+      removeBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
+      removeBtn.disabled = draft.length <= 1;
+      removeBtn.addEventListener('click', () => {
+        draft.splice(index, 1);
+        renderRows();
       });
 
-      referenceRow.append(refText, copyBtn);
-      block.appendChild(referenceRow);
-      blockGroup.appendChild(block);
-      body.appendChild(blockGroup);
+      row.append(colorInput, labelInput, code, roleSelect, voiceSelect, usageText, removeBtn);
+      list.appendChild(row);
     });
-
-    if (post.imageRemoved) {
-      const removed = document.createElement('div');
-      removed.className = 'helper';
-      removed.textContent = '画像は容量制限のため削除されました';
-      body.appendChild(removed);
-    } else if (post.imageId && state.data.images[post.imageId]) {
-      const img = document.createElement('img');
-      img.src = state.data.images[post.imageId];
-      img.alt = '投稿画像';
-      img.className = options.highlightImage ? 'image-thumb highlight' : 'image-thumb';
-      img.addEventListener('click', () => openImageViewer(img.src));
-      body.appendChild(img);
+  };
+  renderRows();
+
+  const addRow = document.createElement('div');
+  addRow.className = 'language-settings-add';
+  const codeInput = document.createElement('input');
+  codeInput.className = 'tag-input';
+  codeInput.placeholder = '言語コード（例: fr-FR）';
+  const nameInput = document.createElement('input');
+  nameInput.className = 'tag-input';
+  nameInput.placeholder = '表示名（例: フランス語）';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'add-text-button';
+  addBtn.textContent = '＋';
+  addBtn.addEventListener('click', () => {
+    const value = codeInput.value.trim();
+    if (!LANGUAGE_CODE_PATTERN.test(value)) {
+      alert('言語コードは fr-FR のような形式で入力してください');
+      return;
     }
-  }
-
-  tagsEl.innerHTML = '';
-  post.tags.forEach((tag) => {
-    const chip = document.createElement('span');
-    chip.className = 'tag';
-    chip.textContent = `#${tag}`;
-    chip.addEventListener('click', () => {
-      document.querySelector('.tabs button[data-tab="search"]').click();
-      document.getElementById('search-input').value = `#${tag}`;
-      runSearch();
-    });
-    tagsEl.appendChild(chip);
+    if (draft.some((lang) => lang.value === value)) {
+      alert('この言語はすでに登録されています');
+      return;
+    }
+    draft.push({ value, label: nameInput.value.trim() || value, color: '#57A8FF', voice: '', role: 'target' });
+    codeInput.value = '';
+    nameInput.value = '';
+    renderRows();
   });
-  tagsEl.style.display = post.tags.length ? '' : 'none';
+  addRow.append(codeInput, nameInput, addBtn);
 
-  const extra = document.createElement('div');
+  container.append(list, addRow);
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = 'Save';
+  submitBtn.addEventListener('click', () => {
+    runMutation('言語設定を変更', () => {
+      state.data.settings.languages = normalizeLanguages(draft);
+    });
+    closeModal();
+  });
+  actions.append(cancelBtn, submitBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function openLanguageSettingsModal() {
+  openModal(buildLanguageSettingsView(), '言語設定');
+}
+
+// 関連グラフ: 謎カード・ポスト・タグをノード、手がかり/関連/タグをエッジにした力学モデルを canvas に描く
+const GRAPH_EDGE_STYLES = {
+  clue: { label: '手がかり', color: 'rgba(87, 168, 255, 0.6)', width: 1.2 },
+  related: { label: '関連', color: 'rgba(209, 67, 67, 0.55)', width: 1.2 },
+  tag: { label: 'タグ', color: 'rgba(82, 96, 109, 0.2)', width: 0.8 },
+};
+const GRAPH_NODE_RADIUS = { puzzle: 6, post: 4, tag: 3 };
+const GRAPH_LINK_DISTANCE = { clue: 40, related: 50, tag: 30 };
+const GRAPH_REPULSION_RANGE = 60;
+const GRAPH_ALPHA_DECAY = 0.985;
+const GRAPH_ALPHA_MIN = 0.005;
+const GRAPH_HEIGHT = 360;
+const GRAPH_ZOOM_LIMITS = [0.1, 8];
+
+function buildKnowledgeGraphData() {
+  const nodes = [];
+  const nodeMap = new Map();
+  const edges = [];
+  const edgeKeys = new Set();
+  const addNode = (key, props) => {
+    const node = { key, index: nodes.length, degree: 0, ...props };
+    nodes.push(node);
+    nodeMap.set(key, node);
+    return node;
+  };
+  const addEdge = (type, source, target) => {
+    if (!source || !target || source === target) return;
+    const key = `${type}:${[source.key, target.key].sort().join('|')}`;
+    if (edgeKeys.has(key)) return;
+    edgeKeys.add(key);
+    edges.push({ type, source, target });
+    source.degree += 1;
+    target.degree += 1;
+  };
+
+  const posts = state.data.posts.filter((post) => !post.isDeleted);
+  posts.forEach((post) => addNode(`post:${post.id}`, {
+    kind: 'post',
+    id: post.id,
+    language: post.texts?.[0]?.language,
+    label: getPostPrimaryText(post),
+  }));
+  state.data.puzzles.forEach((puzzle) => addNode(`puzzle:${puzzle.id}`, {
+    kind: 'puzzle',
+    id: puzzle.id,
+    language: puzzle.language,
+    solved: Boolean(puzzle.isSolved),
+    label: puzzle.text,
+  }));
+
+  // リンクはリンク索引の被参照から引く（投稿の関連する謎も手がかりと同じ線にする）
+  getLinkIndex().backlinks.forEach((links, targetKey) => {
+    links.forEach((link) => addEdge(link.type === 'related' ? 'related' : 'clue', nodeMap.get(link.sourceKey), nodeMap.get(targetKey)));
+  });
+
+  // タグはノード同士を総当たりでつながず、タグ自体をハブにしてエッジ数を抑える
+  const tagMembers = new Map();
+  const addTagMember = (tag, node) => {
+    if (!node) return;
+    if (!tagMembers.has(tag)) tagMembers.set(tag, new Set());
+    tagMembers.get(tag).add(node);
+  };
+  posts.forEach((post) => (post.tags || []).forEach((tag) => addTagMember(tag, nodeMap.get(`post:${post.id}`))));
+  state.data.replies.forEach((reply) => (reply.tags || []).forEach((tag) => addTagMember(tag, nodeMap.get(`post:${reply.postId}`))));
+  state.data.puzzles.forEach((puzzle) => (puzzle.tags || []).forEach((tag) => addTagMember(tag, nodeMap.get(`puzzle:${puzzle.id}`))));
+  tagMembers.forEach((members, tag) => {
+    if (members.size < 2) return;
+    const tagNode = addNode(`tag:${tag}`, { kind: 'tag', id: tag, label: `#${tag}` });
+    members.forEach((member) => addEdge('tag', tagNode, member));
+  });
+
+  return { nodes, nodeMap, edges };
+}
+
+function getKnowledgeGraphNodeColor(node) {
+  if (node.kind === 'tag') return '#9aa5b1';
+  return getLanguageOption(node.language)?.color || '#57A8FF';
+}
+
+function stepKnowledgeGraph(graph) {
+  const { nodes, edges, alpha } = graph;
+  const range = GRAPH_REPULSION_RANGE;
+
+  // 近いノード同士だけ反発させる（格子に分けて隣のマスだけ見る）
+  const grid = new Map();
+  const cellKey = (gx, gy) => gx * 65536 + gy;
+  nodes.forEach((node) => {
+    node.cx = Math.floor(node.x / range);
+    node.cy = Math.floor(node.y / range);
+    const key = cellKey(node.cx, node.cy);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(node);
+  });
+  nodes.forEach((node) => {
+    for (let gx = node.cx - 1; gx <= node.cx + 1; gx += 1) {
+      for (let gy = node.cy - 1; gy <= node.cy + 1; gy += 1) {
+        (grid.get(cellKey(gx, gy)) || []).forEach((other) => {
+          if (other.index <= node.index) return;
+          let dx = node.x - other.x;
+          let dy = node.y - other.y;
+          let dist = Math.hypot(dx, dy);
+          if (dist >= range) return;
+          if (dist < 0.01) {
+            dx = Math.random() - 0.5;
+            dy = Math.random() - 0.5;
+            dist = Math.hypot(dx, dy);
+          }
+          const force = ((range - dist) / dist) * alpha * 0.15;
+          node.vx += dx * force;
+          node.vy += dy * force;
+          other.vx -= dx * force;
+          other.vy -= dy * force;
+        });
+      }
+    }
+  });
+
+  edges.forEach(({ type, source, target }) => {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const dist = Math.hypot(dx, dy) || 0.01;
+    // つながりの多いノードは動きにくくする
+    const force = ((dist - GRAPH_LINK_DISTANCE[type]) / dist) * alpha * 0.3;
+    const sourceShare = target.degree / (source.degree + target.degree);
+    source.vx += dx * force * sourceShare;
+    source.vy += dy * force * sourceShare;
+    target.vx -= dx * force * (1 - sourceShare);
+    target.vy -= dy * force * (1 - sourceShare);
+  });
+
+  nodes.forEach((node) => {
+    if (node === graph.dragNode) return;
+    node.vx = (node.vx - node.x * 0.01 * alpha) * 0.6;
+    node.vy = (node.vy - node.y * 0.01 * alpha) * 0.6;
+    node.x += node.vx;
+    node.y += node.vy;
+  });
+}
+
+function drawKnowledgeGraph(graph) {
+  const { canvas, view } = graph;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.width / ratio;
+  const height = canvas.height / ratio;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.translate(width / 2 + view.x, height / 2 + view.y);
+  ctx.scale(view.scale, view.scale);
+
+  // 画面外のノードは描かない
+  const margin = 20 / view.scale;
+  const left = (-width / 2 - view.x) / view.scale - margin;
+  const right = (width / 2 - view.x) / view.scale + margin;
+  const top = (-height / 2 - view.y) / view.scale - margin;
+  const bottom = (height / 2 - view.y) / view.scale + margin;
+  const isVisible = (node) => node.x >= left && node.x <= right && node.y >= top && node.y <= bottom;
+
+  Object.entries(GRAPH_EDGE_STYLES).forEach(([type, style]) => {
+    ctx.beginPath();
+    graph.edges.forEach((edge) => {
+      if (edge.type !== type || (!isVisible(edge.source) && !isVisible(edge.target))) return;
+      ctx.moveTo(edge.source.x, edge.source.y);
+      ctx.lineTo(edge.target.x, edge.target.y);
+    });
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.width / view.scale;
+    ctx.stroke();
+  });
+
+  const showLabels = view.scale >= 2;
+  ctx.font = `${11 / view.scale}px sans-serif`;
+  ctx.textBaseline = 'middle';
+  graph.nodes.forEach((node) => {
+    if (!isVisible(node)) return;
+    const radius = GRAPH_NODE_RADIUS[node.kind];
+    const color = getKnowledgeGraphNodeColor(node);
+    ctx.beginPath();
+    if (node.kind === 'post') {
+      ctx.rect(node.x - radius, node.y - radius, radius * 2, radius * 2);
+    } else {
+      ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    }
+    // 未解決の謎は白抜きにする
+    ctx.fillStyle = node.kind === 'puzzle' && !node.solved ? '#ffffff' : color;
+    ctx.fill();
+    if (node.kind === 'puzzle') {
+      ctx.lineWidth = 2 / view.scale;
+      ctx.strokeStyle = color;
+      ctx.stroke();
+    }
+    if (showLabels || node === graph.hoverNode) {
+      ctx.fillStyle = '#1f2933';
+      ctx.fillText(truncateText(node.label || '', 16), node.x + radius + 3 / view.scale, node.y);
+    }
+  });
+}
+
+function truncateText(text, length) {
+  const chars = Array.from(String(text).replace(/\s+/g, ' ').trim());
+  return chars.length > length ? `${chars.slice(0, length).join('')}…` : chars.join('');
+}
+
+function scheduleKnowledgeGraphFrame(graph) {
+  if (graph.frame) return;
+  const tick = () => {
+    graph.frame = null;
+    if (state.currentTab !== 'dashboard' || !graph.canvas.isConnected) return;
+    const running = graph.alpha > GRAPH_ALPHA_MIN;
+    if (running) {
+      stepKnowledgeGraph(graph);
+      graph.alpha *= GRAPH_ALPHA_DECAY;
+    }
+    drawKnowledgeGraph(graph);
+    if (running) graph.frame = requestAnimationFrame(tick);
+  };
+  graph.frame = requestAnimationFrame(tick);
+}
+
+function getKnowledgeGraphPoint(graph, event) {
+  const rect = graph.canvas.getBoundingClientRect();
+  const { view } = graph;
+  const screenX = event.clientX - rect.left;
+  const screenY = event.clientY - rect.top;
+  return {
+    screenX,
+    screenY,
+    x: (screenX - rect.width / 2 - view.x) / view.scale,
+    y: (screenY - rect.height / 2 - view.y) / view.scale,
+  };
+}
+
+function findKnowledgeGraphNode(graph, x, y) {
+  const tolerance = 4 / graph.view.scale;
+  let best = null;
+  let bestDist = Infinity;
+  graph.nodes.forEach((node) => {
+    const dist = Math.hypot(node.x - x, node.y - y);
+    if (dist <= GRAPH_NODE_RADIUS[node.kind] + tolerance && dist < bestDist) {
+      best = node;
+      bestDist = dist;
+    }
+  });
+  return best;
+}
+
+function zoomKnowledgeGraph(graph, factor, screenX, screenY) {
+  const { view } = graph;
+  const rect = graph.canvas.getBoundingClientRect();
+  const scale = Math.min(GRAPH_ZOOM_LIMITS[1], Math.max(GRAPH_ZOOM_LIMITS[0], view.scale * factor));
+  // カーソル位置を中心に拡大する
+  const offsetX = screenX - rect.width / 2;
+  const offsetY = screenY - rect.height / 2;
+  view.x = offsetX - ((offsetX - view.x) * scale) / view.scale;
+  view.y = offsetY - ((offsetY - view.y) * scale) / view.scale;
+  view.scale = scale;
+  scheduleKnowledgeGraphFrame(graph);
+}
+
+function fitKnowledgeGraph(graph) {
+  if (!graph.nodes.length) return;
+  const xs = graph.nodes.map((node) => node.x);
+  const ys = graph.nodes.map((node) => node.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const ratio = window.devicePixelRatio || 1;
+  const width = graph.canvas.width / ratio;
+  const height = graph.canvas.height / ratio;
+  const scale = Math.min(GRAPH_ZOOM_LIMITS[1], Math.max(GRAPH_ZOOM_LIMITS[0], Math.min(width / (maxX - minX + 40), height / (maxY - minY + 40))));
+  graph.view = { scale, x: -((minX + maxX) / 2) * scale, y: -((minY + maxY) / 2) * scale };
+  scheduleKnowledgeGraphFrame(graph);
+}
+
+function openKnowledgeGraphNode(node) {
+  if (node.kind === 'puzzle') navigateToPuzzle(node.id);
+  else if (node.kind === 'post') navigateToPost(node.id);
+  else searchByTag(node.id);
+}
+
+function attachKnowledgeGraphEvents(graph) {
+  const { canvas } = graph;
+  const pointers = new Map();
+  let gesture = null;
+
+  canvas.addEventListener('pointerdown', (event) => {
+    canvas.setPointerCapture?.(event.pointerId);
+    const point = getKnowledgeGraphPoint(graph, event);
+    pointers.set(event.pointerId, point);
+    if (pointers.size === 1) {
+      const node = findKnowledgeGraphNode(graph, point.x, point.y);
+      gesture = { startX: point.screenX, startY: point.screenY, moved: false, node, viewX: graph.view.x, viewY: graph.view.y };
+      graph.dragNode = node;
+    } else if (pointers.size === 2) {
+      const [a, b] = Array.from(pointers.values());
+      gesture = { pinchDistance: Math.hypot(a.screenX - b.screenX, a.screenY - b.screenY), moved: true };
+      graph.dragNode = null;
+    }
+  });
+
+  canvas.addEventListener('pointermove', (event) => {
+    const point = getKnowledgeGraphPoint(graph, event);
+    if (!pointers.has(event.pointerId)) {
+      const hover = findKnowledgeGraphNode(graph, point.x, point.y);
+      if (hover !== graph.hoverNode) {
+        graph.hoverNode = hover;
+        canvas.style.cursor = hover ? 'pointer' : 'grab';
+        scheduleKnowledgeGraphFrame(graph);
+      }
+      return;
+    }
+    pointers.set(event.pointerId, point);
+    if (!gesture) return;
+    if (pointers.size === 2 && gesture.pinchDistance) {
+      const [a, b] = Array.from(pointers.values());
+      const distance = Math.hypot(a.screenX - b.screenX, a.screenY - b.screenY);
+      zoomKnowledgeGraph(graph, distance / gesture.pinchDistance, (a.screenX + b.screenX) / 2, (a.screenY + b.screenY) / 2);
+      gesture.pinchDistance = distance;
+      return;
+    }
+    const dx = point.screenX - gesture.startX;
+    const dy = point.screenY - gesture.startY;
+    if (!gesture.moved && Math.hypot(dx, dy) < 4) return;
+    gesture.moved = true;
+    if (gesture.node) {
+      // ノードをつかんで動かすと周りもついてくる
+      gesture.node.x = point.x;
+      gesture.node.y = point.y;
+      gesture.node.vx = 0;
+      gesture.node.vy = 0;
+      graph.alpha = Math.max(graph.alpha, 0.1);
+    } else {
+      graph.view.x = gesture.viewX + dx;
+      graph.view.y = gesture.viewY + dy;
+    }
+    scheduleKnowledgeGraphFrame(graph);
+  });
+
+  const endPointer = (event) => {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.delete(event.pointerId);
+    if (pointers.size) return;
+    if (gesture && !gesture.moved && gesture.node && event.type === 'pointerup') {
+      openKnowledgeGraphNode(gesture.node);
+    }
+    gesture = null;
+    graph.dragNode = null;
+  };
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+
+  canvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const point = getKnowledgeGraphPoint(graph, event);
+    zoomKnowledgeGraph(graph, Math.exp(-event.deltaY * 0.002), point.screenX, point.screenY);
+  }, { passive: false });
+}
+
+function createKnowledgeGraphLegend() {
+  const legend = document.createElement('div');
+  legend.className = 'knowledge-graph-legend';
+  const addItem = (className, color, text) => {
+    const item = document.createElement('span');
+    item.className = 'knowledge-graph-legend-item';
+    const sample = document.createElement('span');
+    sample.className = `knowledge-graph-sample ${className}`;
+    sample.style.setProperty('--sample-color', color);
+    const label = document.createElement('span');
+    label.textContent = text;
+    item.append(sample, label);
+    legend.appendChild(item);
+  };
+  getLanguageOptions().forEach((lang) => addItem('knowledge-graph-sample-node', lang.color, lang.label));
+  addItem('knowledge-graph-sample-solved', '#52606d', '解決済みの謎');
+  addItem('knowledge-graph-sample-unsolved', '#52606d', '未解決の謎');
+  addItem('knowledge-graph-sample-post', '#52606d', 'ポスト');
+  Object.values(GRAPH_EDGE_STYLES).forEach((style) => addItem('knowledge-graph-sample-edge', style.color, style.label));
+  return legend;
+}
+
+function renderKnowledgeGraph(container) {
+  let graph = state.knowledgeGraph;
+  if (!graph || !container.contains(graph.canvas)) {
+    container.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'knowledge-graph-header';
+    const title = document.createElement('span');
+    title.className = 'knowledge-graph-title';
+    title.textContent = '関連グラフ';
+    const fitBtn = document.createElement('button');
+    fitBtn.type = 'button';
+    fitBtn.className = 'import-button dashboard-settings-button';
+    fitBtn.textContent = '全体を表示';
+    const canvas = document.createElement('canvas');
+    canvas.className = 'knowledge-graph-canvas';
+    header.append(title, fitBtn);
+    const legendSlot = document.createElement('div');
+    container.append(header, canvas, legendSlot);
+    graph = { canvas, legendSlot, nodes: [], nodeMap: new Map(), edges: [], view: { x: 0, y: 0, scale: 1 }, alpha: 1, frame: null, signature: '', revision: null };
+    fitBtn.addEventListener('click', () => fitKnowledgeGraph(graph));
+    attachKnowledgeGraphEvents(graph);
+    state.knowledgeGraph = graph;
+  }
+  graph.legendSlot.replaceChildren(createKnowledgeGraphLegend());
+  if (graph.revision !== state.dataRevision) updateKnowledgeGraphData(graph);
+  container.classList.toggle('hidden', !graph.nodes.length);
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = container.clientWidth || 360;
+  graph.canvas.width = width * ratio;
+  graph.canvas.height = GRAPH_HEIGHT * ratio;
+  graph.canvas.style.width = `${width}px`;
+  graph.canvas.style.height = `${GRAPH_HEIGHT}px`;
+  scheduleKnowledgeGraphFrame(graph);
+}
+
+// ノードとエッジはデータが変わったときだけ作り直し、前回の位置を引き継ぐ
+function updateKnowledgeGraphData(graph) {
+  const data = buildKnowledgeGraphData();
+  data.nodes.forEach((node, i) => {
+    const old = graph.nodeMap.get(node.key);
+    if (old) {
+      Object.assign(node, { x: old.x, y: old.y, vx: old.vx, vy: old.vy });
+    } else {
+      const radius = 20 * Math.sqrt(i + 0.5);
+      const angle = i * Math.PI * (3 - Math.sqrt(5));
+      Object.assign(node, { x: radius * Math.cos(angle), y: radius * Math.sin(angle), vx: 0, vy: 0 });
+    }
+  });
+  const signature = `${data.nodes.map((node) => node.key).join(',')}/${data.edges.length}`;
+  if (signature !== graph.signature) graph.alpha = Math.max(graph.alpha, graph.signature ? 0.3 : 1);
+  Object.assign(graph, data, { signature, hoverNode: null, dragNode: null, revision: state.dataRevision });
+}
+
+// 学習目標と連続記録。記録は投稿・復習履歴・解決日から毎回数え直すので、保存するのは目標の設定だけ
+function normalizeGoalTarget(value) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? clampNumber(number, 0, GOAL_TARGET_MAX) : 0;
+}
+
+function normalizeGoalSettings(goals) {
+  const source = goals && typeof goals === 'object' ? goals : defaultSettings().goals;
+  const normalizePeriod = (period) => ({
+    texts: Object.fromEntries(Object.entries(period?.texts || {})
+      .map(([language, target]) => [language, normalizeGoalTarget(target)])
+      .filter(([, target]) => target > 0)),
+    reviews: normalizeGoalTarget(period?.reviews),
+    puzzles: normalizeGoalTarget(period?.puzzles),
+  });
+  const freezes = Math.round(Number(source.streakFreezes));
+  return {
+    daily: normalizePeriod(source.daily),
+    weekly: normalizePeriod(source.weekly),
+    streakFreezes: Number.isFinite(freezes) ? clampNumber(freezes, 0, STREAK_FREEZE_MAX) : DEFAULT_STREAK_FREEZES,
+  };
+}
+
+const getGoalSettings = () => state.data.settings?.goals || normalizeGoalSettings();
+
+const createEmptyActivity = () => ({ texts: {}, reviews: 0, puzzles: 0 });
+
+// 日ごとの学習量。文・復習・解決のどれも、ゴミ箱に入っているもの（保存期間が過ぎて消えるまで）を含めて数える
+function collectStudyActivity() {
+  const activity = new Map();
+  const getDay = (ts) => {
+    const key = getDateKey(ts);
+    if (!activity.has(key)) activity.set(key, createEmptyActivity());
+    return activity.get(key);
+  };
+  const trashedItems = (type) => state.data.trash.filter((entry) => entry.type === type).map((entry) => entry.item);
+  const posts = [...state.data.posts, ...trashedItems('post')];
+  const replies = [...state.data.replies, ...trashedItems('reply'), ...state.data.trash.flatMap((entry) => entry.replies || [])];
+  const puzzles = [...state.data.puzzles, ...trashedItems('puzzle')];
+  const cards = [...state.data.cards, ...state.data.trash.flatMap((entry) => entry.cards || [])];
+
+  collectTextEntries({ posts, replies, puzzles }).forEach((entry) => {
+    const day = getDay(entry.createdAt);
+    day.texts[entry.language] = (day.texts[entry.language] || 0) + 1;
+  });
+  // 復習は updateReviewProgress() が残す履歴から数える
+  [...puzzles, ...cards].forEach((item) => {
+    (item?.review?.history || []).forEach((entry) => {
+      getDay(entry.reviewedAt).reviews += 1;
+    });
+  });
+  puzzles.forEach((puzzle) => {
+    if (puzzle?.isSolved && puzzle.solvedAt) getDay(puzzle.solvedAt).puzzles += 1;
+  });
+  return activity;
+}
+
+function sumStudyActivity(activity, from, to = Date.now()) {
+  const total = createEmptyActivity();
+  for (const day = new Date(getStartOfDay(from)); day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+    const entry = activity.get(getDateKey(day));
+    if (!entry) continue;
+    Object.entries(entry.texts).forEach(([language, count]) => {
+      total.texts[language] = (total.texts[language] || 0) + count;
+    });
+    total.reviews += entry.reviews;
+    total.puzzles += entry.puzzles;
+  }
+  return total;
+}
+
+// 週は heatmap の列と同じく日曜始まり
+function getStartOfWeek(ts = Date.now()) {
+  const d = new Date(getStartOfDay(ts));
+  d.setDate(d.getDate() - d.getDay());
+  return d.getTime();
+}
+
+function getGoalItems(period, totals = createEmptyActivity()) {
+  const items = Object.entries(period.texts).map(([language, target]) => ({
+    label: `${getLanguageLabel(language)}の新しい文`,
+    value: totals.texts[language] || 0,
+    target,
+    color: getLanguageOption(language)?.color || GOAL_COLORS.texts,
+  }));
+  ['reviews', 'puzzles'].forEach((metric) => {
+    if (period[metric]) items.push({ label: GOAL_METRIC_LABELS[metric], value: totals[metric], target: period[metric], color: GOAL_COLORS[metric] });
+  });
+  return items;
+}
+
+// 毎日の目標をすべて満たした日が連続記録になる。毎日の目標がなければ、何か学習した日を数える
+function isDailyGoalMet(day, daily) {
+  const items = getGoalItems(daily, day);
+  if (items.length) return Boolean(day) && items.every((item) => item.value >= item.target);
+  return Boolean(day) && (Object.keys(day.texts).length > 0 || day.reviews > 0 || day.puzzles > 0);
+}
+
+// 達成できなかった日が続いても、その日数ぶんの凍結が月ごとに残っていれば、まとめて使って記録をつなぐ。
+// つなぎきれない空白では凍結を使わない。今日はまだ途中なので途切れとしない
+// 凍結を使った日は保存せず、表示のたびに今の目標と凍結の回数で最初から数え直す（設定を変えると過去の記録も変わる）
+function computeStudyStreak(activity, goals = getGoalSettings(), now = Date.now()) {
+  const todayKey = getDateKey(now);
+  const result = { current: 0, longest: 0, todayMet: false, frozenDays: new Set(), freezesLeft: goals.streakFreezes };
+  const firstKey = [...activity.keys()].sort()[0];
+  if (!firstKey || firstKey > todayKey) return result;
+
+  const usedFreezes = new Map();
+  const bridgeGap = (gap) => {
+    const needed = new Map();
+    gap.forEach((key) => needed.set(key.slice(0, 7), (needed.get(key.slice(0, 7)) || 0) + 1));
+    if ([...needed].some(([month, count]) => (usedFreezes.get(month) || 0) + count > goals.streakFreezes)) return false;
+    needed.forEach((count, month) => usedFreezes.set(month, (usedFreezes.get(month) || 0) + count));
+    gap.forEach((key) => result.frozenDays.add(key));
+    return true;
+  };
+  let current = 0;
+  let gap = [];
+  for (const day = new Date(`${firstKey}T00:00:00`); getDateKey(day) <= todayKey; day.setDate(day.getDate() + 1)) {
+    const key = getDateKey(day);
+    const met = isDailyGoalMet(activity.get(key), goals.daily);
+    if (key === todayKey) result.todayMet = met;
+    if (!met) {
+      if (key !== todayKey) gap.push(key);
+      continue;
+    }
+    if (gap.length && !(current > 0 && bridgeGap(gap))) current = 0;
+    gap = [];
+    current += 1;
+    result.longest = Math.max(result.longest, current);
+  }
+  if (gap.length && !(current > 0 && bridgeGap(gap))) current = 0;
+  result.current = current;
+  result.freezesLeft = goals.streakFreezes - (usedFreezes.get(todayKey.slice(0, 7)) || 0);
+  return result;
+}
+
+function createGoalRing({ label, value, target, color }) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const size = (GOAL_RING_RADIUS + GOAL_RING_WIDTH) * 2;
+  const center = size / 2;
+  const circumference = 2 * Math.PI * GOAL_RING_RADIUS;
+  const ratio = Math.min(1, value / target);
+  const item = document.createElement('div');
+  item.className = `goal-ring${ratio >= 1 ? ' done' : ''}`;
+  item.title = `${label}: ${value} / ${target}`;
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+  svg.setAttribute('class', 'goal-ring-svg');
+  svg.setAttribute('aria-hidden', 'true');
+  const createCircle = (className) => {
+    const circle = document.createElementNS(ns, 'circle');
+    circle.setAttribute('class', className);
+    circle.setAttribute('cx', center);
+    circle.setAttribute('cy', center);
+    circle.setAttribute('r', GOAL_RING_RADIUS);
+    circle.setAttribute('stroke-width', GOAL_RING_WIDTH);
+    return circle;
+  };
+  const bar = createCircle('goal-ring-bar');
+  bar.setAttribute('stroke', color);
+  bar.setAttribute('stroke-dasharray', `${circumference * ratio} ${circumference}`);
+  bar.setAttribute('transform', `rotate(-90 ${center} ${center})`);
+  svg.append(createCircle('goal-ring-track'), bar);
+  const count = document.createElement('span');
+  count.className = 'goal-ring-count';
+  count.textContent = `${value}/${target}`;
+  const name = document.createElement('span');
+  name.className = 'goal-ring-label';
+  name.textContent = label;
+  item.append(svg, count, name);
+  return item;
+}
+
+function renderDashboardGoals(container, activity, streak) {
+  const goals = getGoalSettings();
+  container.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'goal-streak';
+  const createStat = (value, label) => {
+    const stat = document.createElement('div');
+    stat.className = 'goal-streak-stat';
+    const number = document.createElement('span');
+    number.className = 'dashboard-count-total';
+    number.textContent = value;
+    const caption = document.createElement('span');
+    caption.className = 'helper';
+    caption.textContent = label;
+    stat.append(number, caption);
+    return stat;
+  };
+  summary.append(
+    createStat(streak.current, '日連続'),
+    createStat(streak.longest, '最長記録'),
+    createStat(`${streak.freezesLeft}/${goals.streakFreezes}`, '今月の凍結'),
+  );
+  const status = document.createElement('p');
+  status.className = 'helper goal-streak-status';
+  status.textContent = streak.todayMet ? '今日の目標を達成しました' : '今日の目標を達成すると記録がのびます';
+  container.append(summary, status);
+
+  const periods = [
+    { label: GOAL_PERIODS.daily, items: getGoalItems(goals.daily, activity.get(getDateKey(Date.now()))) },
+    { label: GOAL_PERIODS.weekly, items: getGoalItems(goals.weekly, sumStudyActivity(activity, getStartOfWeek())) },
+  ];
+  periods.filter((period) => period.items.length).forEach((period) => {
+    const section = document.createElement('div');
+    section.className = 'goal-ring-section';
+    const title = document.createElement('span');
+    title.className = 'goal-ring-title';
+    title.textContent = period.label;
+    const rings = document.createElement('div');
+    rings.className = 'goal-rings';
+    period.items.forEach((item) => rings.appendChild(createGoalRing(item)));
+    section.append(title, rings);
+    container.appendChild(section);
+  });
+}
+
+function buildGoalSettingsView() {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section goal-settings';
+  fragment.appendChild(container);
+  const draft = JSON.parse(JSON.stringify(getGoalSettings()));
+
+  const description = document.createElement('p');
+  description.className = 'modal-description';
+  description.textContent = '0 にした目標は表示しません。毎日の目標をすべて達成した日が連続記録になります（毎日の目標がないときは、何か学習した日）。連続記録と凍結はいまの設定で過去から数え直すので、目標や凍結の回数を変えると過去の記録も変わります。';
+  container.appendChild(description);
+
+  const createTargetInput = (label, value, max, onChange) => {
+    const row = document.createElement('label');
+    row.className = 'goal-settings-row';
+    const name = document.createElement('span');
+    name.className = 'helper';
+    name.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'tag-input goal-target-input';
+    input.min = '0';
+    input.max = String(max);
+    input.value = String(value || 0);
+    input.addEventListener('change', () => onChange(input.value));
+    row.append(name, input);
+    return row;
+  };
+
+  Object.entries(GOAL_PERIODS).forEach(([periodKey, periodLabel]) => {
+    const period = draft[periodKey];
+    const section = document.createElement('div');
+    section.className = 'goal-settings-section';
+    const title = document.createElement('span');
+    title.className = 'goal-ring-title';
+    title.textContent = `${periodLabel}の目標`;
+    section.appendChild(title);
+    getTargetLanguages().forEach((lang) => {
+      section.appendChild(createTargetInput(`${lang.label}の新しい文`, period.texts[lang.value], GOAL_TARGET_MAX, (value) => {
+        period.texts[lang.value] = value;
+      }));
+    });
+    ['reviews', 'puzzles'].forEach((metric) => {
+      section.appendChild(createTargetInput(GOAL_METRIC_LABELS[metric], period[metric], GOAL_TARGET_MAX, (value) => {
+        period[metric] = value;
+      }));
+    });
+    container.appendChild(section);
+  });
+  container.appendChild(createTargetInput('連続記録の凍結（1か月あたり）', draft.streakFreezes, STREAK_FREEZE_MAX, (value) => {
+    draft.streakFreezes = value;
+  }));
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = 'Save';
+  submitBtn.addEventListener('click', () => {
+    runMutation('学習目標を変更', () => {
+      state.data.settings.goals = normalizeGoalSettings(draft);
+    });
+    closeModal();
+  });
+  actions.append(cancelBtn, submitBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function openGoalSettingsModal() {
+  openModal(buildGoalSettingsView(), '学習目標');
+}
+
+function renderDashboard() {
+  const dashboardPanel = document.getElementById('dashboard-panel');
+  const chartContainer = document.getElementById('dashboard-chart-container');
+  const countsContainer = document.getElementById('dashboard-text-counts');
+  const goalsContainer = document.getElementById('dashboard-goals-container');
+  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
+  if (!dashboardPanel || !chartContainer || !countsContainer || !goalsContainer || !heatmapContainer) return;
+
+  const entries = collectTextEntries();
+  const dashboardLanguages = getTargetLanguages();
+  const counts = Object.fromEntries(dashboardLanguages.map((lang) => [lang.value, 0]));
+  entries.forEach((entry) => {
+    if (Object.prototype.hasOwnProperty.call(counts, entry.language)) counts[entry.language] += 1;
+  });
+  const total = Object.values(counts).reduce((sum, val) => sum + val, 0);
+
+  chartContainer.innerHTML = '';
+  const canvas = document.createElement('canvas');
+  canvas.id = 'dashboard-chart-canvas';
+  chartContainer.appendChild(canvas);
+
+  const centerTotal = document.createElement('div');
+  centerTotal.className = 'dashboard-count-total dashboard-chart-total';
+  centerTotal.textContent = total;
+  chartContainer.appendChild(centerTotal);
+
+  const chartData = {
+    labels: dashboardLanguages.map((l) => l.label),
+    datasets: [
+      {
+        data: dashboardLanguages.map((l) => counts[l.value]),
+        backgroundColor: dashboardLanguages.map((l) => l.color),
+        borderWidth: 0,
+      },
+    ],
+  };
+
+  // 👇 Chart.js はまだ描画しない（ここが重要）
+  if (state.dashboardChart) {
+    state.dashboardChart.destroy();
+    state.dashboardChart = null;
+  }
+
+  // ✅ レイアウト確定後（1フレーム後）に描画
+  requestAnimationFrame(() => {
+    // ① Canvasサイズ確定
+    const w = 113;
+    const h = 113; // 好きな高さ
+    canvas.width = w;
+    canvas.height = h;
+
+    // ② Chart生成 (ここで初めてOK)
+    state.dashboardChart = new Chart(canvas.getContext('2d'), {
+      type: 'doughnut',
+      data: chartData,
+      options: {
+        responsive: false,   // ← Canvas拡大で0に戻されるのを防止
+        rotation: -90 * (Math.PI / 180),
+        cutout: '70%',
+        animation: {
+          animateRotate: true,
+          animateScale: false,
+          duration: 1200
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.label}: ${context.raw} texts`,
+            },
+          },
+        },
+      },
+    });
+  });
+
+  // ===== ここより下はそのままでOK ↓ =====
+
+  state.hasPlayedDashboardAnimation = true;
+
+  countsContainer.innerHTML = '';
+  dashboardLanguages.forEach((lang) => {
+    const row = document.createElement('div');
+    row.className = 'dashboard-count-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'dashboard-count-swatch';
+    swatch.style.backgroundColor = lang.color;
+    const label = document.createElement('span');
+    label.textContent = `${lang.label}: ${counts[lang.value]}`;
+    row.append(swatch, label);
+    countsContainer.appendChild(row);
+  });
+  const settingsBtn = document.createElement('button');
+  settingsBtn.type = 'button';
+  settingsBtn.className = 'import-button dashboard-settings-button';
+  settingsBtn.textContent = '言語設定';
+  settingsBtn.addEventListener('click', openLanguageSettingsModal);
+  const speechSettingsBtn = document.createElement('button');
+  speechSettingsBtn.type = 'button';
+  speechSettingsBtn.className = 'import-button dashboard-settings-button';
+  speechSettingsBtn.textContent = '読み上げ設定';
+  speechSettingsBtn.addEventListener('click', openSpeechSettingsModal);
+  const tagsBtn = document.createElement('button');
+  tagsBtn.type = 'button';
+  tagsBtn.className = 'import-button dashboard-settings-button';
+  tagsBtn.textContent = 'タグ';
+  tagsBtn.addEventListener('click', openTagBrowserModal);
+  const linkIssueCount = getLinkIndex().dangling.length;
+  const linksBtn = document.createElement('button');
+  linksBtn.type = 'button';
+  linksBtn.className = 'import-button dashboard-settings-button';
+  linksBtn.textContent = linkIssueCount ? `リンクの点検 (${linkIssueCount})` : 'リンクの点検';
+  linksBtn.addEventListener('click', openLinkMaintenanceModal);
+  const goalsBtn = document.createElement('button');
+  goalsBtn.type = 'button';
+  goalsBtn.className = 'import-button dashboard-settings-button';
+  goalsBtn.textContent = '学習目標';
+  goalsBtn.addEventListener('click', openGoalSettingsModal);
+  countsContainer.append(settingsBtn, speechSettingsBtn, tagsBtn, linksBtn, goalsBtn);
+
+  const activity = collectStudyActivity();
+  const streak = computeStudyStreak(activity);
+  renderDashboardGoals(goalsContainer, activity, streak);
+
+  // heatmap には学習中の言語の新しい文と、復習した回数を合わせて数える
+  const getDayCounts = (key) => {
+    const day = activity.get(key);
+    const texts = Object.entries(day?.texts || {})
+      .reduce((sum, [language, count]) => sum + (Object.prototype.hasOwnProperty.call(counts, language) ? count : 0), 0);
+    return { texts, reviews: day?.reviews || 0 };
+  };
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = [];
+  for (let i = 364; i >= 0; i -= 1) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+    const key = getDateKey(date);
+    const dayCounts = getDayCounts(key);
+    days.push({ date, key, ...dayCounts, count: dayCounts.texts + dayCounts.reviews, frozen: streak.frozenDays.has(key) });
+  }
+
+  const thresholds = getHeatmapThresholds(days.map((day) => day.count));
+
+  const startOffset = days[0].date.getDay();
+  const columns = [];
+  let column = [];
+  for (let i = 0; i < startOffset; i += 1) {
+    column.push(null);
+  }
+  days.forEach((day) => {
+    column.push(day);
+    if (column.length === 7) {
+      columns.push(column);
+      column = [];
+    }
+  });
+  if (column.length) columns.push(column);
+
+  heatmapContainer.innerHTML = '';
+  const scrollArea = document.createElement('div');
+  scrollArea.className = 'heatmap-scroll-area';
+
+  const monthsRow = document.createElement('div');
+  monthsRow.className = 'heatmap-months';
+
+  const grid = document.createElement('div');
+  grid.className = 'heatmap-grid';
+  const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  let lastMonth = null;
+  columns.forEach((col) => {
+    const firstDay = col.find((cell) => cell);
+    const currentMonth = firstDay ? firstDay.date.getMonth() : lastMonth;
+    const monthLabel = currentMonth !== null && currentMonth !== lastMonth ? monthLabels[currentMonth] : '';
+
+    const monthEl = document.createElement('div');
+    monthEl.className = 'heatmap-month';
+    monthEl.textContent = monthLabel;
+    monthsRow.appendChild(monthEl);
+
+    const colEl = document.createElement('div');
+    colEl.className = 'heatmap-column';
+    col.forEach((cell) => {
+      const cellEl = document.createElement('div');
+      cellEl.className = 'heatmap-cell';
+      if (cell) {
+        cellEl.style.backgroundColor = getHeatmapColor(cell.count, thresholds);
+        cellEl.title = `${cell.key}: ${cell.texts} texts, ${cell.reviews} reviews${cell.frozen ? '（凍結で記録を継続）' : ''}`;
+        cellEl.classList.toggle('heatmap-cell-frozen', cell.frozen);
+      }
+      colEl.appendChild(cellEl);
+    });
+    grid.appendChild(colEl);
+
+    if (firstDay) {
+      lastMonth = firstDay.date.getMonth();
+    }
+  });
+
+  scrollArea.append(monthsRow, grid);
+
+  const legend = document.createElement('div');
+  legend.className = 'heatmap-legend';
+  const [low, high] = thresholds;
+  const formatRange = (from, to) => (from === to ? String(from) : `${from}-${to}`);
+  const legendItems = [
+    { label: '0', count: 0 },
+    { label: formatRange(1, low), count: low },
+    { label: formatRange(low + 1, high), count: high },
+    { label: `${high + 1}+`, count: high + 1 },
+  ];
+  legendItems.forEach(({ label, count }) => {
+    const item = document.createElement('span');
+    item.className = 'heatmap-legend-item';
+    item.title = label;
+    const sample = document.createElement('div');
+    sample.className = 'heatmap-cell';
+    sample.style.backgroundColor = getHeatmapColor(count, thresholds);
+    item.append(sample);
+    legend.appendChild(item);
+  });
+
+  heatmapContainer.append(scrollArea, legend);
+
+  renderDashboardCard(dashboardPanel);
+  const graphContainer = document.getElementById('dashboard-graph-container');
+  if (graphContainer) renderKnowledgeGraph(graphContainer);
+
+  // 最新が右端なので、右端から表示
+  requestAnimationFrame(() => {
+    scrollArea.scrollLeft = scrollArea.scrollWidth;
+  });
+}
+
+
+function renderCardList(container, items, {
+  emptyMessage,
+  highlightImage = false,
+  forceRenderAll = false,
+  renderer = (item, options) => renderPostCard(item, options),
+} = {}) {
+  if (container._infiniteObserver) {
+    container._infiniteObserver.disconnect();
+  }
+  container.innerHTML = '';
+  if (!items.length) {
+    container.innerHTML = `<div class="empty-state">${emptyMessage}</div>`;
+    return;
+  }
+
+  const initialCount = forceRenderAll ? items.length : 50;
+  const batchSize = forceRenderAll ? items.length : 20;
+  let index = 0;
+  let observer = null;
+
+  const addSentinel = () => {
+    if (forceRenderAll) return;
+    const sentinel = document.createElement('div');
+    sentinel.className = 'load-sentinel';
+    container.appendChild(sentinel);
+    if (observer) observer.observe(sentinel);
+  };
+
+  const renderBatch = (count) => {
+    const slice = items.slice(index, index + count);
+    slice.forEach((item) => container.appendChild(renderer(item, { highlightImage })));
+    index += count;
+    if (index < items.length) addSentinel();
+  };
+
+  observer = forceRenderAll
+    ? null
+    : new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          observer.unobserve(entry.target);
+          entry.target.remove();
+          renderBatch(batchSize);
+        }
+      });
+    }, { root: null, rootMargin: '200px' });
+
+  renderBatch(initialCount);
+  container._infiniteObserver = observer;
+}
+
+function renderTimeline(options = {}) {
+  const { forceRenderAll = false } = options;
+  const container = document.getElementById('timeline-list');
+  const sorted = [...state.data.posts].sort((a, b) => b.createdAt - a.createdAt);
+  renderCardList(container, sorted, { emptyMessage: '投稿がありません。', forceRenderAll });
+}
+
+function renderPuzzleTagList(tags = []) {
+  const wrap = document.createElement('div');
+  wrap.className = 'tag-list';
+  tags.forEach((tag) => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.textContent = `#${tag}`;
+    wrap.appendChild(chip);
+  });
+  return wrap;
+}
+
+function renderPuzzleCard(puzzle) {
+  const card = document.createElement('article');
+  card.className = 'card puzzle-card';
+  card.id = `puzzle-card-${puzzle.id}`;
+
+  const meta = document.createElement('div');
+  meta.className = 'card-meta';
+  const created = document.createElement('span');
+  created.className = 'card-meta-item';
+  created.textContent = formatDate(puzzle.updatedAt || puzzle.createdAt);
+
+  const body = document.createElement('div');
+  body.className = 'card-body puzzle-body';
+
+  const textGroup = document.createElement('div');
+  textGroup.className = 'text-block-group';
+  textGroup.id = `puzzle-text-${puzzle.id}`;
+  const speakerBadge = createSpeakerBadge(puzzle.speaker_type || puzzle.speaker || 'none');
+  textGroup.appendChild(speakerBadge);
+
+  const textBlock = document.createElement('div');
+  textBlock.className = 'text-block';
+
+  const label = document.createElement('div');
+  label.className = 'text-label';
+  const langLabel = getLanguageLabel(puzzle.language);
+  if (isSpeakableLanguage(puzzle.language)) {
+    const speakBtn = document.createElement('button');
+    speakBtn.type = 'button';
+    speakBtn.className = 'text-action-button text-label-button';
+    speakBtn.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${langLabel}`;
+    speakBtn.addEventListener('click', () => playSpeech(puzzle.text, puzzle.language, puzzle.speaker));
+    label.append(speakBtn);
+  } else {
+    const langText = document.createElement('span');
+    langText.textContent = langLabel;
+    label.append(langText);
+  }
+
+  const content = document.createElement('div');
+  content.className = 'text-content';
+  content.textContent = puzzle.text;
+
+  textBlock.append(label, content);
+  if (puzzle.pronunciation) {
+    const pron = document.createElement('div');
+    pron.className = 'pronunciation';
+    pron.textContent = puzzle.pronunciation;
+    textBlock.appendChild(pron);
+  }
+
+  const referenceRow = document.createElement('div');
+  referenceRow.className = 'post-ref-row timeline-ref-row';
+  const refValue = puzzle.refId || puzzle.id;
+  const refText = document.createElement('span');
+  refText.className = 'post-ref-text';
+  refText.textContent = refValue;
+
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'copy-ref-button';
+  copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(refValue);
+      copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
+      setTimeout(() => { copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">'; }, 1500);
+    } catch (error) {
+      alert('コピーに失敗しました');
+    }
+  });
+
+  referenceRow.append(refText, copyBtn, createPracticeButton({ type: 'puzzle', id: puzzle.id }, puzzle));
+  textBlock.appendChild(referenceRow);
+  textGroup.appendChild(textBlock);
+  body.appendChild(textGroup);
+
+  const clueContent = document.createElement('div');
+  clueContent.className = 'puzzle-section-content';
+  const extra = document.createElement('div');
+  extra.className = 'post-extra';
+
+  const hasNotes = puzzle.notes?.length;
+  if (hasNotes) {
+    const notesWrap = document.createElement('div');
+    notesWrap.className = 'puzzle-note-list';
+    puzzle.notes.forEach((note) => {
+      const noteEl = document.createElement('div');
+      noteEl.className = 'puzzle-note';
+      noteEl.textContent = note.text;
+      notesWrap.appendChild(noteEl);
+    });
+    extra.appendChild(notesWrap);
+  }
+
+  if (puzzle.tags?.length) {
+    const tagRow = document.createElement('div');
+    tagRow.className = 'post-extra-row';
+    const tagLabel = document.createElement('span');
+    tagLabel.className = 'post-extra-label';
+    tagLabel.innerHTML = '<img src="img/tag.svg" alt="" width="20" class="icon-inline">';
+    const tagList = renderPuzzleTagList(puzzle.tags);
+    tagRow.append(tagLabel, tagList);
+    extra.appendChild(tagRow);
+  }
+
+  const hasPostRefs = puzzle.post?.length;
+  if (hasPostRefs) {
+    const clueRow = document.createElement('div');
+    clueRow.className = 'post-extra-row puzzle-clue-row';
+    const clueLabel = document.createElement('span');
+    clueLabel.className = 'post-extra-label';
+    clueLabel.innerHTML = '<img src="img/link.svg" alt="" width="20" class="icon-inline">';
+
+    const clueWrap = document.createElement('div');
+    clueWrap.className = 'puzzle-clue-list';
+
+    const list = document.createElement('div');
+    list.className = 'puzzle-ref-list';
+    puzzle.post.forEach((ref) => {
+      const normalized = normalizePostRef(ref);
+      const label = formatPostRef(normalized) || `Post #${ref.postId} / textIndex ${ref.textIndex}`;
+      if (normalized) {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'puzzle-ref-link';
+        link.classList.toggle('broken-link', !resolvePostRefTextBlock(ref));
+        link.textContent = label;
+        link.addEventListener('click', () => navigateToPost(normalized));
+        list.appendChild(link);
+      } else {
+        const text = document.createElement('span');
+        text.textContent = label;
+        list.appendChild(text);
+      }
+    });
+    clueWrap.appendChild(list);
+
+    clueRow.append(clueLabel, clueWrap);
+    extra.appendChild(clueRow);
+  }
+
+  if (puzzle.relatedPuzzleIds?.length) {
+    const relatedRow = document.createElement('div');
+    relatedRow.className = 'post-extra-row';
+    const relatedLabel = document.createElement('span');
+    relatedLabel.className = 'post-extra-label';
+    relatedLabel.innerHTML = '<img src="img/puzzle_off.svg" alt="" width="20" class="icon-inline">';
+    const relatedList = document.createElement('div');
+    relatedList.className = 'puzzle-chip-list';
+    puzzle.relatedPuzzleIds.forEach((id) => {
+      const puzzle = findPuzzleByIdentifier(id);
+      const displayId = puzzle?.refId || puzzle?.id || id;
+      const targetId = puzzle?.id || id;
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'puzzle-chip puzzle-chip-link';
+      chip.classList.toggle('broken-link', !puzzle);
+      chip.textContent = `#${displayId}`;
+      chip.addEventListener('click', () => navigateToPuzzle(targetId));
+      relatedList.appendChild(chip);
+    });
+    relatedRow.append(relatedLabel, relatedList);
+    extra.appendChild(relatedRow);
+  }
+
+  const puzzleBacklinkRow = createBacklinkRow(`puzzle:${puzzle.id}`);
+  if (puzzleBacklinkRow) extra.appendChild(puzzleBacklinkRow);
+
+  if (!extra.children.length) {
+    const helper = document.createElement('div');
+    helper.className = 'helper';
+    helper.textContent = '手がかりがまだ登録されていません。';
+    clueContent.appendChild(helper);
+  } else {
+    clueContent.appendChild(extra);
+  }
+  body.appendChild(createAccordion('手がかり', clueContent));
+
+  if (puzzle.isSolved) {
+    const solvedContent = document.createElement('div');
+    solvedContent.className = 'puzzle-section-content';
+
+    const meaning = document.createElement('div');
+    meaning.className = 'puzzle-meaning';
+    meaning.textContent = puzzle.meaning || '未入力';
+    solvedContent.appendChild(meaning);
+
+    const renderList = (title, values = []) => {
+      if (!values.length) return;
+      const wrap = document.createElement('div');
+      wrap.className = 'puzzle-list-block';
+      const label = document.createElement('div');
+      label.className = 'puzzle-list-label';
+      label.textContent = title;
+      const list = document.createElement('ul');
+      list.className = 'puzzle-solved-list';
+      values.forEach((val) => {
+        const item = document.createElement('li');
+        item.className = 'puzzle-solved-item';
+        item.textContent = val;
+        list.appendChild(item);
+      });
+      wrap.append(label, list);
+      solvedContent.appendChild(wrap);
+    };
+    renderList('言い換え', puzzle.alternatives || []);
+    renderList('例文', puzzle.examples || []);
+
+    const nextReviewBlock = document.createElement('div');
+    nextReviewBlock.className = 'puzzle-list-block';
+    const nextReviewLabel = document.createElement('div');
+    nextReviewLabel.className = 'puzzle-list-label';
+    nextReviewLabel.textContent = '次回の出題日';
+    const nextReviewValue = document.createElement('p');
+    nextReviewValue.className = 'next_review_date';
+    nextReviewValue.textContent =
+      puzzle.review?.nextReviewDate != null ? formatDateOnly(puzzle.review.nextReviewDate) : '未設定';
+    nextReviewBlock.append(nextReviewLabel, nextReviewValue);
+
+    solvedContent.appendChild(nextReviewBlock);
+
+    body.appendChild(createAccordion('解決', solvedContent));
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'card-actions';
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'card-action-button danger-action-button';
+  deleteBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+  deleteBtn.addEventListener('click', () => deletePuzzle(puzzle.id));
+
+  const solvedBtn = document.createElement('button');
+  solvedBtn.className = 'card-action-button';
+  solvedBtn.innerHTML = puzzle.isSolved ? '<img src="img/light_on.svg" alt="未解決に戻す" width="22" class="icon-inline">' : '<img src="img/light_off.svg" alt="解決" width="22" class="icon-inline">';
+  solvedBtn.addEventListener('click', () => togglePuzzleSolved(puzzle.id));
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'card-action-button';
+  editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+  editBtn.addEventListener('click', () => openModal(buildPuzzleForm({ mode: 'edit', targetPuzzle: puzzle }), '謎カードを編集'));
+
+  const pinBtn = document.createElement('button');
+  pinBtn.className = 'card-action-button';
+  pinBtn.innerHTML = puzzle.pinned
+    ? '<img src="img/pin_on.svg" alt="ピン留め中" width="20" class="icon-inline">'
+    : '<img src="img/pin_off.svg" alt="ピン留め" width="20" class="icon-inline">';
+  if (puzzle.pinned) pinBtn.classList.add('liked');
+  pinBtn.addEventListener('click', () => togglePuzzlePinned(puzzle.id));
+
+  actions.append(deleteBtn, solvedBtn, editBtn, pinBtn);
+
+  card.append(meta, body, actions);
+  return card;
+}
+
+// 解決済みの謎カードと、元のテキストが残っている学習カードが復習対象
+function getReviewItems() {
+  return [
+    ...(state.data.puzzles || []).filter((puzzle) => puzzle.isSolved),
+    ...(state.data.cards || []).filter((card) => resolveStudyCardSource(card)),
+  ];
+}
+
+function findReviewItem(identifier) {
+  return findPuzzleByIdentifier(identifier) || (state.data.cards || []).find((card) => card.id === identifier) || null;
+}
+
+function getTodayReviewItems(todayStart = getStartOfDay(Date.now())) {
+  return getReviewItems()
+    .filter((item) => item.review?.nextReviewDate != null)
+    .filter((item) => item.review.nextReviewDate <= todayStart);
+}
+
+function getNextScheduledReviewDate(todayStart = getStartOfDay(Date.now())) {
+  const sortedDates = getReviewItems()
+    .filter((item) => item.review?.nextReviewDate)
+    .map((item) => item.review.nextReviewDate)
+    .sort((a, b) => a - b);
+  return sortedDates.find((date) => date >= todayStart) ?? sortedDates[0] ?? null;
+}
+
+function playStudyCardPrompt(item) {
+  if (item?.type !== 'listening') return;
+  const source = resolveStudyCardSource(item);
+  if (source) playSpeech(source.text.content, source.text.language, source.text.speaker, source.text.audio);
+}
+
+function startReviewSession() {
+  const queue = getTodayReviewItems()
+    .sort((a, b) => a.review.nextReviewDate - b.review.nextReviewDate)
+    .map((item) => item.id);
+  if (!queue.length) return;
+  state.reviewSession = { queue, index: 0, results: [], flipped: false };
+  renderPuzzleReviewSummary();
+  playStudyCardPrompt(getCurrentReviewItem());
+}
+
+function endReviewSession() {
+  state.reviewSession = null;
+  renderPuzzleReviewSummary();
+}
+
+function getCurrentReviewItem(session = state.reviewSession) {
+  if (!session) return null;
+  // セッション中に削除されたカードは飛ばす
+  while (session.index < session.queue.length) {
+    const item = findReviewItem(session.queue[session.index]);
+    if (item && (!isStudyCard(item) || resolveStudyCardSource(item))) return item;
+    session.index += 1;
+  }
+  return null;
+}
+
+function answerReviewCard(grade) {
+  const session = state.reviewSession;
+  const item = getCurrentReviewItem(session);
+  if (!item) return;
+  session.results.push({ itemId: item.id, grade });
+  session.index += 1;
+  session.flipped = false;
+  runMutation('復習を記録', () => {
+    updateReviewProgress(item, grade);
+    item.updatedAt = Date.now();
+  });
+  playStudyCardPrompt(getCurrentReviewItem(session));
+}
+
+function createReviewNextDateBlock() {
+  const block = document.createElement('div');
+  block.className = 'puzzle-list-block';
+  const label = document.createElement('div');
+  label.className = 'puzzle-list-label';
+  label.textContent = '次回の出題日';
+  const value = document.createElement('p');
+  value.className = 'next_review_date';
+  const nextDate = getNextScheduledReviewDate(getStartOfDay() + DAY_MS);
+  value.textContent = nextDate !== null ? formatDateOnly(nextDate) : '未設定';
+  block.append(label, value);
+  return block;
+}
+
+function renderReviewSessionCard(container, session, item) {
+  const progress = document.createElement('div');
+  progress.className = 'review-session-progress';
+  progress.textContent = `${session.index + 1} / ${session.queue.length}`;
+
+  const card = document.createElement('div');
+  card.className = 'dashboard-flashcard review-session-card';
+  card.dataset.reviewId = item.id;
+  const { frontFace, backFace } = createFlashcardFaces(item, 'review-session-card');
+
+  const actions = document.createElement('div');
+  actions.className = 'flashcard-back-actions';
+  const gradeButtons = createReviewGradeButtons(answerReviewCard);
+  const toggleBtn = document.createElement('button');
+  toggleBtn.type = 'button';
+  toggleBtn.className = 'flashcard-toggle';
+
+  const setFlipped = (flipped) => {
+    session.flipped = flipped;
+    card.classList.toggle('flipped', flipped);
+    frontFace.classList.toggle('active', !flipped);
+    backFace.classList.toggle('active', flipped);
+    toggleBtn.textContent = flipped ? '表面へ' : '裏面へ';
+  };
+  toggleBtn.addEventListener('click', () => setFlipped(!session.flipped));
+  setFlipped(session.flipped);
+
+  actions.append(...gradeButtons, toggleBtn);
+  card.append(frontFace, backFace, actions);
+
+  const quitBtn = document.createElement('button');
+  quitBtn.type = 'button';
+  quitBtn.className = 'flashcard-toggle review-session-quit';
+  quitBtn.textContent = '中断する';
+  quitBtn.addEventListener('click', endReviewSession);
+
+  container.append(progress, card, quitBtn);
+}
+
+function renderReviewSessionResult(container, session) {
+  const title = document.createElement('div');
+  title.className = 'review-session-title';
+  title.textContent = '今日の復習が終わりました';
+
+  const stats = document.createElement('div');
+  stats.className = 'review-session-stats';
+  stats.textContent = REVIEW_GRADES
+    .map((grade) => `${REVIEW_GRADE_LABELS[grade]} ${session.results.filter((entry) => entry.grade === grade).length}`)
+    .join(' / ');
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'primary-button review-session-button';
+  closeBtn.textContent = '閉じる';
+  closeBtn.addEventListener('click', endReviewSession);
+
+  container.append(title, stats, createReviewNextDateBlock(), closeBtn);
+}
+
+function createTargetRetentionSelect() {
+  const row = document.createElement('label');
+  row.className = 'review-retention-row';
+  const label = document.createElement('span');
+  label.className = 'puzzle-list-label';
+  label.textContent = '目標の定着率';
+  const select = document.createElement('select');
+  select.className = 'language-select-input';
+  const current = getTargetRetention();
+  TARGET_RETENTION_OPTIONS.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = `${Math.round(value * 100)}%`;
+    if (value === current) option.selected = true;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => {
+    state.data.settings.review.targetRetention = Number(select.value);
+    rescheduleAllReviews();
+    persistData();
+    render();
+  });
+  row.append(label, select);
+  return row;
+}
+
+function renderPuzzleReviewSummary() {
+  const container = document.getElementById('puzzle-review-summary');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const session = state.reviewSession;
+  if (session) {
+    const item = getCurrentReviewItem(session);
+    if (item) {
+      renderReviewSessionCard(container, session, item);
+    } else {
+      renderReviewSessionResult(container, session);
+    }
+    return;
+  }
+
+  const hasReviewItems = getReviewItems().length > 0;
+  container.classList.toggle('hidden', !hasReviewItems);
+  if (!hasReviewItems) return;
+
+  const dueCount = getTodayReviewItems().length;
+  const title = document.createElement('div');
+  title.className = 'review-session-title';
+  title.textContent = `今日の復習: ${dueCount}枚`;
+
+  const startBtn = document.createElement('button');
+  startBtn.type = 'button';
+  startBtn.className = 'primary-button review-session-button';
+  startBtn.textContent = '復習をはじめる';
+  startBtn.disabled = dueCount === 0;
+  startBtn.addEventListener('click', startReviewSession);
+
+  container.append(title, createReviewNextDateBlock(), createTargetRetentionSelect(), startBtn);
+}
+
+function renderPuzzles() {
+  const container = document.getElementById('puzzle-list');
+  if (!container) return;
+  container.innerHTML = '';
+  const puzzles = [...(state.data.puzzles || [])]
+    .sort((a, b) => (b.pinned === a.pinned ? (b.updatedAt || 0) - (a.updatedAt || 0) : Number(b.pinned) - Number(a.pinned)));
+  if (!puzzles.length) {
+    container.innerHTML = '<div class="empty-state">謎の投稿がありません。</div>';
+    return;
+  }
+  puzzles.forEach((puzzle) => container.appendChild(renderPuzzleCard(puzzle)));
+}
+
+function renderImages() {
+  const container = document.getElementById('images-list');
+  const posts = state.data.posts.filter((p) => getItemImages(p).length);
+  posts.sort((a, b) => b.createdAt - a.createdAt);
+  renderCardList(container, posts, { emptyMessage: '画像付きポストはありません。', highlightImage: true });
+}
+
+function renderPostCard(post, options = {}) {
+  const template = document.getElementById('post-template');
+  const node = template.content.firstElementChild.cloneNode(true);
+  node.id = `post-card-${post.id}`;
+  const meta = node.querySelector('.card-meta');
+  const body = node.querySelector('.card-body');
+  const tagsEl = node.querySelector('.tag-list');
+  const actions = node.querySelector('.card-actions');
+  const repliesWrap = node.querySelector('.replies');
+
+  meta.innerHTML = '';
+  const metaText = document.createElement('span');
+  metaText.className = 'card-meta-item';
+  metaText.textContent = `${formatDate(post.createdAt)}${post.updatedAt && post.updatedAt !== post.createdAt ? '（Edited）' : ''}`;
+  meta.appendChild(metaText);
+  if (post.thread && !post.isDeleted) {
+    const threadMeta = document.createElement('span');
+    threadMeta.className = 'card-meta-item thread-meta';
+    threadMeta.textContent = [
+      post.thread.location,
+      post.thread.occurredAt,
+      post.thread.participants.length ? `参加者: ${post.thread.participants.join(', ')}` : '',
+    ].filter(Boolean).join(' · ');
+    meta.appendChild(threadMeta);
+  }
+
+  body.innerHTML = '';
+  if (post.isDeleted) {
+    body.innerHTML = '<div class="text-block">このポストは削除されました</div>';
+  } else {
+    post.texts.forEach((t, textIndex) => {
+      const blockGroup = document.createElement('div');
+      blockGroup.className = 'text-block-group';
+      blockGroup.id = `post-text-${post.id}-${textIndex}`;
+      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
+      blockGroup.appendChild(speakerBadge);
+
+      const block = document.createElement('div');
+      block.className = 'text-block';
+      const label = document.createElement('div');
+      label.className = 'text-label';
+      const languageLabel = getLanguageLabel(t.language);
+      if (isSpeakableLanguage(t.language)) {
+        const play = document.createElement('button');
+        play.type = 'button';
+        play.className = 'text-action-button text-label-button';
+        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
+        play.addEventListener('click', () => playSpeech(t.content, t.language, t.speaker, t.audio));
+        label.appendChild(play);
+      } else {
+        const langText = document.createElement('span');
+        langText.textContent = languageLabel;
+        label.appendChild(langText);
+      }
+      const content = document.createElement('div');
+      content.className = 'text-content';
+      content.textContent = t.content;
+      block.append(label, content);
+
+      if (t.pronunciation) {
+        const pronunciation = document.createElement('div');
+        pronunciation.className = 'pronunciation';
+        pronunciation.textContent = t.pronunciation;
+        block.appendChild(pronunciation);
+      }
+      if (t.audio) block.appendChild(createAudioClipPlayer(t.audio));
+
+      const referenceRow = document.createElement('div');
+      referenceRow.className = 'post-ref-row timeline-ref-row';
+      const refData = { postId: post.id, refId: post.refId, textIndex };
+      const refValue = formatPostRef(refData);
+      const refText = document.createElement('span');
+      refText.className = 'post-ref-text';
+      refText.textContent = refValue;
+
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'copy-ref-button';
+      copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(refValue);
+          const original = copyBtn.textContent;
+          copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
+          setTimeout(() => { copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">'; }, 1500);
+        } catch (error) {
+          alert('コピーに失敗しました');
+        }
+      });
+
+      referenceRow.append(refText, copyBtn, createStudyCardButton(refData), createPracticeButton({ type: 'text', ref: refData }, t));
+      block.appendChild(referenceRow);
+      blockGroup.appendChild(block);
+      body.appendChild(blockGroup);
+    });
+
+    if (post.imageRemoved) {
+      const removed = document.createElement('div');
+      removed.className = 'helper';
+      removed.textContent = '画像は容量制限のため削除されました';
+      body.appendChild(removed);
+    } else if (getItemImages(post).length) {
+      body.appendChild(createImageGallery(getItemImages(post), { alt: '投稿画像', highlight: options.highlightImage }));
+    }
+    if (post.audio) body.appendChild(createAudioClipPlayer(post.audio));
+  }
+
+  tagsEl.innerHTML = '';
+  post.tags.forEach((tag) => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.textContent = `#${tag}`;
+    chip.addEventListener('click', () => searchByTag(tag));
+    tagsEl.appendChild(chip);
+  });
+  tagsEl.style.display = post.tags.length ? '' : 'none';
+
+  const extra = document.createElement('div');
   extra.className = 'post-extra';
 
-  if (post.tags.length) {
-    const tagRow = document.createElement('div');
-    tagRow.className = 'post-extra-row';
-    const tagLabel = document.createElement('span');
-    tagLabel.className = 'post-extra-label';
-    tagLabel.innerHTML = '<img src="img/tag.svg" alt="" width="20" class="icon-inline">';
-    tagRow.append(tagLabel, tagsEl);
-    extra.appendChild(tagRow);
+  if (post.tags.length) {
+    const tagRow = document.createElement('div');
+    tagRow.className = 'post-extra-row';
+    const tagLabel = document.createElement('span');
+    tagLabel.className = 'post-extra-label';
+    tagLabel.innerHTML = '<img src="img/tag.svg" alt="" width="20" class="icon-inline">';
+    tagRow.append(tagLabel, tagsEl);
+    extra.appendChild(tagRow);
+  }
+
+  if (!post.isDeleted) {
+    if (post.sourceUrl) {
+      const sourceRow = document.createElement('div');
+      sourceRow.className = 'post-extra-row';
+      sourceRow.innerHTML = '<img src="img/link.svg" alt="" width="20" class="icon-inline">';
+      const link = document.createElement('a');
+      link.href = post.sourceUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = post.sourceUrl;
+      link.className = 'post-extra-link';
+      sourceRow.appendChild(link);
+      extra.appendChild(sourceRow);
+    }
+    if (post.linkedPuzzleIds?.length) {
+      const puzzleRow = document.createElement('div');
+      puzzleRow.className = 'post-extra-row';
+      const label = document.createElement('span');
+      label.className = 'post-extra-label';
+      label.innerHTML = '<img src="img/puzzle_off.svg" alt="" width="20" class="icon-inline">';
+      puzzleRow.appendChild(label);
+      const list = document.createElement('div');
+      list.className = 'puzzle-chip-list';
+      post.linkedPuzzleIds.forEach((identifier) => {
+        const puzzle = findPuzzleByIdentifier(identifier);
+        const displayId = puzzle?.refId || puzzle?.id || identifier;
+        const targetId = puzzle?.id || identifier;
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'puzzle-chip puzzle-chip-link';
+        chip.classList.toggle('broken-link', !puzzle);
+        chip.textContent = `#${displayId}`;
+        chip.addEventListener('click', () => navigateToPuzzle(targetId));
+        list.appendChild(chip);
+      });
+      puzzleRow.appendChild(list);
+      extra.appendChild(puzzleRow);
+    }
+    const postBacklinkRow = createBacklinkRow(`post:${post.id}`);
+    if (postBacklinkRow) extra.appendChild(postBacklinkRow);
+  }
+
+  if (extra.childElementCount) {
+    body.appendChild(extra);
+  }
+
+  actions.innerHTML = '';
+  if (!post.isDeleted) {
+    const delBtn = document.createElement('button');
+    delBtn.className = 'card-action-button danger-action-button';
+    delBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+    delBtn.addEventListener('click', () => deletePost(post.id));
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'card-action-button';
+    editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+    editBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: post }), '投稿を編集'));
+
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'card-action-button';
+    replyBtn.innerHTML = '<img src="img/reply.svg" alt="返信" width="20" class="icon-inline">';
+    replyBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'reply', parentId: post.id }), '返信'));
+
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'card-action-button';
+    pinBtn.innerHTML = post.pinned
+      ? '<img src="img/pin_on.svg" alt="ピン留め中" width="20" class="icon-inline">'
+      : '<img src="img/pin_off.svg" alt="ピン留め" width="20" class="icon-inline">';
+    if (post.pinned) pinBtn.classList.add('liked');
+    pinBtn.addEventListener('click', () => togglePinned(post.id));
+
+    const playAllBtn = document.createElement('button');
+    playAllBtn.className = 'card-action-button';
+    playAllBtn.innerHTML = '<img src="img/vol.svg" alt="会話を再生" width="20" class="icon-inline">';
+    playAllBtn.addEventListener('click', () => playConversation(post));
+
+    actions.append(delBtn, editBtn, replyBtn, pinBtn, playAllBtn);
+  }
+
+  const rels = state.data.replies
+    .filter((r) => r.postId === post.id)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  // 参照番号は木の並びではなく投稿順で振る（getThreadTextBlocks と同じ）
+  const replyTextOffsets = new Map();
+  rels.reduce((offset, reply) => {
+    replyTextOffsets.set(reply.id, offset);
+    return offset + reply.texts.length;
+  }, post.texts.length);
+  repliesWrap.innerHTML = '';
+  const renderReplyCard = (reply, descendantCount) => {
+    const replyTextOffset = replyTextOffsets.get(reply.id);
+    const card = document.createElement('div');
+    card.className = 'reply-card';
+    card.id = `reply-card-${reply.id}`;
+    const metaRow = document.createElement('div');
+    metaRow.className = 'card-meta';
+    const metaText = document.createElement('span');
+    metaText.className = 'card-meta-item';
+    metaText.textContent = formatDate(reply.createdAt);
+    metaRow.appendChild(metaText);
+    const bodyRow = document.createElement('div');
+    bodyRow.className = 'card-body';
+    reply.texts.forEach((t, textIndex) => {
+      const refIndex = replyTextOffset + textIndex;
+      const blockGroup = document.createElement('div');
+      blockGroup.className = 'text-block-group';
+      blockGroup.id = `post-text-${post.id}-${refIndex}`;
+      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
+      blockGroup.appendChild(speakerBadge);
+
+      const block = document.createElement('div');
+      block.className = 'text-block';
+      const label = document.createElement('div');
+      label.className = 'text-label';
+      const languageLabel = getLanguageLabel(t.language);
+      if (isSpeakableLanguage(t.language)) {
+        const play = document.createElement('button');
+        play.type = 'button';
+        play.className = 'text-action-button text-label-button';
+        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
+        play.addEventListener('click', () => playSpeech(t.content, t.language, t.speaker, t.audio));
+        label.appendChild(play);
+      } else {
+        const langText = document.createElement('span');
+        langText.textContent = languageLabel;
+        label.appendChild(langText);
+      }
+      const content = document.createElement('div');
+      content.className = 'text-content';
+      content.textContent = t.content;
+      block.append(label, content);
+      if (t.pronunciation) {
+        const pronunciation = document.createElement('div');
+        pronunciation.className = 'pronunciation';
+        pronunciation.textContent = t.pronunciation;
+        block.appendChild(pronunciation);
+      }
+      if (t.audio) block.appendChild(createAudioClipPlayer(t.audio));
+
+      const referenceRow = document.createElement('div');
+      referenceRow.className = 'post-ref-row timeline-ref-row';
+      const refData = {
+        postId: post.id,
+        refId: reply.refId || post.refId,
+        replyId: reply.id,
+        textIndex: refIndex,
+      };
+      const refValue = formatPostRef(refData);
+      const refText = document.createElement('span');
+      refText.className = 'post-ref-text';
+      refText.textContent = refValue;
+
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'copy-ref-button';
+      copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(refValue);
+          copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
+          setTimeout(() => {
+            copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
+          }, 1500);
+        } catch (error) {
+          alert('コピーに失敗しました');
+        }
+      });
+
+      referenceRow.append(refText, copyBtn, createStudyCardButton(refData), createPracticeButton({ type: 'text', ref: refData }, t));
+      block.appendChild(referenceRow);
+      blockGroup.appendChild(block);
+      bodyRow.appendChild(blockGroup);
+    });
+    if (getItemImages(reply).length) {
+      bodyRow.appendChild(createImageGallery(getItemImages(reply), { alt: 'リプライ画像' }));
+    }
+    if (reply.audio) bodyRow.appendChild(createAudioClipPlayer(reply.audio));
+
+    const actionsRow = document.createElement('div');
+    actionsRow.className = 'card-actions reply-card-actions';
+    const delReply = document.createElement('button');
+    delReply.className = 'card-action-button danger-action-button';
+    delReply.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+    delReply.addEventListener('click', () => deleteReply(reply.id));
+    const editReply = document.createElement('button');
+    editReply.className = 'card-action-button';
+    editReply.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+    editReply.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: reply }), 'リプライを編集'));
+    const replyToReply = document.createElement('button');
+    replyToReply.className = 'card-action-button';
+    replyToReply.innerHTML = '<img src="img/reply.svg" alt="返信" width="20" class="icon-inline">';
+    replyToReply.addEventListener('click', () => openModal(buildPostForm({ mode: 'reply', parentId: post.id, parentReplyId: reply.id }), '返信'));
+    actionsRow.append(delReply, editReply, replyToReply);
+    if (descendantCount) {
+      const collapsed = state.collapsedReplyIds.has(reply.id);
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'reply-thread-toggle';
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      toggle.textContent = collapsed ? `返信 ${descendantCount}件を表示` : '返信を隠す';
+      toggle.addEventListener('click', () => {
+        if (state.collapsedReplyIds.has(reply.id)) state.collapsedReplyIds.delete(reply.id);
+        else state.collapsedReplyIds.add(reply.id);
+        node.replaceWith(renderPostCard(post, options));
+      });
+      actionsRow.appendChild(toggle);
+    }
+
+    card.append(metaRow, bodyRow, actionsRow);
+    return card;
+  };
+  const renderReplyNodes = (nodes, container) => {
+    nodes.forEach((replyNode) => {
+      const descendantCount = countReplyDescendants(replyNode);
+      container.appendChild(renderReplyCard(replyNode.reply, descendantCount));
+      if (descendantCount && !state.collapsedReplyIds.has(replyNode.reply.id)) {
+        const children = document.createElement('div');
+        children.className = 'reply-children';
+        renderReplyNodes(replyNode.children, children);
+        container.appendChild(children);
+      }
+    });
+  };
+  renderReplyNodes(getReplyTree(post.id), repliesWrap);
+  repliesWrap.style.display = rels.length ? '' : 'none';
+
+  return node;
+}
+
+function getItemImages(item) {
+  return (item?.images || [])
+    .filter((image) => state.data.images[image.id])
+    .map((image) => ({ ...image, src: state.data.images[image.id] }));
+}
+
+function createImageGallery(images, { alt = '画像', highlight = false } = {}) {
+  const gallery = document.createElement('div');
+  gallery.className = `image-gallery image-gallery-${Math.min(images.length, 3)}`;
+  images.forEach((image, index) => {
+    const figure = document.createElement('figure');
+    figure.className = 'image-gallery-item';
+    const img = document.createElement('img');
+    img.src = image.src;
+    img.alt = image.caption || (images.length > 1 ? `${alt} ${index + 1}` : alt);
+    img.loading = 'lazy';
+    img.className = highlight ? 'image-thumb highlight' : 'image-thumb';
+    img.addEventListener('click', () => openImageViewer(images, index));
+    figure.appendChild(img);
+    if (image.caption) {
+      const caption = document.createElement('figcaption');
+      caption.className = 'image-gallery-caption';
+      caption.textContent = image.caption;
+      figure.appendChild(caption);
+    }
+    gallery.appendChild(figure);
+  });
+  return gallery;
+}
+
+// ビューアは src 1つでも { src, caption } の配列でも開ける
+function openImageViewer(items, index = 0) {
+  const list = (Array.isArray(items) ? items : [{ src: items, caption: '' }]).filter((item) => item?.src);
+  if (!list.length) return;
+  state.imageViewer = { items: list, index: 0, scale: 1, x: 0, y: 0, pointers: new Map(), gesture: null };
+  showImageViewerItem(index);
+  showModalElement(document.getElementById('image-viewer'));
+}
+
+function closeImageViewer() {
+  state.imageViewer = null;
+  hideModalElement(document.getElementById('image-viewer'));
+}
+
+function showImageViewerItem(index) {
+  const viewer = state.imageViewer;
+  if (!viewer) return;
+  const count = viewer.items.length;
+  viewer.index = ((index % count) + count) % count;
+  const item = viewer.items[viewer.index];
+  const img = document.getElementById('full-image');
+  img.src = item.src;
+  img.alt = item.caption || '拡大画像';
+  const caption = document.getElementById('image-caption');
+  caption.textContent = item.caption || '';
+  caption.classList.toggle('hidden', !item.caption);
+  document.getElementById('image-counter').textContent = count > 1 ? `${viewer.index + 1} / ${count}` : '';
+  document.getElementById('image-prev').classList.toggle('hidden', count < 2);
+  document.getElementById('image-next').classList.toggle('hidden', count < 2);
+  setImageViewerZoom(1);
+}
+
+function setImageViewerZoom(scale, x = 0, y = 0) {
+  const viewer = state.imageViewer;
+  if (!viewer) return;
+  const stage = document.getElementById('image-stage');
+  viewer.scale = Math.min(IMAGE_VIEWER_MAX_SCALE, Math.max(1, scale));
+  // 拡大した分だけパンできるようにし、画像の外には出さない
+  const limitX = ((viewer.scale - 1) * stage.clientWidth) / 2;
+  const limitY = ((viewer.scale - 1) * stage.clientHeight) / 2;
+  viewer.x = Math.min(limitX, Math.max(-limitX, x));
+  viewer.y = Math.min(limitY, Math.max(-limitY, y));
+  const img = document.getElementById('full-image');
+  img.style.transform = viewer.scale === 1 ? '' : `translate(${viewer.x}px, ${viewer.y}px) scale(${viewer.scale})`;
+  stage.classList.toggle('zoomed', viewer.scale > 1);
+}
+
+// 拡大の中心（ステージ中央からの位置）がずれないように平行移動も合わせる
+function zoomImageViewerAt(scale, offsetX = 0, offsetY = 0) {
+  const viewer = state.imageViewer;
+  if (!viewer) return;
+  const next = Math.min(IMAGE_VIEWER_MAX_SCALE, Math.max(1, scale));
+  const ratio = next / viewer.scale;
+  setImageViewerZoom(next, offsetX - (offsetX - viewer.x) * ratio, offsetY - (offsetY - viewer.y) * ratio);
+}
+
+function getImageStageOffset(event) {
+  const rect = document.getElementById('image-stage').getBoundingClientRect();
+  return { x: event.clientX - rect.left - rect.width / 2, y: event.clientY - rect.top - rect.height / 2 };
+}
+
+function attachImageViewerEvents() {
+  const stage = document.getElementById('image-stage');
+  const pointerDistance = (pointers) => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  stage.addEventListener('pointerdown', (event) => {
+    const viewer = state.imageViewer;
+    if (!viewer) return;
+    stage.setPointerCapture?.(event.pointerId);
+    viewer.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (viewer.pointers.size === 2) {
+      viewer.gesture = { type: 'pinch', distance: pointerDistance(viewer.pointers), scale: viewer.scale };
+    } else if (viewer.pointers.size === 1) {
+      viewer.gesture = { type: 'drag', startX: event.clientX, startY: event.clientY, x: viewer.x, y: viewer.y };
+    }
+  });
+  stage.addEventListener('pointermove', (event) => {
+    const viewer = state.imageViewer;
+    if (!viewer?.pointers.has(event.pointerId)) return;
+    viewer.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const gesture = viewer.gesture;
+    if (gesture?.type === 'pinch' && viewer.pointers.size === 2) {
+      setImageViewerZoom(gesture.scale * (pointerDistance(viewer.pointers) / gesture.distance), viewer.x, viewer.y);
+    } else if (gesture?.type === 'drag' && viewer.scale > 1) {
+      setImageViewerZoom(viewer.scale, gesture.x + event.clientX - gesture.startX, gesture.y + event.clientY - gesture.startY);
+    }
+  });
+  const endPointer = (event) => {
+    const viewer = state.imageViewer;
+    if (!viewer?.pointers.has(event.pointerId)) return;
+    viewer.pointers.delete(event.pointerId);
+    const gesture = viewer.gesture;
+    if (gesture?.type === 'drag' && viewer.scale === 1 && event.type === 'pointerup') {
+      // 等倍のときの横スワイプで前後の画像へ
+      const dx = event.clientX - gesture.startX;
+      const dy = event.clientY - gesture.startY;
+      if (Math.abs(dx) > IMAGE_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) showImageViewerItem(viewer.index + (dx < 0 ? 1 : -1));
+    }
+    viewer.gesture = null;
+    if (viewer.pointers.size === 1) {
+      const [rest] = viewer.pointers.values();
+      viewer.gesture = { type: 'drag', startX: rest.x, startY: rest.y, x: viewer.x, y: viewer.y };
+    }
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+  stage.addEventListener('dblclick', (event) => {
+    if (!state.imageViewer) return;
+    const offset = getImageStageOffset(event);
+    if (state.imageViewer.scale > 1) setImageViewerZoom(1);
+    else zoomImageViewerAt(2.5, offset.x, offset.y);
+  });
+  stage.addEventListener('wheel', (event) => {
+    if (!state.imageViewer) return;
+    event.preventDefault();
+    const offset = getImageStageOffset(event);
+    zoomImageViewerAt(state.imageViewer.scale * Math.exp(-event.deltaY * 0.002), offset.x, offset.y);
+  }, { passive: false });
+
+  document.getElementById('image-prev').addEventListener('click', () => showImageViewerItem(state.imageViewer.index - 1));
+  document.getElementById('image-next').addEventListener('click', () => showImageViewerItem(state.imageViewer.index + 1));
+  document.addEventListener('keydown', (event) => {
+    if (!state.imageViewer) return;
+    if (event.key === 'ArrowLeft') showImageViewerItem(state.imageViewer.index - 1);
+    else if (event.key === 'ArrowRight') showImageViewerItem(state.imageViewer.index + 1);
+    else if (event.key === 'Escape') closeImageViewer();
+  });
+}
+
+// 画像は data URL をコピーせず、参照だけを浅く控える（取り消しで消えた画像を戻すのに使う）
+function captureDataState(data = state.data) {
+  return { snapshot: createPersistedSnapshot(data), images: { ...(data.images || {}) } };
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// オブジェクトは中までたどり、変わった値だけを { path, before, after } で返す（配列は丸ごと1つの値として扱う）
+function diffFields(before, after, path = [], changes = []) {
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach((key) => {
+    const previous = before?.[key];
+    const next = after?.[key];
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      diffFields(previous, next, [...path, key], changes);
+    } else if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ path: [...path, key], before: previous, after: next });
+    }
+  });
+  return changes;
+}
+
+function applyFieldChanges(target, fields, side) {
+  fields.forEach((field) => {
+    const parentPath = field.path.slice(0, -1);
+    const key = field.path[field.path.length - 1];
+    const parent = parentPath.reduce((node, part) => {
+      if (!isPlainObject(node[part])) node[part] = {};
+      return node[part];
+    }, target);
+    const value = field[side];
+    if (value === undefined) delete parent[key];
+    else parent[key] = structuredClone(value);
+  });
+}
+
+// 取り消しとやり直しは、その操作で変わったフィールドだけを書き戻す。
+// 操作のあとに別の経路（読み上げ速度や復習結果の保存など）で変わった値まで巻き戻さないようにするため
+function diffDataStates(before, after) {
+  const changes = { collections: {}, meta: [], images: { added: {}, removed: {} } };
+  let count = 0;
+  DB_COLLECTIONS.forEach((name) => {
+    const list = [];
+    after.snapshot[name].forEach((serialized, id) => {
+      const previous = before.snapshot[name].get(id);
+      if (previous === serialized) return;
+      if (previous === undefined) list.push({ id, before: null, after: JSON.parse(serialized) });
+      else list.push({ id, fields: diffFields(JSON.parse(previous), JSON.parse(serialized)) });
+    });
+    before.snapshot[name].forEach((serialized, id) => {
+      if (!after.snapshot[name].has(id)) list.push({ id, before: JSON.parse(serialized), after: null });
+    });
+    changes.collections[name] = list;
+    count += list.length;
+  });
+  if (before.snapshot.meta !== after.snapshot.meta) {
+    // ID の採番は戻さない（取り消したあとに作った項目と ID がぶつからないように）
+    changes.meta = diffFields(JSON.parse(before.snapshot.meta), JSON.parse(after.snapshot.meta))
+      .filter((field) => field.path[0] !== 'lastId');
+    count += changes.meta.length;
+  }
+  Object.entries(after.images).forEach(([id, dataUrl]) => {
+    if (!before.images[id]) changes.images.added[id] = dataUrl;
+  });
+  Object.entries(before.images).forEach(([id, dataUrl]) => {
+    if (!after.images[id]) changes.images.removed[id] = dataUrl;
+  });
+  count += Object.keys(changes.images.added).length + Object.keys(changes.images.removed).length;
+  changes.count = count;
+  return changes;
+}
+
+function applyDataChanges(changes, side) {
+  DB_COLLECTIONS.forEach((name) => {
+    const items = [...(state.data[name] || [])];
+    changes.collections[name].forEach((change) => {
+      const index = items.findIndex((item) => item.id === change.id);
+      if (change.fields) {
+        if (index >= 0) applyFieldChanges(items[index], change.fields, side);
+        return;
+      }
+      const value = change[side];
+      if (value === null) {
+        if (index >= 0) items.splice(index, 1);
+        return;
+      }
+      if (index >= 0) items[index] = structuredClone(value);
+      else items.push(structuredClone(value));
+    });
+    state.data[name] = items;
+  });
+  applyFieldChanges(state.data, changes.meta, side);
+  const [restored, dropped] = side === 'after'
+    ? [changes.images.added, changes.images.removed]
+    : [changes.images.removed, changes.images.added];
+  state.data.images = { ...state.data.images, ...restored };
+  Object.keys(dropped).forEach((id) => delete state.data.images[id]);
+}
+
+// 変更をまとめて取り消し可能な操作として記録する
+function runMutation(label, mutate) {
+  // 前の操作のあとに保存が挟まっていなければ、そのとき撮った状態がそのまま変更前の状態になる
+  const cached = state.mutationSnapshot;
+  const before = cached?.revision === state.dataRevision && cached.data === state.data ? cached.capture : captureDataState();
+  const result = mutate();
+  const after = captureDataState();
+  const changes = diffDataStates(before, after);
+  if (changes.count) {
+    state.undoStack.push({ label, changes });
+    if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+    state.redoStack = [];
+    persistData(after.snapshot);
+    showToast(`${label}しました`, { actionLabel: '元に戻す', onAction: undoLastMutation });
+  }
+  state.mutationSnapshot = { revision: state.dataRevision, data: state.data, capture: after };
+  render();
+  return result;
+}
+
+function undoLastMutation() {
+  const entry = state.undoStack.pop();
+  if (!entry) return;
+  if (!document.getElementById('modal').classList.contains('hidden')) closeModal();
+  applyDataChanges(entry.changes, 'before');
+  state.redoStack.push(entry);
+  persistData();
+  render();
+  showToast(`「${entry.label}」を取り消しました`, { actionLabel: 'やり直す', onAction: redoLastMutation });
+}
+
+function redoLastMutation() {
+  const entry = state.redoStack.pop();
+  if (!entry) return;
+  if (!document.getElementById('modal').classList.contains('hidden')) closeModal();
+  applyDataChanges(entry.changes, 'after');
+  state.undoStack.push(entry);
+  persistData();
+  render();
+  showToast(`「${entry.label}」をやり直しました`, { actionLabel: '元に戻す', onAction: undoLastMutation });
+}
+
+function hideToast() {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+  clearTimeout(state.toastTimer);
+  toast.classList.add('hidden');
+}
+
+function showToast(message, { actionLabel = '', onAction = null, duration = TOAST_DURATION } = {}) {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+  clearTimeout(state.toastTimer);
+  toast.innerHTML = '';
+  const text = document.createElement('span');
+  text.className = 'toast-message';
+  text.textContent = message;
+  toast.appendChild(text);
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'toast-action-button';
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener('click', () => {
+      hideToast();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+  toast.classList.remove('hidden');
+  state.toastTimer = setTimeout(hideToast, duration);
+}
+
+function isEditableTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+function handleUndoShortcut(event) {
+  if (!(event.metaKey || event.ctrlKey) || isEditableTarget(event.target)) return;
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undoLastMutation();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redoLastMutation();
+  }
+}
+
+function getTrashEntryLabel(entry) {
+  if (entry.type === 'puzzle') return entry.item.text || '謎カード';
+  return entry.item.texts?.find((t) => t.content)?.content || (entry.type === 'reply' ? 'リプライ' : 'ポスト');
+}
+
+function buildTrashView() {
+  const container = document.createElement('div');
+  container.className = 'import-export-panel trash-panel';
+
+  const description = document.createElement('p');
+  description.className = 'modal-description';
+  description.textContent = `削除したポスト・リプライ・謎カードは${TRASH_RETENTION_DAYS}日間ここに保管され、その後自動的に完全削除されます。`;
+  container.appendChild(description);
+
+  const entries = [...state.data.trash].sort((a, b) => b.deletedAt - a.deletedAt);
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'ゴミ箱は空です。';
+    container.appendChild(empty);
+    return container;
+  }
+
+  const typeLabels = { post: 'ポスト', reply: 'リプライ', puzzle: '謎カード' };
+  const list = document.createElement('div');
+  list.className = 'trash-list';
+  entries.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'trash-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    const remainingDays = Math.max(0, Math.ceil((entry.deletedAt + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS));
+    const replyCount = entry.replies?.length ? `（リプライ${entry.replies.length}件）` : '';
+    meta.textContent = `${typeLabels[entry.type]}${replyCount} ・ ${formatDate(entry.deletedAt)} に削除 ・ 残り${remainingDays}日`;
+
+    const text = document.createElement('div');
+    text.className = 'trash-item-text';
+    text.textContent = getTrashEntryLabel(entry);
+
+    const actions = document.createElement('div');
+    actions.className = 'trash-item-actions';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'export-button';
+    restoreBtn.textContent = '復元';
+    restoreBtn.addEventListener('click', () => {
+      restoreTrashEntry(entry.id);
+      openTrashModal();
+    });
+    const purgeBtn = document.createElement('button');
+    purgeBtn.type = 'button';
+    purgeBtn.className = 'import-button';
+    purgeBtn.textContent = '完全に削除';
+    purgeBtn.addEventListener('click', () => {
+      runMutation('ゴミ箱から完全に削除', () => purgeTrashEntries([entry.id]));
+      openTrashModal();
+    });
+    actions.append(restoreBtn, purgeBtn);
+
+    row.append(meta, text, actions);
+    list.appendChild(row);
+  });
+
+  const emptyBtn = document.createElement('button');
+  emptyBtn.type = 'button';
+  emptyBtn.className = 'import-text-btn primary-button';
+  emptyBtn.textContent = 'ゴミ箱を空にする';
+  emptyBtn.addEventListener('click', () => {
+    runMutation('ゴミ箱を空に', () => purgeTrashEntries(state.data.trash.map((entry) => entry.id)));
+    openTrashModal();
+  });
+
+  container.append(list, emptyBtn);
+  return container;
+}
+
+function openTrashModal() {
+  openModal(buildTrashView(), 'ゴミ箱');
+}
+
+function isReplyRefTo(ref, reply) {
+  if (!ref) return false;
+  if (ref.refId) return ref.refId === reply.refId;
+  return ref.replyId != null && Number(ref.replyId) === reply.id;
+}
+
+function isPostRefTo(ref, post, replies = []) {
+  if (!ref) return false;
+  if (replies.some((reply) => isReplyRefTo(ref, reply))) return true;
+  if (ref.refId) return ref.refId === post.refId;
+  return Number(ref.postId) === post.id;
+}
+
+function detachClueLinks(matchesRef) {
+  const links = [];
+  state.data.puzzles.forEach((puzzle) => {
+    const kept = [];
+    (puzzle.post || []).forEach((ref, index) => {
+      if (matchesRef(ref)) {
+        links.push({ type: 'clue', puzzleId: puzzle.id, ref, index });
+      } else {
+        kept.push(ref);
+      }
+    });
+    puzzle.post = kept;
+  });
+  return links;
+}
+
+function detachStudyCards(matchesRef) {
+  const cards = state.data.cards.filter((card) => matchesRef(card.source));
+  state.data.cards = state.data.cards.filter((card) => !cards.includes(card));
+  return cards;
+}
+
+function detachPuzzleLinks(puzzle) {
+  const links = [];
+  const identifiers = [puzzle.id, puzzle.refId].filter(Boolean);
+  state.data.posts.forEach((post) => {
+    (post.linkedPuzzleIds || []).forEach((identifier) => {
+      if (identifiers.includes(identifier)) links.push({ type: 'linked', postId: post.id, identifier });
+    });
+    post.linkedPuzzleIds = (post.linkedPuzzleIds || []).filter((identifier) => !identifiers.includes(identifier));
+  });
+  state.data.puzzles.forEach((other) => {
+    if (other.id === puzzle.id) return;
+    (other.relatedPuzzleIds || []).forEach((identifier) => {
+      if (identifiers.includes(identifier)) links.push({ type: 'related', puzzleId: other.id, identifier });
+    });
+    other.relatedPuzzleIds = (other.relatedPuzzleIds || []).filter((identifier) => !identifiers.includes(identifier));
+  });
+  return links;
+}
+
+// リンク先がゴミ箱にある場合はゴミ箱内のデータに戻しておく
+function findLinkTarget(collection, type, id) {
+  return state.data[collection].find((item) => item.id === id)
+    || state.data.trash.find((entry) => entry.type === type && entry.item.id === id)?.item
+    || null;
+}
+
+function reattachLinks(links = []) {
+  links.forEach((link) => {
+    if (link.type === 'clue') {
+      const puzzle = findLinkTarget('puzzles', 'puzzle', link.puzzleId);
+      if (!puzzle) return;
+      const refs = [...(puzzle.post || [])];
+      refs.splice(Math.min(link.index ?? refs.length, refs.length), 0, link.ref);
+      puzzle.post = refs;
+    } else if (link.type === 'linked') {
+      const post = findLinkTarget('posts', 'post', link.postId);
+      if (post && !post.linkedPuzzleIds.includes(link.identifier)) post.linkedPuzzleIds.push(link.identifier);
+    } else if (link.type === 'related') {
+      const puzzle = findLinkTarget('puzzles', 'puzzle', link.puzzleId);
+      if (puzzle && !puzzle.relatedPuzzleIds.includes(link.identifier)) puzzle.relatedPuzzleIds.push(link.identifier);
+    }
+  });
+}
+
+// リンク索引: 前方リンク（puzzle.post / linkedPuzzleIds / relatedPuzzleIds）から被参照と切れたリンクを集める
+const LINK_TYPE_LABELS = { clue: '手がかり', linked: '関連する謎', related: '関連する謎' };
+
+const puzzleHasIdentifier = (puzzle, identifier) => identifier === puzzle.id || identifier === puzzle.refId;
+
+function findTrashedItem(type, matches) {
+  return state.data.trash.find((entry) => entry.type === type && matches(entry.item)) || null;
+}
+
+// findPuzzleByIdentifier() / resolvePostRefTextBlock() と同じ規則で引く表。リンクごとに配列を探すと件数の2乗になるので、索引を作る前に一度だけ作る
+function createLinkLookup() {
+  const index = (items, keys) => {
+    const map = new Map();
+    items.forEach((item) => keys(item).forEach((key) => {
+      // 同じ値を持つものが複数あれば、find() と同じく先に並んでいるほうを使う
+      if (key != null && key !== '' && !map.has(key)) map.set(key, item);
+    }));
+    return map;
+  };
+  const puzzles = index(state.data.puzzles, (puzzle) => [puzzle.id, puzzle.refId]);
+  const postsByRef = index(state.data.posts, (post) => [post.refId]);
+  const postsById = index(state.data.posts, (post) => [post.id]);
+  const repliesByRef = index(state.data.replies, (reply) => [reply.refId]);
+  const repliesById = index(state.data.replies, (reply) => [reply.id]);
+  const repliesByPost = new Map();
+  state.data.replies.forEach((reply) => {
+    if (!repliesByPost.has(reply.postId)) repliesByPost.set(reply.postId, []);
+    repliesByPost.get(reply.postId).push(reply);
+  });
+  const blocksByPost = new Map();
+
+  const findPost = ({ postId, refId }) => (refId && postsByRef.get(refId)) || postsById.get(Number(postId)) || null;
+  const getReplies = (post) => repliesByPost.get(post.id) || [];
+  return {
+    getReplies,
+    findPuzzle: (identifier) => (identifier && puzzles.get(identifier)) || null,
+    resolveClue: (ref) => {
+      if (!ref) return null;
+      const reply = (ref.replyRefId && repliesByRef.get(ref.replyRefId)) || repliesById.get(Number(ref.replyId)) || null;
+      const post = findPost({ postId: ref.postId ?? reply?.postId, refId: ref.refId });
+      if (!post) return null;
+      if (!blocksByPost.has(post.id)) blocksByPost.set(post.id, getThreadTextBlocks(post, getReplies(post)));
+      const blocks = blocksByPost.get(post.id);
+      const textIndex = Number(ref.textIndex ?? 0);
+      const block = blocks.find((entry) => entry.textIndex === (Number.isFinite(textIndex) ? textIndex : 0));
+      return block ? { ...block, post, blocks } : null;
+    },
+  };
+}
+
+// データが変わるまで使い回す（persistData() で捨てる）
+function getLinkIndex() {
+  if (state.linkIndex) return state.linkIndex;
+  const backlinks = new Map();
+  const dangling = [];
+  const oneSided = [];
+  const addBacklink = (targetKey, link) => {
+    if (!backlinks.has(targetKey)) backlinks.set(targetKey, []);
+    const list = backlinks.get(targetKey);
+    if (!list.some((entry) => entry.type === link.type && entry.sourceKey === link.sourceKey)) list.push(link);
+  };
+  const lookup = createLinkLookup();
+
+  state.data.puzzles.forEach((puzzle) => {
+    const sourceKey = `puzzle:${puzzle.id}`;
+    (puzzle.post || []).forEach((ref, index) => {
+      const source = lookup.resolveClue(ref);
+      if (!source) {
+        const normalized = normalizePostRef(ref);
+        const post = normalized ? findPostByIdentifiers(normalized) : null;
+        dangling.push({
+          type: 'clue',
+          sourceKey,
+          index,
+          value: formatPostRef(ref) || `${ref.refId || ref.postId}.${ref.textIndex ?? 0}`,
+          reason: post ? 'テキストがありません' : '投稿が見つかりません',
+          post,
+          trashEntry: post ? null : findTrashedItem('post', (item) => isPostRefTo(ref, item)),
+        });
+        return;
+      }
+      addBacklink(`post:${source.post.id}`, { type: 'clue', sourceKey });
+      if (!(source.post.linkedPuzzleIds || []).some((identifier) => puzzleHasIdentifier(puzzle, identifier))) {
+        oneSided.push({ type: 'clue', puzzle, post: source.post });
+      }
+    });
+    (puzzle.relatedPuzzleIds || []).forEach((identifier, index) => {
+      const target = lookup.findPuzzle(identifier);
+      if (!target || target.id === puzzle.id) {
+        dangling.push({
+          type: 'related',
+          sourceKey,
+          index,
+          value: identifier,
+          reason: target ? '自分自身を指しています' : '謎カードが見つかりません',
+          trashEntry: target ? null : findTrashedItem('puzzle', (item) => puzzleHasIdentifier(item, identifier)),
+        });
+        return;
+      }
+      addBacklink(`puzzle:${target.id}`, { type: 'related', sourceKey });
+      if (!(target.relatedPuzzleIds || []).some((other) => puzzleHasIdentifier(puzzle, other))) {
+        oneSided.push({ type: 'related', puzzle, target });
+      }
+    });
+  });
+
+  state.data.posts.filter((post) => !post.isDeleted).forEach((post) => {
+    const sourceKey = `post:${post.id}`;
+    const replies = lookup.getReplies(post);
+    (post.linkedPuzzleIds || []).forEach((identifier, index) => {
+      const puzzle = lookup.findPuzzle(identifier);
+      if (!puzzle) {
+        dangling.push({
+          type: 'linked',
+          sourceKey,
+          index,
+          value: identifier,
+          reason: '謎カードが見つかりません',
+          trashEntry: findTrashedItem('puzzle', (item) => puzzleHasIdentifier(item, identifier)),
+        });
+        return;
+      }
+      addBacklink(`puzzle:${puzzle.id}`, { type: 'linked', sourceKey });
+      if (!(puzzle.post || []).some((ref) => isPostRefTo(ref, post, replies))) {
+        oneSided.push({ type: 'linked', puzzle, post });
+      }
+    });
+  });
+
+  state.linkIndex = { backlinks, dangling, oneSided };
+  return state.linkIndex;
+}
+
+function getBacklinks(key) {
+  return getLinkIndex().backlinks.get(key) || [];
+}
+
+function getLinkSourceLabel(sourceKey) {
+  const [type, ...rest] = sourceKey.split(':');
+  const id = rest.join(':');
+  if (type === 'puzzle') {
+    const puzzle = state.data.puzzles.find((item) => item.id === id);
+    return { label: puzzle ? `#${puzzle.refId || puzzle.id}` : id, text: puzzle?.text || '', open: () => navigateToPuzzle(id) };
+  }
+  const post = state.data.posts.find((item) => item.id === Number(id));
+  return { label: post ? formatPostRef({ postId: post.id, refId: post.refId, textIndex: 0 }) : id, text: getPostPrimaryText(post), open: () => navigateToPost(Number(id)) };
+}
+
+function createBacklinkRow(key) {
+  const backlinks = getBacklinks(key);
+  if (!backlinks.length) return null;
+  const row = document.createElement('div');
+  row.className = 'post-extra-row backlink-row';
+  const label = document.createElement('span');
+  label.className = 'post-extra-label backlink-label';
+  label.textContent = '参照元';
+  const list = document.createElement('div');
+  list.className = 'puzzle-chip-list';
+  backlinks.forEach((link) => {
+    const source = getLinkSourceLabel(link.sourceKey);
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'puzzle-chip puzzle-chip-link backlink-chip';
+    chip.textContent = source.label;
+    chip.title = `${LINK_TYPE_LABELS[link.type]}: ${source.text}`;
+    chip.addEventListener('click', source.open);
+    list.appendChild(chip);
+  });
+  row.append(label, list);
+  return row;
+}
+
+// 手がかり（puzzle.post）と投稿の関連する謎（linkedPuzzleIds）は、どちらから編集しても両側をそろえる
+function linkPuzzleAndPost(puzzle, post) {
+  if (!(post.linkedPuzzleIds || []).some((identifier) => puzzleHasIdentifier(puzzle, identifier))) {
+    post.linkedPuzzleIds = [...(post.linkedPuzzleIds || []), puzzle.refId || puzzle.id];
+    post.updatedAt = Date.now();
+  }
+  const replies = state.data.replies.filter((reply) => reply.postId === post.id);
+  if (!(puzzle.post || []).some((ref) => isPostRefTo(ref, post, replies))) {
+    puzzle.post = [...(puzzle.post || []), { postId: post.id, refId: post.refId, textIndex: 0 }];
+    puzzle.updatedAt = Date.now();
+  }
+}
+
+function unlinkPuzzleAndPost(puzzle, post) {
+  const replies = state.data.replies.filter((reply) => reply.postId === post.id);
+  const linkedPuzzleIds = (post.linkedPuzzleIds || []).filter((identifier) => !puzzleHasIdentifier(puzzle, identifier));
+  if (linkedPuzzleIds.length !== (post.linkedPuzzleIds || []).length) {
+    post.linkedPuzzleIds = linkedPuzzleIds;
+    post.updatedAt = Date.now();
+  }
+  const refs = (puzzle.post || []).filter((ref) => !isPostRefTo(ref, post, replies));
+  if (refs.length !== (puzzle.post || []).length) {
+    puzzle.post = refs;
+    puzzle.updatedAt = Date.now();
+  }
+}
+
+function linkRelatedPuzzles(puzzle, other) {
+  if (!(other.relatedPuzzleIds || []).some((identifier) => puzzleHasIdentifier(puzzle, identifier))) {
+    other.relatedPuzzleIds = [...(other.relatedPuzzleIds || []), puzzle.refId || puzzle.id];
+    other.updatedAt = Date.now();
+  }
+}
+
+function unlinkRelatedPuzzles(puzzle, other) {
+  const relatedPuzzleIds = (other.relatedPuzzleIds || []).filter((identifier) => !puzzleHasIdentifier(puzzle, identifier));
+  if (relatedPuzzleIds.length === (other.relatedPuzzleIds || []).length) return;
+  other.relatedPuzzleIds = relatedPuzzleIds;
+  other.updatedAt = Date.now();
+}
+
+function resolveRefPosts(refs = []) {
+  return Array.from(new Set(refs.map((ref) => resolvePostRefTextBlock(ref)?.post).filter(Boolean)));
+}
+
+function syncPuzzleLinks(puzzle, previous = {}) {
+  const currentPosts = resolveRefPosts(puzzle.post);
+  resolveRefPosts(previous.post).forEach((post) => {
+    if (!currentPosts.includes(post)) unlinkPuzzleAndPost(puzzle, post);
+  });
+  currentPosts.forEach((post) => linkPuzzleAndPost(puzzle, post));
+
+  const currentRelated = (puzzle.relatedPuzzleIds || []).map(findPuzzleByIdentifier).filter((other) => other && other !== puzzle);
+  (previous.relatedPuzzleIds || []).map(findPuzzleByIdentifier).forEach((other) => {
+    if (other && !currentRelated.includes(other)) unlinkRelatedPuzzles(puzzle, other);
+  });
+  currentRelated.forEach((other) => linkRelatedPuzzles(puzzle, other));
+}
+
+function syncPostLinks(post, previousIdentifiers = []) {
+  const current = (post.linkedPuzzleIds || []).map(findPuzzleByIdentifier).filter(Boolean);
+  previousIdentifiers.map(findPuzzleByIdentifier).forEach((puzzle) => {
+    if (puzzle && !current.includes(puzzle)) unlinkPuzzleAndPost(puzzle, post);
+  });
+  current.forEach((puzzle) => linkPuzzleAndPost(puzzle, post));
+}
+
+function removeDanglingLink(link) {
+  const [type, ...rest] = link.sourceKey.split(':');
+  const id = rest.join(':');
+  if (type === 'puzzle') {
+    const puzzle = state.data.puzzles.find((item) => item.id === id);
+    if (!puzzle) return;
+    const key = link.type === 'clue' ? 'post' : 'relatedPuzzleIds';
+    puzzle[key] = puzzle[key].filter((_, index) => index !== link.index);
+    puzzle.updatedAt = Date.now();
+  } else {
+    const post = state.data.posts.find((item) => item.id === Number(id));
+    if (!post) return;
+    post.linkedPuzzleIds = post.linkedPuzzleIds.filter((_, index) => index !== link.index);
+    post.updatedAt = Date.now();
+  }
+}
+
+function retargetDanglingClue(link) {
+  const puzzle = state.data.puzzles.find((item) => `puzzle:${item.id}` === link.sourceKey);
+  if (!puzzle || !link.post) return;
+  puzzle.post = puzzle.post.map((ref, index) => (index === link.index ? { postId: link.post.id, refId: link.post.refId, textIndex: 0 } : ref));
+  puzzle.updatedAt = Date.now();
+}
+
+function syncOneSidedLinks(entries) {
+  entries.forEach((entry) => {
+    if (entry.type === 'related') linkRelatedPuzzles(entry.puzzle, entry.target);
+    else linkPuzzleAndPost(entry.puzzle, entry.post);
+  });
+}
+
+function buildLinkMaintenanceView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section link-maintenance';
+  const { dangling, oneSided } = getLinkIndex();
+
+  if (!dangling.length && !oneSided.length) {
+    container.innerHTML = '<div class="empty-state">切れたリンクはありません。</div>';
+    return container;
+  }
+
+  if (oneSided.length) {
+    const syncRow = document.createElement('div');
+    syncRow.className = 'link-maintenance-summary';
+    const text = document.createElement('span');
+    text.textContent = `片側だけのリンク: ${oneSided.length}件`;
+    const syncBtn = document.createElement('button');
+    syncBtn.type = 'button';
+    syncBtn.className = 'text-action-button link-fix-button';
+    syncBtn.textContent = '両側にそろえる';
+    syncBtn.addEventListener('click', () => {
+      runMutation('リンクを双方向にそろえる', () => syncOneSidedLinks(oneSided));
+      openLinkMaintenanceModal();
+    });
+    syncRow.append(text, syncBtn);
+    container.appendChild(syncRow);
+  }
+
+  if (dangling.length) {
+    const summary = document.createElement('div');
+    summary.className = 'link-maintenance-summary';
+    const text = document.createElement('span');
+    text.textContent = `切れたリンク: ${dangling.length}件`;
+    const removeAllBtn = document.createElement('button');
+    removeAllBtn.type = 'button';
+    removeAllBtn.className = 'text-action-button link-fix-button';
+    removeAllBtn.textContent = 'すべて削除';
+    removeAllBtn.addEventListener('click', () => {
+      if (!confirm(`切れたリンク ${dangling.length}件 を削除しますか？`)) return;
+      // 同じ配列の後ろから消して、先に消した分で位置がずれないようにする
+      runMutation('切れたリンクを削除', () => [...dangling].reverse().forEach(removeDanglingLink));
+      openLinkMaintenanceModal();
+    });
+    summary.append(text, removeAllBtn);
+    container.appendChild(summary);
+  }
+
+  dangling.forEach((link) => {
+    const row = document.createElement('div');
+    row.className = 'link-maintenance-item';
+    const source = getLinkSourceLabel(link.sourceKey);
+    const sourceBtn = document.createElement('button');
+    sourceBtn.type = 'button';
+    sourceBtn.className = 'puzzle-chip puzzle-chip-link';
+    sourceBtn.textContent = source.label;
+    sourceBtn.addEventListener('click', () => {
+      closeModal();
+      source.open();
+    });
+    const detail = document.createElement('span');
+    detail.className = 'link-maintenance-detail';
+    detail.textContent = `${LINK_TYPE_LABELS[link.type]} → ${link.value}（${link.reason}）`;
+
+    const fixes = document.createElement('div');
+    fixes.className = 'link-maintenance-fixes';
+    if (link.trashEntry) {
+      const restoreBtn = document.createElement('button');
+      restoreBtn.type = 'button';
+      restoreBtn.className = 'text-action-button link-fix-button';
+      restoreBtn.textContent = 'ゴミ箱から戻す';
+      restoreBtn.addEventListener('click', () => {
+        restoreTrashEntry(link.trashEntry.id);
+        openLinkMaintenanceModal();
+      });
+      fixes.appendChild(restoreBtn);
+    }
+    if (link.type === 'clue' && link.post) {
+      const retargetBtn = document.createElement('button');
+      retargetBtn.type = 'button';
+      retargetBtn.className = 'text-action-button link-fix-button';
+      retargetBtn.textContent = '先頭のテキストにつなぐ';
+      retargetBtn.addEventListener('click', () => {
+        runMutation('リンク先を修正', () => retargetDanglingClue(link));
+        openLinkMaintenanceModal();
+      });
+      fixes.appendChild(retargetBtn);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'text-action-button link-fix-button link-remove-button';
+    removeBtn.textContent = '削除';
+    removeBtn.addEventListener('click', () => {
+      runMutation('切れたリンクを削除', () => removeDanglingLink(link));
+      openLinkMaintenanceModal();
+    });
+    fixes.appendChild(removeBtn);
+
+    row.append(sourceBtn, detail, fixes);
+    container.appendChild(row);
+  });
+  return container;
+}
+
+function openLinkMaintenanceModal() {
+  openModal(buildLinkMaintenanceView(), 'リンクの点検');
+}
+
+function moveToTrash(type, item, extra = {}) {
+  state.data.trash.push({
+    id: generateStableId('trash'),
+    type,
+    item,
+    replies: [],
+    cards: [],
+    links: [],
+    deletedAt: Date.now(),
+    ...extra,
+  });
+}
+
+function deletePost(id) {
+  const post = state.data.posts.find((p) => p.id === id);
+  if (!post) return;
+  runMutation('ポストを削除', () => {
+    const replies = state.data.replies.filter((r) => r.postId === id);
+    const links = detachClueLinks((ref) => isPostRefTo(ref, post, replies));
+    const cards = detachStudyCards((ref) => isPostRefTo(ref, post, replies));
+    state.data.posts = state.data.posts.filter((p) => p.id !== id);
+    state.data.replies = state.data.replies.filter((r) => r.postId !== id);
+    moveToTrash('post', post, { replies, cards, links });
+  });
+}
+
+function deleteReply(id) {
+  const target = state.data.replies.find((r) => r.id === id);
+  if (!target) return;
+  runMutation('リプライを削除', () => {
+    const links = detachClueLinks((ref) => isReplyRefTo(ref, target));
+    const cards = detachStudyCards((ref) => isReplyRefTo(ref, target));
+    state.data.replies = state.data.replies.filter((r) => r.id !== id);
+    moveToTrash('reply', target, { cards, links });
+  });
+}
+
+function deletePuzzle(id) {
+  const target = state.data.puzzles.find((p) => p.id === id);
+  if (!target) return;
+  runMutation('謎カードを削除', () => {
+    const links = detachPuzzleLinks(target);
+    state.data.puzzles = state.data.puzzles.filter((p) => p.id !== id);
+    moveToTrash('puzzle', target, { links });
+  });
+}
+
+function getTrashEntryImageIds(entry) {
+  return [entry.item, ...(entry.replies || [])].flatMap(getItemMediaIds);
+}
+
+function restoreTrashEntry(entryId) {
+  const entry = state.data.trash.find((e) => e.id === entryId);
+  if (!entry) return;
+  if (entry.type === 'reply' && !state.data.posts.some((p) => p.id === entry.item.postId)) {
+    alert('返信先のポストが見つからないため復元できません。先にポストを復元してください。');
+    return;
+  }
+  runMutation('ゴミ箱から復元', () => {
+    if (entry.type === 'post') {
+      state.data.posts.push(entry.item);
+      state.data.replies.push(...(entry.replies || []));
+    } else if (entry.type === 'reply') {
+      state.data.replies.push(entry.item);
+    } else if (entry.type === 'puzzle') {
+      state.data.puzzles.push(entry.item);
+    }
+    state.data.cards.push(...(entry.cards || []));
+    state.data.trash = state.data.trash.filter((e) => e.id !== entryId);
+    reattachLinks(entry.links);
+  });
+}
+
+function purgeTrashEntries(entryIds) {
+  const targets = state.data.trash.filter((entry) => entryIds.includes(entry.id));
+  state.data.trash = state.data.trash.filter((entry) => !entryIds.includes(entry.id));
+  targets.forEach((entry) => getTrashEntryImageIds(entry).forEach(removeImageIfUnused));
+}
+
+function purgeExpiredTrash(now = Date.now()) {
+  const expired = state.data.trash
+    .filter((entry) => now - entry.deletedAt > TRASH_RETENTION_DAYS * DAY_MS)
+    .map((entry) => entry.id);
+  if (!expired.length) return;
+  purgeTrashEntries(expired);
+  persistData();
+}
+
+function togglePinned(id) {
+  const post = state.data.posts.find((p) => p.id === id);
+  if (!post || post.isDeleted) return;
+  runMutation(post.pinned ? 'ピン留めを解除' : 'ピン留め', () => {
+    post.pinned = !post.pinned;
+    post.pinnedAt = post.pinned ? Date.now() : null;
+  });
+}
+
+function togglePuzzlePinned(id) {
+  const puzzle = state.data.puzzles.find((p) => p.id === id);
+  if (!puzzle) return;
+  runMutation(puzzle.pinned ? 'ピン留めを解除' : 'ピン留め', () => {
+    puzzle.pinned = !puzzle.pinned;
+    puzzle.pinnedAt = puzzle.pinned ? Date.now() : null;
+    puzzle.updatedAt = Date.now();
+  });
+}
+
+function togglePuzzleSolved(id) {
+  const puzzle = state.data.puzzles.find((p) => p.id === id);
+  if (!puzzle) return;
+  runMutation(puzzle.isSolved ? '未解決に変更' : '解決済みに変更', () => {
+    puzzle.isSolved = !puzzle.isSolved;
+    puzzle.solvedAt = puzzle.isSolved ? puzzle.solvedAt || Date.now() : null;
+    puzzle.updatedAt = Date.now();
+  });
+}
+
+// 正規化した位置から元のテキストの位置に戻して抜き出す
+function buildExcerpt(text, preparedTerms, radius = 10) {
+  if (!text) return '';
+  if (!preparedTerms.length) return text;
+  const original = (text ?? '').toString();
+  const chars = Array.from(original);
+  const offsets = [0];
+  chars.forEach((char) => offsets.push(offsets[offsets.length - 1] + normalizeSearchText(char).length));
+  const normalized = chars.map((char) => normalizeSearchText(char)).join('');
+  const matchedTerm = preparedTerms.find((prepared) => prepared.normalized && normalized.includes(prepared.normalized));
+  if (!matchedTerm) return original;
+  const normalizedIndex = normalized.indexOf(matchedTerm.normalized);
+  const index = offsets.findIndex((offset) => offset > normalizedIndex) - 1;
+  const matchEnd = offsets.findIndex((offset) => offset >= normalizedIndex + matchedTerm.normalized.length);
+  const start = Math.max(0, index - radius);
+  const end = Math.min(chars.length, (matchEnd === -1 ? chars.length : matchEnd) + radius);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < chars.length ? '...' : '';
+  return `${prefix}${chars.slice(start, end).join('')}${suffix}`;
+}
+
+function getPostPrimaryText(post) {
+  return post?.texts?.[0]?.content || '';
+}
+
+function createSearchResultCard(item) {
+  const card = document.createElement('button');
+  card.type = 'button';
+  card.className = item.detail ? 'search-result-card two-line' : 'search-result-card';
+  card.addEventListener('click', item.onClick);
+
+  const main = document.createElement('div');
+  main.className = 'search-result-main';
+  main.textContent = item.main || '';
+  card.appendChild(main);
+
+  if (item.detail) {
+    const detail = document.createElement('div');
+    detail.className = 'search-result-detail';
+    detail.textContent = item.detail;
+    card.appendChild(detail);
+  }
+
+  if (item.refText) {
+    const refRow = document.createElement('div');
+    refRow.className = 'post-ref-row search-ref-row';
+
+    const refText = document.createElement('span');
+    refText.className = 'post-ref-text';
+    refText.textContent = item.refText;
+
+    refRow.appendChild(refText);
+    card.appendChild(refRow);
+  }
+
+  return card;
+}
+
+function renderSearchLanguageOptions() {
+  const select = document.getElementById('search-lang-select');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '';
+  const allOption = document.createElement('option');
+  allOption.value = 'all';
+  allOption.textContent = '全ての言語';
+  select.appendChild(allOption);
+  appendLanguageOptions(select, current === 'all' ? '' : current);
+  select.value = current || 'all';
+}
+
+const SEARCH_FIELDS = ['lang', 'speaker', 'meaning', 'note', 'is', 'has', 'created', 'due'];
+const SEARCH_IS_VALUES = ['solved', 'unsolved', 'pinned'];
+const SEARCH_HAS_VALUES = ['image', 'note', 'meaning'];
+const SEARCH_DATE_PATTERN = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/;
+
+class SearchQueryError extends Error {
+  constructor(message, position) {
+    super(position == null ? message : `${message}（${position + 1}文字目）`);
+    this.name = 'SearchQueryError';
+  }
+}
+
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  let index = 0;
+  while (index < query.length) {
+    const char = query[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index += 1;
+    } else {
+      // field:"quoted value" のように語の途中から引用符が始まる場合もまとめて 1 語にする
+      const start = index;
+      let value = '';
+      let quoted = false;
+      while (index < query.length && !/[\s()]/.test(query[index])) {
+        if (query[index] === '"') {
+          const end = query.indexOf('"', index + 1);
+          if (end === -1) throw new SearchQueryError('引用符「"」が閉じられていません', index);
+          value += query.slice(index + 1, end);
+          quoted = true;
+          index = end + 1;
+        } else {
+          value += query[index];
+          index += 1;
+        }
+      }
+      tokens.push({
+        type: 'word',
+        value,
+        quoted,
+        phrase: query[start] === '"',
+        negatedPhrase: query[start] === '-' && query[start + 1] === '"',
+        position: start,
+      });
+    }
+  }
+  return tokens;
+}
+
+function parseSearchDate(value, position) {
+  const today = getStartOfDay();
+  if (value === 'today') return { start: today, end: addDays(today, 1) };
+  if (value === 'yesterday') return { start: addDays(today, -1), end: today };
+  if (value === 'tomorrow') return { start: addDays(today, 1), end: addDays(today, 2) };
+  const match = value.match(SEARCH_DATE_PATTERN);
+  if (!match) throw new SearchQueryError(`日付「${value}」は 2026-01 や 2026-01-15 の形式で指定してください`, position);
+  const [, year, month, day] = match.map(Number);
+  if ((month && (month < 1 || month > 12)) || (day && (day < 1 || day > 31))) {
+    throw new SearchQueryError(`日付「${value}」が正しくありません`, position);
+  }
+  const start = new Date(year, (month || 1) - 1, day || 1).getTime();
+  let end;
+  if (day) end = new Date(year, month - 1, day + 1).getTime();
+  else if (month) end = new Date(year, month, 1).getTime();
+  else end = new Date(year + 1, 0, 1).getTime();
+  return { start, end };
+}
+
+// created:2026-01..2026-03 は両端を含む。片側を省略すると開いた範囲になる
+function parseSearchDateRange(value, position) {
+  if (!value.includes('..')) return parseSearchDate(value, position);
+  const [from, to] = value.split('..');
+  if (!from && !to) throw new SearchQueryError('日付の範囲が空です', position);
+  return {
+    start: from ? parseSearchDate(from, position).start : -Infinity,
+    end: to ? parseSearchDate(to, position).end : Infinity,
+  };
+}
+
+function parseSearchTerm(token) {
+  const { value, phrase, position } = token;
+  if (phrase) return { type: 'text', field: null, value: value.toLowerCase() };
+  if (value.startsWith('#')) {
+    if (value.length === 1) throw new SearchQueryError('「#」の後にタグ名がありません', position);
+    return { type: 'tag', value: value.slice(1).toLowerCase() };
+  }
+  const separator = value.indexOf(':');
+  const field = separator > 0 ? value.slice(0, separator).toLowerCase() : '';
+  // 12:00・URL・「注意:」のように条件名でない「〜:」は、そのまま本文の検索語にする
+  if (!SEARCH_FIELDS.includes(field)) {
+    return { type: 'text', field: null, value: value.toLowerCase() };
+  }
+  const fieldValue = value.slice(separator + 1);
+  if (!fieldValue) throw new SearchQueryError(`「${field}:」の後に値がありません`, position);
+  const lowerValue = fieldValue.toLowerCase();
+  if (field === 'is' && !SEARCH_IS_VALUES.includes(lowerValue)) {
+    throw new SearchQueryError(`「is:」には ${SEARCH_IS_VALUES.join(' / ')} を指定してください`, position);
+  }
+  if (field === 'has' && !SEARCH_HAS_VALUES.includes(lowerValue)) {
+    throw new SearchQueryError(`「has:」には ${SEARCH_HAS_VALUES.join(' / ')} を指定してください`, position);
+  }
+  if (field === 'created' || field === 'due') {
+    const range = parseSearchDateRange(lowerValue, position);
+    // due:today は今日までに復習するもの（期限切れを含む）
+    if (field === 'due' && lowerValue === 'today') range.start = -Infinity;
+    return { type: 'date', field, ...range };
+  }
+  if (field === 'meaning' || field === 'note') return { type: 'text', field, value: lowerValue };
+  return { type: 'field', field, value: lowerValue };
+}
+
+// 優先順位は NOT > AND（空白） > OR。括弧でまとめられる
+function parseSearchQuery(query) {
+  const tokens = tokenizeSearchQuery(query);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (token, name) => token?.type === 'word' && !token.quoted && token.value === name;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new SearchQueryError('検索語がありません', query.length);
+    if (isOperator(token, 'NOT')) {
+      index += 1;
+      if (!peek() || peek().type === ')') throw new SearchQueryError('「NOT」の後に検索語がありません', token.position);
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (token.type === 'word' && token.value.startsWith('-') && token.value.length > 1 && !token.phrase) {
+      index += 1;
+      return {
+        type: 'not',
+        operand: parseSearchTerm({ ...token, value: token.value.slice(1), phrase: token.negatedPhrase, position: token.position + 1 }),
+      };
+    }
+    if (token.type === '(') {
+      index += 1;
+      const expression = parseOr();
+      if (peek()?.type !== ')') throw new SearchQueryError('「(」が閉じられていません', token.position);
+      index += 1;
+      return expression;
+    }
+    if (token.type === ')') throw new SearchQueryError('対応する「(」がない「)」です', token.position);
+    if (isOperator(token, 'OR') || isOperator(token, 'AND')) {
+      throw new SearchQueryError(`「${token.value}」の前に検索語がありません`, token.position);
+    }
+    index += 1;
+    return parseSearchTerm(token);
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (peek() && peek().type !== ')' && !isOperator(peek(), 'OR')) {
+      if (isOperator(peek(), 'AND')) {
+        const operator = peek();
+        index += 1;
+        if (!peek() || peek().type === ')' || isOperator(peek(), 'OR')) {
+          throw new SearchQueryError('「AND」の後に検索語がありません', operator.position);
+        }
+      }
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (isOperator(peek(), 'OR')) {
+      const operator = peek();
+      index += 1;
+      if (!peek() || peek().type === ')') throw new SearchQueryError('「OR」の後に検索語がありません', operator.position);
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  if (!tokens.length) return null;
+  const expression = parseOr();
+  if (peek()) throw new SearchQueryError('対応する「(」がない「)」です', peek().position);
+  return expression;
+}
+
+// NOT の内側にない語は結果の行（どのテキストに当たったか）を選ぶのに使う
+function collectPositiveSearchTerms(node, negated = false, terms = []) {
+  if (!node) return terms;
+  if (node.type === 'not') return collectPositiveSearchTerms(node.operand, !negated, terms);
+  if (node.operands) {
+    node.operands.forEach((operand) => collectPositiveSearchTerms(operand, negated, terms));
+    return terms;
+  }
+  if (!negated) terms.push(node);
+  return terms;
+}
+
+// 検索インデックス: 正規化したテキストをトークンに分け、トークン → 文書キーの転置インデックスを持つ
+// persistData() のたびに、保存用スナップショットの差分から変わった文書だけを作り直す
+const HANGUL_INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const HANGUL_MEDIALS = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const HANGUL_FINALS = ['', ...'ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ'];
+const CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3131-\u318e\u30fc]+/gu;
+const CJK_CHAR_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3131-\u318e\u30fc]/u;
+const SEARCH_FIELD_WEIGHTS = { text: 3, tag: 3, pronunciation: 2, meaning: 2, note: 1, example: 1, alternative: 1 };
+
+// 繁体字は簡体字にそろえる。台湾・香港の字形も含め、OpenCC（vendor/opencc/）の表で 1 文字ずつ変換し、引いた字は覚えておく
+function toSimplifiedChinese(char) {
+  if (!state.chineseScript) {
+    const fromTaiwan = OpenCC.Converter({ from: 'tw', to: 'cn' });
+    const fromHongKong = OpenCC.Converter({ from: 'hk', to: 'cn' });
+    // 香港の字形を先にそろえると、簡体字をもう一度通しても変わらない
+    state.chineseScript = { convert: (text) => fromTaiwan(fromHongKong(text)), cache: new Map() };
+  }
+  const { convert, cache } = state.chineseScript;
+  if (!cache.has(char)) cache.set(char, convert(char));
+  return cache.get(char);
+}
+
+// ハングルは字母に分解して、入力途中の音節（예: 커ㅍ）でも当たるようにする
+function decomposeHangul(text) {
+  return text.replace(/[\uac00-\ud7a3]/g, (char) => {
+    const index = char.charCodeAt(0) - 0xac00;
+    return HANGUL_INITIALS[Math.floor(index / 588)] + HANGUL_MEDIALS[Math.floor((index % 588) / 28)] + HANGUL_FINALS[index % 28];
+  });
+}
+
+function normalizeSearchText(text) {
+  // 互換字母は NFKC で結合用字母に変わってしまうので除外する
+  const widthFolded = String(text ?? '').replace(/[^\u3130-\u318f]+/g, (chunk) => chunk.normalize('NFKC'));
+  return decomposeHangul(widthFolded.toLowerCase())
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .replace(/[\u3400-\u9fff]/g, toSimplifiedChinese)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// 漢字・かな・ハングルの連続は 1 文字と 2 文字の n-gram、それ以外は単語で区切る
+function tokenizeSearchText(normalized) {
+  const tokens = [];
+  normalized.replace(CJK_RUN_PATTERN, (run) => {
+    const chars = Array.from(run);
+    chars.forEach((char, index) => {
+      tokens.push(char);
+      if (index < chars.length - 1) tokens.push(char + chars[index + 1]);
+    });
+    return ' ';
+  }).split(/[^\p{L}\p{N}]+/u).forEach((word) => {
+    if (word) tokens.push(word);
+  });
+  return tokens;
+}
+
+const isCjkToken = (token) => CJK_CHAR_PATTERN.test(token);
+
+function getEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const getFuzzyLimit = (token) => {
+  if (token.length >= 8) return 2;
+  return token.length >= 4 ? 1 : 0;
+};
+
+function createSearchDocument(key, item, fields, signature) {
+  const normalizedFields = {};
+  const fieldTokens = {};
+  const tokens = new Set();
+  Object.entries(fields).forEach(([field, values]) => {
+    normalizedFields[field] = values.filter(Boolean).map(normalizeSearchText);
+    fieldTokens[field] = new Set(normalizedFields[field].flatMap(tokenizeSearchText));
+    fieldTokens[field].forEach((token) => tokens.add(token));
+  });
+  return { key, signature, item: { ...item, normalizedFields, fieldTokens }, tokens };
+}
+
+function getPostSearchDocument(post, replies, signature) {
+  const texts = [...(post.texts || []), ...replies.flatMap((reply) => reply.texts || [])];
+  return createSearchDocument(`post:${post.id}`, {
+    kind: 'post',
+    id: post.id,
+    tags: post.tags || [],
+    languages: texts.map((text) => text.language).filter(Boolean),
+    speakers: texts.map((text) => text.speaker || 'none'),
+    pinned: post.pinned,
+    solved: null,
+    hasImage: [post, ...replies].some((item) => item.images?.length),
+    hasNote: false,
+    hasMeaning: false,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt || post.createdAt,
+    dueAt: null,
+  }, {
+    text: [...texts.map((text) => text.content), ...[post, ...replies].flatMap((item) => (item.images || []).map((image) => image.caption))],
+    pronunciation: texts.map((text) => text.pronunciation),
+    tag: post.tags || [],
+  }, signature);
+}
+
+function getPuzzleSearchDocument(puzzle, signature) {
+  const notes = (puzzle.notes || []).map((note) => note.text).filter(Boolean);
+  const listText = (list) => (list || []).map((entry) => (typeof entry === 'string' ? entry : entry?.text));
+  return createSearchDocument(`puzzle:${puzzle.id}`, {
+    kind: 'puzzle',
+    id: puzzle.id,
+    tags: puzzle.tags || [],
+    languages: [puzzle.language, puzzle.solution?.language].filter(Boolean),
+    speakers: [puzzle.speaker || 'none'],
+    pinned: puzzle.pinned,
+    solved: Boolean(puzzle.isSolved),
+    hasImage: Boolean(puzzle.imageId),
+    hasNote: notes.length > 0,
+    hasMeaning: Boolean(puzzle.meaning),
+    createdAt: puzzle.createdAt,
+    updatedAt: puzzle.updatedAt || puzzle.createdAt,
+    dueAt: puzzle.review?.nextReviewDate ?? null,
+  }, {
+    text: [puzzle.text],
+    pronunciation: [puzzle.pronunciation, puzzle.solution?.content],
+    meaning: [puzzle.meaning],
+    note: notes,
+    example: listText(puzzle.examples),
+    alternative: listText(puzzle.alternatives),
+    tag: puzzle.tags || [],
+  }, signature);
+}
+
+// 綴りの近い語と部分一致を探すとき語彙をすべて調べずに済むよう、漢字・かな・ハングル以外の語を長さと 2 文字の並びでも引けるようにする
+const getWordGrams = (token) => new Set(Array.from({ length: token.length - 1 }, (_, i) => token.slice(i, i + 2)));
+
+function updateVocabulary(index, token, add) {
+  if (isCjkToken(token)) return;
+  const entries = [[index.wordsByLength, token.length], ...Array.from(getWordGrams(token), (gram) => [index.wordsByGram, gram])];
+  entries.forEach(([map, key]) => {
+    if (add) {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(token);
+      return;
+    }
+    map.get(key)?.delete(token);
+    if (!map.get(key)?.size) map.delete(key);
+  });
+}
+
+function removeSearchDocument(index, key) {
+  const doc = index.docs.get(key);
+  if (!doc) return;
+  doc.tokens.forEach((token) => {
+    const keys = index.postings.get(token);
+    keys?.delete(key);
+    if (keys && !keys.size) {
+      index.postings.delete(token);
+      updateVocabulary(index, token, false);
+    }
+  });
+  index.docs.delete(key);
+}
+
+function addSearchDocument(index, doc) {
+  removeSearchDocument(index, doc.key);
+  index.docs.set(doc.key, doc);
+  doc.tokens.forEach((token) => {
+    if (!index.postings.has(token)) {
+      index.postings.set(token, new Set());
+      updateVocabulary(index, token, true);
+    }
+    index.postings.get(token).add(doc.key);
+  });
+}
+
+// 部分一致の候補は、語の 2 文字の並びのうち当たる語がいちばん少ないものから取る。1 文字の語は同じ長さ以上の語すべて
+function getSubstringCandidates(index, word) {
+  if (word.length < 2) {
+    return Array.from(index.wordsByLength).flatMap(([length, tokens]) => (length >= word.length ? Array.from(tokens) : []));
+  }
+  const lists = Array.from(getWordGrams(word), (gram) => index.wordsByGram.get(gram));
+  if (lists.some((tokens) => !tokens)) return [];
+  return Array.from(lists.reduce((smallest, tokens) => (tokens.size < smallest.size ? tokens : smallest)));
+}
+
+// 編集距離が limit 以内の語は、長さの差も limit 以内
+function getFuzzyCandidates(index, word, limit) {
+  const candidates = [];
+  for (let length = word.length - limit; length <= word.length + limit; length += 1) {
+    candidates.push(...(index.wordsByLength.get(length) || []));
+  }
+  return candidates;
+}
+
+function updateSearchIndex(snapshot) {
+  const index = state.searchIndex;
+  const repliesByPost = new Map();
+  state.data.replies.forEach((reply) => {
+    if (!repliesByPost.has(reply.postId)) repliesByPost.set(reply.postId, []);
+    repliesByPost.get(reply.postId).push(reply);
+  });
+  const seen = new Set();
+  state.data.posts.forEach((post) => {
+    if (post.isDeleted) return;
+    const key = `post:${post.id}`;
+    const replies = repliesByPost.get(post.id) || [];
+    const signature = [snapshot.posts.get(post.id), ...replies.map((reply) => snapshot.replies.get(reply.id))].join('\n');
+    seen.add(key);
+    if (index.docs.get(key)?.signature !== signature) addSearchDocument(index, getPostSearchDocument(post, replies, signature));
+  });
+  state.data.puzzles.forEach((puzzle) => {
+    const key = `puzzle:${puzzle.id}`;
+    const signature = snapshot.puzzles.get(puzzle.id);
+    seen.add(key);
+    if (index.docs.get(key)?.signature !== signature) addSearchDocument(index, getPuzzleSearchDocument(puzzle, signature));
+  });
+  Array.from(index.docs.keys()).forEach((key) => {
+    if (!seen.has(key)) removeSearchDocument(index, key);
+  });
+  index.repliesByPost = repliesByPost;
+  index.built = true;
+}
+
+function getSearchIndex() {
+  if (!state.searchIndex.built) updateSearchIndex(state.persistedSnapshot || createPersistedSnapshot(state.data));
+  return state.searchIndex;
+}
+
+// 検索語ごとに、当たりうる語彙（部分一致・綴りの近い語）を一度だけ調べておく
+function prepareSearchTerm(value, index) {
+  const normalized = normalizeSearchText(value);
+  const words = tokenizeSearchText(normalized).filter((token) => !isCjkToken(token));
+  const fuzzy = new Map(words.map((word) => [word, new Set()]));
+  const related = new Map(words.map((word) => [word, new Set()]));
+  words.forEach((word) => {
+    getSubstringCandidates(index, word).forEach((token) => {
+      if (token.includes(word)) related.get(word).add(token);
+    });
+    const limit = getFuzzyLimit(word);
+    if (!limit) return;
+    getFuzzyCandidates(index, word, limit).forEach((token) => {
+      if (related.get(word).has(token) || getEditDistance(word, token, limit) > limit) return;
+      fuzzy.get(word).add(token);
+      related.get(word).add(token);
+    });
+  });
+  const grams = tokenizeSearchText(normalized).filter((token) => isCjkToken(token) && Array.from(token).length === 2);
+  return { value, normalized, words, fuzzy, related, grams: grams.length ? grams : tokenizeSearchText(normalized).filter(isCjkToken) };
+}
+
+function prepareSearchExpression(node, index) {
+  if (!node) return;
+  if (node.type === 'text') node.prepared = prepareSearchTerm(node.value, index);
+  if (node.type === 'tag') node.normalized = normalizeSearchText(normalizeTag(node.value));
+  if (node.operand) prepareSearchExpression(node.operand, index);
+  (node.operands || []).forEach((operand) => prepareSearchExpression(operand, index));
+}
+
+// 0: 当たらない / 1: 綴りの近い語 / 2: 部分一致 / 3: 単語として一致
+function matchSearchText(normalizedText, tokens, prepared) {
+  if (!prepared.normalized) return 0;
+  if (normalizedText.includes(prepared.normalized)) {
+    return prepared.words.length && prepared.words.every((word) => tokens.has(word)) ? 3 : 2;
+  }
+  if (!prepared.words.length || prepared.grams.length) return 0;
+  return prepared.words.every((word) => Array.from(prepared.fuzzy.get(word)).some((token) => tokens.has(token))) ? 1 : 0;
+}
+
+function scoreSearchTerm(item, prepared, field = null) {
+  const fields = field ? [field] : Object.keys(item.normalizedFields);
+  return fields.reduce((best, name) => {
+    const quality = Math.max(0, ...(item.normalizedFields[name] || [])
+      .map((text) => matchSearchText(text, item.fieldTokens[name], prepared)));
+    return Math.max(best, quality * (SEARCH_FIELD_WEIGHTS[name] || 1));
+  }, 0);
+}
+
+function textMatchesSearchTerms(text, preparedTerms) {
+  if (!preparedTerms.length) return true;
+  const normalized = normalizeSearchText(text);
+  const tokens = new Set(tokenizeSearchText(normalized));
+  return preparedTerms.some((prepared) => matchSearchText(normalized, tokens, prepared) > 0);
+}
+
+// 転置インデックスで候補の文書を絞り込む。絞り込めない条件は null（全件）を返す
+function getSearchCandidates(node, index) {
+  if (!node) return null;
+  if (node.type === 'text') {
+    const { prepared } = node;
+    const sets = [
+      ...prepared.grams.map((gram) => index.postings.get(gram) || new Set()),
+      ...prepared.words.map((word) => new Set(Array.from(prepared.related.get(word))
+        .flatMap((token) => Array.from(index.postings.get(token) || [])))),
+    ];
+    if (!sets.length) return null;
+    return sets.reduce((result, keys) => new Set(Array.from(result).filter((key) => keys.has(key))));
+  }
+  if (node.type === 'and') {
+    const sets = node.operands.map((operand) => getSearchCandidates(operand, index)).filter(Boolean);
+    if (!sets.length) return null;
+    return sets.reduce((result, keys) => new Set(Array.from(result).filter((key) => keys.has(key))));
+  }
+  if (node.type === 'or') {
+    const sets = node.operands.map((operand) => getSearchCandidates(operand, index));
+    if (sets.some((keys) => !keys)) return null;
+    return new Set(sets.flatMap((keys) => Array.from(keys)));
+  }
+  return null;
+}
+
+function getSearchRelevance(item, positiveTerms) {
+  return positiveTerms.reduce((score, term) => {
+    if (term.type === 'text') return score + scoreSearchTerm(item, term.prepared, term.field);
+    if (term.type === 'tag') return score + (item.tags.some((tag) => normalizeSearchText(tag) === term.normalized) ? 2 : 0)
+      + (item.tags.some((tag) => isTagWithin(normalizeSearchText(tag), term.normalized)) ? 1 : 0);
+    return score;
+  }, 0);
+}
+
+function evaluateSearchQuery(node, item) {
+  if (!node) return true;
+  switch (node.type) {
+    case 'and':
+      return node.operands.every((operand) => evaluateSearchQuery(operand, item));
+    case 'or':
+      return node.operands.some((operand) => evaluateSearchQuery(operand, item));
+    case 'not':
+      return !evaluateSearchQuery(node.operand, item);
+    case 'tag':
+      return item.tags.some((tag) => isTagWithin(normalizeSearchText(tag), node.normalized));
+    case 'text':
+      return scoreSearchTerm(item, node.prepared, node.field) > 0;
+    case 'date': {
+      const value = node.field === 'created' ? item.createdAt : item.dueAt;
+      return value != null && value >= node.start && value < node.end;
+    }
+    case 'field':
+      if (node.field === 'lang') return item.languages.some((lang) => lang.toLowerCase().startsWith(node.value));
+      if (node.field === 'speaker') return item.speakers.includes(node.value);
+      if (node.field === 'is') {
+        if (node.value === 'pinned') return Boolean(item.pinned);
+        if (node.value === 'solved') return item.solved === true;
+        return item.solved === false;
+      }
+      if (node.field === 'has') {
+        if (node.value === 'image') return item.hasImage;
+        return node.value === 'note' ? item.hasNote : item.hasMeaning;
+      }
+      return false;
+    default:
+      return false;
+  }
+}
+
+function hasSearchQueryTerm(term) {
+  const query = document.getElementById('search-input').value;
+  return query.split(/\s+/).includes(term);
+}
+
+// ピン留め・解決ボタンは is:pinned / is:solved を検索語に出し入れするショートカット
+function toggleSearchQueryTerm(term) {
+  const input = document.getElementById('search-input');
+  const words = input.value.split(/\s+/).filter(Boolean);
+  input.value = words.includes(term)
+    ? words.filter((word) => word !== term).join(' ')
+    : [...words, term].join(' ');
+  syncSearchFilterButtons();
+}
+
+function syncSearchFilterButtons() {
+  [
+    { id: 'search-pin-btn', term: 'is:pinned', on: 'img/pin_on.svg', off: 'img/pin_off.svg' },
+    { id: 'search-solved-btn', term: 'is:solved', on: 'img/light_on.svg', off: 'img/light_off.svg' },
+  ].forEach(({ id, term, on, off }) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    const active = hasSearchQueryTerm(term);
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', active);
+    const icon = btn.querySelector('img');
+    if (icon) icon.src = active ? on : off;
+  });
+}
+
+function showSearchQueryError(message) {
+  const errorEl = document.getElementById('search-query-error');
+  if (!errorEl) return;
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('hidden', !message);
+}
+
+function getSearchFilterState() {
+  return {
+    query: document.getElementById('search-input').value.trim(),
+    type: document.getElementById('search-type-select')?.value || 'all',
+    language: document.getElementById('search-lang-select')?.value || 'all',
+  };
+}
+
+function collectSearchResults({ query = '', type: searchType = 'all', language: languageFilter = 'all' } = {}) {
+  const matchesLanguage = (language) => languageFilter === 'all' || language === languageFilter;
+
+  let expression;
+  try {
+    expression = parseSearchQuery(query);
+  } catch (error) {
+    if (!(error instanceof SearchQueryError)) throw error;
+    return { results: [], error: error.message };
+  }
+
+  const index = getSearchIndex();
+  prepareSearchExpression(expression, index);
+  const candidates = getSearchCandidates(expression, index);
+  const findMatchingDocument = (key) => {
+    if (candidates && !candidates.has(key)) return null;
+    const doc = index.docs.get(key);
+    return doc && evaluateSearchQuery(expression, doc.item) ? doc : null;
+  };
+
+  const positiveTerms = collectPositiveSearchTerms(expression);
+  const textTerms = positiveTerms.filter((term) => term.type === 'text');
+  const tagFilters = positiveTerms.filter((term) => term.type === 'tag').map((term) => term.normalized);
+  const langScopes = positiveTerms.filter((term) => term.field === 'lang').map((term) => term.value);
+  const speakerScopes = positiveTerms.filter((term) => term.field === 'speaker').map((term) => term.value);
+  const hasTextTerms = textTerms.length > 0;
+  const hasAnyQuery = Boolean(expression);
+
+  // 範囲を指定した語（meaning: など）はその項目だけに当てる
+  const termsFor = (field) => textTerms
+    .filter((term) => !term.field || term.field === field)
+    .map((term) => term.prepared);
+  const matchesBlockScopes = (text) => (
+    matchesLanguage(text.language)
+    && (!langScopes.length || langScopes.some((lang) => (text.language || '').toLowerCase().startsWith(lang)))
+    && (!speakerScopes.length || speakerScopes.includes(text.speaker || 'none'))
+  );
+
+  const results = [];
+
+  const getPostRefValue = ({ post, reply = null, textIndex = 0 } = {}) => formatPostRef({
+    postId: post?.id,
+    refId: reply?.refId || post?.refId,
+    replyId: reply?.id,
+    textIndex,
+  });
+
+  const getPuzzleRefValue = (puzzle) => puzzle?.refId || puzzle?.id || '';
+
+  const pushTagResults = (tags, createResult) => {
+    const tagTerms = termsFor('text');
+    (tags || []).forEach((tag) => {
+      const matchedTag = tagFilters.some((filter) => isTagWithin(normalizeSearchText(tag), filter)) || (tagTerms.length && textMatchesSearchTerms(tag, tagTerms));
+      if (matchedTag) results.push(createResult(tag));
+    });
+  };
+  const assignRelevance = (doc, fromIndex) => {
+    const relevance = getSearchRelevance(doc.item, positiveTerms);
+    results.slice(fromIndex).forEach((result) => { result.relevance = relevance; });
+  };
+
+  if (hasAnyQuery && (searchType === 'all' || searchType === 'clue')) {
+    const textTermsForPosts = termsFor('text');
+    // 発音（ローマ字・ピンイン）で当たったテキストも行として出す
+    const matchesBlockText = (t) => textMatchesSearchTerms(t.content, textTermsForPosts)
+      || (Boolean(t.pronunciation) && textMatchesSearchTerms(t.pronunciation, textTermsForPosts));
+    state.data.posts
+      .filter((p) => !p.isDeleted)
+      .forEach((post) => {
+        const replies = index.repliesByPost.get(post.id) || [];
+        const threadTexts = [...(post.texts || []), ...replies.flatMap((r) => r.texts || [])];
+        if (!threadTexts.some((t) => matchesLanguage(t.language))) return;
+        const doc = findMatchingDocument(`post:${post.id}`);
+        if (!doc) return;
+        const resultCount = results.length;
+
+        if (textTermsForPosts.length) {
+          (post.texts || []).forEach((t, textIndex) => {
+            if (!matchesBlockScopes(t) || !matchesBlockText(t)) return;
+            results.push({
+              parentType: 'post',
+              parent: post,
+              main: t.content,
+              detail: null,
+              refText: getPostRefValue({ post, textIndex }),
+              onClick: () => navigateToPost(post.id, textIndex),
+            });
+          });
+
+          let replyTextOffset = post.texts.length;
+          replies.forEach((reply) => {
+            (reply.texts || []).forEach((t, replyTextIndex) => {
+              if (!matchesBlockScopes(t) || !matchesBlockText(t)) return;
+              const refIndex = replyTextOffset + replyTextIndex;
+              results.push({
+                parentType: 'reply',
+                parent: post,
+                main: t.content,
+                detail: null,
+                refText: getPostRefValue({ post, reply, textIndex: refIndex }),
+                onClick: () => navigateToReply(post.id, reply.id),
+              });
+            });
+            replyTextOffset += reply.texts?.length || 0;
+          });
+        }
+
+        pushTagResults(post.tags, (tag) => ({
+          parentType: 'post-tag',
+          parent: post,
+          main: getPostPrimaryText(post) || '投稿',
+          detail: `#${tag}`,
+          refText: getPostRefValue({ post, textIndex: 0 }),
+          onClick: () => navigateToPost(post.id),
+        }));
+
+        // 条件だけで検索したときは、該当するテキストの先頭で 1 件として出す
+        if (results.length === resultCount) {
+          const textIndex = Math.max(0, (post.texts || []).findIndex(matchesBlockScopes));
+          results.push({
+            parentType: 'post',
+            parent: post,
+            main: post.texts?.[textIndex]?.content || '投稿',
+            detail: null,
+            refText: getPostRefValue({ post, textIndex }),
+            onClick: () => navigateToPost(post.id, textIndex),
+          });
+        }
+        assignRelevance(doc, resultCount);
+      });
+  }
+
+  if (hasAnyQuery && (searchType === 'all' || searchType === 'puzzle')) {
+    state.data.puzzles.forEach((puzzle) => {
+      if (!matchesLanguage(puzzle.language) && !matchesLanguage(puzzle.solution?.language)) return;
+      const doc = findMatchingDocument(`puzzle:${puzzle.id}`);
+      if (!doc) return;
+      const resultCount = results.length;
+      const pushPuzzleResult = (parentType, detail = null) => results.push({
+        parentType,
+        parent: puzzle,
+        main: puzzle.text,
+        detail,
+        refText: getPuzzleRefValue(puzzle),
+        onClick: () => navigateToPuzzle(puzzle.id),
+      });
+
+      if (hasTextTerms) {
+        const generalTerms = termsFor('text');
+        if (generalTerms.length && textMatchesSearchTerms(puzzle.text, generalTerms)) {
+          pushPuzzleResult('puzzle');
+        }
+
+        const noteTerms = termsFor('note');
+        (puzzle.notes || []).forEach((note) => {
+          if (!noteTerms.length || !textMatchesSearchTerms(note.text, noteTerms)) return;
+          pushPuzzleResult('puzzle-note', buildExcerpt(note.text, noteTerms));
+        });
+
+        const meaningTerms = termsFor('meaning');
+        if (meaningTerms.length && textMatchesSearchTerms(puzzle.meaning, meaningTerms)) {
+          pushPuzzleResult('puzzle-meaning', buildExcerpt(puzzle.meaning, meaningTerms));
+        }
+
+        (puzzle.examples || []).forEach((exampleText) => {
+          const textValue = typeof exampleText === 'string' ? exampleText : exampleText?.text;
+          if (!generalTerms.length || !textMatchesSearchTerms(textValue, generalTerms)) return;
+          pushPuzzleResult('puzzle-example', buildExcerpt(textValue, generalTerms));
+        });
+
+        (puzzle.alternatives || []).forEach((alt) => {
+          const textValue = typeof alt === 'string' ? alt : alt?.text;
+          if (!generalTerms.length || !textMatchesSearchTerms(textValue, generalTerms)) return;
+          pushPuzzleResult('puzzle-alternative', buildExcerpt(textValue, generalTerms));
+        });
+      }
+
+      pushTagResults(puzzle.tags, (tag) => ({
+        parentType: 'puzzle-tag',
+        parent: puzzle,
+        main: puzzle.text,
+        detail: `#${tag}`,
+        refText: getPuzzleRefValue(puzzle),
+        onClick: () => navigateToPuzzle(puzzle.id),
+      }));
+
+      if (results.length === resultCount) pushPuzzleResult('puzzle');
+      assignRelevance(doc, resultCount);
+    });
+  }
+
+  const getItemTimestamp = (item) => (item?.parent?.updatedAt || item?.parent?.createdAt || 0);
+
+  // 関連度の高い順。同じなら新しい順（同じ投稿・謎の行はまとまったまま並ぶ）
+  results.sort((a, b) => {
+    if (a.relevance !== b.relevance) return b.relevance - a.relevance;
+    return getItemTimestamp(b) - getItemTimestamp(a);
+  });
+  return { results, error: null };
+}
+
+function runSearch() {
+  const container = document.getElementById('search-results');
+  syncSearchFilterButtons();
+  const { results, error } = collectSearchResults(getSearchFilterState());
+  showSearchQueryError(error);
+  renderSavedSearches();
+
+  container.innerHTML = '';
+  if (error) return;
+  if (!results.length) {
+    container.innerHTML = '<div class="empty-state">検索結果がありません。</div>';
+    return;
+  }
+
+  results.forEach((item) => container.appendChild(createSearchResultCard(item)));
+}
+
+const SAVED_SEARCH_PLACES = { search: '検索タブ', timeline: 'タイムライン' };
+
+// 件数はデータが変わるまで（日付で変わる条件があるので、日付が変わるまで）条件ごとに一度だけ数える
+function countSearchMatches(filters) {
+  const cache = state.savedSearchCounts;
+  const cacheKey = `${state.dataRevision}:${getDateKey(Date.now())}`;
+  if (cache.key !== cacheKey) {
+    cache.key = cacheKey;
+    cache.counts.clear();
+  }
+  const filterKey = JSON.stringify([filters.query, filters.type, filters.language]);
+  if (!cache.counts.has(filterKey)) {
+    const { results, error } = collectSearchResults(filters);
+    cache.counts.set(filterKey, error ? null : new Set(results.map((result) => result.parent)).size);
+  }
+  return cache.counts.get(filterKey);
+}
+
+function isSameSearchFilter(a, b) {
+  return a.query === b.query && a.type === b.type && a.language === b.language;
+}
+
+function applySavedSearch(saved) {
+  document.querySelector('.tabs button[data-tab="search"]').click();
+  document.getElementById('search-input').value = saved.query;
+  document.getElementById('search-type-select').value = saved.type;
+  const languageSelect = document.getElementById('search-lang-select');
+  // 削除された言語でも条件を復元できるように選択肢を足す
+  if (saved.language !== 'all' && !Array.from(languageSelect.options).some((option) => option.value === saved.language)) {
+    appendLanguageOptions(languageSelect, saved.language);
+  }
+  languageSelect.value = saved.language;
+  runSearch();
+}
+
+function createSavedSearchChip(saved, active) {
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = `puzzle-chip puzzle-chip-link saved-search-chip${active ? ' active' : ''}`;
+  chip.title = saved.query;
+  const name = document.createElement('span');
+  name.textContent = saved.name;
+  const count = document.createElement('span');
+  count.className = 'saved-search-count';
+  const matches = countSearchMatches(saved);
+  count.textContent = matches === null ? '!' : String(matches);
+  chip.append(name, count);
+  chip.addEventListener('click', () => applySavedSearch(saved));
+  return chip;
+}
+
+function renderSavedSearches() {
+  const current = getSearchFilterState();
+  [
+    { id: 'saved-search-chips', place: 'search' },
+    { id: 'timeline-saved-searches', place: 'timeline' },
+  ].forEach(({ id, place }) => {
+    const container = document.getElementById(id);
+    if (!container) return;
+    container.innerHTML = '';
+    const pinned = state.data.savedSearches.filter((saved) => saved.pinnedTo.includes(place));
+    pinned.forEach((saved) => container.appendChild(createSavedSearchChip(saved, place === 'search' && isSameSearchFilter(saved, current))));
+    if (place === 'search' && state.data.savedSearches.length) {
+      const manageBtn = document.createElement('button');
+      manageBtn.type = 'button';
+      manageBtn.className = 'text-action-button saved-search-manage-button';
+      manageBtn.textContent = '管理';
+      manageBtn.addEventListener('click', openSavedSearchListModal);
+      container.appendChild(manageBtn);
+    }
+    if (place === 'search') {
+      const tagsBtn = document.createElement('button');
+      tagsBtn.type = 'button';
+      tagsBtn.className = 'text-action-button saved-search-manage-button';
+      tagsBtn.textContent = '#タグ一覧';
+      tagsBtn.addEventListener('click', openTagBrowserModal);
+      container.appendChild(tagsBtn);
+    }
+    container.classList.toggle('hidden', !container.childElementCount);
+  });
+  updateSearchPanelOffset();
+}
+
+// 検索ボックスは固定表示なので、高さが変わったら結果の開始位置を合わせる
+function updateSearchPanelOffset() {
+  const box = document.querySelector('.search-box');
+  const panel = document.getElementById('search');
+  if (!box || !panel || !box.offsetHeight) return;
+  panel.style.paddingTop = `${box.offsetHeight}px`;
+}
+
+function buildSavedSearchForm(saved = null) {
+  const filters = saved || getSearchFilterState();
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section';
+  fragment.appendChild(container);
+
+  const nameRow = document.createElement('div');
+  nameRow.className = 'form-row';
+  const nameLabel = document.createElement('label');
+  nameLabel.className = 'tag-label';
+  nameLabel.textContent = '名前';
+  const nameInput = document.createElement('input');
+  nameInput.className = 'tag-input';
+  nameInput.value = saved?.name || filters.query;
+  nameInput.placeholder = '例: 韓国のレストラン（未解決）';
+  nameRow.append(nameLabel, nameInput);
+
+  const queryRow = document.createElement('div');
+  queryRow.className = 'form-row';
+  const queryLabel = document.createElement('label');
+  queryLabel.className = 'tag-label';
+  queryLabel.textContent = '検索条件';
+  const queryInput = document.createElement('input');
+  queryInput.className = 'tag-input';
+  queryInput.value = filters.query;
+  queryRow.append(queryLabel, queryInput);
+
+  const summary = document.createElement('p');
+  summary.className = 'helper';
+  const typeLabel = document.querySelector(`#search-type-select option[value="${filters.type}"]`)?.textContent || filters.type;
+  summary.textContent = `対象: ${typeLabel} / 言語: ${filters.language === 'all' ? '全ての言語' : getLanguageLabel(filters.language)}`;
+
+  const placeRow = document.createElement('div');
+  placeRow.className = 'form-row saved-search-places';
+  const placeLabel = document.createElement('span');
+  placeLabel.className = 'tag-label';
+  placeLabel.textContent = 'チップを表示';
+  placeRow.appendChild(placeLabel);
+  const placeInputs = Object.entries(SAVED_SEARCH_PLACES).map(([value, label]) => {
+    const wrapper = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = saved ? saved.pinnedTo.includes(value) : value === 'search';
+    wrapper.append(checkbox, ` ${label}`);
+    placeRow.appendChild(wrapper);
+    return checkbox;
+  });
+
+  container.append(nameRow, queryRow, summary, placeRow);
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = saved ? 'Save' : 'Create';
+  submitBtn.addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    const query = queryInput.value.trim();
+    if (!name) {
+      alert('名前を入力してください');
+      return;
+    }
+    try {
+      parseSearchQuery(query);
+    } catch (error) {
+      if (!(error instanceof SearchQueryError)) throw error;
+      alert(error.message);
+      return;
+    }
+    const pinnedTo = placeInputs.filter((input) => input.checked).map((input) => input.value);
+    const now = Date.now();
+    runMutation(saved ? '保存した検索を更新' : '検索を保存', () => {
+      if (saved) {
+        Object.assign(saved, { name, query, pinnedTo, updatedAt: now });
+      } else {
+        state.data.savedSearches.push({
+          id: generateStableId('search'),
+          name,
+          query,
+          type: filters.type,
+          language: filters.language,
+          pinnedTo,
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+    });
+    closeModal();
+  });
+  actions.append(cancelBtn, submitBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function openSaveSearchModal() {
+  const filters = getSearchFilterState();
+  if (!filters.query) {
+    alert('検索条件を入力してから保存してください');
+    return;
   }
+  openModal(buildSavedSearchForm(), '検索を保存');
+}
 
-  if (!post.isDeleted) {
-    if (post.sourceUrl) {
-      const sourceRow = document.createElement('div');
-      sourceRow.className = 'post-extra-row';
-      sourceRow.innerHTML = '<img src="img/link.svg" alt="" width="20" class="icon-inline">';
-      const link = document.createElement('a');
-      link.href = post.sourceUrl;
-      link.target = '_blank';
-      link.rel = 'noopener noreferrer';
-      link.textContent = post.sourceUrl;
-      link.className = 'post-extra-link';
-      sourceRow.appendChild(link);
-      extra.appendChild(sourceRow);
+function deleteSavedSearch(id) {
+  runMutation('保存した検索を削除', () => {
+    state.data.savedSearches = state.data.savedSearches.filter((saved) => saved.id !== id);
+  });
+}
+
+function buildSavedSearchList() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section saved-search-list';
+  if (!state.data.savedSearches.length) {
+    container.innerHTML = '<div class="empty-state">保存した検索はありません。</div>';
+    return container;
+  }
+  state.data.savedSearches.forEach((saved) => {
+    const row = document.createElement('div');
+    row.className = 'saved-search-item';
+    const info = document.createElement('button');
+    info.type = 'button';
+    info.className = 'saved-search-info';
+    const name = document.createElement('span');
+    name.className = 'saved-search-name';
+    name.textContent = saved.name;
+    const query = document.createElement('span');
+    query.className = 'post-ref-text';
+    query.textContent = saved.query;
+    info.append(name, query);
+    info.addEventListener('click', () => {
+      closeModal();
+      applySavedSearch(saved);
+    });
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'card-action-button';
+    editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+    editBtn.addEventListener('click', () => openModal(buildSavedSearchForm(saved), '保存した検索を編集'));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'card-action-button danger-action-button';
+    deleteBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+    deleteBtn.addEventListener('click', () => {
+      deleteSavedSearch(saved.id);
+      openSavedSearchListModal();
+    });
+
+    row.append(info, editBtn, deleteBtn);
+    container.appendChild(row);
+  });
+  return container;
+}
+
+function openSavedSearchListModal() {
+  openModal(buildSavedSearchList(), '保存した検索');
+}
+
+function getUpdatedTimestamp(item) {
+  return (item?.updatedAt || item?.createdAt || 0);
+}
+
+function mergeCollections(existing, incoming) {
+  const map = new Map();
+  (existing || []).forEach((item) => {
+    if (item?.id == null) return;
+    map.set(item.id, item);
+  });
+
+  (incoming || []).forEach((item) => {
+    if (item?.id == null) return;
+    if (!map.has(item.id)) {
+      map.set(item.id, item);
+      return;
     }
-    if (post.linkedPuzzleIds?.length) {
-      const puzzleRow = document.createElement('div');
-      puzzleRow.className = 'post-extra-row';
-      const label = document.createElement('span');
-      label.className = 'post-extra-label';
-      label.innerHTML = '<img src="img/puzzle_off.svg" alt="" width="20" class="icon-inline">';
-      puzzleRow.appendChild(label);
-      const list = document.createElement('div');
-      list.className = 'puzzle-chip-list';
-      post.linkedPuzzleIds.forEach((identifier) => {
-        const puzzle = findPuzzleByIdentifier(identifier);
-        const displayId = puzzle?.refId || puzzle?.id || identifier;
-        const targetId = puzzle?.id || identifier;
-        const chip = document.createElement('button');
-        chip.type = 'button';
-        chip.className = 'puzzle-chip puzzle-chip-link';
-        chip.textContent = `#${displayId}`;
-        chip.addEventListener('click', () => navigateToPuzzle(targetId));
-        list.appendChild(chip);
-      });
-      puzzleRow.appendChild(list);
-      extra.appendChild(puzzleRow);
+    const current = map.get(item.id);
+    const shouldReplace = getUpdatedTimestamp(item) > getUpdatedTimestamp(current);
+    map.set(item.id, shouldReplace ? { ...current, ...item } : current);
+  });
+
+  return Array.from(map.values());
+}
+
+function mergeImportedData(incoming) {
+  if (!incoming || typeof incoming !== 'object') throw new Error('invalid data');
+  const merged = { ...defaultData(), ...state.data };
+
+  merged.posts = mergeCollections(merged.posts, incoming.posts || []);
+  merged.puzzles = mergeCollections(merged.puzzles, incoming.puzzles || []);
+  merged.replies = mergeCollections(merged.replies, incoming.replies || []);
+  merged.cards = mergeCollections(merged.cards, incoming.cards || []);
+  merged.savedSearches = mergeCollections(merged.savedSearches, incoming.savedSearches || []);
+  merged.images = { ...merged.images };
+  Object.entries(incoming.images || {}).forEach(([id, dataUrl]) => {
+    if (!merged.images[id]) merged.images[id] = dataUrl;
+  });
+
+  const incomingLastId = Number(incoming.lastId) || 0;
+  const maxExistingId = Math.max(
+    0,
+    ...merged.posts.map((p) => Number(p.id) || 0),
+    ...merged.replies.map((r) => Number(r.id) || 0),
+    merged.lastId || 0,
+  );
+  merged.lastId = Math.max(maxExistingId, incomingLastId);
+  merged.version = DATA_VERSION;
+
+  runMutation('データをインポート', () => {
+    state.data = merged;
+    ensureDataFields(state.data);
+  });
+}
+
+function replaceWithImportedData(incoming) {
+  if (!incoming || typeof incoming !== 'object') throw new Error('invalid data');
+  runMutation('バックアップから復元', () => {
+    const { kind, exportedAt, ...data } = incoming;
+    state.data = { ...defaultData(), ...data, version: DATA_VERSION };
+    ensureDataFields(state.data);
+  });
+}
+
+function prepareImportData(incoming) {
+  if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+    return { data: null, fromVersion: null, errors: [{ path: '(root)', message: 'オブジェクトである必要があります' }] };
+  }
+  const fromVersion = getDataVersion(incoming);
+  if (fromVersion > DATA_VERSION) {
+    return {
+      data: null,
+      fromVersion,
+      errors: [{ path: 'version', message: `このアプリが対応していない新しい形式（v${fromVersion}）です` }],
+    };
+  }
+  try {
+    const data = migrateData(incoming);
+    return { data, fromVersion, errors: validateData(data) };
+  } catch (e) {
+    console.error('Failed to migrate imported data', e);
+    return { data: null, fromVersion, errors: [{ path: '(root)', message: `v${fromVersion} からの変換に失敗しました` }] };
+  }
+}
+
+function validateConversationMessages(messages) {
+  const errors = [];
+  messages.forEach((msg, index) => {
+    if (!msg || typeof msg !== 'object') {
+      errors.push({ path: `[${index}]`, message: 'オブジェクトである必要があります' });
+    } else if (!String(msg.content || '').trim()) {
+      errors.push({ path: `[${index}].content`, message: '必須項目です' });
+    } else {
+      if (Number.isNaN(getConversationMessageTime(msg))) {
+        errors.push({ path: `[${index}].timestamp`, message: '日時として読めません' });
+      }
+      if (msg.replyTo !== undefined && msg.replyTo !== null && !(Number.isInteger(msg.replyTo) && msg.replyTo >= 0 && msg.replyTo < index)) {
+        errors.push({ path: `[${index}].replyTo`, message: 'それより前のメッセージの番号である必要があります' });
+      }
     }
+  });
+  if (!messages.length) errors.push({ path: '(root)', message: 'メッセージが1件もありません' });
+  return errors;
+}
+
+function diffImportCollection(existing = [], incoming = []) {
+  const currentById = new Map(existing.map((item) => [item.id, item]));
+  const result = { added: 0, updated: 0, unchanged: 0 };
+  incoming.forEach((item) => {
+    const current = currentById.get(item.id);
+    if (!current) result.added += 1;
+    else if (getUpdatedTimestamp(item) > getUpdatedTimestamp(current)) result.updated += 1;
+    else result.unchanged += 1;
+  });
+  return result;
+}
+
+// mergeImportedData と同じ規則で、追加・更新・変更なしの件数を数える
+function getImportDiff(incoming) {
+  const imageIds = Object.keys(incoming.images || {});
+  const newImages = imageIds.filter((id) => !state.data.images[id]).length;
+  return {
+    posts: diffImportCollection(state.data.posts, incoming.posts),
+    replies: diffImportCollection(state.data.replies, incoming.replies),
+    puzzles: diffImportCollection(state.data.puzzles, incoming.puzzles),
+    cards: diffImportCollection(state.data.cards, incoming.cards),
+    savedSearches: diffImportCollection(state.data.savedSearches, incoming.savedSearches),
+    images: { added: newImages, updated: 0, unchanged: imageIds.length - newImages },
+  };
+}
+
+const IMPORT_DIFF_LABELS = {
+  posts: 'ポスト',
+  replies: 'リプライ',
+  puzzles: '謎カード',
+  cards: '学習カード',
+  savedSearches: '保存した検索',
+  images: '画像・音声',
+};
+const IMPORT_ERROR_DISPLAY_LIMIT = 20;
+
+function buildImportPreview({ fromVersion = null, errors = [], diff = null, onConfirm, onReplace = null }) {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section import-preview';
+  fragment.appendChild(container);
+
+  if (fromVersion && fromVersion < DATA_VERSION) {
+    const note = document.createElement('p');
+    note.className = 'modal-description';
+    note.textContent = `v${fromVersion} 形式のデータを v${DATA_VERSION} 形式に変換して読み込みます。`;
+    container.appendChild(note);
   }
 
-  if (extra.childElementCount) {
-    body.appendChild(extra);
+  if (errors.length) {
+    const summary = document.createElement('p');
+    summary.className = 'import-preview-error-summary';
+    summary.textContent = `データに${errors.length}件の問題があるため、インポートできません。`;
+    const list = document.createElement('ul');
+    list.className = 'import-preview-errors';
+    errors.slice(0, IMPORT_ERROR_DISPLAY_LIMIT).forEach((error) => {
+      const item = document.createElement('li');
+      const path = document.createElement('code');
+      path.textContent = error.path;
+      item.append(path, ` ${error.message}`);
+      list.appendChild(item);
+    });
+    if (errors.length > IMPORT_ERROR_DISPLAY_LIMIT) {
+      const more = document.createElement('li');
+      more.className = 'helper';
+      more.textContent = `ほか${errors.length - IMPORT_ERROR_DISPLAY_LIMIT}件`;
+      list.appendChild(more);
+    }
+    container.append(summary, list);
+  } else if (diff) {
+    const table = document.createElement('table');
+    table.className = 'import-preview-table';
+    const head = document.createElement('tr');
+    ['', '追加', '更新', '変更なし'].forEach((text) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    Object.entries(IMPORT_DIFF_LABELS).forEach(([key, label]) => {
+      const counts = diff[key] || { added: 0, updated: 0, unchanged: 0 };
+      const row = document.createElement('tr');
+      [label, counts.added, counts.updated, counts.unchanged].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
+
+  const confirmBtn = document.createElement('button');
+  confirmBtn.type = 'button';
+  confirmBtn.className = 'modal-primary-button primary-button modal-action-button';
+  confirmBtn.textContent = 'インポートする';
+  confirmBtn.disabled = errors.length > 0;
+  confirmBtn.addEventListener('click', () => {
+    closeModal();
+    onConfirm();
+  });
+  actions.append(cancelBtn, confirmBtn);
+
+  if (onReplace && !errors.length) {
+    const replaceBtn = document.createElement('button');
+    replaceBtn.type = 'button';
+    replaceBtn.className = 'import-button import-replace-button';
+    replaceBtn.textContent = '現在のデータを置き換えて復元';
+    replaceBtn.addEventListener('click', () => {
+      if (!confirm('現在のデータはすべてバックアップの内容に置き換わります。よろしいですか？')) return;
+      closeModal();
+      onReplace();
+    });
+    container.appendChild(replaceBtn);
+  }
+
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function openImportPreview(options) {
+  openModal(buildImportPreview(options), 'インポートの確認');
+}
+
+function previewDataImport(incoming) {
+  const { data, fromVersion, errors } = prepareImportData(incoming);
+  openImportPreview({
+    fromVersion,
+    errors,
+    diff: errors.length ? null : getImportDiff(data),
+    onConfirm: () => mergeImportedData(data),
+    onReplace: data?.kind === 'full-backup' ? () => replaceWithImportedData(data) : null,
+  });
+}
+
+
+// 会話の JSON は [{...}, ...] か { thread: { location, date, participants }, messages: [...] }
+function getConversationParts(parsed) {
+  if (Array.isArray(parsed)) return { messages: parsed, thread: null };
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.messages)) {
+    return { messages: parsed.messages, thread: parsed.thread || null };
+  }
+  return null;
+}
+
+function getConversationMessageTime(msg) {
+  const value = msg?.timestamp ?? msg?.createdAt ?? msg?.time;
+  if (value === undefined || value === null || value === '') return null;
+  // 秒単位の UNIX 時刻も受け付ける
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+function importConversationMessages(messages, threadMeta = null) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('invalid conversation data');
+  }
+
+  const normalizeMessage = (msg) => {
+    if (!msg || typeof msg !== 'object') throw new Error('invalid message');
+    const content = String(msg.content || '').trim();
+    if (!content.length) throw new Error('content is required');
+    const speaker = msg.speaker || 'none';
+    return {
+      content,
+      language: msg.language || 'ja',
+      pronunciation: msg.pronunciation || '',
+      speaker,
+      speaker_type: speaker,
+    };
+  };
+
+  const normalized = messages.map(normalizeMessage);
+  const now = Date.now();
+  const times = messages.map(getConversationMessageTime);
+  // 時刻のないメッセージは直前の続きに置き、並び順どおりに createdAt が増えるようにする
+  let previous = null;
+  const createdAts = times.map((time) => {
+    const base = Number.isFinite(time) ? time : previous === null ? times.find(Number.isFinite) ?? now : previous + 1;
+    previous = previous === null ? base : Math.max(base, previous + 1);
+    return previous;
+  });
+  const hasTimes = times.some(Number.isFinite);
+  const meta = threadMeta && typeof threadMeta === 'object' ? threadMeta : {};
+  const occurredAt = meta.occurredAt || meta.date;
+  const thread = normalizeThreadMeta({
+    location: meta.location,
+    occurredAt: /^\d{4}-\d{2}-\d{2}$/.test(occurredAt) ? occurredAt
+      : occurredAt && !Number.isNaN(Date.parse(occurredAt)) ? getDateKey(Date.parse(occurredAt))
+        : hasTimes ? getDateKey(createdAts[0]) : '',
+    participants: Array.isArray(meta.participants)
+      ? meta.participants
+      : messages.map((msg) => msg.name).filter(Boolean),
+  });
+
+  runMutation('会話をインポート', () => {
+    const postId = nextId();
+
+    const post = {
+      id: postId,
+      refId: generateStableId('post'),
+      texts: [normalized[0]],
+      tags: extractTags([normalized[0]]),
+      createdAt: createdAts[0],
+      updatedAt: now,
+      images: [],
+      imageRemoved: false,
+      isDeleted: false,
+      pinned: false,
+      pinnedAt: null,
+      sourceUrl: null,
+      linkedPuzzleIds: [],
+      thread,
+    };
+    state.data.posts.push(post);
+
+    // replyTo は返信先メッセージの番号（0 は最初のメッセージ＝ポスト本体）
+    const replyIds = [null];
+    normalized.slice(1).forEach((text, offset) => {
+      const index = offset + 1;
+      const replyTo = messages[index].replyTo;
+      const reply = {
+        id: nextId(),
+        refId: generateStableId('reply'),
+        postId,
+        parentReplyId: Number.isInteger(replyTo) ? replyIds[replyTo] ?? null : null,
+        texts: [text],
+        tags: extractTags([text]),
+        createdAt: createdAts[index],
+        updatedAt: now,
+        images: [],
+        isDeleted: false,
+      };
+      replyIds.push(reply.id);
+      state.data.replies.push(reply);
+    });
+
+    ensureSpeakerFields(state.data);
+  });
+}
+
+function exportJson(data, filename) {
+  const lock = getLockContext();
+  if (lock && localStorage.getItem(ENCRYPT_EXPORTS_KEY) !== 'off') {
+    encryptText(lock.key, JSON.stringify(data))
+      .then((sealed) => downloadJson(JSON.stringify({ ...getLockHeaderFields(lock.header), ...sealed }), filename))
+      .catch((err) => {
+        console.error('Failed to encrypt export', err);
+        alert('エクスポートの暗号化に失敗しました');
+      });
+    return;
+  }
+  downloadJson(JSON.stringify(data, null, 2), filename);
+}
+
+function downloadJson(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function importJsonFromFile(file, onTextImport) {
+  if (!file || !onTextImport) return;
+  const reader = new FileReader();
+  reader.onload = async () => {
+    try {
+      const text = await openEncryptedText(reader.result);
+      if (text !== null) onTextImport(text);
+    } catch (e) {
+      console.error('Failed to import file JSON', e);
+      alert(`JSONの読み込みに失敗しました\n${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+
+// 端末間の同期。項目ごとにバージョンベクトル（端末ID → その端末での変更番号）を持ち、相手がまだ知らない変更だけを送る。
+// どちらが新しいか決まらない変更は競合として残し、どちらを残すかを選んでもらう
+const SYNC_STATE_KEY = withStorageProfile('lang-sync-state');
+const SYNC_STATE_UNREADABLE_MESSAGE = '同期の状態を復号できませんでした。同期は止めています';
+// dataVersion を持たない同期データは、同期を入れたときの形式（v5）として読む
+const SYNC_MIN_DATA_VERSION = 5;
+const SYNC_PROTOCOL_VERSION = 1;
+const SYNC_FILE_KIND = 'uni-sync';
+const SYNC_COLLECTIONS = ['posts', 'replies', 'puzzles', 'cards', 'trash', 'savedSearches'];
+const SYNC_REF_COLLECTIONS = ['posts', 'replies', 'puzzles', 'cards'];
+const SYNC_COLLECTION_LABELS = {
+  posts: 'ポスト',
+  replies: 'リプライ',
+  puzzles: '謎カード',
+  cards: '学習カード',
+  trash: 'ゴミ箱',
+  savedSearches: '保存した検索',
+};
+const TRASH_TYPE_COLLECTIONS = { post: 'posts', reply: 'replies', puzzle: 'puzzles' };
+const SYNC_SIGNAL_PREFIX = 'UNI1:';
+const SYNC_CHUNK_SIZE = 60 * 1024;
+const SYNC_BUFFER_LIMIT = 1024 * 1024;
+const SYNC_ICE_TIMEOUT = 3000;
+
+// 時計や端末名は端末ごとの情報なので、データ本体ではなく localStorage に置く
+function loadSyncState() {
+  if (state.sync) return state.sync;
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || 'null');
+  } catch (e) {
+    console.error('Failed to read sync state', e);
   }
+  // 暗号化されたままなら unsealSyncState で読めなかったということ。画面用に空の状態を返すが、保存はしない（requireSyncState）
+  if (getLockEnvelope(stored)) state.syncStateError ||= SYNC_STATE_UNREADABLE_MESSAGE;
+  state.sync = createSyncState(getLockEnvelope(stored) ? null : stored);
+  return state.sync;
+}
 
-  actions.innerHTML = '';
-  if (!post.isDeleted) {
-    const delBtn = document.createElement('button');
-    delBtn.className = 'card-action-button danger-action-button';
-    delBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
-    delBtn.addEventListener('click', () => deletePost(post.id));
+// 同期の状態を書き換える処理の入口。読めなかった状態を作り直して上書きすると、端末IDや未送信の変更・競合が失われるので止める
+function requireSyncState() {
+  if (state.syncStateError) throw new Error(state.syncStateError);
+  return loadSyncState();
+}
 
-    const editBtn = document.createElement('button');
-    editBtn.className = 'card-action-button';
-    editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
-    editBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: post }), '投稿を編集'));
+function resetSyncState() {
+  state.syncStateError = null;
+  state.sync = createSyncState(null);
+  saveSyncState();
+}
 
-    const replyBtn = document.createElement('button');
-    replyBtn.className = 'card-action-button';
-    replyBtn.innerHTML = '<img src="img/reply.svg" alt="返信" width="20" class="icon-inline">';
-    replyBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'reply', parentId: post.id }), '返信'));
+function createSyncState(stored) {
+  return {
+    deviceId: stored?.deviceId || generateStableId('device'),
+    deviceName: stored?.deviceName || (/iPhone|iPad|Android/.test(navigator.userAgent) ? 'スマートフォン' : 'パソコン'),
+    summary: stored?.summary || {},
+    items: stored?.items || {},
+    conflicts: Array.isArray(stored?.conflicts) ? stored.conflicts : [],
+    peers: stored?.peers || {},
+    remote: stored?.remote ? { summary: {}, imageIds: [], queue: [], ...stored.remote } : null,
+  };
+}
 
-    const pinBtn = document.createElement('button');
-    pinBtn.className = 'card-action-button';
-    pinBtn.innerHTML = post.pinned
-      ? '<img src="img/pin_on.svg" alt="ピン留め中" width="20" class="icon-inline">'
-      : '<img src="img/pin_off.svg" alt="ピン留め" width="20" class="icon-inline">';
-    if (post.pinned) pinBtn.classList.add('liked');
-    pinBtn.addEventListener('click', () => togglePinned(post.id));
+async function unsealSyncState(key) {
+  const envelope = getLockEnvelope(JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || 'null'));
+  if (!envelope) return;
+  try {
+    state.sync = createSyncState(JSON.parse(await decryptText(key, envelope)));
+  } catch (e) {
+    console.error('Failed to read sync state', e);
+    state.syncStateError = SYNC_STATE_UNREADABLE_MESSAGE;
+    showToast(SYNC_STATE_UNREADABLE_MESSAGE, { duration: PERSIST_ERROR_TOAST_DURATION });
+  }
+}
 
-    actions.append(delBtn, editBtn, replyBtn, pinBtn);
+function saveSyncState() {
+  const text = JSON.stringify(requireSyncState());
+  const lock = getLockContext();
+  if (!lock) {
+    localStorage.setItem(SYNC_STATE_KEY, text);
+    return;
   }
+  // 競合した相手の内容や同期先のパスワードも入っているので、保護中は暗号化して置く
+  state.persistQueue = state.persistQueue
+    .then(() => encryptText(lock.key, text))
+    .then((sealed) => localStorage.setItem(SYNC_STATE_KEY, JSON.stringify({ ...getLockHeaderFields(lock.header), ...sealed })))
+    .catch((err) => console.error('Failed to save sync state', err));
+}
 
-  const rels = state.data.replies
-    .filter((r) => r.postId === post.id)
-    .sort((a, b) => a.createdAt - b.createdAt);
-  let replyTextOffset = post.texts.length;
-  repliesWrap.innerHTML = '';
-  rels.forEach((reply) => {
-    const card = document.createElement('div');
-    card.className = 'reply-card';
-    card.id = `reply-card-${reply.id}`;
-    const metaRow = document.createElement('div');
-    metaRow.className = 'card-meta';
-    const metaText = document.createElement('span');
-    metaText.className = 'card-meta-item';
-    metaText.textContent = formatDate(reply.createdAt);
-    metaRow.appendChild(metaText);
-    const bodyRow = document.createElement('div');
-    bodyRow.className = 'card-body';
-    reply.texts.forEach((t, textIndex) => {
-      const refIndex = replyTextOffset + textIndex;
-      const blockGroup = document.createElement('div');
-      blockGroup.className = 'text-block-group';
-      blockGroup.id = `post-text-${post.id}-${refIndex}`;
-      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
-      blockGroup.appendChild(speakerBadge);
+function hashSyncValue(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
 
-      const block = document.createElement('div');
-      block.className = 'text-block';
-      const label = document.createElement('div');
-      label.className = 'text-label';
-      const languageLabel = getLanguageLabel(t.language);
-      const option = langOptions.find((opt) => opt.value === t.language);
-      if (option?.speakable) {
-        const play = document.createElement('button');
-        play.type = 'button';
-        play.className = 'text-action-button text-label-button';
-        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
-        play.addEventListener('click', () => playSpeech(t.content, t.language));
-        label.appendChild(play);
-      } else {
-        const langText = document.createElement('span');
-        langText.textContent = languageLabel;
-        label.appendChild(langText);
-      }
-      const content = document.createElement('div');
-      content.className = 'text-content';
-      content.textContent = t.content;
-      block.append(label, content);
-      if (t.pronunciation) {
-        const pronunciation = document.createElement('div');
-        pronunciation.className = 'pronunciation';
-        pronunciation.textContent = t.pronunciation;
-        block.appendChild(pronunciation);
-      }
+function getSyncKey(collection, item) {
+  const id = SYNC_REF_COLLECTIONS.includes(collection) ? item.refId || item.id : item.id;
+  return `${collection}:${id}`;
+}
 
-      const referenceRow = document.createElement('div');
-      referenceRow.className = 'post-ref-row timeline-ref-row';
-      const refValue = formatPostRef({
-        postId: post.id,
-        refId: reply.refId || post.refId,
-        replyId: reply.id,
-        textIndex: refIndex,
-      });
-      const refText = document.createElement('span');
-      refText.className = 'post-ref-text';
-      refText.textContent = refValue;
+const getSyncKeyCollection = (key) => key.slice(0, key.indexOf(':'));
+const getSyncItems = (collection) => (Array.isArray(state.data[collection]) ? state.data[collection] : []);
 
-      const copyBtn = document.createElement('button');
-      copyBtn.type = 'button';
-      copyBtn.className = 'copy-ref-button';
-      copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
-      copyBtn.addEventListener('click', async () => {
-        try {
-          await navigator.clipboard.writeText(refValue);
-          copyBtn.innerHTML = '<img src="img/copy_on.svg" alt="" width="24" class="icon-inline">';
-          setTimeout(() => {
-            copyBtn.innerHTML = '<img src="img/copy_off.svg" alt="" width="24" class="icon-inline">';
-          }, 1500);
-        } catch (error) {
-          alert('コピーに失敗しました');
-        }
-      });
+function findSyncItem(collection, key) {
+  return getSyncItems(collection).find((item) => getSyncKey(collection, item) === key) || null;
+}
 
-      referenceRow.append(refText, copyBtn);
-      block.appendChild(referenceRow);
-      blockGroup.appendChild(block);
-      bodyRow.appendChild(blockGroup);
-    });
-    if (reply.imageId && state.data.images[reply.imageId]) {
-      const img = document.createElement('img');
-      img.src = state.data.images[reply.imageId];
-      img.className = 'image-thumb';
-      img.alt = 'リプライ画像';
-      img.addEventListener('click', () => openImageViewer(img.src));
-      bodyRow.appendChild(img);
-    }
+function compareSyncClocks(a = {}, b = {}) {
+  let aNewer = false;
+  let bNewer = false;
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((device) => {
+    if ((a[device] || 0) > (b[device] || 0)) aNewer = true;
+    if ((b[device] || 0) > (a[device] || 0)) bNewer = true;
+  });
+  if (aNewer && bNewer) return 'concurrent';
+  if (aNewer) return 'after';
+  return bNewer ? 'before' : 'equal';
+}
 
-    const actionsRow = document.createElement('div');
-    actionsRow.className = 'card-actions reply-card-actions';
-    const delReply = document.createElement('button');
-    delReply.className = 'card-action-button danger-action-button';
-    delReply.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
-    delReply.addEventListener('click', () => deleteReply(reply.id));
-    const editReply = document.createElement('button');
-    editReply.className = 'card-action-button';
-    editReply.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
-    editReply.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: reply }), 'リプライを編集'));
-    actionsRow.append(delReply, editReply);
+function mergeSyncClocks(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([device, count]) => {
+    merged[device] = Math.max(merged[device] || 0, count);
+  });
+  return merged;
+}
 
-    card.append(metaRow, bodyRow, actionsRow);
-    repliesWrap.appendChild(card);
+function bumpSyncClock(clock = {}) {
+  const sync = loadSyncState();
+  const count = (sync.summary[sync.deviceId] || 0) + 1;
+  sync.summary[sync.deviceId] = count;
+  return { ...clock, [sync.deviceId]: count };
+}
 
-    replyTextOffset += reply.texts.length;
+// 前回の記録から内容が変わった項目・消えた項目に、この端末の変更番号を振る
+function refreshSyncClocks() {
+  const sync = requireSyncState();
+  const seen = new Set();
+  SYNC_COLLECTIONS.forEach((collection) => {
+    getSyncItems(collection).forEach((item) => {
+      const key = getSyncKey(collection, item);
+      const hash = hashSyncValue(JSON.stringify(item));
+      const entry = sync.items[key];
+      seen.add(key);
+      if (entry && !entry.deleted && entry.hash === hash) return;
+      sync.items[key] = { clock: bumpSyncClock(entry?.clock), hash, deleted: false };
+    });
   });
-  repliesWrap.style.display = rels.length ? '' : 'none';
+  Object.entries(sync.items).forEach(([key, entry]) => {
+    if (entry.deleted || seen.has(key)) return;
+    sync.items[key] = { clock: bumpSyncClock(entry.clock), hash: null, deleted: true };
+  });
+  saveSyncState();
+  return sync;
+}
 
-  return node;
+// peerSummary は相手が知っている各端末の変更番号。それより新しい変更だけを送る
+function buildSyncChanges(peerSummary = {}, peerImageIds = []) {
+  const sync = refreshSyncClocks();
+  const itemsByKey = new Map();
+  SYNC_COLLECTIONS.forEach((collection) => {
+    getSyncItems(collection).forEach((item) => itemsByKey.set(getSyncKey(collection, item), item));
+  });
+  const entries = Object.entries(sync.items)
+    .filter(([, entry]) => Object.entries(entry.clock).some(([device, count]) => count > (peerSummary[device] || 0)))
+    .map(([key, entry]) => ({ key, clock: entry.clock, item: entry.deleted ? null : itemsByKey.get(key) ?? null }));
+
+  const knownImages = new Set(peerImageIds);
+  const images = {};
+  entries.forEach(({ key, item }) => {
+    if (!item) return;
+    const mediaIds = getSyncKeyCollection(key) === 'trash' ? getTrashEntryImageIds(item) : getItemMediaIds(item);
+    mediaIds.forEach((id) => {
+      if (!knownImages.has(id) && state.data.images[id]) images[id] = state.data.images[id];
+    });
+  });
+  // 相手側で ID を付け替えられるよう、参照に使う ID と refId の対応も送る
+  const ids = {};
+  SYNC_REF_COLLECTIONS.forEach((collection) => {
+    ids[collection] = Object.fromEntries(getSyncItems(collection).filter((item) => item.refId).map((item) => [item.id, item.refId]));
+  });
+  return {
+    kind: SYNC_FILE_KIND,
+    protocol: SYNC_PROTOCOL_VERSION,
+    dataVersion: DATA_VERSION,
+    deviceId: sync.deviceId,
+    deviceName: sync.deviceName,
+    createdAt: Date.now(),
+    summary: { ...sync.summary },
+    entries,
+    ids,
+    images,
+  };
 }
 
-function openImageViewer(src) {
-  const viewer = document.getElementById('image-viewer');
-  const img = document.getElementById('full-image');
-  img.src = src;
-  showModalElement(viewer);
+function allocateSyncId(collection) {
+  if (collection === 'puzzles') return `puzzle_${nextId()}`;
+  if (collection === 'cards') return `card_${nextId()}`;
+  return nextId();
 }
 
-function closeImageViewer() {
-  hideModalElement(document.getElementById('image-viewer'));
+// 数値の ID は端末ごとに振っているので、refId を手がかりにこの端末の ID へ読み替える
+function createSyncLocalizer(ids = {}, entries = []) {
+  const maps = {};
+  SYNC_REF_COLLECTIONS.forEach((collection) => {
+    const localByRef = new Map(getSyncItems(collection).map((item) => [item.refId, item.id]));
+    const usedIds = new Set(getSyncItems(collection).map((item) => String(item.id)));
+    const map = new Map();
+    Object.entries(ids[collection] || {}).forEach(([peerId, refId]) => {
+      if (localByRef.has(refId)) map.set(peerId, localByRef.get(refId));
+    });
+    entries.forEach(({ key, item }) => {
+      if (!item || getSyncKeyCollection(key) !== collection) return;
+      const peerId = String(item.id);
+      if (map.has(peerId)) return;
+      // 相手で新しく作られた項目。同じ ID をこちらで別の項目に使っていれば振り直す
+      const localId = usedIds.has(peerId) ? allocateSyncId(collection) : item.id;
+      usedIds.add(String(localId));
+      map.set(peerId, localId);
+    });
+    maps[collection] = map;
+  });
+
+  const mapId = (collection, id) => (id == null ? id : maps[collection].get(String(id)) ?? id);
+  const mapRef = (ref) => (ref && typeof ref === 'object'
+    ? { ...ref, postId: mapId('posts', ref.postId), replyId: mapId('replies', ref.replyId) }
+    : ref);
+  const localizers = {
+    posts: (item) => ({
+      ...item,
+      id: mapId('posts', item.id),
+      linkedPuzzleIds: (item.linkedPuzzleIds || []).map((id) => mapId('puzzles', id)),
+    }),
+    replies: (item) => ({
+      ...item,
+      id: mapId('replies', item.id),
+      postId: mapId('posts', item.postId),
+      parentReplyId: mapId('replies', item.parentReplyId),
+    }),
+    puzzles: (item) => ({
+      ...item,
+      id: mapId('puzzles', item.id),
+      post: (item.post || []).map(mapRef),
+      relatedPuzzleIds: (item.relatedPuzzleIds || []).map((id) => mapId('puzzles', id)),
+    }),
+    cards: (item) => ({ ...item, id: mapId('cards', item.id), source: mapRef(item.source) }),
+    savedSearches: (item) => item,
+  };
+  localizers.trash = (entry) => ({
+    ...entry,
+    item: localizers[TRASH_TYPE_COLLECTIONS[entry.type]]?.(entry.item) ?? entry.item,
+    replies: (entry.replies || []).map(localizers.replies),
+    cards: (entry.cards || []).map(localizers.cards),
+    links: (entry.links || []).map((link) => ({
+      ...link,
+      ...(link.puzzleId !== undefined && { puzzleId: mapId('puzzles', link.puzzleId) }),
+      ...(link.ref && { ref: mapRef(link.ref) }),
+    })),
+  });
+  return (collection, item) => localizers[collection](item);
 }
 
-function deletePost(id) {
-  const post = state.data.posts.find((p) => p.id === id);
-  if (!post) return;
-  const confirmed = window.confirm('このポストを削除しますか？');
-  if (!confirmed) return;
-  const hasReplies = state.data.replies.some((r) => r.postId === id);
-  if (hasReplies) {
-    post.isDeleted = true;
-    post.texts = [{ content: '', language: 'ja' }];
+function writeSyncItem(collection, key, item) {
+  const list = getSyncItems(collection);
+  const index = list.findIndex((existing) => getSyncKey(collection, existing) === key);
+  if (!item) {
+    if (index >= 0) list.splice(index, 1);
+  } else if (index >= 0) {
+    list[index] = item;
   } else {
-    removeImageIfUnused(post.imageId);
-    state.data.posts = state.data.posts.filter((p) => p.id !== id);
+    list.push(item);
   }
-  persistData();
-  render();
 }
 
-function deleteReply(id) {
-  const target = state.data.replies.find((r) => r.id === id);
-  if (!target) return;
-  const confirmed = window.confirm('このリプライを削除しますか？');
-  if (!confirmed) return;
-  removeImageIfUnused(target.imageId);
-  state.data.replies = state.data.replies.filter((r) => r.id !== id);
-  persistData();
-  render();
+function getSyncedMaxId() {
+  const suffixNumber = (id) => Number(String(id).match(/_(\d+)$/)?.[1]) || 0;
+  return Math.max(
+    state.data.lastId || 0,
+    ...state.data.posts.map((p) => Number(p.id) || 0),
+    ...state.data.replies.map((r) => Number(r.id) || 0),
+    ...state.data.puzzles.map((p) => suffixNumber(p.id)),
+    ...state.data.cards.map((c) => suffixNumber(c.id)),
+  );
 }
 
-function deletePuzzle(id) {
-  const target = state.data.puzzles.find((p) => p.id === id);
-  if (!target) return;
-  const confirmed = window.confirm('この謎カードを削除しますか？');
-  if (!confirmed) return;
-  state.data.puzzles = state.data.puzzles.filter((p) => p.id !== id);
-  persistData();
-  render();
+function validateSyncChanges(changes) {
+  if (changes?.kind !== SYNC_FILE_KIND || !Array.isArray(changes.entries)) throw new Error('同期データではありません');
+  if (changes.protocol > SYNC_PROTOCOL_VERSION) throw new Error('新しい形式の同期データです。アプリを更新してください');
+  if (changes.deviceId === loadSyncState().deviceId) throw new Error('この端末で作った同期データです');
+  if (getSyncDataVersion(changes) > DATA_VERSION) throw new Error('新しいバージョンのアプリで作った同期データです。アプリを更新してください');
 }
 
-function togglePinned(id) {
-  const post = state.data.posts.find((p) => p.id === id);
-  if (!post || post.isDeleted) return;
-  post.pinned = !post.pinned;
-  post.pinnedAt = post.pinned ? Date.now() : null;
-  persistData();
-  render();
+function getSyncDataVersion(changes) {
+  const version = Number(changes.dataVersion);
+  return Number.isInteger(version) && version > 0 ? version : SYNC_MIN_DATA_VERSION;
 }
 
-function togglePuzzlePinned(id) {
-  const puzzle = state.data.puzzles.find((p) => p.id === id);
-  if (!puzzle) return;
-  puzzle.pinned = !puzzle.pinned;
-  puzzle.pinnedAt = puzzle.pinned ? Date.now() : null;
-  puzzle.updatedAt = Date.now();
-  persistData();
-  render();
+// 相手の項目は、この端末のデータと同じく DATA_MIGRATIONS で今の形式にそろえてから DATA_SCHEMA で確かめる。
+// 形の合わない項目は書き込まずに rejected として数える（削除の記録は項目を持たないのでそのまま通す）
+function prepareSyncEntries(changes) {
+  const version = getSyncDataVersion(changes);
+  const result = { entries: [], rejected: 0 };
+  changes.entries.forEach((entry) => {
+    if (typeof entry?.key !== 'string' || !entry.clock || typeof entry.clock !== 'object') {
+      result.rejected += 1;
+      return;
+    }
+    const collection = getSyncKeyCollection(entry.key);
+    if (!entry.item || !DATA_SCHEMA[collection]) {
+      result.entries.push(entry);
+      return;
+    }
+    const item = migrateData({ version, [collection]: [structuredClone(entry.item)] })[collection]?.[0];
+    const errors = [];
+    validateSchemaValue(item, DATA_SCHEMA[collection].$optional[0], entry.key, errors);
+    if (errors.length) {
+      console.warn('Rejected invalid sync item', errors);
+      result.rejected += 1;
+      return;
+    }
+    result.entries.push({ ...entry, item });
+  });
+  return result;
 }
 
-function toggleSearchPinnedFilter() {
-  const btn = document.getElementById('search-pin-btn');
-  if (!btn) return;
-  const nextState = !btn.classList.contains('active');
-  btn.classList.toggle('active', nextState);
-  btn.setAttribute('aria-pressed', nextState);
-  const icon = btn.querySelector('img');
-  if (icon) icon.src = nextState ? 'img/pin_on.svg' : 'img/pin_off.svg';
-}
+function applySyncChanges(changes) {
+  validateSyncChanges(changes);
+  const sync = refreshSyncClocks();
+  const peerName = changes.deviceName || '他の端末';
+  const { entries, rejected } = prepareSyncEntries(changes);
+  const result = { applied: 0, conflicts: 0, skipped: 0, rejected };
+  const adopted = [];
+  runMutation(`${peerName}と同期`, () => {
+    Object.entries(changes.images || {}).forEach(([id, dataUrl]) => {
+      if (!state.data.images[id] && typeof dataUrl === 'string' && dataUrl.startsWith('data:')) state.data.images[id] = dataUrl;
+    });
+    const localize = createSyncLocalizer(changes.ids, entries);
+    entries.forEach((entry) => {
+      const collection = getSyncKeyCollection(entry.key);
+      const local = sync.items[entry.key];
+      const order = compareSyncClocks(local?.clock, entry.clock);
+      if (!SYNC_COLLECTIONS.includes(collection) || order === 'after' || order === 'equal') {
+        result.skipped += 1;
+        return;
+      }
+      const item = entry.item ? localize(collection, entry.item) : null;
+      if (order === 'concurrent') {
+        const same = item ? local.hash === hashSyncValue(JSON.stringify(item)) : local.deleted;
+        if (!same) {
+          sync.conflicts = sync.conflicts.filter((conflict) => conflict.key !== entry.key);
+          sync.conflicts.push({ key: entry.key, collection, remote: item, remoteClock: entry.clock, peerName, detectedAt: Date.now() });
+          result.conflicts += 1;
+          return;
+        }
+      }
+      writeSyncItem(collection, entry.key, item);
+      sync.conflicts = sync.conflicts.filter((conflict) => conflict.key !== entry.key);
+      adopted.push({ key: entry.key, collection, clock: mergeSyncClocks(local?.clock, entry.clock) });
+      result.applied += 1;
+    });
+    state.data.lastId = getSyncedMaxId();
+    ensureDataFields(state.data);
+  });
 
-function toggleSearchSolvedFilter() {
-  const btn = document.getElementById('search-solved-btn');
-  if (!btn) return;
-  const nextState = !btn.classList.contains('active');
-  btn.classList.toggle('active', nextState);
-  btn.setAttribute('aria-pressed', nextState);
-  const icon = btn.querySelector('img');
-  if (icon) icon.src = nextState ? 'img/light_on.svg' : 'img/light_off.svg';
+  // 取り込んだ内容を記録しておき、次の refresh で自分の変更と数えないようにする
+  adopted.forEach(({ key, collection, clock }) => {
+    const item = findSyncItem(collection, key);
+    sync.items[key] = { clock, hash: item ? hashSyncValue(JSON.stringify(item)) : null, deleted: !item };
+  });
+  sync.summary = mergeSyncClocks(sync.summary, changes.summary);
+  sync.peers[changes.deviceId] = { name: peerName, lastSyncedAt: Date.now(), summary: { ...changes.summary } };
+  saveSyncState();
+  return result;
 }
 
-function togglePuzzleSolved(id) {
-  const puzzle = state.data.puzzles.find((p) => p.id === id);
-  if (!puzzle) return;
-  puzzle.isSolved = !puzzle.isSolved;
-  puzzle.solvedAt = puzzle.isSolved ? puzzle.solvedAt || Date.now() : null;
-  puzzle.updatedAt = Date.now();
-  persistData();
-  render();
+function resolveSyncConflict(key, choice) {
+  const sync = refreshSyncClocks();
+  const conflict = sync.conflicts.find((entry) => entry.key === key);
+  if (!conflict) return;
+  if (choice === 'remote') {
+    runMutation('同期の競合を解決', () => writeSyncItem(conflict.collection, key, conflict.remote));
+  }
+  // どちらを選んでも両方の変更より新しい版にして、次の同期で相手にも伝わるようにする
+  const item = findSyncItem(conflict.collection, key);
+  sync.items[key] = {
+    clock: bumpSyncClock(mergeSyncClocks(sync.items[key]?.clock, conflict.remoteClock)),
+    hash: item ? hashSyncValue(JSON.stringify(item)) : null,
+    deleted: !item,
+  };
+  sync.conflicts = sync.conflicts.filter((entry) => entry !== conflict);
+  saveSyncState();
 }
 
-function isSearchPinnedFilterActive() {
-  return document.getElementById('search-pin-btn')?.classList.contains('active');
+function describeSyncItem(collection, item) {
+  if (!item) return '（削除）';
+  if (collection === 'posts' || collection === 'replies') return item.texts?.find((t) => t.content)?.content || SYNC_COLLECTION_LABELS[collection];
+  if (collection === 'puzzles') return item.text || SYNC_COLLECTION_LABELS.puzzles;
+  if (collection === 'cards') return `${STUDY_CARD_LABELS[item.type] || ''}カード`;
+  if (collection === 'trash') return `ゴミ箱: ${getTrashEntryLabel(item)}`;
+  return item.name || item.query || '';
 }
 
-function isSearchSolvedFilterActive() {
-  return document.getElementById('search-solved-btn')?.classList.contains('active');
+function formatSyncResult(result) {
+  const parts = [`反映 ${result.applied}件`];
+  if (result.conflicts) parts.push(`競合 ${result.conflicts}件`);
+  if (result.rejected) parts.push(`形式エラーで除外 ${result.rejected}件`);
+  return parts.join('・');
 }
 
-function textMatchesAnyTerm(text, lowerTerms) {
-  if (!lowerTerms.length) return true;
-  const normalized = (text ?? '').toString().toLowerCase();
-  return lowerTerms.some((term) => normalized.includes(term));
+function importSyncFile(changes) {
+  const result = applySyncChanges(changes);
+  alert(`同期ファイルを読み込みました（${formatSyncResult(result)}）`);
+  if (result.conflicts) openDeviceSyncModal();
 }
 
-function buildExcerpt(text, terms, radius = 10) {
-  if (!text) return '';
-  if (!terms.length) return text;
-  const original = (text ?? '').toString();
-  const lower = original.toLowerCase();
-  const matchedTerm = terms.find((term) => lower.includes(term));
-  if (!matchedTerm) return original;
-  const index = lower.indexOf(matchedTerm);
-  const start = Math.max(0, index - radius);
-  const end = Math.min(original.length, index + matchedTerm.length + radius);
-  const prefix = start > 0 ? '...' : '';
-  const suffix = end < original.length ? '...' : '';
-  return `${prefix}${original.slice(start, end)}${suffix}`;
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-function getPostPrimaryText(post) {
-  return post?.texts?.[0]?.content || '';
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
 }
 
-function createSearchResultCard(item) {
-  const card = document.createElement('button');
-  card.type = 'button';
-  card.className = item.detail ? 'search-result-card two-line' : 'search-result-card';
-  card.addEventListener('click', item.onClick);
+async function transformBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
 
-  const main = document.createElement('div');
-  main.className = 'search-result-main';
-  main.textContent = item.main || '';
-  card.appendChild(main);
+// 接続コードは SDP を圧縮して QR に収まる長さにする（z: 圧縮済み / j: そのまま）
+async function encodeSyncSignal(description) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ type: description.type, sdp: description.sdp }));
+  if (typeof CompressionStream !== 'function') return `${SYNC_SIGNAL_PREFIX}j${bytesToBase64Url(bytes)}`;
+  return `${SYNC_SIGNAL_PREFIX}z${bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
 
-  if (item.detail) {
-    const detail = document.createElement('div');
-    detail.className = 'search-result-detail';
-    detail.textContent = item.detail;
-    card.appendChild(detail);
+async function decodeSyncSignal(code) {
+  const text = String(code || '').trim();
+  if (!text.startsWith(SYNC_SIGNAL_PREFIX)) throw new Error('接続コードが正しくありません');
+  try {
+    const format = text.charAt(SYNC_SIGNAL_PREFIX.length);
+    let bytes = base64UrlToBytes(text.slice(SYNC_SIGNAL_PREFIX.length + 1));
+    if (format === 'z') bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    throw new Error('接続コードを読み取れませんでした');
   }
+}
 
-  if (item.refText) {
-    const refRow = document.createElement('div');
-    refRow.className = 'post-ref-row search-ref-row';
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === 'complete') return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, SYNC_ICE_TIMEOUT);
+    pc.addEventListener('icegatheringstatechange', () => {
+      if (pc.iceGatheringState !== 'complete') return;
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+// サーバーを使わないので、候補は同じネットワーク内のものだけ
+async function createSyncOffer() {
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  const channel = pc.createDataChannel('uni-sync', { ordered: true });
+  await pc.setLocalDescription(await pc.createOffer());
+  await waitForIceGathering(pc);
+  return { pc, channel, code: await encodeSyncSignal(pc.localDescription) };
+}
+
+async function acceptSyncOffer(code) {
+  const offer = await decodeSyncSignal(code);
+  if (offer.type !== 'offer') throw new Error('相手の端末で作った最初のコードを入力してください');
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  const channelReady = new Promise((resolve) => {
+    pc.addEventListener('datachannel', (event) => resolve(event.channel), { once: true });
+  });
+  await pc.setRemoteDescription(offer);
+  await pc.setLocalDescription(await pc.createAnswer());
+  await waitForIceGathering(pc);
+  return { pc, channelReady, code: await encodeSyncSignal(pc.localDescription) };
+}
+
+async function completeSyncOffer(pc, code) {
+  const answer = await decodeSyncSignal(code);
+  if (answer.type !== 'answer') throw new Error('相手の端末で作った返事のコードを入力してください');
+  await pc.setRemoteDescription(answer);
+}
+
+// データチャネルは1通の大きさに上限があるので、分割して送り、受け取り側でつなぎ直す
+function createSyncChannelTransport(channel, onMessage, onInvalid = () => {}) {
+  const pending = new Map();
+  channel.bufferedAmountLowThreshold = SYNC_BUFFER_LIMIT / 2;
+  channel.addEventListener('message', (event) => {
+    let message;
+    try {
+      const packet = JSON.parse(event.data);
+      const received = pending.get(packet.id) || { parts: [], count: 0 };
+      received.parts[packet.index] = packet.data;
+      received.count += 1;
+      pending.set(packet.id, received);
+      if (received.count < packet.total) return;
+      pending.delete(packet.id);
+      message = JSON.parse(received.parts.join(''));
+    } catch (err) {
+      // 読めないフレームは捨てる。リスナーの外へ投げても誰も受け取れない
+      onInvalid(err);
+      return;
+    }
+    onMessage(message);
+  });
+  return {
+    send: async (message) => {
+      const text = JSON.stringify(message);
+      const id = generateStableId('msg');
+      const total = Math.max(1, Math.ceil(text.length / SYNC_CHUNK_SIZE));
+      for (let index = 0; index < total; index += 1) {
+        if (channel.bufferedAmount > SYNC_BUFFER_LIMIT) {
+          await new Promise((resolve) => channel.addEventListener('bufferedamountlow', resolve, { once: true }));
+        }
+        channel.send(JSON.stringify({ id, index, total, data: text.slice(index * SYNC_CHUNK_SIZE, (index + 1) * SYNC_CHUNK_SIZE) }));
+      }
+    },
+  };
+}
 
-    const refText = document.createElement('span');
-    refText.className = 'post-ref-text';
-    refText.textContent = item.refText;
+// 両方の端末で同じ手順を踏む: hello で自分の知っている範囲を伝え、相手に足りない変更を送り、受け取ったら done を返す
+function startSyncSession(channel, onUpdate = () => {}) {
+  const session = { status: '接続しました', peerName: '', result: null, peerDone: false, finished: false, error: null };
+  const update = (patch) => {
+    Object.assign(session, patch);
+    onUpdate(session);
+  };
+  const finishIfDone = () => {
+    if (!session.result || !session.peerDone || session.finished) return;
+    update({ finished: true, status: `${session.peerName}と同期しました（${formatSyncResult(session.result)}）` });
+  };
+  const transport = createSyncChannelTransport(channel, async (message) => {
+    try {
+      if (message.type === 'hello') {
+        if (message.protocol > SYNC_PROTOCOL_VERSION) throw new Error('相手のアプリが新しい形式です。アプリを更新してください');
+        update({ peerName: message.deviceName || '他の端末', status: `${message.deviceName || '他の端末'}に変更を送っています…` });
+        await transport.send({ type: 'changes', changes: buildSyncChanges(message.summary, message.imageIds) });
+      } else if (message.type === 'changes') {
+        update({ result: applySyncChanges(message.changes), status: '受け取った変更を反映しました' });
+        await transport.send({ type: 'done' });
+        finishIfDone();
+      } else if (message.type === 'done') {
+        update({ peerDone: true });
+        finishIfDone();
+      } else if (message.type === 'error') {
+        update({ error: message.message, status: `相手の端末でエラー: ${message.message}` });
+      }
+    } catch (err) {
+      console.error('Sync failed', err);
+      update({ error: err.message, status: `同期に失敗しました: ${err.message}` });
+      transport.send({ type: 'error', message: err.message }).catch(() => {});
+    }
+  }, (err) => {
+    console.warn('Dropped invalid sync frame', err);
+    if (!session.error && !session.finished) update({ status: '読めないデータを受け取ったので無視しました' });
+  });
+  const sync = refreshSyncClocks();
+  transport.send({
+    type: 'hello',
+    protocol: SYNC_PROTOCOL_VERSION,
+    deviceId: sync.deviceId,
+    deviceName: sync.deviceName,
+    summary: { ...sync.summary },
+    imageIds: Object.keys(state.data.images),
+  }).catch((err) => {
+    console.error('Sync failed', err);
+    update({ error: err.message, status: `同期に失敗しました: ${err.message}` });
+  });
+  return session;
+}
 
-    refRow.appendChild(refText);
-    card.appendChild(refRow);
+function createSyncCodeView(code) {
+  const wrap = document.createElement('div');
+  wrap.className = 'device-sync-code-view';
+  const qrBox = document.createElement('div');
+  qrBox.className = 'device-sync-qr';
+  try {
+    const qr = qrcode(0, 'L');
+    qr.addData(code);
+    qr.make();
+    qrBox.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+  } catch (e) {
+    qrBox.className = 'helper';
+    qrBox.textContent = 'QRコードにできませんでした。下のコードをコピーして渡してください。';
   }
-
-  return card;
+  const textarea = document.createElement('textarea');
+  textarea.className = 'import-textarea device-sync-code';
+  textarea.readOnly = true;
+  textarea.value = code;
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'text-action-button';
+  copyBtn.textContent = 'コードをコピー';
+  copyBtn.addEventListener('click', () => {
+    navigator.clipboard?.writeText(code).then(() => showToast('コードをコピーしました'), () => textarea.select());
+  });
+  wrap.append(qrBox, textarea, copyBtn);
+  return wrap;
 }
 
-function runSearch() {
-  const query = document.getElementById('search-input').value.trim();
-  const searchType = document.getElementById('search-type-select')?.value || 'all';
-  const container = document.getElementById('search-results');
-  const pinnedOnly = isSearchPinnedFilterActive();
-  const solvedOnly = isSearchSolvedFilterActive();
+// カメラで相手の QR を読む。BarcodeDetector がなければコードの貼り付けだけにする
+function startSyncQrScanner(container, onCode) {
+  const video = document.createElement('video');
+  video.className = 'device-sync-video';
+  video.muted = true;
+  video.playsInline = true;
+  container.replaceChildren(video);
+  let stream = null;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    stream?.getTracks().forEach((track) => track.stop());
+    container.replaceChildren();
+  };
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  const scan = async () => {
+    if (stopped) return;
+    try {
+      const [code] = await detector.detect(video);
+      if (code?.rawValue?.startsWith(SYNC_SIGNAL_PREFIX)) {
+        stop();
+        onCode(code.rawValue);
+        return;
+      }
+    } catch (e) {
+      // 映像の準備ができるまでは失敗するので、そのまま続ける
+    }
+    setTimeout(scan, 300);
+  };
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+    .then((media) => {
+      stream = media;
+      if (stopped) {
+        stop();
+        return;
+      }
+      video.srcObject = media;
+      return video.play().then(scan);
+    })
+    .catch((err) => {
+      stop();
+      alert(`カメラを使えませんでした\n${err.message}`);
+    });
+  return stop;
+}
 
-  const terms = query.split(/\s+/).filter(Boolean);
-  const tagFilters = [];
-  const textTerms = [];
-  terms.forEach((t) => {
-    if (t.startsWith('#')) tagFilters.push(t.slice(1).toLowerCase());
-    else textTerms.push(t.toLowerCase());
+function createSyncCodeInput(placeholder, onSubmit) {
+  const wrap = document.createElement('div');
+  wrap.className = 'device-sync-code-input';
+  const textarea = document.createElement('textarea');
+  textarea.className = 'import-textarea device-sync-code';
+  textarea.placeholder = placeholder;
+  const scannerBox = document.createElement('div');
+  const actions = document.createElement('div');
+  actions.className = 'device-sync-actions';
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'primary-button';
+  submitBtn.textContent = 'つなぐ';
+  submitBtn.addEventListener('click', () => {
+    if (textarea.value.trim()) onSubmit(textarea.value.trim());
   });
+  actions.appendChild(submitBtn);
+  if ('BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+    let stopScanner = null;
+    const scanBtn = document.createElement('button');
+    scanBtn.type = 'button';
+    scanBtn.className = 'text-action-button';
+    scanBtn.textContent = 'QRを読み取る';
+    scanBtn.addEventListener('click', () => {
+      if (stopScanner) {
+        stopScanner();
+        stopScanner = null;
+        return;
+      }
+      stopScanner = startSyncQrScanner(scannerBox, (code) => {
+        stopScanner = null;
+        textarea.value = code;
+        onSubmit(code);
+      });
+    });
+    actions.prepend(scanBtn);
+  }
+  wrap.append(textarea, scannerBox, actions);
+  return wrap;
+}
 
-  const hasTextTerms = textTerms.length > 0;
-  const hasAnyQuery = hasTextTerms || tagFilters.length > 0;
+function closeSyncConnection() {
+  state.syncConnection?.close();
+  state.syncConnection = null;
+}
 
-  const matchesTextTerms = (fields, lowerTerms) => {
-    if (!lowerTerms.length) return true;
-    const normalized = (fields || []).filter(Boolean).map((text) => text.toLowerCase());
-    return lowerTerms.every((term) => normalized.some((field) => field.includes(term)));
+function buildDirectSyncSection() {
+  const section = document.createElement('div');
+  section.className = 'device-sync-section';
+  const title = document.createElement('h3');
+  title.className = 'device-sync-title';
+  title.textContent = '近くの端末と直接つなぐ';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '同じWi-Fiにいる端末どうしで、片方がコードを作り、もう片方が読み取ります。';
+  const body = document.createElement('div');
+  body.className = 'device-sync-flow';
+  const status = document.createElement('p');
+  status.className = 'device-sync-status';
+  status.setAttribute('role', 'status');
+  const setStatus = (text) => {
+    status.textContent = text;
   };
-
-  const matchesTags = (tags = []) => {
-    if (!tagFilters.length) return true;
-    const normalizedTags = tags.map((tag) => tag.toLowerCase());
-    return tagFilters.every((tag) => normalizedTags.includes(tag));
+  const fail = (err) => {
+    console.error('Direct sync failed', err);
+    setStatus(err.message || '接続できませんでした');
+  };
+  const attachChannel = (pc, channel) => {
+    const begin = () => startSyncSession(channel, (session) => setStatus(session.status));
+    if (channel.readyState === 'open') begin();
+    else channel.addEventListener('open', begin, { once: true });
+    channel.addEventListener('close', () => {
+      if (state.syncConnection === pc) state.syncConnection = null;
+    });
+    pc.addEventListener('connectionstatechange', () => {
+      if (pc.connectionState === 'failed') setStatus('接続が切れました。同じネットワークにいるか確認してください');
+    });
   };
 
-  const results = [];
-
-  const getPostRefValue = ({ post, reply = null, textIndex = 0 } = {}) => formatPostRef({
-    postId: post?.id,
-    refId: reply?.refId || post?.refId,
-    replyId: reply?.id,
-    textIndex,
+  const hostBtn = document.createElement('button');
+  hostBtn.type = 'button';
+  hostBtn.className = 'import-button';
+  hostBtn.textContent = 'コードを作る';
+  hostBtn.addEventListener('click', async () => {
+    closeSyncConnection();
+    setStatus('コードを作っています…');
+    try {
+      const { pc, channel, code } = await createSyncOffer();
+      state.syncConnection = pc;
+      attachChannel(pc, channel);
+      body.replaceChildren(
+        createSyncCodeView(code),
+        createSyncCodeInput('相手の端末に表示された返事のコード', (answer) => {
+          completeSyncOffer(pc, answer).then(() => setStatus('つないでいます…'), fail);
+        }),
+      );
+      setStatus('相手の端末でこのコードを読み取り、表示された返事のコードを入力してください');
+    } catch (err) {
+      fail(err);
+    }
   });
 
-  const getPuzzleRefValue = (puzzle) => puzzle?.refId || puzzle?.id || '';
-
-  if (searchType === 'all' || searchType === 'clue') {
-    state.data.posts
-      .filter((p) => !p.isDeleted)
-      .forEach((post) => {
-        if (pinnedOnly && !post.pinned) return;
-        if (!matchesTags(post.tags)) return;
-        const replies = state.data.replies.filter((r) => r.postId === post.id);
-        const fields = [
-          ...(post.texts || []).map((t) => t.content),
-          ...replies.flatMap((r) => (r.texts || []).map((t) => t.content)),
-          ...(post.tags || []),
-        ];
-        if (!matchesTextTerms(fields, textTerms)) return;
-
-        if (hasTextTerms) {
-          (post.texts || []).forEach((t, textIndex) => {
-            if (!textMatchesAnyTerm(t.content, textTerms)) return;
-            results.push({
-              parentType: 'post',
-              parent: post,
-              main: t.content,
-              detail: null,
-              refText: getPostRefValue({ post, textIndex }),
-              onClick: () => navigateToPost(post.id, textIndex),
-            });
-          });
-
-          let replyTextOffset = post.texts.length;
-          replies.forEach((reply) => {
-            (reply.texts || []).forEach((t, replyTextIndex) => {
-              if (!textMatchesAnyTerm(t.content, textTerms)) return;
-              const refIndex = replyTextOffset + replyTextIndex;
-              results.push({
-                parentType: 'reply',
-                parent: post,
-                main: t.content,
-                detail: null,
-                refText: getPostRefValue({ post, reply, textIndex: refIndex }),
-                onClick: () => navigateToReply(post.id, reply.id),
-              });
-            });
-            replyTextOffset += reply.texts?.length || 0;
-          });
-        }
+  const joinBtn = document.createElement('button');
+  joinBtn.type = 'button';
+  joinBtn.className = 'import-button';
+  joinBtn.textContent = 'コードを読み取る';
+  joinBtn.addEventListener('click', () => {
+    closeSyncConnection();
+    setStatus('相手の端末に表示されたコードを読み取ってください');
+    body.replaceChildren(createSyncCodeInput('相手の端末に表示されたコード', async (offer) => {
+      try {
+        setStatus('返事のコードを作っています…');
+        const { pc, channelReady, code } = await acceptSyncOffer(offer);
+        state.syncConnection = pc;
+        channelReady.then((channel) => attachChannel(pc, channel));
+        body.replaceChildren(createSyncCodeView(code));
+        setStatus('このコードを相手の端末で読み取ってください');
+      } catch (err) {
+        fail(err);
+      }
+    }));
+  });
 
-        if (hasAnyQuery) {
-          (post.tags || []).forEach((tag) => {
-            const normalized = (tag || '').toLowerCase();
-            const matchedTag = tagFilters.includes(normalized) || textTerms.some((term) => normalized.includes(term));
-            if (!matchedTag) return;
-            results.push({
-              parentType: 'post-tag',
-              parent: post,
-              main: getPostPrimaryText(post) || '投稿',
-              detail: `#${tag}`,
-              refText: getPostRefValue({ post, textIndex: 0 }),
-              onClick: () => navigateToPost(post.id),
-            });
-          });
-        }
-      });
+  const actions = document.createElement('div');
+  actions.className = 'device-sync-actions';
+  actions.append(hostBtn, joinBtn);
+  if (typeof RTCPeerConnection !== 'function') {
+    hostBtn.disabled = true;
+    joinBtn.disabled = true;
+    setStatus('このブラウザでは直接つなげません。ファイルで渡してください');
   }
+  section.append(title, helper, actions, body, status);
+  return section;
+}
 
-  if (searchType === 'all' || searchType === 'puzzle') {
-    state.data.puzzles.forEach((puzzle) => {
-      if (pinnedOnly && !puzzle.pinned) return;
-      if (solvedOnly && !puzzle.isSolved) return;
-      if (!matchesTags(puzzle.tags)) return;
-      const fields = [
-        puzzle.text,
-        ...(puzzle.notes || []).map((note) => note.text),
-        puzzle.meaning,
-        ...(puzzle.alternatives || []),
-        ...(puzzle.examples || []),
-        ...(puzzle.tags || []),
-      ];
-      if (!matchesTextTerms(fields, textTerms)) return;
-
-      if (hasTextTerms) {
-        if (textMatchesAnyTerm(puzzle.text, textTerms)) {
-          results.push({
-            parentType: 'puzzle',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: null,
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        }
+function buildFileSyncSection() {
+  const sync = loadSyncState();
+  const section = document.createElement('div');
+  section.className = 'device-sync-section device-sync-drop';
+  const title = document.createElement('h3');
+  title.className = 'device-sync-title';
+  title.textContent = 'ファイルで渡す';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '同期ファイルを書き出して相手の端末で読み込みます。ここにファイルをドロップしても読み込めます。';
+
+  const peerSelect = document.createElement('select');
+  peerSelect.className = 'language-select-input';
+  peerSelect.setAttribute('aria-label', '渡す相手');
+  peerSelect.appendChild(new Option('すべての変更', ''));
+  Object.entries(sync.peers).forEach(([deviceId, peer]) => {
+    peerSelect.appendChild(new Option(`${peer.name} が持っていない変更`, deviceId));
+  });
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'export-button';
+  exportBtn.textContent = '同期ファイルを書き出す';
+  exportBtn.addEventListener('click', () => {
+    const peer = sync.peers[peerSelect.value];
+    exportJson(buildSyncChanges(peer?.summary || {}), `uni-sync-${getDateKey(Date.now())}.json`);
+  });
 
-        (puzzle.notes || []).forEach((note) => {
-          if (!textMatchesAnyTerm(note.text, textTerms)) return;
-          results.push({
-            parentType: 'puzzle-note',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: buildExcerpt(note.text, textTerms),
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        });
+  const readFile = (file) => importJsonFromFile(file, (text) => importSyncFile(JSON.parse(text)));
+  const fileLabel = document.createElement('label');
+  fileLabel.className = 'file-button import-button';
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json';
+  fileInput.className = 'file-input';
+  fileInput.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (file) readFile(file);
+    e.target.value = '';
+  });
+  fileLabel.append(fileInput, '同期ファイルを読み込む');
 
-        if (textMatchesAnyTerm(puzzle.meaning, textTerms)) {
-          results.push({
-            parentType: 'puzzle-meaning',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: buildExcerpt(puzzle.meaning, textTerms),
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        }
+  section.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    section.classList.add('active');
+  });
+  section.addEventListener('dragleave', () => section.classList.remove('active'));
+  section.addEventListener('drop', (e) => {
+    e.preventDefault();
+    section.classList.remove('active');
+    const file = e.dataTransfer?.files?.[0];
+    if (file) readFile(file);
+  });
 
-        (puzzle.examples || []).forEach((exampleText) => {
-          const textValue = typeof exampleText === 'string' ? exampleText : exampleText?.text;
-          if (!textMatchesAnyTerm(textValue, textTerms)) return;
-          results.push({
-            parentType: 'puzzle-example',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: buildExcerpt(textValue, textTerms),
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        });
+  const actions = document.createElement('div');
+  actions.className = 'device-sync-actions';
+  actions.append(peerSelect, exportBtn, fileLabel);
+  section.append(title, helper, actions);
+  return section;
+}
 
-        (puzzle.alternatives || []).forEach((alt) => {
-          const textValue = typeof alt === 'string' ? alt : alt?.text;
-          if (!textMatchesAnyTerm(textValue, textTerms)) return;
-          results.push({
-            parentType: 'puzzle-alternative',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: buildExcerpt(textValue, textTerms),
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        });
-      }
+function buildSyncConflictSection() {
+  const sync = loadSyncState();
+  const section = document.createElement('div');
+  section.className = 'device-sync-section';
+  const title = document.createElement('h3');
+  title.className = 'device-sync-title';
+  title.textContent = `競合（${sync.conflicts.length}）`;
+  section.appendChild(title);
+  sync.conflicts.forEach((conflict) => {
+    const row = document.createElement('div');
+    row.className = 'device-sync-conflict';
+    const label = document.createElement('span');
+    label.className = 'device-sync-conflict-label';
+    label.textContent = `${SYNC_COLLECTION_LABELS[conflict.collection] || conflict.collection} · ${formatDate(conflict.detectedAt)}`;
+    const sides = document.createElement('div');
+    sides.className = 'device-sync-conflict-sides';
+    const createSide = (heading, text, buttonLabel, choice) => {
+      const side = document.createElement('div');
+      side.className = 'device-sync-conflict-side';
+      const name = document.createElement('strong');
+      name.textContent = heading;
+      const preview = document.createElement('p');
+      preview.className = 'device-sync-conflict-preview';
+      preview.textContent = text;
+      const pickBtn = document.createElement('button');
+      pickBtn.type = 'button';
+      pickBtn.className = 'text-action-button link-fix-button';
+      pickBtn.textContent = buttonLabel;
+      pickBtn.addEventListener('click', () => {
+        resolveSyncConflict(conflict.key, choice);
+        openDeviceSyncModal();
+      });
+      side.append(name, preview, pickBtn);
+      return side;
+    };
+    sides.append(
+      createSide('この端末', describeSyncItem(conflict.collection, findSyncItem(conflict.collection, conflict.key)), 'こちらを残す', 'local'),
+      createSide(conflict.peerName, describeSyncItem(conflict.collection, conflict.remote), '相手の内容にする', 'remote'),
+    );
+    row.append(label, sides);
+    section.appendChild(row);
+  });
+  return section;
+}
 
-      if (hasAnyQuery) {
-        (puzzle.tags || []).forEach((tag) => {
-          const normalized = (tag || '').toLowerCase();
-          const matchedTag = tagFilters.includes(normalized) || textTerms.some((term) => normalized.includes(term));
-          if (!matchedTag) return;
-          results.push({
-            parentType: 'puzzle-tag',
-            parent: puzzle,
-            main: puzzle.text,
-            detail: `#${tag}`,
-            refText: getPuzzleRefValue(puzzle),
-            onClick: () => navigateToPuzzle(puzzle.id),
-          });
-        });
-      }
-    });
+function openDeviceSyncModal() {
+  const sync = loadSyncState();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section device-sync';
+  if (state.syncStateError) {
+    container.appendChild(buildSyncStateErrorSection());
+    openModal(container, '端末と同期');
+    return;
   }
 
-  const getItemTimestamp = (item) => (item?.parent?.updatedAt || item?.parent?.createdAt || 0);
+  const deviceSection = document.createElement('div');
+  deviceSection.className = 'modal-tag-section';
+  const nameLabel = document.createElement('label');
+  nameLabel.className = 'tag-label';
+  nameLabel.textContent = 'この端末の名前';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'tag-input';
+  nameInput.value = sync.deviceName;
+  nameInput.addEventListener('change', () => {
+    sync.deviceName = nameInput.value.trim() || sync.deviceName;
+    nameInput.value = sync.deviceName;
+    saveSyncState();
+  });
+  deviceSection.append(nameLabel, nameInput);
+  Object.values(sync.peers).forEach((peer) => {
+    const row = document.createElement('p');
+    row.className = 'helper';
+    row.textContent = `${peer.name}: ${formatDate(peer.lastSyncedAt)} に同期`;
+    deviceSection.appendChild(row);
+  });
 
-  results.sort((a, b) => {
-    const pinnedA = a.parent?.pinned ? 1 : 0;
-    const pinnedB = b.parent?.pinned ? 1 : 0;
-    if (pinnedA !== pinnedB) return pinnedB - pinnedA;
-    return getItemTimestamp(b) - getItemTimestamp(a);
+  container.append(deviceSection, buildDirectSyncSection(), buildFileSyncSection(), buildRemoteSyncSection());
+  if (sync.conflicts.length) container.appendChild(buildSyncConflictSection());
+  openModal(container, '端末と同期');
+}
+
+// 作り直すと、次の同期で相手と全項目を比べ直す。相手側の変更は失われない
+function buildSyncStateErrorSection() {
+  const section = document.createElement('div');
+  section.className = 'device-sync-section';
+  const message = document.createElement('p');
+  message.className = 'device-sync-status';
+  message.setAttribute('role', 'alert');
+  message.textContent = `${state.syncStateError}。保存されている同期の状態はそのまま残しています。`;
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '作り直すと、この端末は新しい端末として同期し直します（未解決の競合と同期先の設定は消えます）。';
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'import-button';
+  resetBtn.textContent = '同期の状態を作り直す';
+  resetBtn.addEventListener('click', () => {
+    if (!confirm('同期の状態を作り直しますか？')) return;
+    resetSyncState();
+    closeModal();
+    openDeviceSyncModal();
   });
+  section.append(message, helper, resetBtn);
+  return section;
+}
 
-  container.innerHTML = '';
-  if (!results.length) {
-    container.innerHTML = '<div class="empty-state">検索結果がありません。</div>';
-    return;
+// サーバー経由の同期。送るのは端末間同期と同じ形の差分（buildSyncChanges）で、サーバーは受け取った差分を順に並べておくだけ。
+// REST: GET {url}/changes?since=<cursor> → { cursor, changes, hasMore } / POST {url}/changes（差分）→ { cursor }
+// WebDAV: {url}/uni-sync/ に差分を1ファイルずつ置き、まだ読んでいないファイルを名前順に読む
+// cursor は接続先ごとの中身を持つ値で、runRemoteSync はそのまま次の pull に渡すだけ
+const REMOTE_SYNC_TAG = 'uni-remote-sync';
+const REMOTE_SYNC_DELAY = 5000;
+const REMOTE_SYNC_RETRIES = 3;
+const REMOTE_SYNC_RETRY_BASE = 2000;
+const REMOTE_SYNC_RETRY_MAX = 5 * 60 * 1000;
+const WEBDAV_SYNC_FOLDER = 'uni-sync';
+
+class RemoteSyncError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(status ? `${message}（HTTP ${status}）` : message);
+    this.name = 'RemoteSyncError';
+    this.status = status;
+    this.retryable = retryable;
   }
+}
 
-  results.forEach((item) => container.appendChild(createSearchResultCard(item)));
+function getRemoteSyncHeaders(config, extra = {}) {
+  const headers = { ...extra };
+  if (config.type === 'webdav' && config.username) {
+    headers.Authorization = `Basic ${btoa(unescape(encodeURIComponent(`${config.username}:${config.secret || ''}`)))}`;
+  } else if (config.secret) {
+    headers.Authorization = `Bearer ${config.secret}`;
+  }
+  return headers;
 }
 
-function getUpdatedTimestamp(item) {
-  return (item?.updatedAt || item?.createdAt || 0);
+// 通信できない・サーバー側の一時的なエラー（5xx, 429）だけを再試行の対象にする
+async function fetchRemoteSync(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw new RemoteSyncError('サーバーに接続できません', { retryable: true });
+  }
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 429;
+    throw new RemoteSyncError('サーバーがエラーを返しました', { status: response.status, retryable });
+  }
+  return response;
 }
 
-function mergeCollections(existing, incoming) {
-  const map = new Map();
-  (existing || []).forEach((item) => {
-    if (item?.id == null) return;
-    map.set(item.id, item);
-  });
+function joinRemoteUrl(base, path) {
+  return `${base.replace(/\/+$/, '')}/${path}`;
+}
 
-  (incoming || []).forEach((item) => {
-    if (item?.id == null) return;
-    if (!map.has(item.id)) {
-      map.set(item.id, item);
-      return;
+function createRestSyncAdapter(config) {
+  return {
+    async pull(cursor) {
+      const url = new URL(joinRemoteUrl(config.url, 'changes'));
+      if (cursor) url.searchParams.set('since', cursor);
+      const response = await fetchRemoteSync(url.toString(), { headers: getRemoteSyncHeaders(config) });
+      const body = await response.json();
+      return { cursor: body.cursor ?? cursor, changes: Array.isArray(body.changes) ? body.changes : [], hasMore: Boolean(body.hasMore) };
+    },
+    async push(changes) {
+      const response = await fetchRemoteSync(joinRemoteUrl(config.url, 'changes'), {
+        method: 'POST',
+        headers: getRemoteSyncHeaders(config, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify(changes),
+      });
+      return response.json().catch(() => ({}));
+    },
+  };
+}
+
+function createWebDavSyncAdapter(config) {
+  const folderUrl = joinRemoteUrl(config.url, `${WEBDAV_SYNC_FOLDER}/`);
+  const ensureFolder = async () => {
+    const response = await fetch(folderUrl, { method: 'MKCOL', headers: getRemoteSyncHeaders(config) })
+      .catch(() => {
+        throw new RemoteSyncError('サーバーに接続できません', { retryable: true });
+      });
+    // 405 はフォルダがすでにある
+    if (!response.ok && response.status !== 405) {
+      throw new RemoteSyncError('同期用のフォルダを作れませんでした', { status: response.status, retryable: response.status >= 500 });
     }
-    const current = map.get(item.id);
-    const shouldReplace = getUpdatedTimestamp(item) > getUpdatedTimestamp(current);
-    map.set(item.id, shouldReplace ? { ...current, ...item } : current);
-  });
+  };
+  const listFiles = async () => {
+    let response;
+    try {
+      response = await fetchRemoteSync(folderUrl, {
+        method: 'PROPFIND',
+        headers: getRemoteSyncHeaders(config, { Depth: '1', 'Content-Type': 'application/xml' }),
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>',
+      });
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      await ensureFolder();
+      return [];
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    return Array.from(doc.getElementsByTagNameNS('DAV:', 'href'))
+      .map((href) => decodeURIComponent(href.textContent.replace(/\/+$/, '').split('/').pop()))
+      .filter((name) => /^changes-.+\.json$/.test(name))
+      .sort();
+  };
+  return {
+    // 端末の時計がずれていたり書き込みが遅れたりすると、名前順では前に入るファイルができる。
+    // そのため「どこまで読んだか」ではなく、読んだファイル名の一覧を cursor にする
+    async pull(cursor) {
+      const seen = new Set(Array.isArray(cursor) ? cursor : []);
+      const listed = await listFiles();
+      const changes = [];
+      for (const name of listed.filter((file) => !seen.has(file))) {
+        const response = await fetchRemoteSync(joinRemoteUrl(folderUrl, encodeURIComponent(name)), { headers: getRemoteSyncHeaders(config) });
+        changes.push(await response.json());
+      }
+      // 消されたファイルの名前は持ち続けなくてよい
+      return { cursor: listed, changes, hasMore: false };
+    },
+    async push(changes) {
+      // 名前順がおおよそ書き込み順になるよう、先頭を時刻にする
+      const name = `changes-${String(changes.createdAt).padStart(15, '0')}-${changes.deviceId}.json`;
+      const put = () => fetchRemoteSync(joinRemoteUrl(folderUrl, encodeURIComponent(name)), {
+        method: 'PUT',
+        headers: getRemoteSyncHeaders(config, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify(changes),
+      });
+      try {
+        await put();
+      } catch (err) {
+        if (err.status !== 404 && err.status !== 409) throw err;
+        await ensureFolder();
+        await put();
+      }
+      return { file: name };
+    },
+  };
+}
 
-  return Array.from(map.values());
+// 新しい接続先はここに足す。create(config) は { pull(cursor), push(changes) } を返す
+const REMOTE_SYNC_ADAPTERS = {
+  rest: { label: 'REST（JSON）', secretLabel: 'トークン', create: createRestSyncAdapter },
+  webdav: { label: 'WebDAV（Nextcloud など）', secretLabel: 'パスワード', create: createWebDavSyncAdapter },
+};
+
+function getRemoteSyncConfig() {
+  return loadSyncState().remote || null;
 }
 
-function mergeImportedData(incoming) {
-  if (!incoming || typeof incoming !== 'object') throw new Error('invalid data');
-  const merged = { ...defaultData(), ...state.data };
+function getRemoteSyncDelay(attempt) {
+  const delay = Math.min(REMOTE_SYNC_RETRY_MAX, REMOTE_SYNC_RETRY_BASE * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
 
-  merged.posts = mergeCollections(merged.posts, incoming.posts || []);
-  merged.puzzles = mergeCollections(merged.puzzles, incoming.puzzles || []);
-  merged.replies = mergeCollections(merged.replies, incoming.replies || []);
-  merged.images = { ...merged.images };
-  Object.entries(incoming.images || {}).forEach(([id, dataUrl]) => {
-    if (!merged.images[id]) merged.images[id] = dataUrl;
-  });
+async function withRemoteSyncRetry(task) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task();
+    } catch (err) {
+      if (!err.retryable || attempt + 1 >= REMOTE_SYNC_RETRIES) throw err;
+      await new Promise((resolve) => setTimeout(resolve, getRemoteSyncDelay(attempt)));
+    }
+  }
+}
 
-  const incomingLastId = Number(incoming.lastId) || 0;
-  const maxExistingId = Math.max(
-    0,
-    ...merged.posts.map((p) => Number(p.id) || 0),
-    ...merged.replies.map((r) => Number(r.id) || 0),
-    merged.lastId || 0,
-  );
-  merged.lastId = Math.max(maxExistingId, incomingLastId);
-  merged.version = DATA_VERSION;
+// 先に取り込んでから送る。こうすると競合はこの端末で見つかり、サーバーには解決済みの版だけが届く
+async function runRemoteSync() {
+  const sync = requireSyncState();
+  const remote = sync.remote;
+  if (!remote?.url) throw new RemoteSyncError('同期先が設定されていません');
+  const adapter = REMOTE_SYNC_ADAPTERS[remote.type].create(remote);
+  const result = { applied: 0, conflicts: 0, skipped: 0, rejected: 0, pushed: 0 };
+
+  let hasMore = true;
+  while (hasMore) {
+    const page = await withRemoteSyncRetry(() => adapter.pull(remote.cursor));
+    page.changes.forEach((changes) => {
+      if (changes?.deviceId !== sync.deviceId) {
+        try {
+          const applied = applySyncChanges(changes);
+          result.applied += applied.applied;
+          result.conflicts += applied.conflicts;
+          result.skipped += applied.skipped;
+          result.rejected += applied.rejected;
+        } catch (err) {
+          // 壊れた差分が1つあっても、その先の差分は読めるようにする
+          console.warn('Skipped invalid remote changes', err);
+          result.skipped += 1;
+        }
+      }
+      remote.summary = mergeSyncClocks(remote.summary, changes?.summary || {});
+      Object.keys(changes?.images || {}).forEach((id) => remote.imageIds.push(id));
+    });
+    remote.cursor = page.cursor;
+    hasMore = page.hasMore && page.changes.length > 0;
+    saveSyncState();
+  }
 
-  state.data = merged;
-  ensureSpeakerFields(state.data);
-  ensurePostFields(state.data);
-  ensurePuzzleFields(state.data);
-  persistData();
-  render();
+  const changes = buildSyncChanges(remote.summary, remote.imageIds);
+  if (changes.entries.length) {
+    // 送った差分も次の pull で戻ってくるが、自分の端末のものは読み飛ばす（cursor はサーバーが決める値なので手を加えない）
+    await withRemoteSyncRetry(() => adapter.push(changes));
+    result.pushed = changes.entries.length;
+    remote.summary = mergeSyncClocks(remote.summary, changes.summary);
+    Object.keys(changes.images).forEach((id) => remote.imageIds.push(id));
+  }
+  remote.imageIds = Array.from(new Set(remote.imageIds));
+  remote.lastSyncedAt = Date.now();
+  remote.lastError = null;
+  saveSyncState();
+  return result;
 }
 
-function importFromJsonString(text) {
-  const json = JSON.parse(text);
-  mergeImportedData(json);
+// 未送信の同期はキューに残し、オンラインに戻ったときや次の起動時に間隔を空けながら再実行する
+// 同期の途中に届いた変更は、実行中のジョブ（state.remoteSyncJobs）とは別のジョブにして、終わったあとにもう一度送る
+function enqueueRemoteSync(reason = 'change') {
+  const remote = getRemoteSyncConfig();
+  if (!remote?.url) return;
+  if (remote.queue.every((job) => state.remoteSyncJobs.has(job))) {
+    remote.queue.push({ reason, createdAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+  }
+  saveSyncState();
+  processRemoteSyncQueue();
 }
 
-function importConversationMessages(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('invalid conversation data');
-  }
+// 同期を始めた時点でキューにあったジョブだけを、終わったものとして外す
+function beginRemoteSyncJobs(remote) {
+  state.remoteSyncRunning = true;
+  state.remoteSyncJobs = new Set(remote.queue);
+}
 
-  const normalizeMessage = (msg) => {
-    if (!msg || typeof msg !== 'object') throw new Error('invalid message');
-    const content = String(msg.content || '').trim();
-    if (!content.length) throw new Error('content is required');
-    const speaker = msg.speaker || 'none';
-    return {
-      content,
-      language: msg.language || 'ja',
-      pronunciation: msg.pronunciation || '',
-      speaker,
-      speaker_type: speaker,
-    };
-  };
+function finishRemoteSyncJobs(remote, done) {
+  if (done) remote.queue = remote.queue.filter((job) => !state.remoteSyncJobs.has(job));
+  state.remoteSyncJobs = new Set();
+  state.remoteSyncRunning = false;
+}
 
-  const normalized = messages.map(normalizeMessage);
-  const now = Date.now();
-  const postId = nextId();
-
-  const post = {
-    id: postId,
-    texts: [normalized[0]],
-    tags: extractTags([normalized[0]]),
-    createdAt: now,
-    updatedAt: now,
-    imageId: null,
-    imageRemoved: false,
-    isDeleted: false,
-    pinned: false,
-    pinnedAt: null,
-    sourceUrl: null,
-    linkedPuzzleIds: [],
-  };
-  state.data.posts.push(post);
-
-  normalized.slice(1).forEach((text, index) => {
-    const timestamp = now + index + 1;
-    const reply = {
-      id: nextId(),
-      postId,
-      texts: [text],
-      tags: extractTags([text]),
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      imageId: null,
-      isDeleted: false,
-    };
-    state.data.replies.push(reply);
-  });
+function scheduleRemoteSync() {
+  const remote = getRemoteSyncConfig();
+  if (!remote?.url || !remote.autoSync) return;
+  clearTimeout(state.remoteSyncTimer);
+  state.remoteSyncTimer = setTimeout(() => enqueueRemoteSync('change'), REMOTE_SYNC_DELAY);
+}
 
-  ensureSpeakerFields(state.data);
-  persistData();
-  render();
+async function processRemoteSyncQueue() {
+  const remote = getRemoteSyncConfig();
+  const job = remote?.queue[0];
+  if (!job || state.remoteSyncRunning) return;
+  // オフラインのあいだは待つだけにする。nextAttemptAt はそのまま残し、online イベントか Background Sync で再開する
+  if (!navigator.onLine) {
+    requestBackgroundSync(REMOTE_SYNC_TAG);
+    return;
+  }
+  const wait = job.nextAttemptAt - Date.now();
+  if (wait > 0) {
+    clearTimeout(state.remoteSyncTimer);
+    state.remoteSyncTimer = setTimeout(processRemoteSyncQueue, wait);
+    return;
+  }
+  beginRemoteSyncJobs(remote);
+  let done = false;
+  try {
+    const result = await runRemoteSync();
+    done = true;
+    if (result.conflicts) showToast(`サーバーとの同期で競合が ${result.conflicts}件 見つかりました`, { actionLabel: '確認', onAction: openDeviceSyncModal });
+  } catch (err) {
+    console.error('Remote sync failed', err);
+    job.attempts += 1;
+    job.nextAttemptAt = Date.now() + getRemoteSyncDelay(job.attempts);
+    remote.lastError = err.message;
+    if (err.retryable) {
+      clearTimeout(state.remoteSyncTimer);
+      state.remoteSyncTimer = setTimeout(processRemoteSyncQueue, job.nextAttemptAt - Date.now());
+    } else {
+      // 設定の誤りなどは待っても直らないので、キューから外して表示だけ残す
+      done = true;
+    }
+  } finally {
+    finishRemoteSyncJobs(remote, done);
+    saveSyncState();
+    if (done && remote.queue.length) processRemoteSyncQueue();
+  }
 }
 
-function exportJson(data, filename) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
+function setupRemoteSync() {
+  registerBackgroundSyncHandler(REMOTE_SYNC_TAG, () => {
+    const remote = getRemoteSyncConfig();
+    if (remote?.queue.length) remote.queue[0].nextAttemptAt = 0;
+    return processRemoteSyncQueue();
+  });
+  window.addEventListener('online', processRemoteSyncQueue);
+  const remote = getRemoteSyncConfig();
+  if (remote?.url && remote.autoSync) enqueueRemoteSync('startup');
 }
 
-function importJsonFromFile(file, onTextImport) {
-  if (!file || !onTextImport) return;
-  const reader = new FileReader();
-  reader.onload = () => {
+function buildRemoteSyncSection() {
+  const sync = loadSyncState();
+  const remote = sync.remote;
+  const section = document.createElement('div');
+  section.className = 'device-sync-section';
+  const title = document.createElement('h3');
+  title.className = 'device-sync-title';
+  title.textContent = 'サーバーと同期';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = 'Nextcloud などの WebDAV か、JSON の REST サーバーに変更を送って、ほかの端末と共有します。';
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'language-select-input';
+  typeSelect.setAttribute('aria-label', '同期先の種類');
+  Object.entries(REMOTE_SYNC_ADAPTERS).forEach(([type, adapter]) => typeSelect.appendChild(new Option(adapter.label, type)));
+  typeSelect.value = remote?.type || 'rest';
+  const createField = (placeholder, value = '', type = 'text') => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'tag-input';
+    input.placeholder = placeholder;
+    input.value = value;
+    return input;
+  };
+  const urlInput = createField('https://example.com/remote.php/dav/files/me/', remote?.url || '', 'url');
+  const userInput = createField('ユーザー名', remote?.username || '');
+  const secretInput = createField('', remote?.secret || '', 'password');
+  // 自動で同期するために保存しておく必要があるので、暗号化されていないときはそれを知らせる
+  const secretNote = document.createElement('p');
+  secretNote.className = 'helper remote-sync-secret-note';
+  const updateFields = () => {
+    const { secretLabel } = REMOTE_SYNC_ADAPTERS[typeSelect.value];
+    userInput.classList.toggle('hidden', typeSelect.value !== 'webdav');
+    secretInput.placeholder = secretLabel;
+    secretNote.textContent = state.lock
+      ? `${secretLabel}はパスフレーズで暗号化してこの端末に保存します。`
+      : `${secretLabel}はこの端末に暗号化せずに保存されます。「パスフレーズで保護」を有効にすると暗号化されます。`;
+  };
+  typeSelect.addEventListener('change', updateFields);
+  updateFields();
+  const autoLabel = document.createElement('label');
+  autoLabel.className = 'helper';
+  const autoInput = document.createElement('input');
+  autoInput.type = 'checkbox';
+  autoInput.checked = remote?.autoSync ?? true;
+  autoLabel.append(autoInput, ' 変更したら自動で同期する');
+
+  const status = document.createElement('p');
+  status.className = 'device-sync-status';
+  status.setAttribute('role', 'status');
+  if (remote?.lastError) status.textContent = `前回の同期に失敗しました: ${remote.lastError}`;
+  else if (remote?.lastSyncedAt) status.textContent = `${formatDate(remote.lastSyncedAt)} に同期しました`;
+  if (remote?.queue.length) status.textContent += '（未送信の変更があります）';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'import-button';
+  saveBtn.textContent = '保存';
+  saveBtn.addEventListener('click', () => {
+    const url = urlInput.value.trim();
+    if (!/^https?:\/\//.test(url)) {
+      alert('http:// または https:// で始まるURLを入力してください');
+      return;
+    }
+    const changed = !remote || remote.url !== url || remote.type !== typeSelect.value;
+    // 同期先が変わったら、どこまで送ったかの記録を最初からにする
+    sync.remote = {
+      ...(changed ? { cursor: null, summary: {}, imageIds: [], queue: [], lastSyncedAt: null, lastError: null } : remote),
+      type: typeSelect.value,
+      url,
+      username: userInput.value.trim(),
+      secret: secretInput.value,
+      autoSync: autoInput.checked,
+    };
+    saveSyncState();
+    openDeviceSyncModal();
+    if (sync.remote.autoSync) enqueueRemoteSync('settings');
+  });
+  const syncBtn = document.createElement('button');
+  syncBtn.type = 'button';
+  syncBtn.className = 'import-button';
+  syncBtn.textContent = '今すぐ同期';
+  syncBtn.disabled = !remote;
+  syncBtn.addEventListener('click', async () => {
+    if (state.remoteSyncRunning) {
+      status.textContent = '同期の途中です。しばらく待ってからもう一度押してください。';
+      return;
+    }
+    syncBtn.disabled = true;
+    status.textContent = '同期しています…';
+    const { remote } = sync;
+    beginRemoteSyncJobs(remote);
+    let done = false;
     try {
-      onTextImport(reader.result);
-    } catch (e) {
-      console.error('Failed to import file JSON', e);
-      alert('JSONの読み込みに失敗しました');
+      const result = await runRemoteSync();
+      done = true;
+      finishRemoteSyncJobs(remote, true);
+      saveSyncState();
+      openDeviceSyncModal();
+      showToast(`サーバーと同期しました（${formatSyncResult(result)}・送信 ${result.pushed}件）`);
+    } catch (err) {
+      console.error('Remote sync failed', err);
+      sync.remote.lastError = err.message;
+      saveSyncState();
+      status.textContent = `同期に失敗しました: ${err.message}`;
+      syncBtn.disabled = false;
+    } finally {
+      if (!done) finishRemoteSyncJobs(remote, false);
+      else if (remote.queue.length) processRemoteSyncQueue();
     }
-  };
-  reader.readAsText(file);
+  });
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'text-action-button';
+  removeBtn.textContent = '解除';
+  removeBtn.hidden = !remote;
+  removeBtn.addEventListener('click', () => {
+    if (!confirm('サーバーとの同期を解除しますか？（サーバー上のデータは消えません）')) return;
+    sync.remote = null;
+    saveSyncState();
+    openDeviceSyncModal();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'device-sync-actions';
+  actions.append(saveBtn, syncBtn, removeBtn);
+  section.append(title, helper, typeSelect, urlInput, userInput, secretInput, secretNote, autoLabel, actions, status);
+  return section;
 }
 
-function buildImportExportModal({ description, placeholder, onFileImport, onTextImport, onExport }) {
+function buildImportExportModal({
+  description,
+  placeholder,
+  fileAccept = 'application/json',
+  onFileImport,
+  onTextImport,
+  onExport,
+  extraExports = [],
+  onBackup,
+  onOpenTrash,
+  onOpenSync,
+  onOpenLock,
+}) {
   const container = document.createElement('div');
   container.className = 'import-export-panel';
 
@@ -2940,7 +10818,7 @@ function buildImportExportModal({ description, placeholder, onFileImport, onText
   fileLabel.className = 'file-button import-button';
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = 'application/json';
+  fileInput.accept = fileAccept;
   fileInput.className = 'file-input';
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files?.[0];
@@ -2956,6 +10834,47 @@ function buildImportExportModal({ description, placeholder, onFileImport, onText
 
   headerActions.append(fileLabel, exportButton);
 
+  extraExports.forEach(({ label, onExport: onExtraExport }) => {
+    const button = document.createElement('button');
+    button.className = 'export-button';
+    button.textContent = label;
+    button.addEventListener('click', () => onExtraExport());
+    headerActions.appendChild(button);
+  });
+
+  if (onBackup) {
+    const backupButton = document.createElement('button');
+    backupButton.className = 'import-button backup-button';
+    backupButton.textContent = '全データをバックアップ';
+    backupButton.addEventListener('click', () => onBackup());
+    headerActions.appendChild(backupButton);
+  }
+
+  if (onOpenTrash) {
+    const trashButton = document.createElement('button');
+    trashButton.className = 'import-button trash-button';
+    trashButton.textContent = `ゴミ箱（${state.data.trash.length}）`;
+    trashButton.addEventListener('click', () => onOpenTrash());
+    headerActions.appendChild(trashButton);
+  }
+
+  if (onOpenSync) {
+    const conflictCount = loadSyncState().conflicts.length;
+    const syncButton = document.createElement('button');
+    syncButton.className = 'import-button sync-button';
+    syncButton.textContent = conflictCount ? `端末と同期（競合 ${conflictCount}）` : '端末と同期';
+    syncButton.addEventListener('click', () => onOpenSync());
+    headerActions.appendChild(syncButton);
+  }
+
+  if (onOpenLock) {
+    const lockButton = document.createElement('button');
+    lockButton.className = 'import-button lock-button';
+    lockButton.textContent = state.lock ? 'パスフレーズ保護中' : 'パスフレーズで保護';
+    lockButton.addEventListener('click', () => onOpenLock());
+    headerActions.appendChild(lockButton);
+  }
+
   const textareaBlock = document.createElement('div');
   textareaBlock.className = 'import-textarea-block';
   const helper = document.createElement('p');
@@ -2978,7 +10897,7 @@ function buildImportExportModal({ description, placeholder, onFileImport, onText
       textarea.value = '';
     } catch (err) {
       console.error('Failed to import text JSON', err);
-      alert('JSONの読み込みに失敗しました');
+      alert(`JSONの読み込みに失敗しました\n${err.message}`);
     }
   });
 
@@ -2992,6 +10911,8 @@ function getTimelineExportData() {
     version: DATA_VERSION,
     posts: state.data.posts,
     replies: state.data.replies,
+    cards: state.data.cards,
+    savedSearches: state.data.savedSearches,
     images: state.data.images,
     lastId: state.data.lastId,
   };
@@ -3005,30 +10926,696 @@ function getPuzzleExportData() {
   };
 }
 
+function getFullBackupData() {
+  return { ...state.data, version: DATA_VERSION, kind: 'full-backup', exportedAt: Date.now() };
+}
+
+function exportFullBackup() {
+  exportJson(getFullBackupData(), `lang-backup-${getDateKey(Date.now())}.json`);
+}
+
 function importTimelineJson(text) {
   const parsed = JSON.parse(text);
-  if (Array.isArray(parsed)) {
-    importConversationMessages(parsed);
+  if (parsed?.kind === SYNC_FILE_KIND) {
+    importSyncFile(parsed);
+    return;
+  }
+  const conversation = getConversationParts(parsed);
+  if (conversation) {
+    const { messages, thread } = conversation;
+    const errors = validateConversationMessages(messages);
+    openImportPreview({
+      errors,
+      diff: errors.length ? null : {
+        posts: { added: 1, updated: 0, unchanged: 0 },
+        replies: { added: messages.length - 1, updated: 0, unchanged: 0 },
+      },
+      onConfirm: () => importConversationMessages(messages, thread),
+    });
     return;
   }
-  mergeImportedData(parsed);
+  previewDataImport(parsed);
 }
 
 function importPuzzleJson(text) {
   const parsed = JSON.parse(text);
-  if (Array.isArray(parsed)) {
-    mergeImportedData({ puzzles: parsed });
+  if (parsed?.kind === SYNC_FILE_KIND) {
+    importSyncFile(parsed);
     return;
   }
-  if (parsed && typeof parsed === 'object') {
-    if (Array.isArray(parsed.puzzles)) {
-      mergeImportedData({ ...parsed, puzzles: parsed.puzzles });
+  previewDataImport(Array.isArray(parsed) ? { puzzles: parsed } : parsed);
+}
+
+// Anki の読み書きに使うライブラリ（sql.js 1.10.3・JSZip 3.10.1）。vendor/ に置き、sql.js は初めて使ったときにキャッシュされる
+const SQL_JS_URL = 'vendor/sql.js/sql-wasm.js';
+const SQL_JS_WASM_BASE = 'vendor/sql.js/';
+const JSZIP_URL = 'vendor/jszip.min.js';
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const ANKI_NOTE_FIELDS = ['Text', 'Pronunciation', 'Solution', 'Meaning', 'Alternatives', 'Examples'];
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// CSV/TSV の列と Anki のフィールドを謎カードの項目に対応づける
+const PUZZLE_TABULAR_FIELDS = [
+  { key: 'id', label: 'ID', aliases: ['id', 'guid'] },
+  { key: 'text', label: 'テキスト', aliases: ['text', 'front', '表面', 'テキスト'] },
+  { key: 'pronunciation', label: '発音', aliases: ['pronunciation', 'reading', '発音'] },
+  { key: 'solution', label: '解決（裏面）', aliases: ['solution', 'back', '裏面', '解決'] },
+  { key: 'meaning', label: '意味', aliases: ['meaning', '意味'] },
+  { key: 'alternatives', label: '言い換え', aliases: ['alternatives', '言い換え'] },
+  { key: 'examples', label: '例文', aliases: ['examples', 'example', '例文'] },
+  { key: 'tags', label: 'タグ', aliases: ['tags', 'タグ'] },
+  { key: 'solved', label: '解決済み', aliases: ['solved', '解決済み'] },
+  { key: 'next_review', label: '次回の出題日', aliases: ['next_review', 'due'] },
+  { key: 'stability', label: '記憶の安定度', aliases: ['stability', '安定度'] },
+  { key: 'difficulty', label: '難易度', aliases: ['difficulty', '難易度'] },
+  { key: 'reps', label: '復習回数', aliases: ['reps', 'reviews', '復習回数'] },
+  { key: 'lapses', label: '忘れた回数', aliases: ['lapses', '忘れた回数'] },
+];
+const PUZZLE_TABULAR_COLUMNS = ['id', 'text', 'pronunciation', 'solution', 'meaning', 'alternatives', 'examples', 'tags', 'solved', 'next_review', 'stability', 'difficulty', 'reps', 'lapses'];
+
+const loadedLibraries = new Map();
+
+function loadLibrary(globalName, src) {
+  if (window[globalName]) return Promise.resolve(window[globalName]);
+  if (!loadedLibraries.has(src)) {
+    loadedLibraries.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = () => resolve(window[globalName]);
+      script.onerror = () => {
+        loadedLibraries.delete(src);
+        reject(new Error(`failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return loadedLibraries.get(src);
+}
+
+async function loadSqlJs() {
+  const initSqlJs = await loadLibrary('initSqlJs', SQL_JS_URL);
+  return initSqlJs({ locateFile: (file) => `${SQL_JS_WASM_BASE}${file}` });
+}
+
+function toPlainList(values = []) {
+  return values.map((value) => (typeof value === 'string' ? value : value?.text || '')).filter(Boolean);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function getPuzzleTabularRow(puzzle) {
+  const review = puzzle.review || {};
+  return {
+    id: puzzle.refId || puzzle.id,
+    text: puzzle.text || '',
+    pronunciation: puzzle.pronunciation || '',
+    solution: puzzle.solution?.content || '',
+    meaning: puzzle.meaning || '',
+    alternatives: toPlainList(puzzle.alternatives).join('\n'),
+    examples: toPlainList(puzzle.examples).join('\n'),
+    tags: (puzzle.tags || []).join(' '),
+    solved: puzzle.isSolved ? '1' : '0',
+    next_review: review.nextReviewDate ? getDateKey(review.nextReviewDate) : '',
+    stability: review.stability != null ? review.stability.toFixed(2) : '',
+    difficulty: review.difficulty != null ? review.difficulty.toFixed(2) : '',
+    reps: String(review.reps || 0),
+    lapses: String(review.lapses || 0),
+  };
+}
+
+function formatDelimitedValue(value, delimiter) {
+  const text = String(value ?? '');
+  if (delimiter === '\t') return text.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildPuzzleDelimitedText(delimiter) {
+  const lines = [PUZZLE_TABULAR_COLUMNS.join(delimiter)];
+  state.data.puzzles.forEach((puzzle) => {
+    const row = getPuzzleTabularRow(puzzle);
+    lines.push(PUZZLE_TABULAR_COLUMNS.map((column) => formatDelimitedValue(row[column], delimiter)).join(delimiter));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function exportPuzzlesDelimited(format) {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const mime = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+  // Excel で文字化けしないよう BOM を付ける
+  downloadBlob(new Blob(['\ufeff', buildPuzzleDelimitedText(delimiter)], { type: `${mime};charset=utf-8` }), `lang-puzzles.${format}`);
+}
+
+function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+// Anki のテキスト書き出しの先頭にある #separator:tab などの指定を読む
+function readDelimitedText(text, filename = '') {
+  const source = text.replace(/^\ufeff/, '');
+  const lines = source.split(/\r?\n/);
+  let delimiter = null;
+  let skip = 0;
+  const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+  while (skip < lines.length && lines[skip].startsWith('#')) {
+    const match = lines[skip].match(/^#separator:(\w+)/i);
+    if (match) delimiter = separators[match[1].toLowerCase()] || delimiter;
+    skip += 1;
+  }
+  const body = lines.slice(skip).join('\n');
+  if (!delimiter) {
+    const firstLine = lines[skip] || '';
+    delimiter = /\.tsv$|\.txt$/i.test(filename) || firstLine.split('\t').length > firstLine.split(',').length ? '\t' : ',';
+  }
+  const rows = parseDelimitedText(body, delimiter);
+  if (delimiter === '\t') {
+    rows.forEach((cells, index) => {
+      rows[index] = cells.map((cell) => cell.replace(/<br\s*\/?>/gi, '\n'));
+    });
+  }
+  return rows;
+}
+
+function htmlToPlainText(html = '') {
+  const doc = new DOMParser().parseFromString(String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<\/div>/gi, '\n'), 'text/html');
+  return (doc.body.textContent || '').replace(/\n+$/, '');
+}
+
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '<br>');
+}
+
+async function getAnkiChecksum(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+// FSRS の難易度（1〜10）を Anki の ease（1300〜2500‰）に置き換える
+function difficultyToAnkiFactor(difficulty) {
+  if (difficulty == null) return 2500;
+  return Math.round(1300 + ((10 - clampNumber(difficulty, 1, 10)) / 9) * 1200);
+}
+
+function ankiFactorToDifficulty(factor) {
+  if (!factor) return null;
+  return clampNumber(10 - ((factor - 1300) / 1200) * 9, 1, 10);
+}
+
+function getAnkiCardSchedule(puzzle, collectionCreatedAt, position) {
+  const review = puzzle.review || {};
+  if (!puzzle.isSolved || !review.reps || !review.nextReviewDate) {
+    return { type: 0, queue: 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+  }
+  const due = Math.max(0, Math.round((review.nextReviewDate - collectionCreatedAt) / DAY_MS));
+  const ivl = Math.max(1, Math.round((review.nextReviewDate - getStartOfDay(review.lastReviewedAt || Date.now())) / DAY_MS));
+  return {
+    type: 2,
+    queue: 2,
+    due,
+    ivl,
+    factor: difficultyToAnkiFactor(review.difficulty),
+    reps: review.reps,
+    lapses: review.lapses || 0,
+  };
+}
+
+function createAnkiCollectionConfig({ now, deckId, modelId }) {
+  const nowSeconds = Math.floor(now / 1000);
+  const deck = (id, name) => ({
+    id,
+    name,
+    mod: nowSeconds,
+    usn: -1,
+    lrnToday: [0, 0],
+    revToday: [0, 0],
+    newToday: [0, 0],
+    timeToday: [0, 0],
+    collapsed: false,
+    desc: '',
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+  });
+  return {
+    conf: {
+      activeDecks: [1],
+      curDeck: 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: modelId,
+      nextPos: 1,
+      sortType: 'noteFld',
+      sortBackwards: false,
+      addToCur: true,
+    },
+    models: {
+      [modelId]: {
+        id: modelId,
+        name: 'Uni 謎カード',
+        type: 0,
+        mod: nowSeconds,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{
+          name: 'Card 1',
+          ord: 0,
+          qfmt: '{{Text}}<div class="pron">{{Pronunciation}}</div>',
+          afmt: '{{FrontSide}}<hr id=answer>{{Solution}}<div>{{Meaning}}</div><div>{{Alternatives}}</div><div>{{Examples}}</div>',
+          bqfmt: '',
+          bafmt: '',
+          did: null,
+        }],
+        flds: ANKI_NOTE_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+        css: '.card { font-family: arial; font-size: 20px; text-align: center; }\n.pron { font-size: 14px; color: #666; }',
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        tags: [],
+        vers: [],
+        req: [[0, 'any', [0]]],
+      },
+    },
+    decks: {
+      1: deck(1, 'Default'),
+      [deckId]: deck(deckId, 'Uni 謎カード'),
+    },
+    dconf: {
+      1: {
+        id: 1,
+        name: 'Default',
+        mod: 0,
+        usn: 0,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        dyn: false,
+        new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+        rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+        lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+      },
+    },
+  };
+}
+
+async function buildAnkiPackage(puzzles) {
+  const [SQL, JSZip] = await Promise.all([loadSqlJs(), loadLibrary('JSZip', JSZIP_URL)]);
+  const now = Date.now();
+  const collectionCreatedAt = getStartOfDay(Math.min(now, ...puzzles.map((puzzle) => puzzle.createdAt || now)));
+  const deckId = now;
+  const modelId = now + 1;
+  const config = createAnkiCollectionConfig({ now, deckId, modelId });
+  const nowSeconds = Math.floor(now / 1000);
+
+  const db = new SQL.Database();
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      Math.floor(collectionCreatedAt / 1000),
+      now,
+      now,
+      JSON.stringify(config.conf),
+      JSON.stringify(config.models),
+      JSON.stringify(config.decks),
+      JSON.stringify(config.dconf),
+      '{}',
+    ]);
+    for (let index = 0; index < puzzles.length; index += 1) {
+      const puzzle = puzzles[index];
+      const row = getPuzzleTabularRow(puzzle);
+      const fields = [row.text, row.pronunciation, row.solution, row.meaning, row.alternatives, row.examples].map(escapeHtml);
+      const noteId = now + index;
+      const tags = (puzzle.tags || []).map((tag) => tag.replace(/\s+/g, '_')).join(' ');
+      db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+        noteId,
+        row.id,
+        modelId,
+        nowSeconds,
+        tags ? ` ${tags} ` : '',
+        fields.join(ANKI_FIELD_SEPARATOR),
+        row.text,
+        await getAnkiChecksum(row.text),
+      ]);
+      const schedule = getAnkiCardSchedule(puzzle, collectionCreatedAt, index + 1);
+      db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')', [
+        noteId,
+        noteId,
+        deckId,
+        nowSeconds,
+        schedule.type,
+        schedule.queue,
+        schedule.due,
+        schedule.ivl,
+        schedule.factor,
+        schedule.reps,
+        schedule.lapses,
+      ]);
+    }
+    const zip = new JSZip();
+    zip.file('collection.anki2', db.export());
+    zip.file('media', '{}');
+    return await zip.generateAsync({ type: 'blob' });
+  } finally {
+    db.close();
+  }
+}
+
+async function exportPuzzlesAnki() {
+  try {
+    downloadBlob(await buildAnkiPackage(state.data.puzzles), 'lang-puzzles.apkg');
+  } catch (e) {
+    console.error('Failed to export Anki package', e);
+    alert('Anki デッキの書き出しに失敗しました');
+  }
+}
+
+function selectAnkiRows(db, sql) {
+  const result = db.exec(sql)[0];
+  if (!result) return [];
+  return result.values.map((values) => Object.fromEntries(result.columns.map((column, index) => [column, values[index]])));
+}
+
+async function readAnkiPackage(buffer) {
+  const JSZip = await loadLibrary('JSZip', JSZIP_URL);
+  const zip = await JSZip.loadAsync(buffer);
+  const entry = zip.file('collection.anki21') || (!zip.file('collection.anki21b') && zip.file('collection.anki2'));
+  if (!entry) throw new Error('この形式の Anki パッケージには対応していません。Anki で「古いバージョンの Anki との互換性をサポート」をオンにして書き出してください。');
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(new Uint8Array(await entry.async('arraybuffer')));
+  try {
+    const [col] = selectAnkiRows(db, 'SELECT crt, models FROM col');
+    const models = JSON.parse(col.models || '{}');
+    const cards = new Map(selectAnkiRows(db, 'SELECT nid, type, queue, due, ivl, factor, reps, lapses FROM cards WHERE ord = 0')
+      .map((card) => [card.nid, card]));
+    const columns = [];
+    const rows = [];
+    selectAnkiRows(db, 'SELECT id, guid, mid, tags, flds FROM notes ORDER BY id').forEach((note) => {
+      const fieldNames = (models[note.mid]?.flds || []).slice().sort((a, b) => a.ord - b.ord).map((field) => field.name);
+      const values = note.flds.split(ANKI_FIELD_SEPARATOR);
+      const row = { guid: note.guid, tags: note.tags.trim().split(/\s+/).filter(Boolean).join(' ') };
+      values.forEach((value, index) => {
+        const name = fieldNames[index] || `Field ${index + 1}`;
+        if (!columns.includes(name)) columns.push(name);
+        row[name] = htmlToPlainText(value);
+      });
+      const card = cards.get(note.id);
+      // 復習中（queue 2）のカードは出題日と間隔を引き継ぐ
+      if (card?.queue === 2) {
+        row.schedule = {
+          nextReviewDate: getStartOfDay((col.crt + card.due * 86400) * 1000),
+          stability: card.ivl,
+          difficulty: ankiFactorToDifficulty(card.factor),
+          reps: card.reps,
+          lapses: card.lapses,
+        };
+      }
+      rows.push(row);
+    });
+    return { columns: [...columns, 'tags', 'guid'], rows };
+  } finally {
+    db.close();
+  }
+}
+
+function readDelimitedTable(text, filename) {
+  const cells = readDelimitedText(text, filename);
+  const width = Math.max(0, ...cells.map((row) => row.length));
+  const columns = Array.from({ length: width }, (_, index) => `列${index + 1}`);
+  const rows = cells.map((values) => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ''])));
+  return { columns, rows, headerCandidates: cells[0] || [] };
+}
+
+function guessPuzzleField(name = '') {
+  const normalized = name.trim().toLowerCase();
+  return PUZZLE_TABULAR_FIELDS.find((field) => field.aliases.includes(normalized))?.key || '';
+}
+
+function splitListValue(value = '') {
+  return value.split(/\r?\n/).map((item) => item.trim()).filter(Boolean);
+}
+
+// 書き出した復習の列（次回の出題日・安定度・難易度・回数）を読み戻す。どれもなければ復習の予定なしとする
+function getTabularSchedule(values) {
+  const readNumber = (value, parse = Number.parseFloat) => {
+    const number = value ? parse(value) : NaN;
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  };
+  const nextReviewDate = values.next_review ? new Date(`${values.next_review}T00:00:00`).getTime() : NaN;
+  const schedule = {
+    nextReviewDate: Number.isFinite(nextReviewDate) ? nextReviewDate : null,
+    stability: readNumber(values.stability),
+    difficulty: readNumber(values.difficulty),
+    reps: readNumber(values.reps, (value) => Number.parseInt(value, 10)),
+    lapses: readNumber(values.lapses, (value) => Number.parseInt(value, 10)),
+  };
+  if (!schedule.nextReviewDate && schedule.stability == null && !schedule.reps) return null;
+  return Object.fromEntries(Object.entries(schedule).filter(([, value]) => value != null));
+}
+
+function parseTabularFlag(value) {
+  if (value == null || value === '') return null;
+  return ['1', 'true', 'yes', '済'].includes(value.toLowerCase());
+}
+
+function buildPuzzlesFromTable(rows, mapping, { textLanguage, solutionLanguage }) {
+  const now = Date.now();
+  const puzzles = [];
+  let lastId = state.data.lastId;
+  rows.forEach((row, index) => {
+    const values = {};
+    Object.entries(mapping).forEach(([column, key]) => {
+      if (key && row[column] != null) values[key] = String(row[column]).trim();
+    });
+    if (!values.text) return;
+    const existing = values.id ? findPuzzleByIdentifier(values.id) : null;
+    const schedule = row.schedule || getTabularSchedule(values);
+    const solved = parseTabularFlag(values.solved) ?? (existing?.isSolved || Boolean(schedule));
+    lastId += existing ? 0 : 1;
+    const createdAt = existing?.createdAt || now + index;
+    puzzles.push({
+      ...(existing || {}),
+      id: existing?.id || `puzzle_${lastId}`,
+      refId: existing?.refId || (values.id && !existing ? values.id : undefined),
+      text: values.text,
+      language: existing?.language || textLanguage,
+      pronunciation: values.pronunciation ?? existing?.pronunciation ?? '',
+      solution: values.solution != null
+        ? { content: values.solution, language: existing?.solution?.language || solutionLanguage, pronunciation: '', speaker: 'me' }
+        : existing?.solution,
+      meaning: values.meaning ?? existing?.meaning ?? '',
+      alternatives: values.alternatives != null ? splitListValue(values.alternatives) : existing?.alternatives || [],
+      examples: values.examples != null ? splitListValue(values.examples) : existing?.examples || [],
+      tags: values.tags != null ? values.tags.split(/\s+/).filter(Boolean) : existing?.tags || [],
+      isSolved: solved,
+      solvedAt: solved ? existing?.solvedAt || now : null,
+      review: schedule && !existing?.review?.reps
+        ? { ...defaultReview(), ...schedule, lastReviewedAt: now }
+        : existing?.review,
+      createdAt,
+      updatedAt: now + index + 1,
+    });
+  });
+  return { puzzles, lastId };
+}
+
+function buildColumnMappingView(table, { sourceLabel }) {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section column-mapping';
+  fragment.appendChild(container);
+
+  const description = document.createElement('p');
+  description.className = 'modal-description';
+  description.textContent = `${sourceLabel}の${table.rows.length}行を謎カードとして読み込みます。各列をどの項目に入れるか選んでください。`;
+  container.appendChild(description);
+
+  let hasHeader = false;
+  const mapping = {};
+  const headerRow = document.createElement('label');
+  headerRow.className = 'column-mapping-header-toggle';
+  if (table.headerCandidates) {
+    const headerToggle = document.createElement('input');
+    headerToggle.type = 'checkbox';
+    hasHeader = table.headerCandidates.some((name) => guessPuzzleField(name));
+    headerToggle.checked = hasHeader;
+    headerToggle.addEventListener('change', () => {
+      hasHeader = headerToggle.checked;
+      renderMapping();
+    });
+    headerRow.append(headerToggle, '1行目は見出し');
+    container.appendChild(headerRow);
+  }
+
+  const getColumnName = (column, index) => (hasHeader ? table.headerCandidates[index] || column : column);
+  const getDataRows = () => (hasHeader ? table.rows.slice(1) : table.rows);
+
+  const list = document.createElement('div');
+  list.className = 'column-mapping-list';
+  const renderMapping = () => {
+    list.innerHTML = '';
+    const sample = getDataRows()[0] || {};
+    table.columns.forEach((column, index) => {
+      const name = getColumnName(column, index);
+      if (!(column in mapping) || table.headerCandidates) mapping[column] = guessPuzzleField(name);
+      const row = document.createElement('div');
+      row.className = 'column-mapping-item';
+      const info = document.createElement('div');
+      info.className = 'column-mapping-info';
+      const title = document.createElement('div');
+      title.className = 'tag-label';
+      title.textContent = name;
+      const preview = document.createElement('div');
+      preview.className = 'helper column-mapping-sample';
+      preview.textContent = String(sample[column] ?? '').slice(0, 60);
+      info.append(title, preview);
+      const select = document.createElement('select');
+      select.className = 'language-select-input';
+      [{ key: '', label: '読み込まない' }, ...PUZZLE_TABULAR_FIELDS].forEach((field) => {
+        const option = document.createElement('option');
+        option.value = field.key;
+        option.textContent = field.label;
+        if (field.key === mapping[column]) option.selected = true;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => { mapping[column] = select.value; });
+      row.append(info, select);
+      list.appendChild(row);
+    });
+  };
+  renderMapping();
+  container.appendChild(list);
+
+  const createLanguageRow = (labelText, selected) => {
+    const row = document.createElement('div');
+    row.className = 'form-row';
+    const label = document.createElement('label');
+    label.className = 'tag-label';
+    label.textContent = labelText;
+    const select = document.createElement('select');
+    select.className = 'language-select-input';
+    appendLanguageOptions(select, selected);
+    row.append(label, select);
+    container.appendChild(row);
+    return select;
+  };
+  const targetLanguage = getTargetLanguages()[0]?.value || getDefaultLanguage();
+  const textLanguageSelect = createLanguageRow('テキストの言語', targetLanguage);
+  const solutionLanguageSelect = createLanguageRow('解決（裏面）の言語', getDefaultLanguage());
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions puzzle-modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="キャンセル" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', closeModal);
+
+  const nextBtn = document.createElement('button');
+  nextBtn.type = 'button';
+  nextBtn.className = 'modal-primary-button primary-button modal-action-button';
+  nextBtn.textContent = '次へ';
+  nextBtn.addEventListener('click', () => {
+    if (!Object.values(mapping).includes('text')) {
+      alert('「テキスト」に対応する列を選んでください');
       return;
     }
-    mergeImportedData(parsed);
+    const { puzzles, lastId } = buildPuzzlesFromTable(getDataRows(), mapping, {
+      textLanguage: textLanguageSelect.value,
+      solutionLanguage: solutionLanguageSelect.value,
+    });
+    previewDataImport({ version: DATA_VERSION, puzzles, lastId });
+  });
+  actions.append(cancelBtn, nextBtn);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+function openColumnMappingModal(table, sourceLabel) {
+  if (!table.rows.length) {
+    alert('読み込める行がありません');
     return;
   }
-  throw new Error('invalid puzzle data');
+  openModal(buildColumnMappingView(table, { sourceLabel }), '列の対応づけ');
+}
+
+async function importPuzzleFile(file) {
+  if (!file) return;
+  const name = file.name || '';
+  try {
+    if (/\.apkg$/i.test(name)) {
+      openColumnMappingModal(await readAnkiPackage(await file.arrayBuffer()), 'Anki デッキ');
+    } else if (/\.(csv|tsv|txt)$/i.test(name)) {
+      openColumnMappingModal(readDelimitedTable(await file.text(), name), name);
+    } else {
+      importPuzzleJson(await file.text());
+    }
+  } catch (e) {
+    console.error('Failed to import puzzle file', e);
+    alert(`ファイルの読み込みに失敗しました\n${e.message}`);
+  }
 }
 
 function openTimelineDataModal() {
@@ -3038,17 +11625,31 @@ function openTimelineDataModal() {
     onFileImport: (file) => importJsonFromFile(file, importTimelineJson),
     onTextImport: importTimelineJson,
     onExport: () => exportJson(getTimelineExportData(), 'lang-timeline.json'),
+    onBackup: exportFullBackup,
+    onOpenTrash: openTrashModal,
+    onOpenSync: openDeviceSyncModal,
+    onOpenLock: openLockSettingsModal,
   });
   openModal(modalBody, '投稿のインポート/エクスポート');
 }
 
 function openPuzzleDataModal() {
   const modalBody = buildImportExportModal({
-    description: '謎カードのデータをJSONでエクスポート・インポートできます。',
+    description: '謎カードのデータをJSONでエクスポート・インポートできます。CSV/TSV と Anki デッキ（.apkg）も読み書きできます。',
     placeholder: '謎カードのJSONを貼り付けてください',
-    onFileImport: (file) => importJsonFromFile(file, importPuzzleJson),
+    fileAccept: 'application/json,.json,.csv,.tsv,.txt,.apkg',
+    onFileImport: importPuzzleFile,
     onTextImport: importPuzzleJson,
     onExport: () => exportJson(getPuzzleExportData(), 'lang-puzzles.json'),
+    extraExports: [
+      { label: 'CSV', onExport: () => exportPuzzlesDelimited('csv') },
+      { label: 'TSV', onExport: () => exportPuzzlesDelimited('tsv') },
+      { label: 'Anki', onExport: exportPuzzlesAnki },
+    ],
+    onBackup: exportFullBackup,
+    onOpenTrash: openTrashModal,
+    onOpenSync: openDeviceSyncModal,
+    onOpenLock: openLockSettingsModal,
   });
   openModal(modalBody, '謎カードのインポート/エクスポート');
 }
@@ -3075,6 +11676,7 @@ function setupGlobalEvents() {
   });
   document.getElementById('modal-close').addEventListener('click', closeModal);
   document.getElementById('image-close').addEventListener('click', closeImageViewer);
+  attachImageViewerEvents();
   document.getElementById('modal').addEventListener('click', (e) => { if (e.target.id === 'modal') closeModal(); });
   document.getElementById('image-viewer').addEventListener('click', (e) => { if (e.target.id === 'image-viewer') closeImageViewer(); });
   const postImportFab = document.getElementById('fab-import-posts');
@@ -3083,13 +11685,17 @@ function setupGlobalEvents() {
   if (puzzleImportFab) puzzleImportFab.addEventListener('click', openPuzzleDataModal);
   document.getElementById('search-btn').addEventListener('click', runSearch);
   const likeFilterBtn = document.getElementById('search-pin-btn');
-  if (likeFilterBtn) likeFilterBtn.addEventListener('click', () => { toggleSearchPinnedFilter(); runSearch(); });
+  if (likeFilterBtn) likeFilterBtn.addEventListener('click', () => { toggleSearchQueryTerm('is:pinned'); runSearch(); });
   const solvedFilterBtn = document.getElementById('search-solved-btn');
-  if (solvedFilterBtn) solvedFilterBtn.addEventListener('click', () => { toggleSearchSolvedFilter(); runSearch(); });
+  if (solvedFilterBtn) solvedFilterBtn.addEventListener('click', () => { toggleSearchQueryTerm('is:solved'); runSearch(); });
   const searchTypeSelect = document.getElementById('search-type-select');
   if (searchTypeSelect) searchTypeSelect.addEventListener('change', runSearch);
+  document.getElementById('search-lang-select')?.addEventListener('change', runSearch);
   document.getElementById('search-input').addEventListener('keydown', (e) => { if (e.key === 'Enter') runSearch(); });
-  window.addEventListener('beforeunload', () => window.speechSynthesis.cancel());
+  document.getElementById('search-input').addEventListener('input', syncSearchFilterButtons);
+  document.getElementById('search-save-btn')?.addEventListener('click', openSaveSearchModal);
+  window.addEventListener('beforeunload', stopSpeech);
+  document.addEventListener('keydown', handleUndoShortcut);
 
   document.addEventListener('input', (event) => {
     if (state.currentTab !== 'dashboard') return;
@@ -3104,26 +11710,124 @@ function setupDailyRefresh() {
     const key = getDateKey(Date.now());
     if (key !== state.lastReviewRefreshKey) {
       state.lastReviewRefreshKey = key;
+      purgeExpiredTrash();
       render();
     }
   }, 60 * 1000);
 }
 
 function registerServiceWorker() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('/service-worker.js').catch((err) => {
-      console.error('Service worker registration failed', err);
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // 初回インストールで制御が始まったときは読み込み直さない
+    if (!state.serviceWorker.updateAccepted) return;
+    state.serviceWorker.updateAccepted = false;
+    window.location.reload();
+  });
+  navigator.serviceWorker.register('/service-worker.js').then((registration) => {
+    state.serviceWorker.registration = registration;
+    if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
     });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  }).catch((err) => {
+    console.error('Service worker registration failed', err);
+  });
+}
+
+// ワーカーへの問い合わせは MessageChannel で送り、返事を Promise で受け取る
+function sendServiceWorkerMessage(worker, message, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    if (!worker) {
+      reject(new Error('service worker is not available'));
+      return;
+    }
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('service worker did not reply')), timeout);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+function handleServiceWorkerMessage(event) {
+  const reply = (message) => event.ports[0]?.postMessage(message);
+  if (event.data?.type !== 'BACKGROUND_SYNC') return;
+  const handler = state.serviceWorker.syncHandlers.get(event.data.tag);
+  if (!handler) {
+    reply({ ok: true });
+    return;
+  }
+  Promise.resolve()
+    .then(handler)
+    .then(() => reply({ ok: true }))
+    .catch((err) => reply({ ok: false, error: err?.message || String(err) }));
+}
+
+// オンラインに戻ったときに走らせたい処理を tag ごとに登録する
+function registerBackgroundSyncHandler(tag, handler) {
+  state.serviceWorker.syncHandlers.set(tag, handler);
+}
+
+// Background Sync に対応していないブラウザ（登録前の起動直後を含む）では何もしない。呼び出し側は online イベントで再開する
+async function requestBackgroundSync(tag) {
+  const registration = state.serviceWorker.registration;
+  if (!registration?.sync) return false;
+  try {
+    await registration.sync.register(tag);
+    return true;
+  } catch (err) {
+    console.warn('Background sync registration failed', err);
+    return false;
   }
 }
 
-function init() {
-  loadData();
+async function showUpdatePrompt(worker) {
+  const banner = document.getElementById('update-banner');
+  if (!banner) return;
+  const info = await sendServiceWorkerMessage(worker, { type: 'GET_VERSION' }).catch(() => null);
+  banner.innerHTML = '';
+  const text = document.createElement('span');
+  text.className = 'update-banner-message';
+  text.textContent = info?.version ? `新しいバージョン（${info.version}）があります` : '新しいバージョンがあります';
+  const reloadBtn = document.createElement('button');
+  reloadBtn.type = 'button';
+  reloadBtn.className = 'toast-action-button';
+  reloadBtn.textContent = '再読み込み';
+  reloadBtn.addEventListener('click', async () => {
+    reloadBtn.disabled = true;
+    // 書き込み途中のデータを保存し終えてから切り替える
+    await state.persistQueue.catch(() => {});
+    state.serviceWorker.updateAccepted = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  const laterBtn = document.createElement('button');
+  laterBtn.type = 'button';
+  laterBtn.className = 'update-banner-dismiss';
+  laterBtn.textContent = '後で';
+  laterBtn.addEventListener('click', () => banner.classList.add('hidden'));
+  banner.append(text, reloadBtn, laterBtn);
+  banner.classList.remove('hidden');
+}
+
+async function init() {
+  await loadData();
+  purgeExpiredTrash();
   state.currentTab = getInitialTab();
   setupTabs();
   activateTab(state.currentTab);
   setupGlobalEvents();
   registerServiceWorker();
+  setupRemoteSync();
   setupDailyRefresh();
   render();
 }
@@ -1,62 +1,135 @@
-const CACHE_NAME = 'uni-v1.0.5';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/script.js',
-  '/manifest.json',
-  '/img/icon-192.png',
-  '/img/icon-512.png',
-  '/img/delete.svg',
-  '/img/edit.svg',
-  '/img/hart_off.svg',
-  '/img/hart_on.svg',
-  '/img/hart_on02.svg',
-  '/img/home_on.svg',
-  '/img/home_off.svg',
-  '/img/img_on.svg',
-  '/img/img_off.svg',
-  '/img/repost.svg',
-  '/img/reply.svg',
-  '/img/search_on.svg',
-  '/img/search_off.svg',
-  '/img/vol.svg'
-];
+importScripts('/precache-manifest.js');
 
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'uni-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`;
+const PRECACHE_URLS = new Set(PRECACHE_ASSETS.map((asset) => asset.url));
+const PRECACHE_REVISIONS_URL = '/__precache-revisions';
+const SYNC_REPLY_TIMEOUT = 60 * 1000;
+
+// 前の版のキャッシュから、revision の同じファイルを探す。グラフや変換表のライブラリのような大きいファイルを版ごとに取り直さないため
+async function findPreviousAsset(asset) {
+  const keys = (await caches.keys()).filter((key) => key.startsWith(`${CACHE_PREFIX}precache-`) && key !== PRECACHE_NAME);
+  for (const key of keys) {
+    const cache = await caches.open(key);
+    const revisions = await cache.match(PRECACHE_REVISIONS_URL).then((response) => (response ? response.json() : {}));
+    if (revisions[asset.url] !== asset.revision) continue;
+    const cached = await cache.match(asset.url);
+    if (cached) return cached;
+  }
+  return null;
+}
+
+async function precacheAssets() {
+  const cache = await caches.open(PRECACHE_NAME);
+  await Promise.all(PRECACHE_ASSETS.map(async (asset) => {
+    const previous = await findPreviousAsset(asset);
+    if (previous) {
+      await cache.put(asset.url, previous);
+      return;
+    }
+    const response = await fetch(new Request(asset.url, { cache: 'reload' }));
+    if (!response.ok) throw new Error(`precache failed: ${asset.url} (${response.status})`);
+    await cache.put(asset.url, response);
+  }));
+  const revisions = Object.fromEntries(PRECACHE_ASSETS.map((asset) => [asset.url, asset.revision]));
+  await cache.put(PRECACHE_REVISIONS_URL, new Response(JSON.stringify(revisions)));
+}
+
+// 新しい版はインストールだけして待機させ、アプリ側で「再読み込み」が押されたら切り替える
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
-  );
+  event.waitUntil(precacheAssets());
 });
 
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((keys) =>
-      Promise.all(
-        keys.map((key) => {
-          if (key !== CACHE_NAME) {
-            return caches.delete(key);
-          }
-          return null;
-        })
-      )
-    )
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== PRECACHE_NAME && key !== RUNTIME_CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
   );
 });
 
+function staleWhileRevalidate(event) {
+  return caches.open(RUNTIME_CACHE_NAME).then((cache) =>
+    cache.match(event.request).then((cached) => {
+      const network = fetch(event.request).then((response) => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+      });
+      if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+      }
+      return network;
+    })
+  );
+}
+
 self.addEventListener('fetch', (event) => {
-  if (event.request.method !== 'GET' || new URL(event.request.url).origin !== self.location.origin) {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request).then((cached) => {
-      if (cached) return cached;
-      return fetch(event.request).then((response) => {
-        const clone = response.clone();
-        caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
-        return response;
-      }).catch(() => caches.match('/index.html'));
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('/index.html', { cacheName: PRECACHE_NAME })
+        .then((cached) => cached || fetch(event.request))
+    );
+    return;
+  }
+
+  if (PRECACHE_URLS.has(url.pathname)) {
+    event.respondWith(
+      caches.match(url.pathname, { cacheName: PRECACHE_NAME })
+        .then((cached) => cached || fetch(event.request))
+    );
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+// アプリとの通信は MessageChannel で行い、返事は ports[0] に返す
+self.addEventListener('message', (event) => {
+  const reply = (message) => event.ports[0]?.postMessage(message);
+  switch (event.data?.type) {
+    case 'GET_VERSION':
+      reply({ version: PRECACHE_VERSION });
+      break;
+    case 'SKIP_WAITING':
+      self.skipWaiting();
+      reply({ ok: true });
+      break;
+    default:
+      reply({ ok: false, error: `unknown message: ${event.data?.type}` });
+  }
+});
+
+function requestClientSync(client, tag) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('sync timed out')), SYNC_REPLY_TIMEOUT);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      if (event.data?.ok) resolve();
+      else reject(new Error(event.data?.error || 'sync failed'));
+    };
+    client.postMessage({ type: 'BACKGROUND_SYNC', tag }, [channel.port2]);
+  });
+}
+
+// データは開いているページの IndexedDB 側で扱うので、同期の実行はページに頼む。失敗すればブラウザが再試行する
+self.addEventListener('sync', (event) => {
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      if (!clients.length) return Promise.reject(new Error('no client to run sync'));
+      return requestClientSync(clients[0], event.tag);
     })
   );
 });
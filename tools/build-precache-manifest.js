@@ -0,0 +1,43 @@
+// アセットを変更したら `node tools/build-precache-manifest.js` を実行して precache-manifest.js を作り直す
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+const ENTRY_FILES = ['index.html', 'styles.css', 'script.js', 'manifest.json'];
+const ASSET_DIRS = ['img', 'vendor'];
+const ASSET_PATTERN = /\.(svg|png|js|wasm)$/;
+// 大きくて使う人の限られるもの（文字認識のエンジン、Anki 用の sql.js）は入れず、初めて使ったときに Service Worker がキャッシュする
+const RUNTIME_CACHED_PATTERN = /^vendor\/(tesseract\/tesseract-core-|sql\.js\/)/;
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+// vendor/tesseract のようなサブフォルダも含める。文字認識の言語データ（.traineddata.gz）は選んだ言語だけ実行時に読んでキャッシュする
+function listAssets() {
+  const dirFiles = ASSET_DIRS.flatMap((dir) => fs.readdirSync(path.join(ROOT, dir), { recursive: true })
+    .filter((name) => ASSET_PATTERN.test(name) && fs.statSync(path.join(ROOT, dir, name)).isFile())
+    .map((name) => `${dir}/${name.split(path.sep).join('/')}`)
+    .filter((file) => !RUNTIME_CACHED_PATTERN.test(file)));
+  return [...ENTRY_FILES, ...dirFiles.sort()];
+}
+
+function buildManifest() {
+  const assets = listAssets().map((file) => ({
+    url: `/${file}`,
+    revision: hashContent(fs.readFileSync(path.join(ROOT, file))),
+  }));
+  const version = hashContent(assets.map((asset) => `${asset.url}@${asset.revision}`).join('\n'));
+  return { version, assets };
+}
+
+const manifest = buildManifest();
+const source = [
+  '// tools/build-precache-manifest.js が生成するファイル。手で編集しない',
+  `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+  '',
+].join('\n');
+fs.writeFileSync(path.join(ROOT, OUTPUT), source);
+console.log(`${OUTPUT}: ${manifest.assets.length} assets, version ${manifest.version}`);
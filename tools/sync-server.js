@@ -0,0 +1,111 @@
+// サーバー同期（REST）の動作確認用サーバー。依存パッケージなし
+//   node tools/sync-server.js [--port 8787] [--token 秘密の文字列] [--data sync-data.json]
+// --data を省くとメモリに置くだけで、終了すると消える
+const fs = require('fs');
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const PAGE_SIZE = 50;
+const BODY_LIMIT = 50 * 1024 * 1024;
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, token: null, data: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in options) {
+      options[key] = argv[i + 1];
+      i += 1;
+    }
+  }
+  options.port = Number(options.port) || DEFAULT_PORT;
+  return options;
+}
+
+function loadLog(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > BODY_LIMIT) {
+        reject(Object.assign(new Error('body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// 差分は届いた順に並べるだけ。cursor は「ここまで読んだ」件数で、サーバーは中身を解釈しない
+function createSyncServer({ token = null, data = null } = {}) {
+  const log = loadLog(data);
+  const save = () => {
+    if (data) fs.writeFileSync(data, JSON.stringify(log));
+  };
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.replace(/\/+$/, '') !== '/changes') {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET') {
+        const since = Math.max(0, Number(url.searchParams.get('since')) || 0);
+        const changes = log.slice(since, since + PAGE_SIZE);
+        const cursor = since + changes.length;
+        sendJson(res, 200, { cursor: String(cursor), changes, hasMore: cursor < log.length });
+        return;
+      }
+      if (req.method === 'POST') {
+        const changes = JSON.parse(await readBody(req));
+        if (changes?.kind !== 'uni-sync' || !Array.isArray(changes.entries) || !changes.deviceId) {
+          sendJson(res, 400, { error: 'invalid changes' });
+          return;
+        }
+        log.push(changes);
+        save();
+        sendJson(res, 201, { cursor: String(log.length) });
+        return;
+      }
+      sendJson(res, 405, { error: 'method not allowed' });
+    } catch (err) {
+      sendJson(res, err.status || (err instanceof SyntaxError ? 400 : 500), { error: err.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  createSyncServer(options).listen(options.port, () => {
+    console.log(`sync server: http://localhost:${options.port}/ ${options.data ? `(${options.data})` : '(in memory)'}`);
+  });
+}
+
+module.exports = { createSyncServer };